@@ -24,10 +24,12 @@ async function fixCorruptedData() {
     await pool.connect();
     console.log('✅ Conectado a la base de datos');
 
-    // Obtener todos los cuestionarios
+    // Obtener los cuestionarios guardados en claro; los cifrados los escribe el modelo
+    // (src/models/Questionnaire.js) y no tienen estos problemas de formato
     const result = await pool.query(`
       SELECT id, personal_info, answers, type, created_at
       FROM questionnaires
+      WHERE encryption_key_version IS NULL
       ORDER BY created_at DESC
     `);
 
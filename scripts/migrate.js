@@ -1,5 +1,51 @@
 require('dotenv').config();
 const pool = require('../src/config/database');
+const { hashEmail } = require('../src/utils/encryption');
+const questionnaireDefinitions = require('../src/config/questionnaires');
+const { CONSENT_PURPOSES, INITIAL_POLICY_CONTENT } = require('../src/config/privacy');
+
+// Tipos de cuestionario admitidos por el CHECK de la tabla questionnaires
+const QUESTIONNAIRE_TYPES = questionnaireDefinitions.getTypes().map(type => `'${type}'`).join(', ');
+
+// Añadir una columna a una tabla existente si todavía no está creada
+// Devuelve true si la columna se ha creado en esta ejecución
+// En PostgreSQL se consulta information_schema; en SQLite se ignora el error de columna duplicada
+const addColumnIfMissing = async (table, column, definition) => {
+  if (process.env.DATABASE_URL) {
+    const existing = await pool.query(
+      'SELECT column_name FROM information_schema.columns WHERE table_name = $1 AND column_name = $2',
+      [table, column]
+    );
+    if (existing.rows.length > 0) return false;
+
+    await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${definition}`);
+    return true;
+  }
+
+  try {
+    await pool.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+  } catch (error) {
+    if (!error.message.includes('duplicate column')) {
+      throw error;
+    }
+    return false;
+  }
+};
+
+// Ejecutar una corrección de datos una sola vez; queda registrada en system_config
+const runOnce = async (name, fn) => {
+  const key = `migration:${name}`;
+  const done = await pool.query('SELECT key FROM system_config WHERE key = $1', [key]);
+  if (done.rows.length > 0) return;
+
+  console.log(`🔧 Ejecutando corrección de datos: ${name}`);
+  await fn();
+  await pool.query(
+    'INSERT INTO system_config (key, value, description) VALUES ($1, $2, $3)',
+    [key, JSON.stringify(new Date().toISOString()), 'Corrección de datos aplicada por la migración']
+  );
+};
 
 const createTables = async () => {
   console.log('🚀 Iniciando migración de base de datos...');
@@ -34,6 +80,24 @@ const createTables = async () => {
       `);
     }
 
+    // Fecha de verificación del email; las cuentas anteriores a la verificación se dan por verificadas
+    console.log('📝 Actualizando columnas de users...');
+    if (await addColumnIfMissing('users', 'email_verified_at', isPostgres ? 'TIMESTAMP' : 'TEXT')) {
+      await pool.query('UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL');
+    }
+    // Segundo factor (TOTP): secreto cifrado, fecha de activación y último paso usado
+    await addColumnIfMissing('users', 'two_factor_secret', 'TEXT');
+    await addColumnIfMissing('users', 'two_factor_enabled_at', isPostgres ? 'TIMESTAMP' : 'TEXT');
+    await addColumnIfMissing('users', 'two_factor_last_step', isPostgres ? 'BIGINT' : 'INTEGER');
+    // Protección frente a fuerza bruta: intentos fallidos seguidos y bloqueo temporal
+    await addColumnIfMissing('users', 'failed_login_attempts', 'INTEGER DEFAULT 0');
+    await addColumnIfMissing('users', 'last_failed_login_at', isPostgres ? 'TIMESTAMP' : 'TEXT');
+    await addColumnIfMissing('users', 'locked_until', isPostgres ? 'TIMESTAMP' : 'TEXT');
+    // Cuentas desactivadas por un administrador (no pueden iniciar sesión)
+    await addColumnIfMissing('users', 'active', isPostgres ? 'BOOLEAN DEFAULT TRUE' : 'INTEGER DEFAULT 1');
+    // Identificador (claim sub) de la cuenta en el proveedor de identidad (SSO del personal)
+    await addColumnIfMissing('users', 'oidc_subject', isPostgres ? 'VARCHAR(255)' : 'TEXT');
+
     // Crear tabla de cuestionarios
     console.log('📝 Creando tabla questionnaires...');
     if (isPostgres) {
@@ -41,7 +105,7 @@ const createTables = async () => {
         CREATE TABLE IF NOT EXISTS questionnaires (
           id SERIAL PRIMARY KEY,
           user_id INTEGER REFERENCES users(id),
-          type VARCHAR(50) NOT NULL,
+          type VARCHAR(50) NOT NULL CHECK (type IN (${QUESTIONNAIRE_TYPES})),
           personal_info JSONB NOT NULL,
           answers JSONB NOT NULL,
           status VARCHAR(20) DEFAULT 'pending',
@@ -54,7 +118,7 @@ const createTables = async () => {
         CREATE TABLE IF NOT EXISTS questionnaires (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
           user_id INTEGER,
-          type TEXT NOT NULL,
+          type TEXT NOT NULL CHECK (type IN (${QUESTIONNAIRE_TYPES})),
           personal_info TEXT NOT NULL,
           answers TEXT NOT NULL,
           status TEXT DEFAULT 'pending',
@@ -65,6 +129,25 @@ const createTables = async () => {
       `);
     }
 
+    // Mantener el CHECK de tipos sincronizado con el registro de definiciones
+    // (SQLite no permite modificar restricciones de una tabla existente)
+    if (isPostgres) {
+      await pool.query('ALTER TABLE questionnaires DROP CONSTRAINT IF EXISTS questionnaires_type_check');
+      await pool.query(`ALTER TABLE questionnaires ADD CONSTRAINT questionnaires_type_check CHECK (type IN (${QUESTIONNAIRE_TYPES}))`);
+    }
+
+    // Versión de la definición con la que se respondió cada cuestionario
+    console.log('📝 Actualizando columnas de questionnaires...');
+    await addColumnIfMissing('questionnaires', 'definition_version', 'INTEGER');
+    // Índice ciego del email del encuestado para buscar sin exponer el correo
+    await addColumnIfMissing('questionnaires', 'respondent_hash', isPostgres ? 'VARCHAR(64)' : 'TEXT');
+    // UUID generado por el frontend para sincronizar de forma idempotente
+    await addColumnIfMissing('questionnaires', 'client_id', isPostgres ? 'VARCHAR(36)' : 'TEXT');
+    // Profesional al que está asignado el caso
+    await addColumnIfMissing('questionnaires', 'assigned_to', 'INTEGER REFERENCES users(id) ON DELETE SET NULL');
+    // Versión de la clave con la que están cifrados personal_info y answers (NULL: datos en claro anteriores)
+    await addColumnIfMissing('questionnaires', 'encryption_key_version', 'INTEGER');
+
     // Crear tabla de mensajes de contacto
     console.log('📝 Creando tabla contact_messages...');
     if (isPostgres) {
@@ -127,16 +210,528 @@ const createTables = async () => {
       `);
     }
 
+    // Crear tabla de resultados de cuestionarios
+    console.log('📝 Creando tabla questionnaire_results...');
+    if (isPostgres) {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS questionnaire_results (
+          id SERIAL PRIMARY KEY,
+          questionnaire_id INTEGER UNIQUE NOT NULL,
+          definition_version INTEGER,
+          method VARCHAR(50) NOT NULL,
+          scores TEXT NOT NULL,
+          summary TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (questionnaire_id) REFERENCES questionnaires(id) ON DELETE CASCADE
+        )
+      `);
+    } else {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS questionnaire_results (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          questionnaire_id INTEGER UNIQUE NOT NULL,
+          definition_version INTEGER,
+          method TEXT NOT NULL,
+          scores TEXT NOT NULL,
+          summary TEXT,
+          created_at TEXT DEFAULT (datetime('now')),
+          updated_at TEXT DEFAULT (datetime('now')),
+          FOREIGN KEY (questionnaire_id) REFERENCES questionnaires(id) ON DELETE CASCADE
+        )
+      `);
+    }
+
+    // Crear tabla de invitaciones de pareja
+    console.log('📝 Creando tabla partner_invitations...');
+    if (isPostgres) {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS partner_invitations (
+          id SERIAL PRIMARY KEY,
+          code VARCHAR(32) UNIQUE NOT NULL,
+          inviter_questionnaire_id INTEGER NOT NULL,
+          partner_questionnaire_id INTEGER,
+          status VARCHAR(20) DEFAULT 'pending',
+          expires_at TIMESTAMP NOT NULL,
+          paired_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (inviter_questionnaire_id) REFERENCES questionnaires(id) ON DELETE CASCADE,
+          FOREIGN KEY (partner_questionnaire_id) REFERENCES questionnaires(id) ON DELETE SET NULL
+        )
+      `);
+    } else {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS partner_invitations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          code TEXT UNIQUE NOT NULL,
+          inviter_questionnaire_id INTEGER NOT NULL,
+          partner_questionnaire_id INTEGER,
+          status TEXT DEFAULT 'pending',
+          expires_at TEXT NOT NULL,
+          paired_at TEXT,
+          created_at TEXT DEFAULT (datetime('now')),
+          FOREIGN KEY (inviter_questionnaire_id) REFERENCES questionnaires(id) ON DELETE CASCADE,
+          FOREIGN KEY (partner_questionnaire_id) REFERENCES questionnaires(id) ON DELETE SET NULL
+        )
+      `);
+    }
+
+    // Crear tabla de revisiones de cuestionarios (historial inmutable)
+    console.log('📝 Creando tabla questionnaire_revisions...');
+    if (isPostgres) {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS questionnaire_revisions (
+          id SERIAL PRIMARY KEY,
+          questionnaire_id INTEGER NOT NULL,
+          revision_number INTEGER NOT NULL,
+          source VARCHAR(20) NOT NULL,
+          personal_info TEXT NOT NULL,
+          answers TEXT NOT NULL,
+          status VARCHAR(20),
+          changed_by INTEGER,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (questionnaire_id, revision_number),
+          FOREIGN KEY (questionnaire_id) REFERENCES questionnaires(id) ON DELETE CASCADE
+        )
+      `);
+    } else {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS questionnaire_revisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          questionnaire_id INTEGER NOT NULL,
+          revision_number INTEGER NOT NULL,
+          source TEXT NOT NULL,
+          personal_info TEXT NOT NULL,
+          answers TEXT NOT NULL,
+          status TEXT,
+          changed_by INTEGER,
+          created_at TEXT DEFAULT (datetime('now')),
+          UNIQUE (questionnaire_id, revision_number),
+          FOREIGN KEY (questionnaire_id) REFERENCES questionnaires(id) ON DELETE CASCADE
+        )
+      `);
+    }
+    await addColumnIfMissing('questionnaire_revisions', 'encryption_key_version', 'INTEGER');
+
+    // Crear tabla de tokens para reanudar cuestionarios
+    console.log('📝 Creando tabla resume_tokens...');
+    if (isPostgres) {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS resume_tokens (
+          id SERIAL PRIMARY KEY,
+          questionnaire_id INTEGER NOT NULL,
+          token_hash VARCHAR(64) UNIQUE NOT NULL,
+          expires_at TIMESTAMP NOT NULL,
+          last_used_at TIMESTAMP,
+          revoked_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (questionnaire_id) REFERENCES questionnaires(id) ON DELETE CASCADE
+        )
+      `);
+    } else {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS resume_tokens (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          questionnaire_id INTEGER NOT NULL,
+          token_hash TEXT UNIQUE NOT NULL,
+          expires_at TEXT NOT NULL,
+          last_used_at TEXT,
+          revoked_at TEXT,
+          created_at TEXT DEFAULT (datetime('now')),
+          FOREIGN KEY (questionnaire_id) REFERENCES questionnaires(id) ON DELETE CASCADE
+        )
+      `);
+    }
+
+    // Crear tabla de alertas de riesgo
+    console.log('📝 Creando tabla risk_flags...');
+    if (isPostgres) {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS risk_flags (
+          id SERIAL PRIMARY KEY,
+          questionnaire_id INTEGER NOT NULL,
+          rule_id VARCHAR(100) NOT NULL,
+          level VARCHAR(20) NOT NULL,
+          reason TEXT NOT NULL,
+          details TEXT,
+          status VARCHAR(20) DEFAULT 'open',
+          acknowledged_by INTEGER REFERENCES users(id),
+          acknowledged_at TIMESTAMP,
+          acknowledgement_note TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (questionnaire_id, rule_id),
+          FOREIGN KEY (questionnaire_id) REFERENCES questionnaires(id) ON DELETE CASCADE
+        )
+      `);
+    } else {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS risk_flags (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          questionnaire_id INTEGER NOT NULL,
+          rule_id TEXT NOT NULL,
+          level TEXT NOT NULL,
+          reason TEXT NOT NULL,
+          details TEXT,
+          status TEXT DEFAULT 'open',
+          acknowledged_by INTEGER,
+          acknowledged_at TEXT,
+          acknowledgement_note TEXT,
+          created_at TEXT DEFAULT (datetime('now')),
+          UNIQUE (questionnaire_id, rule_id),
+          FOREIGN KEY (questionnaire_id) REFERENCES questionnaires(id) ON DELETE CASCADE,
+          FOREIGN KEY (acknowledged_by) REFERENCES users(id)
+        )
+      `);
+    }
+
+    // Crear tabla de sesiones (una por inicio de sesión, con refresh token rotatorio)
+    console.log('📝 Creando tabla sessions...');
+    if (isPostgres) {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS sessions (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL,
+          token_hash VARCHAR(64) UNIQUE NOT NULL,
+          previous_token_hash VARCHAR(64),
+          user_agent TEXT,
+          ip_address VARCHAR(45),
+          expires_at TIMESTAMP NOT NULL,
+          last_used_at TIMESTAMP,
+          revoked_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `);
+    } else {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS sessions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          token_hash TEXT UNIQUE NOT NULL,
+          previous_token_hash TEXT,
+          user_agent TEXT,
+          ip_address TEXT,
+          expires_at TEXT NOT NULL,
+          last_used_at TEXT,
+          revoked_at TEXT,
+          created_at TEXT DEFAULT (datetime('now')),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `);
+    }
+
+    // Crear tabla de tokens de un solo uso asociados a usuarios (restablecer contraseña, etc.)
+    console.log('📝 Creando tabla user_tokens...');
+    if (isPostgres) {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS user_tokens (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL,
+          purpose VARCHAR(50) NOT NULL,
+          token_hash VARCHAR(64) UNIQUE NOT NULL,
+          expires_at TIMESTAMP NOT NULL,
+          used_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `);
+    } else {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS user_tokens (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          purpose TEXT NOT NULL,
+          token_hash TEXT UNIQUE NOT NULL,
+          expires_at TEXT NOT NULL,
+          used_at TEXT,
+          created_at TEXT DEFAULT (datetime('now')),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `);
+    }
+
+    // Crear tabla de códigos de recuperación del segundo factor
+    console.log('📝 Creando tabla two_factor_backup_codes...');
+    if (isPostgres) {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS two_factor_backup_codes (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL,
+          code_hash VARCHAR(64) NOT NULL,
+          used_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `);
+    } else {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS two_factor_backup_codes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          code_hash TEXT NOT NULL,
+          used_at TEXT,
+          created_at TEXT DEFAULT (datetime('now')),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `);
+    }
+
+    // Crear tabla de auditoría
+    console.log('📝 Creando tabla audit_logs...');
+    if (isPostgres) {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS audit_logs (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER,
+          action VARCHAR(100) NOT NULL,
+          resource VARCHAR(100) NOT NULL,
+          resource_id INTEGER,
+          details TEXT,
+          ip_address VARCHAR(45),
+          user_agent TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `);
+    } else {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS audit_logs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER,
+          action TEXT NOT NULL,
+          resource TEXT NOT NULL,
+          resource_id INTEGER,
+          details TEXT,
+          ip_address TEXT,
+          user_agent TEXT,
+          created_at TEXT DEFAULT (datetime('now')),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `);
+    }
+
+    // Crear tabla de inicios de sesión SSO en curso (state, nonce y verificador PKCE)
+    console.log('📝 Creando tabla oidc_login_requests...');
+    if (isPostgres) {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS oidc_login_requests (
+          id SERIAL PRIMARY KEY,
+          state_hash VARCHAR(64) UNIQUE NOT NULL,
+          nonce VARCHAR(255) NOT NULL,
+          code_verifier VARCHAR(255) NOT NULL,
+          expires_at TIMESTAMP NOT NULL,
+          used_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    } else {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS oidc_login_requests (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          state_hash TEXT UNIQUE NOT NULL,
+          nonce TEXT NOT NULL,
+          code_verifier TEXT NOT NULL,
+          expires_at TEXT NOT NULL,
+          used_at TEXT,
+          created_at TEXT DEFAULT (datetime('now'))
+        )
+      `);
+    }
+
+    // Crear tabla de configuración del sistema (políticas editables por el admin)
+    console.log('📝 Creando tabla system_config...');
+    if (isPostgres) {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS system_config (
+          id SERIAL PRIMARY KEY,
+          key VARCHAR(100) UNIQUE NOT NULL,
+          value TEXT NOT NULL,
+          description TEXT,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_by INTEGER,
+          FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `);
+    } else {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS system_config (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          key TEXT UNIQUE NOT NULL,
+          value TEXT NOT NULL,
+          description TEXT,
+          updated_at TEXT DEFAULT (datetime('now')),
+          updated_by INTEGER,
+          FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `);
+    }
+
+    // Crear tabla de solicitudes de supresión atendidas (constancia mínima, sin datos personales)
+    console.log('📝 Creando tabla erasure_requests...');
+    if (isPostgres) {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS erasure_requests (
+          id SERIAL PRIMARY KEY,
+          subject_hash VARCHAR(64) NOT NULL,
+          mode VARCHAR(20) NOT NULL CHECK (mode IN ('erase', 'pseudonymize')),
+          requested_by INTEGER,
+          reason TEXT,
+          summary TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `);
+    } else {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS erasure_requests (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          subject_hash TEXT NOT NULL,
+          mode TEXT NOT NULL CHECK (mode IN ('erase', 'pseudonymize')),
+          requested_by INTEGER,
+          reason TEXT,
+          summary TEXT NOT NULL,
+          created_at TEXT DEFAULT (datetime('now')),
+          FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `);
+    }
+
+    // Crear tabla de versiones de la política de privacidad
+    console.log('📝 Creando tabla privacy_policies...');
+    if (isPostgres) {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS privacy_policies (
+          id SERIAL PRIMARY KEY,
+          version INTEGER UNIQUE NOT NULL,
+          content TEXT NOT NULL,
+          published_by INTEGER,
+          published_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (published_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `);
+    } else {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS privacy_policies (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          version INTEGER UNIQUE NOT NULL,
+          content TEXT NOT NULL,
+          published_by INTEGER,
+          published_at TEXT DEFAULT (datetime('now')),
+          FOREIGN KEY (published_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `);
+    }
+
+    // Crear tabla de consentimientos (uno por finalidad aceptada)
+    console.log('📝 Creando tabla consents...');
+    const CONSENT_PURPOSE_VALUES = Object.keys(CONSENT_PURPOSES).map(purpose => `'${purpose}'`).join(', ');
+    if (isPostgres) {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS consents (
+          id SERIAL PRIMARY KEY,
+          policy_version INTEGER NOT NULL,
+          purpose VARCHAR(20) NOT NULL CHECK (purpose IN (${CONSENT_PURPOSE_VALUES})),
+          source VARCHAR(20) NOT NULL,
+          subject_hash VARCHAR(64),
+          user_id INTEGER,
+          questionnaire_id INTEGER,
+          contact_message_id INTEGER,
+          ip_address VARCHAR(45),
+          user_agent TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+          FOREIGN KEY (questionnaire_id) REFERENCES questionnaires(id) ON DELETE SET NULL,
+          FOREIGN KEY (contact_message_id) REFERENCES contact_messages(id) ON DELETE SET NULL
+        )
+      `);
+    } else {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS consents (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          policy_version INTEGER NOT NULL,
+          purpose TEXT NOT NULL CHECK (purpose IN (${CONSENT_PURPOSE_VALUES})),
+          source TEXT NOT NULL,
+          subject_hash TEXT,
+          user_id INTEGER,
+          questionnaire_id INTEGER,
+          contact_message_id INTEGER,
+          ip_address TEXT,
+          user_agent TEXT,
+          created_at TEXT DEFAULT (datetime('now')),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+          FOREIGN KEY (questionnaire_id) REFERENCES questionnaires(id) ON DELETE SET NULL,
+          FOREIGN KEY (contact_message_id) REFERENCES contact_messages(id) ON DELETE SET NULL
+        )
+      `);
+    }
+
+    // Primera versión de la política: los formularios exigen que haya una publicada
+    await runOnce('privacy_policy_v1', async () => {
+      await pool.query(
+        'INSERT INTO privacy_policies (version, content) VALUES ($1, $2) ON CONFLICT (version) DO NOTHING',
+        [1, INITIAL_POLICY_CONTENT]
+      );
+    });
+
+    // Los usuarios creados al registrarse o responder recibían el rol 'assistant' por error;
+    // hasta ahora no había otra forma de crear asistentes, así que todos pasan a 'user'
+    await runOnce('roles_assistant_to_user', async () => {
+      await pool.query("UPDATE users SET role = 'user' WHERE role = 'assistant'");
+    });
+
+    // Las alertas guardaban en claro la respuesta que las disparó: se deja solo su valor
+    await runOnce('risk_flags_strip_answer', async () => {
+      const flags = await pool.query('SELECT id, details FROM risk_flags WHERE details IS NOT NULL');
+      for (const flag of flags.rows) {
+        const details = typeof flag.details === 'string' ? JSON.parse(flag.details) : flag.details;
+        if (details && 'answer' in details) {
+          delete details.answer;
+          await pool.query('UPDATE risk_flags SET details = $1 WHERE id = $2', [JSON.stringify(details), flag.id]);
+        }
+      }
+    });
+
+    // Rellenar el índice ciego de los cuestionarios anteriores
+    const pendingHashes = await pool.query('SELECT id, personal_info FROM questionnaires WHERE respondent_hash IS NULL');
+    for (const row of pendingHashes.rows) {
+      try {
+        const personalInfo = typeof row.personal_info === 'string' ? JSON.parse(row.personal_info) : row.personal_info;
+        if (personalInfo && personalInfo.correo) {
+          await pool.query('UPDATE questionnaires SET respondent_hash = $1 WHERE id = $2', [hashEmail(personalInfo.correo), row.id]);
+        }
+      } catch (error) {
+        console.warn(`⚠️ No se pudo calcular el índice del cuestionario ${row.id}: ${error.message}`);
+      }
+    }
+
     // Crear índices para mejor performance
     console.log('📊 Creando índices...');
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_questionnaires_user_id ON questionnaires(user_id)`);
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_questionnaires_type ON questionnaires(type)`);
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_questionnaires_created_at ON questionnaires(created_at)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_questionnaires_respondent_hash ON questionnaires(respondent_hash)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_questionnaires_assigned_to ON questionnaires(assigned_to)`);
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_questionnaires_client_id ON questionnaires(client_id)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_resume_tokens_questionnaire ON resume_tokens(questionnaire_id)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_risk_flags_status ON risk_flags(status)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_sessions_previous_token ON sessions(previous_token_hash)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_user_tokens_user_purpose ON user_tokens(user_id, purpose)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_two_factor_backup_codes_user ON two_factor_backup_codes(user_id)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_audit_logs_resource ON audit_logs(resource, resource_id)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_audit_logs_action ON audit_logs(action)`);
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_contact_messages_email ON contact_messages(email)`);
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_contact_messages_status ON contact_messages(status)`);
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_contact_messages_created_at ON contact_messages(created_at)`);
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_compatibility_questionnaire1 ON compatibility_analysis(questionnaire1_id)`);
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_compatibility_questionnaire2 ON compatibility_analysis(questionnaire2_id)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_partner_invitations_inviter ON partner_invitations(inviter_questionnaire_id)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_partner_invitations_partner ON partner_invitations(partner_questionnaire_id)`);
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_users_oidc_subject ON users(oidc_subject)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_erasure_requests_subject ON erasure_requests(subject_hash)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_consents_policy_purpose ON consents(policy_version, purpose)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_consents_subject ON consents(subject_hash)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_consents_questionnaire ON consents(questionnaire_id)`);
 
     // Crear usuario admin por defecto (si no existe)
     console.log('👤 Creando usuario admin por defecto...');
@@ -144,8 +739,8 @@ const createTables = async () => {
     const adminPassword = await bcrypt.hash('admin123', 10);
     
     await pool.query(`
-      INSERT INTO users (email, password, name, role)
-      VALUES ($1, $2, 'Administrador', 'admin')
+      INSERT INTO users (email, password, name, role, email_verified_at)
+      VALUES ($1, $2, 'Administrador', 'admin', CURRENT_TIMESTAMP)
       ON CONFLICT (email) DO NOTHING
     `, ['admin@websaludmental.com', adminPassword]);
 
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * Proveedor OpenID Connect de pruebas para el login SSO del panel
+ * Aprueba automáticamente al usuario indicado en `login_hint` (o el primero del
+ * directorio) y firma los id_token con una clave RSA generada al arrancar
+ *
+ * Uso:
+ *   node scripts/mock-oidc-provider.js
+ *   OIDC_ISSUER=http://localhost:4011 OIDC_CLIENT_ID=panel-salud-mental \
+ *   OIDC_CLIENT_SECRET=secreto-de-pruebas \
+ *   OIDC_ROLE_MAPPING='{"salud-mental-admins":"admin","salud-mental-profesionales":"professional","salud-mental-recepcion":"assistant"}' \
+ *   npm run dev
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Directorio de usuarios del proveedor de pruebas
+const DEFAULT_USERS = [
+  { sub: 'mock-admin', email: 'admin@example.com', name: 'Admin Clínica', groups: ['salud-mental-admins'], amr: ['pwd', 'mfa'] },
+  { sub: 'mock-profesional', email: 'psicologa@example.com', name: 'Laura Psicóloga', groups: ['salud-mental-profesionales'] },
+  { sub: 'mock-recepcion', email: 'recepcion@example.com', name: 'Pablo Recepción', groups: ['salud-mental-recepcion'] },
+  { sub: 'mock-externo', email: 'externo@example.com', name: 'Persona Externa', groups: [] }
+];
+
+/**
+ * Crear la app Express del proveedor
+ */
+function createMockOidcProvider(options = {}) {
+  const {
+    issuer = 'http://localhost:4011',
+    clientId = 'panel-salud-mental',
+    clientSecret = 'secreto-de-pruebas',
+    users = DEFAULT_USERS
+  } = options;
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+  });
+
+  // Autorización: sin pantalla de login, redirige directamente con el código
+  app.get('/authorize', (req, res) => {
+    const { client_id: requestClientId, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge, login_hint: loginHint } = req.query;
+
+    if (requestClientId !== clientId || !redirectUri) {
+      return res.status(400).json({ error: 'invalid_request', error_description: 'client_id o redirect_uri inválidos' });
+    }
+
+    const redirect = new URL(redirectUri);
+    const user = loginHint ? users.find(candidate => candidate.email === loginHint) : users[0];
+
+    if (!user) {
+      redirect.search = new URLSearchParams({ error: 'access_denied', error_description: 'Usuario desconocido', state }).toString();
+      return res.redirect(redirect.toString());
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { user, nonce, redirectUri, codeChallenge, expiresAt: Date.now() + 60 * 1000 });
+
+    redirect.search = new URLSearchParams({ code, state }).toString();
+    res.redirect(redirect.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    let id = req.body.client_id;
+    let secret = req.body.client_secret;
+    const basic = (req.get('Authorization') || '').match(/^Basic (.+)$/);
+    if (basic) {
+      [id, secret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+    }
+
+    if (id !== clientId || secret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const entry = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    if (!entry || entry.expiresAt < Date.now() || entry.redirectUri !== req.body.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (entry.codeChallenge && challenge !== entry.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'code_verifier incorrecto' });
+    }
+
+    const idToken = jwt.sign({
+      sub: entry.user.sub,
+      email: entry.user.email,
+      email_verified: true,
+      name: entry.user.name,
+      groups: entry.user.groups,
+      // Métodos de autenticación: con OIDC_TRUST_PROVIDER_MFA, `mfa` evita el 2FA local
+      amr: entry.user.amr || ['pwd'],
+      nonce: entry.nonce
+    }, privateKey, { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: '5m' });
+
+    res.json({
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  });
+
+  return app;
+}
+
+module.exports = { createMockOidcProvider, DEFAULT_USERS };
+
+// Solo arrancar el servidor si se llama directamente
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_OIDC_PORT) || 4011;
+  createMockOidcProvider({
+    issuer: process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`,
+    clientId: process.env.OIDC_CLIENT_ID || undefined,
+    clientSecret: process.env.OIDC_CLIENT_SECRET || undefined
+  }).listen(port, () => {
+    console.log(`🪪 Proveedor OIDC de pruebas en http://localhost:${port}`);
+    DEFAULT_USERS.forEach(user => console.log(`   ${user.email} → ${user.groups.join(', ') || 'sin grupos'}`));
+  });
+}
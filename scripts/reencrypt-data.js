@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * Recifrar los datos de los cuestionarios con la clave actual (DATA_ENCRYPTION_KEY_VERSION)
+ * Cifra lo que aún está en claro y lo cifrado con versiones de clave anteriores.
+ * Se puede ejecutar varias veces: solo procesa lo pendiente
+ *
+ * Uso: npm run db:reencrypt [-- --batch-size=200]
+ */
+
+require('dotenv').config();
+const { getEncryptionStatus, reencryptAll } = require('../src/utils/dataReencryption');
+
+const batchArg = process.argv.find(arg => arg.startsWith('--batch-size='));
+const batchSize = batchArg ? parseInt(batchArg.split('=')[1]) : 100;
+
+const run = async () => {
+  try {
+    const before = await getEncryptionStatus();
+    console.log(`🔐 Clave actual: versión ${before.currentKeyVersion}`);
+    Object.entries(before.tables).forEach(([table, { pending }]) => {
+      console.log(`   ${table}: ${pending} pendientes`);
+    });
+
+    const summary = await reencryptAll({
+      batchSize,
+      onProgress: (table, totals) => console.log(`   ${table}: ${totals.processed} recifrados`)
+    });
+
+    let failed = 0;
+    Object.entries(summary).forEach(([table, totals]) => {
+      console.log(`✅ ${table}: ${totals.processed} recifrados, ${totals.failed.length} con error`);
+      if (totals.failed.length > 0) {
+        console.log(`   ids con error: ${totals.failed.join(', ')}`);
+      }
+      failed += totals.failed.length;
+    });
+
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('💥 Error en el recifrado:', error);
+    process.exit(1);
+  }
+};
+
+run();
@@ -49,12 +49,13 @@ if (!isDevelopment) {
   // SQLite para desarrollo local
   console.log('🗃️ Usando SQLite para desarrollo...');
   const sqlite3 = require('sqlite3').verbose();
-  const dbPath = path.join(__dirname, '../database/questionnaires.db');
+  // SQLITE_PATH permite usar otro archivo (o ':memory:' en los tests)
+  const dbPath = process.env.SQLITE_PATH || path.join(__dirname, '../database/questionnaires.db');
   
   // Crear directorio si no existe
   const fs = require('fs');
   const dbDir = path.dirname(dbPath);
-  if (!fs.existsSync(dbDir)) {
+  if (dbPath !== ':memory:' && !fs.existsSync(dbDir)) {
     fs.mkdirSync(dbDir, { recursive: true });
   }
 
@@ -64,14 +65,20 @@ if (!isDevelopment) {
   pool = {
     query: (text, params) => {
       return new Promise((resolve, reject) => {
-        if (text.includes('RETURNING')) {
+        if (text.includes('RETURNING') && !text.trimStart().toUpperCase().startsWith('INSERT')) {
+          // UPDATE/DELETE ... RETURNING: SQLite (>= 3.35) devuelve las filas igual que PostgreSQL
+          db.all(text, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve({ rows, rowCount: rows.length });
+          });
+        } else if (text.includes('RETURNING')) {
           // PostgreSQL RETURNING -> SQLite con lastID
           const insertText = text.replace(/RETURNING.*/, '');
           db.run(insertText, params, function(err) {
             if (err) reject(err);
             else resolve({ rows: [{ id: this.lastID }], rowCount: this.changes });
           });
-        } else if (text.toUpperCase().startsWith('SELECT')) {
+        } else if (text.trimStart().toUpperCase().startsWith('SELECT')) {
           db.all(text, params, (err, rows) => {
             if (err) reject(err);
             else resolve({ rows, rowCount: rows.length });
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+
+/**
+ * Claves para cifrar en reposo los datos de los cuestionarios (personal_info y answers)
+ *
+ * DATA_ENCRYPTION_KEYS (obligatorio en producción) lista las claves por versión, separadas por comas:
+ *   DATA_ENCRYPTION_KEYS=1:clave-antigua,2:clave-nueva
+ * DATA_ENCRYPTION_KEY_VERSION indica con cuál se cifra lo nuevo (por defecto la más alta).
+ * Para rotar: añadir la versión nueva, cambiar DATA_ENCRYPTION_KEY_VERSION, ejecutar el
+ * recifrado (POST /api/admin/security/encryption/reencrypt o npm run db:reencrypt) y,
+ * cuando no quede nada con la versión anterior, retirarla de la lista
+ */
+
+const DEFAULT_KEY = 'default_data_encryption_key_change_in_production';
+
+// Sal fija de la derivación: cada clave configurada ya es un secreto propio
+const KEY_DERIVATION_SALT = 'web-salud-mental:data-encryption';
+
+/**
+ * Leer las claves configuradas como { versión: secreto }
+ */
+function parseKeys(value) {
+  if (!value) {
+    // La clave por defecto está en el código: en producción equivale a no cifrar
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('DATA_ENCRYPTION_KEYS es obligatorio en producción');
+    }
+    return { 1: DEFAULT_KEY };
+  }
+
+  const keys = {};
+  value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    const version = parseInt(entry.slice(0, separator));
+    const secret = entry.slice(separator + 1);
+
+    if (separator < 1 || !Number.isInteger(version) || version < 1 || !secret) {
+      throw new Error('DATA_ENCRYPTION_KEYS debe tener el formato "1:clave,2:clave"');
+    }
+    keys[version] = secret;
+  });
+
+  return keys;
+}
+
+const secrets = parseKeys(process.env.DATA_ENCRYPTION_KEYS);
+const keyVersions = Object.keys(secrets).map(Number).sort((a, b) => a - b);
+
+const currentKeyVersion = process.env.DATA_ENCRYPTION_KEY_VERSION
+  ? parseInt(process.env.DATA_ENCRYPTION_KEY_VERSION)
+  : keyVersions[keyVersions.length - 1];
+
+if (!secrets[currentKeyVersion]) {
+  throw new Error(`DATA_ENCRYPTION_KEY_VERSION=${process.env.DATA_ENCRYPTION_KEY_VERSION} no está en DATA_ENCRYPTION_KEYS`);
+}
+
+// Las claves AES se derivan una sola vez al arrancar
+const derivedKeys = new Map(
+  keyVersions.map(version => [version, crypto.scryptSync(secrets[version], KEY_DERIVATION_SALT, 32)])
+);
+
+/**
+ * Clave AES-256 de una versión; error si la versión no está configurada
+ */
+function getKey(version) {
+  const key = derivedKeys.get(Number(version));
+  if (!key) {
+    throw new Error(`La clave de cifrado versión ${version} no está configurada`);
+  }
+  return key;
+}
+
+module.exports = {
+  currentKeyVersion,
+  keyVersions,
+  getKey
+};
@@ -0,0 +1,93 @@
+/**
+ * Inicio de sesión único (OpenID Connect) para el personal
+ * Se activa al configurar OIDC_ISSUER; el login con contraseña sigue disponible
+ *
+ * OIDC_ROLE_MAPPING asocia valores del claim de roles (OIDC_ROLE_CLAIM, por defecto
+ * `groups`) con roles locales, p. ej. {"salud-mental-admins": "admin"}
+ */
+
+// Roles locales que se pueden obtener por SSO, de más a menos privilegios
+const SSO_ROLES = ['admin', 'professional', 'assistant'];
+
+/**
+ * Leer el mapeo de roles; un JSON mal formado deja el SSO sin roles (nadie entra)
+ */
+function parseRoleMapping(value) {
+  if (!value) return {};
+
+  try {
+    const mapping = JSON.parse(value);
+    return Object.fromEntries(
+      Object.entries(mapping).filter(([, role]) => SSO_ROLES.includes(role))
+    );
+  } catch (error) {
+    console.error('❌ OIDC_ROLE_MAPPING no es un JSON válido:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Leer una lista separada por comas
+ */
+function parseList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const oidcConfig = {
+  issuer: process.env.OIDC_ISSUER ? process.env.OIDC_ISSUER.replace(/\/$/, '') : null,
+  clientId: process.env.OIDC_CLIENT_ID || null,
+  clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+  // Página del panel que recibe ?code&state y los reenvía a POST /api/admin/sso/callback
+  redirectUri: process.env.OIDC_REDIRECT_URI || `${frontendUrl}/admin/sso/callback`,
+  scopes: process.env.OIDC_SCOPES || 'openid email profile',
+  roleClaim: process.env.OIDC_ROLE_CLAIM || 'groups',
+  roleMapping: parseRoleMapping(process.env.OIDC_ROLE_MAPPING),
+  // Crear la cuenta local la primera vez que entra alguien con un rol válido
+  autoProvision: process.env.OIDC_AUTO_PROVISION === 'true',
+  // Aceptar el segundo factor del proveedor en lugar del 2FA local, solo si el id_token lo
+  // acredita con alguno de estos valores de `amr` o `acr`
+  trustProviderMfa: process.env.OIDC_TRUST_PROVIDER_MFA === 'true',
+  mfaAmrValues: parseList(process.env.OIDC_MFA_AMR_VALUES || 'mfa,otp,hwk'),
+  mfaAcrValues: parseList(process.env.OIDC_MFA_ACR_VALUES)
+};
+
+/**
+ * ¿Está configurado el SSO?
+ */
+function isEnabled() {
+  return !!(oidcConfig.issuer && oidcConfig.clientId && oidcConfig.clientSecret);
+}
+
+/**
+ * Rol local que corresponde a los claims del id_token (el de más privilegios)
+ * Devuelve null si ningún valor del claim está mapeado
+ */
+function mapClaimsToRole(claims) {
+  const value = claims[oidcConfig.roleClaim];
+  const values = Array.isArray(value) ? value : (value ? [value] : []);
+  const roles = values.map(item => oidcConfig.roleMapping[item]).filter(Boolean);
+
+  return SSO_ROLES.find(role => roles.includes(role)) || null;
+}
+
+/**
+ * ¿Acredita el id_token que el proveedor exigió un segundo factor?
+ * Siempre false si no se ha activado OIDC_TRUST_PROVIDER_MFA
+ */
+function providerVerifiedMfa(claims) {
+  if (!oidcConfig.trustProviderMfa) return false;
+
+  const amr = Array.isArray(claims.amr) ? claims.amr : [];
+  return amr.some(method => oidcConfig.mfaAmrValues.includes(method)) ||
+    (typeof claims.acr === 'string' && oidcConfig.mfaAcrValues.includes(claims.acr));
+}
+
+module.exports = {
+  ...oidcConfig,
+  SSO_ROLES,
+  isEnabled,
+  mapClaimsToRole,
+  providerVerifiedMfa
+};
@@ -0,0 +1,77 @@
+/**
+ * Modelo de permisos por rol
+ * Cada ruta protegida pide un permiso con requirePermission; los roles solo
+ * agrupan permisos. Los permisos `*_assigned` limitan el acceso a los casos
+ * asignados al profesional (questionnaires.assigned_to)
+ */
+
+const PERMISSIONS = {
+  'panel:access': 'Acceder al panel de administración',
+  'questionnaires:read': 'Ver todos los cuestionarios y análisis',
+  'questionnaires:read_assigned': 'Ver los cuestionarios asignados',
+  'questionnaires:assign': 'Asignar cuestionarios a profesionales',
+  'questionnaires:delete': 'Eliminar cuestionarios',
+  'risk:read': 'Ver todas las alertas de riesgo',
+  'risk:read_assigned': 'Ver las alertas de riesgo de los casos asignados',
+  'risk:acknowledge': 'Marcar alertas de riesgo como atendidas',
+  'contact:read': 'Ver mensajes de contacto',
+  'contact:reply': 'Responder y cambiar el estado de los mensajes de contacto',
+  'contact:delete': 'Eliminar mensajes de contacto',
+  'users:manage': 'Gestionar las cuentas de usuario (desbloquear, roles...)',
+  'security:manage': 'Gestionar las políticas de seguridad',
+  'data:fix': 'Ejecutar las correcciones y migraciones de datos',
+  'privacy:manage': 'Atender las solicitudes de protección de datos (acceso, supresión)',
+  'system:debug': 'Acceder a los endpoints de depuración'
+};
+
+const ROLE_PERMISSIONS = {
+  admin: Object.keys(PERMISSIONS),
+  professional: [
+    'panel:access',
+    'questionnaires:read_assigned',
+    'risk:read_assigned',
+    'risk:acknowledge'
+  ],
+  assistant: [
+    'panel:access',
+    'contact:read',
+    'contact:reply'
+  ],
+  // Personas que responden cuestionarios: sin acceso al panel
+  user: []
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Permisos de un rol
+ */
+function getPermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * ¿Tiene el rol este permiso?
+ */
+function hasPermission(role, permission) {
+  return getPermissions(role).includes(permission);
+}
+
+/**
+ * ¿Puede el usuario ver este cuestionario? (todos o solo los asignados)
+ */
+function canReadQuestionnaire(user, questionnaire) {
+  if (hasPermission(user.userRole, 'questionnaires:read')) return true;
+
+  return hasPermission(user.userRole, 'questionnaires:read_assigned') &&
+    !!questionnaire && questionnaire.assignedTo === user.userId;
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  getPermissions,
+  hasPermission,
+  canReadQuestionnaire
+};
@@ -0,0 +1,27 @@
+/**
+ * Finalidades de tratamiento para las que se pide consentimiento y cuáles exige
+ * cada formulario. El texto de la política de privacidad está versionado en la base
+ * de datos (privacy_policies) y lo publica el admin desde el panel
+ */
+
+const CONSENT_PURPOSES = {
+  processing: 'Tratamiento de los datos del cuestionario, incluidos los de salud y orientación sexual, para ofrecer los resultados',
+  research: 'Uso de las respuestas seudonimizadas con fines de investigación',
+  contact: 'Tratamiento de los datos del formulario de contacto para responder a la consulta'
+};
+
+// Finalidades obligatorias en cada formulario (el resto son opcionales)
+const REQUIRED_PURPOSES = {
+  questionnaire: ['processing'],
+  contact: ['contact']
+};
+
+// Texto de la primera versión, creada por la migración
+const INITIAL_POLICY_CONTENT = 'Web Salud Mental trata los datos que facilitas en los cuestionarios y en el formulario de contacto ' +
+  'solo para las finalidades que aceptas expresamente. Puedes pedir una copia de tus datos o su supresión en cualquier momento.';
+
+module.exports = {
+  CONSENT_PURPOSES,
+  REQUIRED_PURPOSES,
+  INITIAL_POLICY_CONTENT
+};
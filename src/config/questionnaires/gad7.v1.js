@@ -0,0 +1,64 @@
+/**
+ * GAD-7 (Generalized Anxiety Disorder-7) - versión 1
+ * Cribado de ansiedad. Redacción oficial en español y puntuación estándar (0-21)
+ */
+
+// Escala de frecuencia común a los 7 ítems puntuables
+const FREQUENCY_SCALE = [
+  { value: 0, label: 'Ningún día' },
+  { value: 1, label: 'Varios días' },
+  { value: 2, label: 'Más de la mitad de los días' },
+  { value: 3, label: 'Casi todos los días' }
+];
+
+const item = (id, text) => ({
+  id,
+  order: parseInt(id) + 1,
+  text,
+  type: 'single_choice',
+  required: true,
+  scored: true,
+  options: FREQUENCY_SCALE
+});
+
+module.exports = {
+  type: 'gad7',
+  version: 1,
+  title: 'GAD-7 - Escala de ansiedad generalizada',
+  description: 'Cuestionario validado para el cribado de síntomas de ansiedad.',
+  instructions: 'Durante las últimas 2 semanas, ¿con qué frecuencia le han molestado los siguientes problemas?',
+  source: 'Desarrollado por los Dres. Robert L. Spitzer, Janet B.W. Williams, Kurt Kroenke y colegas, con una subvención educativa de Pfizer Inc. No se requiere permiso para reproducir, traducir, presentar o distribuir.',
+  // Suma de los ítems puntuables y bandas de gravedad oficiales
+  scoring: {
+    method: 'sum',
+    bands: [
+      { id: 'minimal', label: 'Mínima', min: 0, max: 4 },
+      { id: 'mild', label: 'Leve', min: 5, max: 9 },
+      { id: 'moderate', label: 'Moderada', min: 10, max: 14 },
+      { id: 'severe', label: 'Grave', min: 15, max: 21 }
+    ]
+  },
+  dimensions: [],
+  questions: [
+    item('0', 'Se ha sentido nervioso(a), ansioso(a) o con los nervios de punta'),
+    item('1', 'No ha sido capaz de parar o controlar su preocupación'),
+    item('2', 'Se ha preocupado demasiado por motivos diferentes'),
+    item('3', 'Ha tenido dificultad para relajarse'),
+    item('4', 'Se ha sentido tan inquieto(a) que no ha podido quedarse quieto(a)'),
+    item('5', 'Se ha molestado o irritado fácilmente'),
+    item('6', 'Ha tenido miedo de que algo terrible fuera a pasar'),
+    {
+      id: '7',
+      order: 8,
+      text: 'Si ha marcado cualquiera de los problemas, ¿qué tanta dificultad le han dado estos problemas para hacer su trabajo, encargarse de las tareas del hogar, o llevarse bien con otras personas?',
+      type: 'single_choice',
+      required: false,
+      options: [
+        { value: 'nada', label: 'No ha sido difícil' },
+        { value: 'poco', label: 'Un poco difícil' },
+        { value: 'muy', label: 'Muy difícil' },
+        { value: 'extremadamente', label: 'Extremadamente difícil' }
+      ]
+    }
+  ]
+};
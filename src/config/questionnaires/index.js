@@ -0,0 +1,130 @@
+/**
+ * Registro de definiciones de cuestionarios
+ * Cada tipo puede tener varias versiones; la versión más alta es la vigente
+ */
+
+const DEFINITIONS = [
+  require('./pareja.v1'),
+  require('./personalidad.v1'),
+  require('./phq9.v1'),
+  require('./gad7.v1')
+];
+
+/**
+ * Obtener los tipos de cuestionario disponibles
+ */
+function getTypes() {
+  return [...new Set(DEFINITIONS.map(definition => definition.type))];
+}
+
+/**
+ * Verificar si un tipo de cuestionario existe
+ */
+function isValidType(type) {
+  return getTypes().includes(type);
+}
+
+/**
+ * Obtener la última versión publicada de un tipo
+ */
+function getLatestVersion(type) {
+  const versions = DEFINITIONS
+    .filter(definition => definition.type === type)
+    .map(definition => definition.version);
+
+  return versions.length > 0 ? Math.max(...versions) : null;
+}
+
+/**
+ * Obtener una definición por tipo y versión (la vigente si no se indica versión)
+ */
+function getDefinition(type, version = null) {
+  const targetVersion = version === null || version === undefined
+    ? getLatestVersion(type)
+    : parseInt(version);
+
+  return DEFINITIONS.find(definition =>
+    definition.type === type && definition.version === targetVersion
+  ) || null;
+}
+
+/**
+ * Obtener una pregunta de una definición por su id
+ */
+function getQuestion(definition, questionId) {
+  return definition.questions.find(question => question.id === String(questionId)) || null;
+}
+
+/**
+ * Buscar la opción elegida en una pregunta
+ * El frontend puede enviar el valor de la opción o su texto
+ */
+function findOption(question, answer) {
+  if (!question || !question.options || answer === null || answer === undefined) {
+    return null;
+  }
+
+  const normalized = String(answer).trim().toLowerCase();
+  return question.options.find(option =>
+    String(option.value).toLowerCase() === normalized ||
+    option.label.toLowerCase() === normalized
+  ) || null;
+}
+
+/**
+ * Resumen de las definiciones vigentes
+ */
+function listDefinitions() {
+  return getTypes().map(type => {
+    const definition = getDefinition(type);
+    return {
+      type: definition.type,
+      version: definition.version,
+      title: definition.title,
+      description: definition.description,
+      totalQuestions: definition.questions.length
+    };
+  });
+}
+
+/**
+ * Representación pública de una definición (sin metadatos internos)
+ */
+function toPublicDefinition(definition) {
+  const questions = [...definition.questions]
+    .sort((a, b) => a.order - b.order)
+    .map(question => ({
+      id: question.id,
+      order: question.order,
+      text: question.text,
+      type: question.type,
+      required: question.required,
+      ...(question.options && {
+        options: question.options.map(option => ({ value: option.value, label: option.label }))
+      }),
+      ...(question.min !== undefined && { min: question.min }),
+      ...(question.max !== undefined && { max: question.max }),
+      ...(question.maxLength !== undefined && { maxLength: question.maxLength })
+    }));
+
+  return {
+    type: definition.type,
+    version: definition.version,
+    title: definition.title,
+    description: definition.description,
+    ...(definition.instructions && { instructions: definition.instructions }),
+    ...(definition.source && { source: definition.source }),
+    questions
+  };
+}
+
+module.exports = {
+  getTypes,
+  isValidType,
+  getLatestVersion,
+  getDefinition,
+  getQuestion,
+  findOption,
+  listDefinitions,
+  toPublicDefinition
+};
@@ -0,0 +1,261 @@
+/**
+ * Cuestionario de pareja - versión 1
+ * Los ids de las preguntas coinciden con los índices que envía el frontend
+ */
+
+// Escala de importancia compartida por varias preguntas
+const IMPORTANCE_SCALE = [
+  { value: 4, label: 'Fundamental' },
+  { value: 3, label: 'Muy importante' },
+  { value: 2, label: 'Importante' },
+  { value: 1, label: 'Poco importante' }
+];
+
+module.exports = {
+  type: 'pareja',
+  version: 1,
+  title: 'Cuestionario de Pareja',
+  description: 'Reflexiona sobre lo que valoras, cómo te comunicas y cómo vives tu relación de pareja.',
+  // Dimensiones usadas en el análisis de compatibilidad entre los dos miembros de la pareja
+  dimensions: [
+    {
+      id: 'valores',
+      label: 'Valores y expectativas',
+      recommendation: 'Hablad de lo que cada uno espera de la relación y buscad los valores que compartís.'
+    },
+    {
+      id: 'tiempo',
+      label: 'Tiempo compartido',
+      recommendation: 'Acordad espacios de ocio en común que os apetezcan a ambos.'
+    },
+    {
+      id: 'comunicacion',
+      label: 'Comunicación y conflictos',
+      recommendation: 'Practicad la escucha activa y pactad cómo abordar las discusiones antes de que surjan.'
+    },
+    {
+      id: 'confianza',
+      label: 'Confianza',
+      recommendation: 'Expresad abiertamente vuestras inseguridades y los límites que necesita cada uno.'
+    },
+    {
+      id: 'apoyo',
+      label: 'Apoyo mutuo',
+      recommendation: 'Compartid cómo os gusta recibir apoyo en los momentos buenos y en los difíciles.'
+    },
+    {
+      id: 'crecimiento',
+      label: 'Crecimiento personal',
+      recommendation: 'Identificad qué quiere trabajar cada uno y cómo puede ayudar el otro.'
+    },
+    {
+      id: 'convivencia',
+      label: 'Convivencia y espacio personal',
+      recommendation: 'Repasad juntos el reparto de tareas y el espacio que necesita cada uno.'
+    }
+  ],
+  questions: [
+    {
+      id: '0',
+      order: 1,
+      dimension: 'valores',
+      text: '¿Qué es lo más importante para ti en una relación?',
+      type: 'single_choice',
+      required: true,
+      options: [
+        { value: 'companerismo', label: 'Compañerismo y amor' },
+        { value: 'pasion', label: 'Pasión y conexión emocional' },
+        { value: 'estabilidad', label: 'Estabilidad y seguridad' },
+        { value: 'crecimiento', label: 'Crecimiento personal compartido' }
+      ]
+    },
+    {
+      id: '1',
+      order: 2,
+      dimension: 'tiempo',
+      text: '¿Cómo te gusta pasar el tiempo con tu pareja?',
+      type: 'single_choice',
+      required: true,
+      options: [
+        { value: 'actividades', label: 'Actividades juntos y conversaciones' },
+        { value: 'intimidad', label: 'Tiempo de calidad e intimidad' },
+        { value: 'social', label: 'Planes con amigos y familia' },
+        { value: 'espacio', label: 'Compartiendo el día a día, cada uno con su espacio' }
+      ]
+    },
+    {
+      id: '2',
+      order: 3,
+      dimension: 'valores',
+      text: '¿Qué es lo que más valoras en tu pareja?',
+      type: 'single_choice',
+      required: true,
+      options: [
+        { value: 'honestidad', label: 'Honestidad y respeto' },
+        { value: 'humor', label: 'Inteligencia y sentido del humor' },
+        { value: 'ambicion', label: 'Ambición y metas claras' },
+        { value: 'cuidado', label: 'Cariño y atención' }
+      ]
+    },
+    {
+      id: '3',
+      order: 4,
+      dimension: 'comunicacion',
+      text: '¿Cómo sueles resolver los conflictos en pareja?',
+      type: 'single_choice',
+      required: true,
+      options: [
+        { value: 'dialogo', label: 'Dialogando y buscando soluciones' },
+        { value: 'evitacion', label: 'Evitando conflictos' },
+        { value: 'tiempo', label: 'Dejando pasar un tiempo antes de hablar' },
+        { value: 'discusion', label: 'Discutiendo hasta llegar a un acuerdo' }
+      ]
+    },
+    {
+      id: '4',
+      order: 5,
+      dimension: 'crecimiento',
+      text: '¿Qué te gustaría mejorar de ti en la relación?',
+      type: 'single_choice',
+      required: true,
+      options: [
+        { value: 'comunicacion', label: 'Mejorar mi comunicación' },
+        { value: 'autoestima', label: 'Desarrollar mi autoestima' },
+        { value: 'emociones', label: 'Gestionar mejor mis emociones' },
+        { value: 'dedicacion', label: 'Dedicar más tiempo a la relación' }
+      ]
+    },
+    {
+      id: '5',
+      order: 6,
+      dimension: 'comunicacion',
+      text: '¿Qué importancia tiene para ti hablar cada día con tu pareja?',
+      type: 'single_choice',
+      required: true,
+      options: IMPORTANCE_SCALE
+    },
+    {
+      id: '6',
+      order: 7,
+      dimension: 'confianza',
+      text: '¿Cómo te sientes cuando tu pareja pasa tiempo con otras personas?',
+      type: 'single_choice',
+      required: true,
+      options: [
+        { value: 'respeto', label: 'Lo respeto y entiendo' },
+        { value: 'informado', label: 'Prefiero que me lo cuente' },
+        { value: 'inseguridad', label: 'Me siento inseguro/a' },
+        { value: 'molestia', label: 'Me molesta' }
+      ]
+    },
+    {
+      id: '7',
+      order: 8,
+      dimension: 'confianza',
+      text: '¿Qué importancia tiene la fidelidad para ti?',
+      type: 'single_choice',
+      required: true,
+      options: IMPORTANCE_SCALE
+    },
+    {
+      id: '8',
+      order: 9,
+      dimension: 'apoyo',
+      text: '¿Cómo reaccionas cuando tu pareja consigue un logro importante?',
+      type: 'single_choice',
+      required: true,
+      options: [
+        { value: 'alegria', label: 'Me alegro por su éxito' },
+        { value: 'celebracion', label: 'Lo celebramos juntos' },
+        { value: 'indiferencia', label: 'No le doy mucha importancia' },
+        { value: 'comparacion', label: 'Me comparo con mi pareja' }
+      ]
+    },
+    {
+      id: '9',
+      order: 10,
+      dimension: 'tiempo',
+      text: '¿Qué importancia tienen para ti las aficiones compartidas?',
+      type: 'single_choice',
+      required: true,
+      options: IMPORTANCE_SCALE
+    },
+    {
+      id: '10',
+      order: 11,
+      dimension: 'crecimiento',
+      text: '¿Cómo gestionas los celos?',
+      type: 'single_choice',
+      required: true,
+      options: [
+        { value: 'confianza', label: 'Trabajando en la confianza' },
+        { value: 'dialogo', label: 'Hablándolo con mi pareja' },
+        { value: 'sin_celos', label: 'No suelo sentir celos' },
+        { value: 'descontrol', label: 'Me cuesta controlarlos' }
+      ]
+    },
+    {
+      id: '11',
+      order: 12,
+      dimension: 'apoyo',
+      text: '¿Qué importancia tiene el apoyo emocional en los momentos difíciles?',
+      type: 'single_choice',
+      required: true,
+      options: IMPORTANCE_SCALE
+    },
+    {
+      id: '12',
+      order: 13,
+      dimension: 'confianza',
+      text: '¿Cómo te sientes al compartir tus preocupaciones con tu pareja?',
+      type: 'single_choice',
+      required: true,
+      options: [
+        { value: 'confianza', label: 'Con confianza y respeto' },
+        { value: 'depende', label: 'Depende del tema' },
+        { value: 'dificultad', label: 'Me cuesta abrirme' },
+        { value: 'reserva', label: 'Prefiero guardármelas' }
+      ]
+    },
+    {
+      id: '13',
+      order: 14,
+      dimension: 'convivencia',
+      text: '¿Qué importancia tiene para ti mantener tu propio espacio personal?',
+      type: 'single_choice',
+      required: true,
+      options: IMPORTANCE_SCALE
+    },
+    {
+      id: '14',
+      order: 15,
+      dimension: 'comunicacion',
+      text: '¿Cómo afrontas las diferencias de opinión?',
+      type: 'single_choice',
+      required: true,
+      options: [
+        { value: 'escucha', label: 'Escuchando y respetando opiniones' },
+        { value: 'convencer', label: 'Intento convencer a mi pareja' },
+        { value: 'evitar', label: 'Evito el tema' },
+        { value: 'rechazo', label: 'Me cuesta aceptar diferencias' }
+      ]
+    },
+    {
+      id: '15',
+      order: 16,
+      dimension: 'convivencia',
+      text: '¿Qué importancia tiene repartir las tareas del hogar de forma equitativa?',
+      type: 'single_choice',
+      required: true,
+      options: IMPORTANCE_SCALE
+    },
+    {
+      id: '16',
+      order: 17,
+      text: 'Describe con tus palabras la relación que te gustaría tener',
+      type: 'text',
+      required: false,
+      maxLength: 1000
+    }
+  ]
+};
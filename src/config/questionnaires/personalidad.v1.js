@@ -0,0 +1,137 @@
+/**
+ * Cuestionario de personalidad - versión 1
+ * Los ids de las preguntas coinciden con los índices que envía el frontend
+ */
+
+module.exports = {
+  type: 'personalidad',
+  version: 1,
+  title: 'Cuestionario de Personalidad',
+  description: 'Descubre tus preferencias a la hora de relacionarte, informarte, decidir y organizarte.',
+  // Cada dimensión enfrenta dos polos; el valor de cada opción indica el polo que puntúa
+  scoring: { method: 'poles' },
+  dimensions: [
+    {
+      id: 'energia',
+      label: 'Fuente de energía',
+      poles: { E: 'Extroversión', I: 'Introversión' },
+      tieBreaker: 'I'
+    },
+    {
+      id: 'percepcion',
+      label: 'Recogida de información',
+      poles: { S: 'Sensación', N: 'Intuición' },
+      tieBreaker: 'N'
+    },
+    {
+      id: 'decision',
+      label: 'Toma de decisiones',
+      poles: { T: 'Pensamiento', F: 'Sentimiento' },
+      tieBreaker: 'F'
+    },
+    {
+      id: 'estilo',
+      label: 'Estilo de vida',
+      poles: { J: 'Juicio', P: 'Percepción' },
+      tieBreaker: 'P'
+    }
+  ],
+  questions: [
+    {
+      id: '0',
+      order: 1,
+      dimension: 'energia',
+      text: '¿Cómo te describirías en situaciones sociales?',
+      type: 'single_choice',
+      required: true,
+      options: [
+        { value: 'E', label: 'Extrovertido' },
+        { value: 'I', label: 'Introvertido' }
+      ]
+    },
+    {
+      id: '1',
+      order: 2,
+      dimension: 'percepcion',
+      text: '¿Cómo prefieres recoger la información?',
+      type: 'single_choice',
+      required: true,
+      options: [
+        { value: 'S', label: 'Sensorial' },
+        { value: 'N', label: 'Intuitivo' }
+      ]
+    },
+    {
+      id: '2',
+      order: 3,
+      dimension: 'decision',
+      text: '¿En qué te basas principalmente para tomar decisiones?',
+      type: 'single_choice',
+      required: true,
+      options: [
+        { value: 'T', label: 'Racional' },
+        { value: 'F', label: 'Sentimental' }
+      ]
+    },
+    {
+      id: '3',
+      order: 4,
+      dimension: 'estilo',
+      text: '¿Cómo organizas tu día a día?',
+      type: 'single_choice',
+      required: true,
+      options: [
+        { value: 'J', label: 'Planificador' },
+        { value: 'P', label: 'Perceptivo' }
+      ]
+    },
+    {
+      id: '4',
+      order: 5,
+      dimension: 'energia',
+      text: '¿Qué te ayuda a recargar energía después de una semana intensa?',
+      type: 'single_choice',
+      required: true,
+      options: [
+        { value: 'E', label: 'Me gusta estar con gente' },
+        { value: 'I', label: 'Prefiero pasar tiempo a solas' }
+      ]
+    },
+    {
+      id: '5',
+      order: 6,
+      dimension: 'percepcion',
+      text: 'Ante una situación nueva, ¿en qué confías más?',
+      type: 'single_choice',
+      required: true,
+      options: [
+        { value: 'S', label: 'Confío en la experiencia y los datos' },
+        { value: 'N', label: 'Confío en mis corazonadas' }
+      ]
+    },
+    {
+      id: '6',
+      order: 7,
+      dimension: 'decision',
+      text: 'Cuando alguien cercano tiene un problema, ¿qué haces primero?',
+      type: 'single_choice',
+      required: true,
+      options: [
+        { value: 'T', label: 'Busco una solución lógica' },
+        { value: 'F', label: 'Me preocupo por los sentimientos' }
+      ]
+    },
+    {
+      id: '7',
+      order: 8,
+      dimension: 'estilo',
+      text: '¿Cómo prefieres afrontar tus planes?',
+      type: 'single_choice',
+      required: true,
+      options: [
+        { value: 'J', label: 'Me gusta tenerlo todo decidido' },
+        { value: 'P', label: 'Me gusta mantener opciones abiertas' }
+      ]
+    }
+  ]
+};
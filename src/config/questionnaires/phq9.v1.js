@@ -0,0 +1,67 @@
+/**
+ * PHQ-9 (Patient Health Questionnaire-9) - versión 1
+ * Cribado de depresión. Redacción oficial en español y puntuación estándar (0-27)
+ */
+
+// Escala de frecuencia común a los 9 ítems puntuables
+const FREQUENCY_SCALE = [
+  { value: 0, label: 'Ningún día' },
+  { value: 1, label: 'Varios días' },
+  { value: 2, label: 'Más de la mitad de los días' },
+  { value: 3, label: 'Casi todos los días' }
+];
+
+const item = (id, text) => ({
+  id,
+  order: parseInt(id) + 1,
+  text,
+  type: 'single_choice',
+  required: true,
+  scored: true,
+  options: FREQUENCY_SCALE
+});
+
+module.exports = {
+  type: 'phq9',
+  version: 1,
+  title: 'PHQ-9 - Cuestionario sobre la salud del paciente',
+  description: 'Cuestionario validado para el cribado de síntomas depresivos.',
+  instructions: 'Durante las últimas 2 semanas, ¿con qué frecuencia le han molestado los siguientes problemas?',
+  source: 'Desarrollado por los Dres. Robert L. Spitzer, Janet B.W. Williams, Kurt Kroenke y colegas, con una subvención educativa de Pfizer Inc. No se requiere permiso para reproducir, traducir, presentar o distribuir.',
+  // Suma de los ítems puntuables y bandas de gravedad oficiales
+  scoring: {
+    method: 'sum',
+    bands: [
+      { id: 'minimal', label: 'Mínima', min: 0, max: 4 },
+      { id: 'mild', label: 'Leve', min: 5, max: 9 },
+      { id: 'moderate', label: 'Moderada', min: 10, max: 14 },
+      { id: 'moderately_severe', label: 'Moderadamente grave', min: 15, max: 19 },
+      { id: 'severe', label: 'Grave', min: 20, max: 27 }
+    ]
+  },
+  dimensions: [],
+  questions: [
+    item('0', 'Poco interés o placer en hacer cosas'),
+    item('1', 'Se ha sentido decaído(a), deprimido(a) o sin esperanzas'),
+    item('2', 'Ha tenido dificultad para quedarse o permanecer dormido(a), o ha dormido demasiado'),
+    item('3', 'Se ha sentido cansado(a) o con poca energía'),
+    item('4', 'Sin apetito o ha comido en exceso'),
+    item('5', 'Se ha sentido mal con usted mismo(a) – o que es un fracaso o que ha quedado mal con usted mismo(a) o con su familia'),
+    item('6', 'Ha tenido dificultad para concentrarse en ciertas actividades, tales como leer el periódico o ver la televisión'),
+    item('7', '¿Se ha movido o hablado tan lento que otras personas podrían haberlo notado? o lo contrario – muy inquieto(a) o agitado(a) que ha estado moviéndose mucho más de lo normal'),
+    item('8', 'Pensamientos de que estaría mejor muerto(a) o de lastimarse de alguna manera'),
+    {
+      id: '9',
+      order: 10,
+      text: 'Si marcó cualquiera de los problemas, ¿qué tanta dificultad le han dado estos problemas para hacer su trabajo, encargarse de las tareas del hogar, o llevarse bien con otras personas?',
+      type: 'single_choice',
+      required: false,
+      options: [
+        { value: 'nada', label: 'No ha sido difícil' },
+        { value: 'poco', label: 'Un poco difícil' },
+        { value: 'muy', label: 'Muy difícil' },
+        { value: 'extremadamente', label: 'Extremadamente difícil' }
+      ]
+    }
+  ]
+};
@@ -0,0 +1,32 @@
+/**
+ * Reglas de riesgo evaluadas en cada envío de un cuestionario
+ * Cada regla se aplica a un tipo y comprueba una respuesta (`questionId`)
+ * o una puntuación calculada (`score`, solo con el cuestionario completado)
+ *
+ * Operadores: gt, gte, lt, lte, eq, in
+ * Niveles: critical (atención inmediata) y high
+ */
+
+module.exports = [
+  {
+    id: 'phq9_ideacion_suicida',
+    type: 'phq9',
+    level: 'critical',
+    label: 'Pensamientos de muerte o de hacerse daño (PHQ-9, ítem 9)',
+    when: { questionId: '8', operator: 'gt', value: 0 }
+  },
+  {
+    id: 'phq9_depresion_grave',
+    type: 'phq9',
+    level: 'high',
+    label: 'Puntuación PHQ-9 en rango grave (20 o más)',
+    when: { score: 'total', operator: 'gte', value: 20 }
+  },
+  {
+    id: 'gad7_ansiedad_grave',
+    type: 'gad7',
+    level: 'high',
+    label: 'Puntuación GAD-7 en rango grave (15 o más)',
+    when: { score: 'total', operator: 'gte', value: 15 }
+  }
+];
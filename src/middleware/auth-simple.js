@@ -1,4 +1,10 @@
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const TwoFactor = require('../models/TwoFactor');
+const AccountLockout = require('../models/AccountLockout');
+const Questionnaire = require('../models/Questionnaire');
+const { hasPermission } = require('../config/permissions');
 
 /**
  * Middleware de Autenticación Simplificado
@@ -8,17 +14,124 @@ const jwt = require('jsonwebtoken');
 // Configuración segura
 const JWT_SECRET = process.env.JWT_SECRET || '5e6a1605bc63e86ae63583921f8ae329844697ab555df835d241ad0a694fddbb695b17459e83325ac14e8b10cd55702fb4123f24e92317af3f3b288a3ae0ce42';
 
+// Duración del access token; la sesión se prolonga con el refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+/**
+ * Generar token JWT simple ligado a una sesión
+ */
+function generateToken(userId, userRole = 'user', sessionId) {
+  return jwt.sign(
+    { userId, userRole, sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Abrir una sesión y emitir el par access token + refresh token
+ */
+async function issueTokens(userId, userRole, req) {
+  const { sessionId, refreshToken, expiresAt } = await Session.create({
+    userId,
+    userAgent: req.get('User-Agent') || null,
+    ipAddress: req.ip || null
+  });
+
+  return {
+    accessToken: generateToken(userId, userRole, sessionId),
+    refreshToken,
+    refreshTokenExpiresAt: expiresAt
+  };
+}
+
+// Duración de los tokens intermedios del login con 2FA
+const CHALLENGE_TOKEN_TTL = '10m';
+
+/**
+ * Generar un token intermedio de login (paso de 2FA pendiente)
+ * No lleva sesión, así que authenticateToken nunca lo acepta como access token
+ */
+function generateChallengeToken(userId, userRole, purpose) {
+  return jwt.sign(
+    { userId, userRole, purpose },
+    JWT_SECRET,
+    { expiresIn: CHALLENGE_TOKEN_TTL }
+  );
+}
+
+/**
+ * Verificar un token intermedio de login con la finalidad esperada
+ */
+function verifyChallengeToken(token, purpose) {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.purpose !== purpose) {
+      throw new Error('Finalidad incorrecta');
+    }
+    return decoded;
+  } catch (error) {
+    throw new Error('Token de verificación inválido o caducado');
+  }
+}
+
+// Duración de los tokens de acceso a un cuestionario concreto
+const QUESTIONNAIRE_TOKEN_TTL = process.env.QUESTIONNAIRE_TOKEN_TTL || '90d';
+
 /**
- * Generar token JWT simple
+ * Generar el token de acceso a un cuestionario (se entrega al crearlo o reanudarlo)
+ * Permite a un encuestado sin cuenta leer y modificar solo ese cuestionario
  */
-function generateToken(userId, userRole = 'user') {
+function generateQuestionnaireToken(questionnaireId) {
   return jwt.sign(
-    { userId, userRole },
+    { questionnaireId: String(questionnaireId), purpose: 'questionnaire_access' },
     JWT_SECRET,
-    { expiresIn: '24h' }
+    { expiresIn: QUESTIONNAIRE_TOKEN_TTL }
   );
 }
 
+/**
+ * ¿Es el token de acceso válido para este cuestionario?
+ */
+function isValidQuestionnaireToken(token, questionnaireId) {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === 'questionnaire_access' && decoded.questionnaireId === String(questionnaireId);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Completar un login con contraseña correcta
+ * - Con 2FA activado: devuelve un token intermedio para /api/auth/2fa/verify
+ * - Sin 2FA pero con la política obligatoria: devuelve un token para darse de alta
+ * - En otro caso: abre la sesión, reinicia los intentos fallidos y devuelve los tokens definitivos
+ */
+async function beginLogin(user, req) {
+  if (TwoFactor.appliesTo(user.role)) {
+    const status = await TwoFactor.getStatus(user.id);
+
+    if (status && status.enabled) {
+      return {
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user.id, user.role, '2fa_login')
+      };
+    }
+
+    if (await TwoFactor.isRequiredFor(user.role)) {
+      return {
+        twoFactorSetupRequired: true,
+        challengeToken: generateChallengeToken(user.id, user.role, '2fa_setup')
+      };
+    }
+  }
+
+  // Login completo: se reinicia el contador de intentos fallidos
+  await AccountLockout.registerSuccess(user.id);
+  return await issueTokens(user.id, user.role, req);
+}
+
 /**
  * Verificar token JWT simple
  */
@@ -40,14 +153,15 @@ function verifyToken(token) {
     if (process.env.NODE_ENV === 'development') {
       console.error('❌ Error verificando token:', error.message);
     }
-    throw new Error('Token inválido');
+    throw new Error(error.name === 'TokenExpiredError' ? 'Token expirado' : 'Token inválido');
   }
 }
 
 /**
  * Middleware para autenticar token
+ * Rechaza los tokens cuya sesión ha sido revocada o ha caducado
  */
-function authenticateToken(req, res, next) {
+async function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -55,13 +169,132 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ error: 'Token de acceso requerido' });
   }
 
+  let user;
   try {
-    const user = verifyToken(token);
-    req.user = user;
-    next();
+    user = verifyToken(token);
   } catch (error) {
+    // Un token expirado responde 401 para que el cliente lo renueve con /api/auth/refresh
+    if (error.message === 'Token expirado') {
+      return res.status(401).json({ error: 'Token expirado' });
+    }
     return res.status(403).json({ error: 'Token inválido' });
   }
+
+  try {
+    if (!user.sessionId || !(await Session.isActive(user.sessionId))) {
+      return res.status(401).json({ error: 'Sesión revocada o caducada' });
+    }
+  } catch (error) {
+    console.error('❌ Error verificando sesión:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+
+  req.user = user;
+  next();
+}
+
+/**
+ * Usuario del access token de la petición si lo trae y su sesión sigue activa, o null
+ * Para rutas públicas que se comportan distinto con la sesión iniciada
+ */
+async function getAuthenticatedUser(req) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  if (!token) return null;
+
+  let user;
+  try {
+    user = verifyToken(token);
+  } catch (error) {
+    return null;
+  }
+
+  if (!user.sessionId || !(await Session.isActive(user.sessionId))) return null;
+  return user;
+}
+
+/**
+ * ¿Tiene quien hace la petición acceso a este cuestionario?
+ * Vale su token en la cabecera X-Questionnaire-Token (si hay varios cuestionarios
+ * en juego, sus tokens separados por comas) o el access token de su dueño (rol user
+ * con el email verificado). Devuelve { user } (null con token del cuestionario) o null
+ */
+async function checkQuestionnaireAccess(req, questionnaire) {
+  const questionnaireTokens = String(req.headers['x-questionnaire-token'] || '')
+    .split(',')
+    .map(token => token.trim())
+    .filter(Boolean);
+  if (questionnaireTokens.some(token => isValidQuestionnaireToken(token, questionnaire.id))) {
+    return { user: null };
+  }
+
+  const user = await getAuthenticatedUser(req);
+  if (!user || user.userRole !== 'user' || String(questionnaire.userId) !== String(user.userId)) {
+    return null;
+  }
+
+  // Los cuestionarios se vinculan a la cuenta por email: sin verificarlo no hay propiedad
+  const owner = await User.findById(user.userId);
+  if (!owner || !owner.emailVerifiedAt) return null;
+
+  return { user };
+}
+
+/**
+ * Middleware para las rutas de un cuestionario (`:id`)
+ * Acepta el token del cuestionario o el access token de su dueño (ver checkQuestionnaireAccess).
+ * El personal accede por /api/admin.
+ * Cualquier otro caso responde 404 para no revelar qué IDs existen
+ */
+async function authorizeQuestionnaireAccess(req, res, next) {
+  const notFound = () => res.status(404).json({ error: 'Cuestionario no encontrado' });
+
+  try {
+    const questionnaire = await Questionnaire.findById(req.params.id);
+    if (!questionnaire) return notFound();
+
+    const access = await checkQuestionnaireAccess(req, questionnaire);
+    if (!access) return notFound();
+
+    if (access.user) req.user = access.user;
+    req.questionnaire = questionnaire;
+    next();
+  } catch (error) {
+    console.error('❌ Error comprobando acceso al cuestionario:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+/**
+ * Middleware para rutas de alta de 2FA: acepta el token intermedio `challengeToken`
+ * del login (cuando la política obliga a darse de alta) o un access token normal
+ */
+async function authenticateTokenOrSetupChallenge(req, res, next) {
+  const challengeToken = req.body && req.body.challengeToken;
+  if (!challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  let decoded;
+  try {
+    decoded = verifyChallengeToken(challengeToken, '2fa_setup');
+  } catch (error) {
+    return res.status(401).json({ error: error.message });
+  }
+
+  try {
+    // La cuenta puede haberse desactivado después del login
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.active) {
+      return res.status(401).json({ error: 'Token de verificación inválido o caducado' });
+    }
+  } catch (error) {
+    console.error('❌ Error verificando usuario del alta de 2FA:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+
+  req.user = { userId: decoded.userId, userRole: decoded.userRole, setupChallenge: true };
+  next();
 }
 
 /**
@@ -77,9 +310,59 @@ function requireRole(role) {
   };
 }
 
+/**
+ * Middleware para requerir un permiso (basta con tener uno de los indicados)
+ * Los permisos de cada rol están en src/config/permissions.js
+ */
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (req.user && permissions.some(permission => hasPermission(req.user.userRole, permission))) {
+      next();
+    } else {
+      res.status(403).json({ error: 'Acceso denegado' });
+    }
+  };
+}
+
+/**
+ * Middleware para exigir el email verificado (usar después de authenticateToken)
+ */
+async function requireVerifiedEmail(req, res, next) {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(401).json({ error: 'Usuario no encontrado' });
+    }
+
+    if (!user.emailVerifiedAt) {
+      return res.status(403).json({
+        error: 'Email no verificado',
+        message: 'Verifica tu email para acceder a esta sección. Puedes solicitar un nuevo enlace desde /api/auth/resend-verification'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('❌ Error comprobando verificación de email:', error);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
 module.exports = {
   generateToken,
+  issueTokens,
+  beginLogin,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateQuestionnaireToken,
+  getAuthenticatedUser,
+  checkQuestionnaireAccess,
+  authorizeQuestionnaireAccess,
+  authenticateTokenOrSetupChallenge,
   verifyToken,
   authenticateToken,
-  requireRole
+  requireRole,
+  requirePermission,
+  requireVerifiedEmail
 };
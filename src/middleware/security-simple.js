@@ -1,5 +1,6 @@
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
+const { hashEmail } = require('../utils/encryption');
 
 /**
  * Middleware de Seguridad Simplificado
@@ -28,8 +29,44 @@ const questionnaireRateLimiter = rateLimit({
   message: 'Demasiadas solicitudes de cuestionarios'
 });
 
+// Límites de los endpoints que envían enlaces por email (acceso, contraseña, reanudación)
+const EMAIL_LINK_WINDOW_MS = 15 * 60 * 1000; // 15 minutos
+const EMAIL_LINK_MAX_PER_IP = parseInt(process.env.EMAIL_LINK_MAX_PER_IP) || 10;
+const EMAIL_LINK_MAX_PER_ADDRESS = parseInt(process.env.EMAIL_LINK_MAX_PER_ADDRESS) || 3;
+
+const emailLinkLimitMessage = {
+  error: 'Demasiadas solicitudes de enlaces por email',
+  message: 'Intenta de nuevo en 15 minutos'
+};
+
+// Por IP: frena a quien pide enlaces para muchas direcciones
+const emailLinkIpRateLimiter = rateLimit({
+  windowMs: EMAIL_LINK_WINDOW_MS,
+  max: EMAIL_LINK_MAX_PER_IP,
+  message: emailLinkLimitMessage,
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Por dirección: evita inundar el buzón de una persona desde varias IPs
+// La clave es el índice ciego del email (`email` o `correo` en el body)
+const emailLinkAddressRateLimiter = rateLimit({
+  windowMs: EMAIL_LINK_WINDOW_MS,
+  max: EMAIL_LINK_MAX_PER_ADDRESS,
+  message: emailLinkLimitMessage,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    const address = req.body && (req.body.email || req.body.correo);
+    return typeof address === 'string' ? hashEmail(address) : 'sin-email';
+  }
+});
+
+const emailLinkRateLimiter = [emailLinkIpRateLimiter, emailLinkAddressRateLimiter];
+
 module.exports = {
   corsOptions,
   basicRateLimiter,
-  questionnaireRateLimiter
+  questionnaireRateLimiter,
+  emailLinkRateLimiter
 };
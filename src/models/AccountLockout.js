@@ -0,0 +1,209 @@
+const database = require('../config/database');
+const AuditLog = require('./AuditLog');
+
+// Fallos seguidos que bloquean la cuenta y duración del bloqueo
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// Espera progresiva entre intentos: 1s, 2s, 4s, 8s... hasta el máximo
+const BASE_DELAY_SECONDS = 1;
+const MAX_DELAY_SECONDS = 60;
+
+/**
+ * Protección de las cuentas frente a fuerza bruta
+ * Cuenta los fallos de login seguidos de cada cuenta (independientemente de la IP),
+ * impone una espera creciente entre intentos y bloquea la cuenta al llegar al máximo
+ */
+class AccountLockout {
+  /**
+   * Comprobar si la cuenta admite un intento ahora
+   * Devuelve { allowed, locked, retryAfterSeconds }
+   */
+  static async check(userId) {
+    try {
+      const state = await this.getState(userId);
+      if (!state) return { allowed: true, locked: false, retryAfterSeconds: 0 };
+
+      const now = Date.now();
+
+      if (state.lockedUntil && new Date(state.lockedUntil).getTime() > now) {
+        return {
+          allowed: false,
+          locked: true,
+          retryAfterSeconds: Math.ceil((new Date(state.lockedUntil).getTime() - now) / 1000)
+        };
+      }
+
+      if (state.failedAttempts > 0 && state.lastFailedAt) {
+        const nextAttemptAt = new Date(state.lastFailedAt).getTime() + this.getDelaySeconds(state.failedAttempts) * 1000;
+        if (nextAttemptAt > now) {
+          return {
+            allowed: false,
+            locked: false,
+            retryAfterSeconds: Math.ceil((nextAttemptAt - now) / 1000)
+          };
+        }
+      }
+
+      return { allowed: true, locked: false, retryAfterSeconds: 0 };
+    } catch (error) {
+      throw new Error(`Error comprobando bloqueo de cuenta: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reservar un intento antes de comprobar la contraseña o el código
+   * El intento se suma al contador de forma atómica y cuenta como fallo hasta que se
+   * libera: así varias peticiones simultáneas no pueden pasar todas la misma comprobación.
+   * Devuelve { allowed, locked, retryAfterSeconds, failedAttempts }
+   */
+  static async reserveAttempt(userId) {
+    try {
+      const lockout = await this.check(userId);
+      if (!lockout.allowed) return { ...lockout, failedAttempts: null };
+
+      // Tras un bloqueo ya vencido se empieza a contar de nuevo
+      const now = new Date().toISOString();
+      const result = await database.query(
+        `UPDATE users SET
+           failed_login_attempts = CASE WHEN locked_until IS NOT NULL AND locked_until <= $1 THEN 1 ELSE failed_login_attempts + 1 END,
+           locked_until = CASE WHEN locked_until IS NOT NULL AND locked_until <= $1 THEN NULL ELSE locked_until END,
+           last_failed_login_at = $1
+         WHERE id = $2
+         RETURNING failed_login_attempts`,
+        [now, userId]
+      );
+      if (result.rows.length === 0) return { allowed: false, locked: false, retryAfterSeconds: 0, failedAttempts: null };
+
+      const failedAttempts = parseInt(result.rows[0].failed_login_attempts);
+
+      // Otra petición simultánea ya agotó los intentos: este no se comprueba
+      if (failedAttempts > MAX_FAILED_ATTEMPTS) {
+        await this.releaseAttempt(userId);
+        return { allowed: false, locked: true, retryAfterSeconds: LOCKOUT_MINUTES * 60, failedAttempts: null };
+      }
+
+      return { allowed: true, locked: false, retryAfterSeconds: 0, failedAttempts };
+    } catch (error) {
+      throw new Error(`Error reservando intento de login: ${error.message}`);
+    }
+  }
+
+  /**
+   * Devolver un intento reservado que resultó correcto (la contraseña o el código valían)
+   * Los fallos anteriores siguen contando hasta que el login se completa (registerSuccess)
+   */
+  static async releaseAttempt(userId) {
+    try {
+      await database.query(
+        'UPDATE users SET failed_login_attempts = failed_login_attempts - 1 WHERE id = $1 AND failed_login_attempts > 0',
+        [userId]
+      );
+    } catch (error) {
+      throw new Error(`Error liberando intento de login: ${error.message}`);
+    }
+  }
+
+  /**
+   * Confirmar como fallido un intento reservado; bloquea la cuenta al llegar al máximo
+   * `attempt` es lo que devolvió reserveAttempt. Devuelve el estado actualizado
+   */
+  static async registerFailure(userId, attempt, req = null) {
+    try {
+      const { failedAttempts } = attempt;
+      if (failedAttempts < MAX_FAILED_ATTEMPTS) return { failedAttempts, lockedUntil: null };
+
+      const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000).toISOString();
+      await database.query(
+        'UPDATE users SET locked_until = $1 WHERE id = $2',
+        [lockedUntil, userId]
+      );
+
+      console.warn(`🔒 Cuenta ${userId} bloqueada hasta ${lockedUntil} tras ${failedAttempts} intentos fallidos`);
+      await AuditLog.record({
+        action: 'account_locked',
+        resource: 'user',
+        resourceId: userId,
+        details: { failedAttempts, lockedUntil },
+        req
+      });
+
+      return { failedAttempts, lockedUntil };
+    } catch (error) {
+      throw new Error(`Error registrando intento fallido: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reiniciar el contador cuando el login se completa (sesión abierta)
+   */
+  static async registerSuccess(userId) {
+    try {
+      await database.query(
+        'UPDATE users SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL WHERE id = $1 AND (failed_login_attempts > 0 OR locked_until IS NOT NULL)',
+        [userId]
+      );
+    } catch (error) {
+      throw new Error(`Error reiniciando intentos fallidos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Desbloquear una cuenta manualmente (admin)
+   * Devuelve false si la cuenta no estaba bloqueada ni tenía fallos pendientes
+   */
+  static async unlock(userId, unlockedBy, req = null) {
+    try {
+      const state = await this.getState(userId);
+      if (!state || (state.failedAttempts === 0 && !state.lockedUntil)) return false;
+
+      await database.query(
+        'UPDATE users SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL WHERE id = $1',
+        [userId]
+      );
+
+      console.log(`🔓 Cuenta ${userId} desbloqueada por el usuario ${unlockedBy}`);
+      await AuditLog.record({
+        userId: unlockedBy,
+        action: 'account_unlocked',
+        resource: 'user',
+        resourceId: userId,
+        details: { failedAttempts: state.failedAttempts, lockedUntil: state.lockedUntil },
+        req
+      });
+
+      return true;
+    } catch (error) {
+      throw new Error(`Error desbloqueando cuenta: ${error.message}`);
+    }
+  }
+
+  /**
+   * Estado de bloqueo de una cuenta
+   */
+  static async getState(userId) {
+    const result = await database.query(
+      'SELECT failed_login_attempts, last_failed_login_at, locked_until FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    const row = result.rows[0];
+    return {
+      failedAttempts: parseInt(row.failed_login_attempts) || 0,
+      lastFailedAt: row.last_failed_login_at,
+      lockedUntil: row.locked_until
+    };
+  }
+
+  /**
+   * Espera mínima antes del siguiente intento tras `failedAttempts` fallos seguidos
+   */
+  static getDelaySeconds(failedAttempts) {
+    if (failedAttempts <= 0) return 0;
+    return Math.min(BASE_DELAY_SECONDS * 2 ** (failedAttempts - 1), MAX_DELAY_SECONDS);
+  }
+}
+
+module.exports = AccountLockout;
@@ -0,0 +1,122 @@
+const database = require('../config/database');
+
+// PostgreSQL puede devolver JSON ya parseado; SQLite siempre devuelve texto
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * Modelo del registro de auditoría (acciones sensibles sobre cuentas y datos)
+ */
+class AuditLog {
+  /**
+   * Registrar una entrada
+   * `userId` es quien realiza la acción (null si es el sistema o alguien sin identificar)
+   * `req` es opcional y aporta IP y user agent
+   */
+  static async record({ userId = null, action, resource, resourceId = null, details = null, req = null }) {
+    try {
+      await database.query(
+        `INSERT INTO audit_logs (user_id, action, resource, resource_id, details, ip_address, user_agent, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)`,
+        [
+          userId,
+          action,
+          resource,
+          resourceId,
+          details ? JSON.stringify(details) : null,
+          req ? req.ip || null : null,
+          req ? req.get('User-Agent') || null : null
+        ]
+      );
+
+      console.log(`📜 Auditoría: ${action} sobre ${resource}${resourceId ? ` ${resourceId}` : ''}`);
+    } catch (error) {
+      throw new Error(`Error registrando auditoría: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener las entradas de un recurso, de la más reciente a la más antigua
+   */
+  static async findByResource(resource, resourceId) {
+    try {
+      const result = await database.query(
+        'SELECT * FROM audit_logs WHERE resource = $1 AND resource_id = $2 ORDER BY created_at DESC, id DESC',
+        [resource, resourceId]
+      );
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      throw new Error(`Error obteniendo auditoría: ${error.message}`);
+    }
+  }
+
+  /**
+   * Entradas de un usuario: las acciones que hizo y las que se hicieron sobre su cuenta
+   */
+  static async findByUser(userId) {
+    try {
+      const result = await database.query(
+        'SELECT * FROM audit_logs WHERE user_id = $1 OR (resource = $2 AND resource_id = $1) ORDER BY created_at ASC, id ASC',
+        [userId, 'user']
+      );
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      throw new Error(`Error obteniendo auditoría: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cuántas entradas hay de un usuario (hechas por él o sobre su cuenta)
+   */
+  static async countByUser(userId) {
+    try {
+      const result = await database.query(
+        'SELECT COUNT(*) as total FROM audit_logs WHERE user_id = $1 OR (resource = $2 AND resource_id = $1)',
+        [userId, 'user']
+      );
+
+      return parseInt(result.rows[0].total);
+    } catch (error) {
+      throw new Error(`Error contando auditoría: ${error.message}`);
+    }
+  }
+
+  /**
+   * Desvincular de un usuario sus entradas sin borrarlas (supresión de datos)
+   * Se conserva qué pasó y cuándo; se quitan su id, su IP y su user agent
+   */
+  static async anonymizeUser(userId) {
+    try {
+      await database.query(
+        'UPDATE audit_logs SET user_id = NULL, ip_address = NULL, user_agent = NULL WHERE user_id = $1',
+        [userId]
+      );
+      await database.query(
+        'UPDATE audit_logs SET resource_id = NULL WHERE resource = $1 AND resource_id = $2',
+        ['user', userId]
+      );
+    } catch (error) {
+      throw new Error(`Error anonimizando auditoría: ${error.message}`);
+    }
+  }
+
+  /**
+   * Formatear una fila de la tabla
+   */
+  static format(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      action: row.action,
+      resource: row.resource,
+      resourceId: row.resource_id,
+      details: row.details ? parseJson(row.details) : null,
+      ipAddress: row.ip_address,
+      userAgent: row.user_agent,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = AuditLog;
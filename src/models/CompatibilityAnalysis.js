@@ -0,0 +1,113 @@
+const database = require('../config/database');
+
+// PostgreSQL puede devolver JSON ya parseado; SQLite siempre devuelve texto
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * Modelo de análisis de compatibilidad entre dos cuestionarios de pareja
+ */
+class CompatibilityAnalysis {
+  /**
+   * Guardar un nuevo análisis
+   */
+  static async create({ questionnaire1Id, questionnaire2Id, compatibilityScore, detailedAnalysis, recommendations }) {
+    try {
+      const result = await database.query(
+        'INSERT INTO compatibility_analysis (questionnaire1_id, questionnaire2_id, compatibility_score, detailed_analysis, recommendations) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+        [questionnaire1Id, questionnaire2Id, compatibilityScore, JSON.stringify(detailedAnalysis), JSON.stringify(recommendations)]
+      );
+
+      console.log('💞 Análisis de compatibilidad creado con ID:', result.rows[0].id);
+      return await this.findById(result.rows[0].id);
+    } catch (error) {
+      throw new Error(`Error creando análisis de compatibilidad: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener análisis por ID
+   */
+  static async findById(id) {
+    try {
+      const result = await database.query(
+        'SELECT * FROM compatibility_analysis WHERE id = $1',
+        [id]
+      );
+
+      if (result.rows.length === 0) return null;
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error obteniendo análisis de compatibilidad: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener el análisis más reciente entre dos cuestionarios (en cualquier orden)
+   */
+  static async findLatestForPair(questionnaire1Id, questionnaire2Id) {
+    try {
+      const result = await database.query(
+        'SELECT * FROM compatibility_analysis WHERE (questionnaire1_id = $1 AND questionnaire2_id = $2) OR (questionnaire1_id = $2 AND questionnaire2_id = $1) ORDER BY created_at DESC, id DESC LIMIT 1',
+        [questionnaire1Id, questionnaire2Id]
+      );
+
+      if (result.rows.length === 0) return null;
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error obteniendo análisis de compatibilidad: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener todos los análisis paginados (para admin)
+   */
+  static async findAll(options = {}) {
+    const { page = 1, limit = 20 } = options;
+
+    try {
+      const countResult = await database.query(
+        'SELECT COUNT(*) as total FROM compatibility_analysis'
+      );
+
+      const total = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(total / limit);
+      const offset = (page - 1) * limit;
+
+      const result = await database.query(
+        'SELECT * FROM compatibility_analysis ORDER BY created_at DESC, id DESC LIMIT $1 OFFSET $2',
+        [limit, offset]
+      );
+
+      return {
+        analyses: result.rows.map(row => this.format(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error obteniendo análisis de compatibilidad: ${error.message}`);
+    }
+  }
+
+  /**
+   * Formatear una fila de la tabla
+   */
+  static format(row) {
+    return {
+      id: row.id,
+      questionnaire1Id: row.questionnaire1_id,
+      questionnaire2Id: row.questionnaire2_id,
+      compatibilityScore: row.compatibility_score !== null ? parseFloat(row.compatibility_score) : null,
+      detailedAnalysis: parseJson(row.detailed_analysis),
+      recommendations: parseJson(row.recommendations),
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = CompatibilityAnalysis;
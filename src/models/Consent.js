@@ -0,0 +1,212 @@
+const database = require('../config/database');
+const { hashEmail } = require('../utils/encryption');
+
+/**
+ * Modelo de los consentimientos
+ * Una fila por finalidad aceptada, con la versión de la política que se mostró,
+ * el formulario de origen, la IP y el momento. La persona se identifica por el
+ * índice ciego de su email y, si los hay, su cuenta, cuestionario o mensaje
+ */
+class Consent {
+  /**
+   * Registrar las finalidades aceptadas en un envío
+   * Si el cuestionario ya tenía ese consentimiento para esa versión no se repite
+   * (las sincronizaciones reenvían el mismo consentimiento). Devuelve los ids creados
+   */
+  static async record({ policyVersion, purposes, source, email, userId = null, questionnaireId = null, contactMessageId = null, req = null }) {
+    try {
+      const ids = [];
+
+      for (const purpose of purposes) {
+        if (questionnaireId) {
+          const existing = await database.query(
+            'SELECT id FROM consents WHERE questionnaire_id = $1 AND policy_version = $2 AND purpose = $3',
+            [questionnaireId, policyVersion, purpose]
+          );
+          if (existing.rows.length > 0) continue;
+        }
+
+        const result = await database.query(
+          `INSERT INTO consents (policy_version, purpose, source, subject_hash, user_id, questionnaire_id, contact_message_id, ip_address, user_agent, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP) RETURNING id`,
+          [
+            policyVersion,
+            purpose,
+            source,
+            hashEmail(email),
+            userId,
+            questionnaireId,
+            contactMessageId,
+            req ? req.ip || null : null,
+            req ? req.get('User-Agent') || null : null
+          ]
+        );
+        ids.push(result.rows[0].id);
+      }
+
+      console.log(`🖊️ Consentimiento registrado (${source}, política v${policyVersion}): ${purposes.join(', ')}`);
+      return ids;
+    } catch (error) {
+      throw new Error(`Error registrando consentimiento: ${error.message}`);
+    }
+  }
+
+  /**
+   * Enlazar consentimientos ya registrados con el mensaje de contacto que se guardó después
+   */
+  static async attachToContactMessage(ids, contactMessageId) {
+    if (ids.length === 0) return;
+
+    try {
+      const list = ids.map((id, index) => `$${index + 2}`).join(', ');
+      await database.query(
+        `UPDATE consents SET contact_message_id = $1 WHERE id IN (${list})`,
+        [contactMessageId, ...ids]
+      );
+    } catch (error) {
+      throw new Error(`Error enlazando consentimientos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Listar consentimientos (para admin) con filtros opcionales por versión, finalidad y origen
+   */
+  static async findAll(options = {}) {
+    const { policyVersion, purpose, source, page = 1, limit = 20 } = options;
+
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (policyVersion) {
+        params.push(policyVersion);
+        conditions.push(`c.policy_version = $${params.length}`);
+      }
+      if (purpose) {
+        params.push(purpose);
+        conditions.push(`c.purpose = $${params.length}`);
+      }
+      if (source) {
+        params.push(source);
+        conditions.push(`c.source = $${params.length}`);
+      }
+
+      const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const countResult = await database.query(
+        `SELECT COUNT(*) as total FROM consents c ${whereClause}`,
+        params
+      );
+
+      const total = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(total / limit);
+      const offset = (page - 1) * limit;
+
+      const result = await database.query(
+        `SELECT c.*, u.email as user_email FROM consents c
+         LEFT JOIN users u ON c.user_id = u.id
+         ${whereClause}
+         ORDER BY c.created_at DESC, c.id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      );
+
+      return {
+        consents: result.rows.map(row => this.format(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error obteniendo consentimientos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cuántos consentimientos hay de cada finalidad en cada versión: { versión: { finalidad: total } }
+   */
+  static async countByPolicyVersion() {
+    try {
+      const result = await database.query(
+        'SELECT policy_version, purpose, COUNT(*) as total FROM consents GROUP BY policy_version, purpose'
+      );
+
+      const counts = {};
+      result.rows.forEach(row => {
+        counts[row.policy_version] = counts[row.policy_version] || {};
+        counts[row.policy_version][row.purpose] = parseInt(row.total);
+      });
+
+      return counts;
+    } catch (error) {
+      throw new Error(`Error contando consentimientos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Consentimientos de una persona: por el índice ciego de su email y, si se indica, su cuenta
+   */
+  static async findBySubject({ email, userId = null }) {
+    try {
+      let query = 'SELECT * FROM consents WHERE subject_hash = $1';
+      const params = [hashEmail(email)];
+
+      if (userId) {
+        query += ' OR user_id = $2';
+        params.push(userId);
+      }
+
+      const result = await database.query(`${query} ORDER BY created_at ASC, id ASC`, params);
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      throw new Error(`Error obteniendo consentimientos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Desvincular de una persona sus consentimientos sin borrarlos (supresión de datos)
+   * Se conserva qué versión y qué finalidades se aceptaron. Con `keepQuestionnaires`
+   * (seudonimización) siguen enlazados a los cuestionarios que se conservan
+   */
+  static async anonymizeSubject({ email, userId = null, keepQuestionnaires = false }) {
+    try {
+      const questionnaireColumn = keepQuestionnaires ? '' : ', questionnaire_id = NULL';
+      let query = `UPDATE consents SET subject_hash = NULL, user_id = NULL, contact_message_id = NULL, ip_address = NULL, user_agent = NULL${questionnaireColumn} WHERE subject_hash = $1`;
+      const params = [hashEmail(email)];
+
+      if (userId) {
+        query += ' OR user_id = $2';
+        params.push(userId);
+      }
+
+      const result = await database.query(query, params);
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(`Error anonimizando consentimientos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Formatear una fila de la tabla
+   */
+  static format(row) {
+    return {
+      id: row.id,
+      policyVersion: row.policy_version,
+      purpose: row.purpose,
+      source: row.source,
+      userId: row.user_id,
+      userEmail: row.user_email || null,
+      questionnaireId: row.questionnaire_id,
+      contactMessageId: row.contact_message_id,
+      ipAddress: row.ip_address,
+      userAgent: row.user_agent,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = Consent;
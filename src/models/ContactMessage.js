@@ -75,6 +75,32 @@ class ContactMessage {
     }
   }
 
+  /**
+   * Mensajes enviados desde un email (sin distinguir mayúsculas)
+   */
+  static async findByEmail(email) {
+    try {
+      const result = await database.query(
+        'SELECT * FROM contact_messages WHERE LOWER(email) = LOWER($1) ORDER BY created_at ASC, id ASC',
+        [email]
+      );
+
+      return result.rows.map(row => ({
+        id: row.id,
+        nombre: row.nombre,
+        email: row.email,
+        asunto: row.asunto,
+        mensaje: row.mensaje,
+        status: row.status,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+      }));
+    } catch (error) {
+      console.error('❌ Error obteniendo mensajes de contacto:', error);
+      throw new Error(`Error obteniendo mensajes de contacto: ${error.message}`);
+    }
+  }
+
   /**
    * Actualizar status de un mensaje
    */
@@ -119,6 +145,24 @@ class ContactMessage {
     }
   }
 
+  /**
+   * Eliminar todos los mensajes enviados desde un email (supresión de datos)
+   */
+  static async deleteByEmail(email) {
+    try {
+      const result = await database.query(
+        'DELETE FROM contact_messages WHERE LOWER(email) = LOWER($1)',
+        [email]
+      );
+
+      console.log(`🗑️ Mensajes de contacto eliminados por supresión: ${result.rowCount}`);
+      return result.rowCount;
+    } catch (error) {
+      console.error('❌ Error eliminando mensajes de contacto:', error);
+      throw new Error(`Error eliminando mensajes de contacto: ${error.message}`);
+    }
+  }
+
   /**
    * Obtener estadísticas de mensajes
    */
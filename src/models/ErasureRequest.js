@@ -0,0 +1,109 @@
+const database = require('../config/database');
+const { hashEmail } = require('../utils/encryption');
+
+// PostgreSQL puede devolver JSON ya parseado; SQLite siempre devuelve texto
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * Modelo de las solicitudes de supresión atendidas
+ * Es la constancia de que se borraron o seudonimizaron los datos de una persona:
+ * solo guarda el índice ciego de su email, el modo, quién lo hizo y cuántos registros
+ * se tocaron en cada tabla; nunca el email ni otros datos personales
+ */
+class ErasureRequest {
+  /**
+   * Registrar una supresión ya realizada
+   */
+  static async create({ email, mode, requestedBy = null, reason = null, summary }) {
+    try {
+      const result = await database.query(
+        'INSERT INTO erasure_requests (subject_hash, mode, requested_by, reason, summary, created_at) VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP) RETURNING id',
+        [hashEmail(email), mode, requestedBy, reason, JSON.stringify(summary)]
+      );
+
+      console.log(`🪦 Constancia de supresión registrada (${mode})`);
+      return await this.findById(result.rows[0].id);
+    } catch (error) {
+      throw new Error(`Error registrando supresión: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener una constancia por ID
+   */
+  static async findById(id) {
+    try {
+      const result = await database.query(
+        'SELECT * FROM erasure_requests WHERE id = $1',
+        [id]
+      );
+
+      if (result.rows.length === 0) return null;
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error obteniendo supresión: ${error.message}`);
+    }
+  }
+
+  /**
+   * Listar constancias, de la más reciente a la más antigua
+   * `email` permite comprobar si ya se atendió la supresión de una persona
+   */
+  static async findAll(options = {}) {
+    const { email, page = 1, limit = 20 } = options;
+
+    try {
+      let whereClause = '';
+      const params = [];
+
+      if (email) {
+        whereClause = 'WHERE subject_hash = $1';
+        params.push(hashEmail(email));
+      }
+
+      const countResult = await database.query(
+        `SELECT COUNT(*) as total FROM erasure_requests ${whereClause}`,
+        params
+      );
+
+      const total = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(total / limit);
+      const offset = (page - 1) * limit;
+
+      const result = await database.query(
+        `SELECT * FROM erasure_requests ${whereClause} ORDER BY created_at DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      );
+
+      return {
+        erasures: result.rows.map(row => this.format(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error obteniendo supresiones: ${error.message}`);
+    }
+  }
+
+  /**
+   * Formatear una fila de la tabla
+   */
+  static format(row) {
+    return {
+      id: row.id,
+      subjectHash: row.subject_hash,
+      mode: row.mode,
+      requestedBy: row.requested_by,
+      reason: row.reason,
+      summary: parseJson(row.summary),
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = ErasureRequest;
@@ -0,0 +1,90 @@
+const database = require('../config/database');
+const { generateDataHash } = require('../utils/encryption');
+const { generateRandomValue } = require('../utils/oidc');
+
+// Minutos que tiene el usuario para completar el login en el proveedor
+const LOGIN_REQUEST_TTL_MINUTES = 10;
+
+/**
+ * Modelo de los inicios de sesión SSO en curso
+ * Guarda el nonce y el verificador PKCE asociados a cada `state` (solo su hash)
+ * hasta que vuelve el callback; cada state se puede usar una sola vez
+ */
+class OidcLoginRequest {
+  /**
+   * Abrir un inicio de sesión nuevo
+   * Devuelve { state, nonce, codeVerifier, expiresAt }; el state en claro solo se entrega aquí
+   */
+  static async create() {
+    try {
+      await this.deleteExpired();
+
+      const state = generateRandomValue();
+      const nonce = generateRandomValue();
+      const codeVerifier = generateRandomValue();
+      const expiresAt = new Date(Date.now() + LOGIN_REQUEST_TTL_MINUTES * 60 * 1000).toISOString();
+
+      await database.query(
+        'INSERT INTO oidc_login_requests (state_hash, nonce, code_verifier, expires_at, created_at) VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)',
+        [generateDataHash(state), nonce, codeVerifier, expiresAt]
+      );
+
+      return { state, nonce, codeVerifier, expiresAt };
+    } catch (error) {
+      throw new Error(`Error iniciando login SSO: ${error.message}`);
+    }
+  }
+
+  /**
+   * Consumir el state recibido en el callback
+   * Devuelve { nonce, codeVerifier } o null si no existe, caducó o ya se usó
+   */
+  static async consume(state) {
+    if (!state || typeof state !== 'string') return null;
+
+    try {
+      const result = await database.query(
+        'SELECT * FROM oidc_login_requests WHERE state_hash = $1 AND used_at IS NULL',
+        [generateDataHash(state)]
+      );
+
+      if (result.rows.length === 0) return null;
+
+      const row = result.rows[0];
+      if (new Date(row.expires_at) <= new Date()) return null;
+
+      // La condición sobre used_at garantiza un único uso aunque lleguen dos callbacks a la vez
+      const update = await database.query(
+        'UPDATE oidc_login_requests SET used_at = CURRENT_TIMESTAMP WHERE id = $1 AND used_at IS NULL',
+        [row.id]
+      );
+
+      if (update.rowCount === 0) return null;
+
+      return {
+        nonce: row.nonce,
+        codeVerifier: row.code_verifier
+      };
+    } catch (error) {
+      throw new Error(`Error validando state SSO: ${error.message}`);
+    }
+  }
+
+  /**
+   * Borrar los inicios de sesión caducados
+   */
+  static async deleteExpired() {
+    try {
+      const result = await database.query(
+        'DELETE FROM oidc_login_requests WHERE expires_at < $1',
+        [new Date().toISOString()]
+      );
+
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(`Error limpiando logins SSO: ${error.message}`);
+    }
+  }
+}
+
+module.exports = OidcLoginRequest;
@@ -0,0 +1,193 @@
+const database = require('../config/database');
+const { generateSecureToken } = require('../utils/encryption');
+
+// Días de validez de una invitación de pareja
+const INVITATION_TTL_DAYS = parseInt(process.env.PARTNER_INVITATION_TTL_DAYS) || 30;
+
+/**
+ * Modelo de invitaciones para emparejar los cuestionarios de pareja
+ * El miembro que completa su cuestionario invita a su pareja con un código
+ */
+class PartnerInvitation {
+  /**
+   * Crear una invitación para un cuestionario
+   */
+  static async create(inviterQuestionnaireId) {
+    try {
+      const code = generateSecureToken(5).toUpperCase();
+      const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+      const result = await database.query(
+        'INSERT INTO partner_invitations (code, inviter_questionnaire_id, status, expires_at, created_at) VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP) RETURNING id',
+        [code, inviterQuestionnaireId, 'pending', expiresAt]
+      );
+
+      console.log(`💌 Invitación de pareja creada para el cuestionario ${inviterQuestionnaireId}`);
+      return await this.findById(result.rows[0].id);
+    } catch (error) {
+      throw new Error(`Error creando invitación de pareja: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener invitación por ID
+   */
+  static async findById(id) {
+    try {
+      const result = await database.query(
+        'SELECT * FROM partner_invitations WHERE id = $1',
+        [id]
+      );
+
+      if (result.rows.length === 0) return null;
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error obteniendo invitación de pareja: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener invitación por código
+   */
+  static async findByCode(code) {
+    try {
+      const result = await database.query(
+        'SELECT * FROM partner_invitations WHERE code = $1',
+        [String(code).trim().toUpperCase()]
+      );
+
+      if (result.rows.length === 0) return null;
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error obteniendo invitación de pareja: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener la invitación en la que participa un cuestionario (como invitante o como pareja)
+   */
+  static async findByQuestionnaireId(questionnaireId) {
+    try {
+      const result = await database.query(
+        'SELECT * FROM partner_invitations WHERE inviter_questionnaire_id = $1 OR partner_questionnaire_id = $1 ORDER BY created_at DESC, id DESC LIMIT 1',
+        [questionnaireId]
+      );
+
+      if (result.rows.length === 0) return null;
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error obteniendo invitación de pareja: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener la invitación de un cuestionario o crearla si todavía no existe
+   * Si la anterior caducó sin usarse se genera una nueva
+   * Devuelve null si el cuestionario ya se unió como pareja a otra invitación
+   */
+  static async getOrCreateForQuestionnaire(questionnaireId) {
+    const existing = await this.findByQuestionnaireId(questionnaireId);
+
+    if (existing) {
+      if (String(existing.inviterQuestionnaireId) !== String(questionnaireId)) return null;
+      if (existing.status !== 'expired') return existing;
+    }
+
+    return await this.create(questionnaireId);
+  }
+
+  /**
+   * Emparejar el cuestionario de la pareja con una invitación pendiente
+   */
+  static async pair(invitationId, partnerQuestionnaireId) {
+    try {
+      const result = await database.query(
+        'UPDATE partner_invitations SET partner_questionnaire_id = $1, status = $2, paired_at = CURRENT_TIMESTAMP WHERE id = $3 AND status = $4',
+        [partnerQuestionnaireId, 'paired', invitationId, 'pending']
+      );
+
+      if (result.rowCount === 0) return null;
+
+      console.log(`💞 Cuestionario ${partnerQuestionnaireId} emparejado mediante la invitación ${invitationId}`);
+      return await this.findById(invitationId);
+    } catch (error) {
+      throw new Error(`Error emparejando cuestionarios: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener invitaciones por estado (para admin)
+   */
+  static async findAll(options = {}) {
+    const { status = 'paired', page = 1, limit = 20 } = options;
+
+    try {
+      const countResult = await database.query(
+        'SELECT COUNT(*) as total FROM partner_invitations WHERE status = $1',
+        [status]
+      );
+
+      const total = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(total / limit);
+      const offset = (page - 1) * limit;
+
+      const result = await database.query(
+        'SELECT * FROM partner_invitations WHERE status = $1 ORDER BY created_at DESC, id DESC LIMIT $2 OFFSET $3',
+        [status, limit, offset]
+      );
+
+      return {
+        invitations: result.rows.map(row => this.format(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error obteniendo invitaciones de pareja: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verificar si una invitación todavía puede usarse
+   */
+  static isUsable(invitation) {
+    return !!invitation &&
+      invitation.status === 'pending' &&
+      new Date(invitation.expiresAt) > new Date();
+  }
+
+  /**
+   * Enlace que el invitante comparte con su pareja
+   */
+  static buildLink(code) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    return `${frontendUrl}/cuestionario/pareja?invitacion=${code}`;
+  }
+
+  /**
+   * Formatear una fila de la tabla
+   */
+  static format(row) {
+    const expired = row.status === 'pending' && new Date(row.expires_at) <= new Date();
+
+    return {
+      id: row.id,
+      code: row.code,
+      link: this.buildLink(row.code),
+      inviterQuestionnaireId: row.inviter_questionnaire_id,
+      partnerQuestionnaireId: row.partner_questionnaire_id,
+      status: expired ? 'expired' : row.status,
+      expiresAt: row.expires_at,
+      pairedAt: row.paired_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = PartnerInvitation;
@@ -0,0 +1,92 @@
+const database = require('../config/database');
+
+/**
+ * Modelo de las versiones de la política de privacidad
+ * Las versiones no se editan: cada cambio publica una versión nueva y la vigente
+ * es siempre la más alta
+ */
+class PrivacyPolicy {
+  /**
+   * Publicar una versión nueva (la siguiente a la vigente)
+   */
+  static async publish({ content, publishedBy = null }) {
+    try {
+      const current = await this.findCurrent();
+      const version = current ? current.version + 1 : 1;
+
+      await database.query(
+        'INSERT INTO privacy_policies (version, content, published_by, published_at) VALUES ($1, $2, $3, CURRENT_TIMESTAMP)',
+        [version, content, publishedBy]
+      );
+
+      console.log(`📜 Política de privacidad versión ${version} publicada`);
+      return await this.findByVersion(version);
+    } catch (error) {
+      throw new Error(`Error publicando la política de privacidad: ${error.message}`);
+    }
+  }
+
+  /**
+   * Versión vigente (null si no se ha publicado ninguna)
+   */
+  static async findCurrent() {
+    try {
+      const result = await database.query(
+        'SELECT * FROM privacy_policies ORDER BY version DESC LIMIT 1'
+      );
+
+      if (result.rows.length === 0) return null;
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error obteniendo la política de privacidad: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener una versión concreta
+   */
+  static async findByVersion(version) {
+    try {
+      const result = await database.query(
+        'SELECT * FROM privacy_policies WHERE version = $1',
+        [version]
+      );
+
+      if (result.rows.length === 0) return null;
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error obteniendo la política de privacidad: ${error.message}`);
+    }
+  }
+
+  /**
+   * Todas las versiones, de la más reciente a la más antigua
+   */
+  static async findAll() {
+    try {
+      const result = await database.query(
+        'SELECT * FROM privacy_policies ORDER BY version DESC'
+      );
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      throw new Error(`Error obteniendo las políticas de privacidad: ${error.message}`);
+    }
+  }
+
+  /**
+   * Formatear una fila de la tabla
+   */
+  static format(row) {
+    return {
+      version: row.version,
+      content: row.content,
+      publishedBy: row.published_by,
+      publishedAt: row.published_at
+    };
+  }
+}
+
+module.exports = PrivacyPolicy;
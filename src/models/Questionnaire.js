@@ -1,14 +1,73 @@
 const database = require('../config/database');
+const { hashEmail, encryptQuestionnaireData, decryptQuestionnaireData, decryptField } = require('../utils/encryption');
+const { currentKeyVersion } = require('../config/encryption');
+
+/**
+ * Descifrar personal_info y answers de una fila
+ */
+function readData(row) {
+  return decryptQuestionnaireData({ personalInfo: row.personal_info, answers: row.answers });
+}
+
+/**
+ * Formato de los cuestionarios en los listados de un usuario
+ */
+function formatSummary(q) {
+  const { personalInfo, answers } = readData(q);
+
+  return {
+    id: q.id,
+    type: q.type,
+    definitionVersion: q.definition_version,
+    personalInfo,
+    answers,
+    completed: q.status === 'completed',
+    completedAt: q.updated_at,
+    createdAt: q.created_at,
+    updatedAt: q.updated_at
+  };
+}
+
+/**
+ * Placeholders $1, $2... para una lista de ids
+ */
+function idPlaceholders(ids) {
+  return ids.map((_, index) => `$${index + 1}`).join(', ');
+}
+
+/**
+ * Formato completo de un cuestionario
+ */
+function formatQuestionnaire(questionnaire) {
+  const { personalInfo, answers } = readData(questionnaire);
+
+  return {
+    id: questionnaire.id,
+    userId: questionnaire.user_id,
+    clientId: questionnaire.client_id,
+    type: questionnaire.type,
+    definitionVersion: questionnaire.definition_version,
+    personalInfo,
+    answers,
+    completed: questionnaire.status === 'completed',
+    completedAt: questionnaire.updated_at,
+    assignedTo: questionnaire.assigned_to || null,
+    createdAt: questionnaire.created_at,
+    updatedAt: questionnaire.updated_at
+  };
+}
 
 /**
  * Modelo de Cuestionario que se corresponde con el frontend
+ * personal_info y answers se guardan cifrados (ver src/config/encryption.js) y se
+ * descifran al leer; encryption_key_version indica la clave usada
  */
 class Questionnaire {
   /**
    * Crear un nuevo cuestionario
    */
   static async create(data) {
-    const { userId, type, personalInfo, answers, completed = false } = data;
+    const { userId, clientId = null, type, personalInfo, answers, completed = false, definitionVersion = null } = data;
     
     try {
       // ✅ Si no hay userId, asignar al administrador para cuestionarios anónimos
@@ -29,70 +88,11 @@ class Questionnaire {
         }
       }
       
-      // ✅ LIMPIEZA AGRESIVA: Asegurar que las respuestas sean strings válidos
-      const cleanAnswers = {};
-      if (answers && typeof answers === 'object') {
-        Object.entries(answers).forEach(([questionId, answer]) => {
-          let answerText = '';
-          
-          // Log para debug
-          console.log(`🔍 Procesando respuesta para pregunta ${questionId}:`, {
-            originalAnswer: answer,
-            type: typeof answer,
-            isObject: answer && typeof answer === 'object'
-          });
-          
-          if (typeof answer === 'string') {
-            answerText = answer;
-          } else if (answer && typeof answer === 'object') {
-            // Si es un objeto, extraer el texto de la respuesta
-            if (answer.text && typeof answer.text === 'string') {
-              answerText = answer.text;
-            } else if (answer.answer && typeof answer.answer === 'string') {
-              answerText = answer.answer;
-            } else if (answer.value && typeof answer.value === 'string') {
-              answerText = answer.value;
-            } else if (answer.label && typeof answer.label === 'string') {
-              answerText = answer.label;
-            } else if (answer.name && typeof answer.name === 'string') {
-              answerText = answer.name;
-            } else {
-              // Último recurso: convertir a string
-              answerText = String(answer);
-              console.warn(`⚠️ Respuesta convertida a string para pregunta ${questionId}:`, answerText);
-            }
-          } else {
-            // Convertir cualquier otro tipo a string
-            answerText = String(answer);
-            console.warn(`⚠️ Respuesta convertida a string para pregunta ${questionId}:`, answerText);
-          }
-          
-          // ✅ VALIDACIÓN FINAL: Asegurar que sea string válido
-          if (typeof answerText !== 'string') {
-            answerText = String(answerText);
-          }
-          
-          // ✅ VERIFICAR QUE NO CONTENGA [object Object]
-          if (answerText.includes('[object Object]')) {
-            console.error(`❌ ERROR: Respuesta contiene [object Object] para pregunta ${questionId}:`, answerText);
-            answerText = 'Respuesta no válida';
-          }
-          
-          cleanAnswers[questionId] = answerText;
-          
-          console.log(`✅ Respuesta procesada para pregunta ${questionId}:`, {
-            original: answer,
-            processed: answerText,
-            finalType: typeof answerText
-          });
-        });
-      }
-      
-      console.log('🧹 RESPUESTAS FINALES LIMPIAS:', cleanAnswers);
-      
+      // Las respuestas llegan ya validadas contra la definición del cuestionario
+      const encrypted = encryptQuestionnaireData({ personalInfo, answers });
       const result = await database.query(
-        'INSERT INTO questionnaires (user_id, type, personal_info, answers, status, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP) RETURNING id',
-        [finalUserId, type, JSON.stringify(personalInfo), JSON.stringify(cleanAnswers), completed ? 'completed' : 'pending']
+        'INSERT INTO questionnaires (user_id, client_id, type, definition_version, personal_info, answers, encryption_key_version, status, respondent_hash, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP) RETURNING id',
+        [finalUserId, clientId, type, definitionVersion, encrypted.personalInfo, encrypted.answers, encrypted.keyVersion, completed ? 'completed' : 'pending', hashEmail(personalInfo.correo)]
       );
 
       return result.rows[0].id;
@@ -119,19 +119,26 @@ class Questionnaire {
       );
 
       if (result.rows.length === 0) return null;
-      
-      const questionnaire = result.rows[0];
 
-      return {
-        id: questionnaire.id,
-        type: questionnaire.type,
-        personalInfo: JSON.parse(questionnaire.personal_info),
-        answers: JSON.parse(questionnaire.answers),
-        completed: questionnaire.status === 'completed',
-        completedAt: questionnaire.updated_at,
-        createdAt: questionnaire.created_at,
-        updatedAt: questionnaire.updated_at
-      };
+      return formatQuestionnaire(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error obteniendo cuestionario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener cuestionario por el UUID generado en el cliente
+   */
+  static async findByClientId(clientId) {
+    try {
+      const result = await database.query(
+        'SELECT id FROM questionnaires WHERE client_id = $1',
+        [clientId]
+      );
+
+      if (result.rows.length === 0) return null;
+
+      return await this.findById(result.rows[0].id);
     } catch (error) {
       throw new Error(`Error obteniendo cuestionario: ${error.message}`);
     }
@@ -173,16 +180,7 @@ class Questionnaire {
         [...params, limit, offset]
       );
 
-      const processedQuestionnaires = questionnaires.rows.map(q => ({
-        id: q.id,
-        type: q.type,
-        personalInfo: JSON.parse(q.personal_info),
-        answers: JSON.parse(q.answers),
-        completed: q.status === 'completed',
-        completedAt: q.updated_at,
-        createdAt: q.created_at,
-        updatedAt: q.updated_at
-      }));
+      const processedQuestionnaires = questionnaires.rows.map(formatSummary);
 
       return {
         questionnaires: processedQuestionnaires,
@@ -198,6 +196,54 @@ class Questionnaire {
     }
   }
 
+  /**
+   * Obtener los borradores de un encuestado por su email (índice ciego)
+   */
+  static async findDraftsByRespondentEmail(email, options = {}) {
+    const { type, limit = 5 } = options;
+
+    try {
+      let query = 'SELECT id, type FROM questionnaires WHERE respondent_hash = $1 AND status = $2';
+      const params = [hashEmail(email), 'pending'];
+
+      if (type) {
+        query += ' AND type = $3';
+        params.push(type);
+      }
+
+      query += ` ORDER BY updated_at DESC, id DESC LIMIT $${params.length + 1}`;
+      params.push(limit);
+
+      const result = await database.query(query, params);
+
+      return result.rows.map(row => ({ id: row.id, type: row.type }));
+    } catch (error) {
+      throw new Error(`Error obteniendo borradores: ${error.message}`);
+    }
+  }
+
+  /**
+   * Todos los cuestionarios de una persona: los respondidos con su email (índice ciego)
+   * y, si se indica, los vinculados a su cuenta
+   */
+  static async findAllForSubject({ email, userId = null }) {
+    try {
+      let query = 'SELECT * FROM questionnaires WHERE respondent_hash = $1';
+      const params = [hashEmail(email)];
+
+      if (userId) {
+        query += ' OR user_id = $2';
+        params.push(userId);
+      }
+
+      const result = await database.query(`${query} ORDER BY created_at ASC, id ASC`, params);
+
+      return result.rows.map(formatQuestionnaire);
+    } catch (error) {
+      throw new Error(`Error obteniendo cuestionarios de la persona: ${error.message}`);
+    }
+  }
+
   /**
    * Actualizar cuestionario
    */
@@ -208,14 +254,27 @@ class Questionnaire {
       const updateFields = [];
       const updateValues = [];
 
-      if (personalInfo) {
+      // Los dos campos se vuelven a cifrar juntos para que compartan versión de clave
+      if (personalInfo || answers) {
+        const current = await this.findById(id, userId);
+        if (!current) return null;
+
+        const encrypted = encryptQuestionnaireData({
+          personalInfo: personalInfo || current.personalInfo,
+          answers: answers || current.answers
+        });
+
         updateFields.push('personal_info = $' + (updateValues.length + 1));
-        updateValues.push(JSON.stringify(personalInfo));
+        updateValues.push(encrypted.personalInfo);
+        updateFields.push('answers = $' + (updateValues.length + 1));
+        updateValues.push(encrypted.answers);
+        updateFields.push('encryption_key_version = $' + (updateValues.length + 1));
+        updateValues.push(encrypted.keyVersion);
       }
 
-      if (answers) {
-        updateFields.push('answers = $' + (updateValues.length + 1));
-        updateValues.push(JSON.stringify(answers));
+      if (personalInfo) {
+        updateFields.push('respondent_hash = $' + (updateValues.length + 1));
+        updateValues.push(hashEmail(personalInfo.correo));
       }
 
       if (completed !== undefined) {
@@ -244,18 +303,142 @@ class Questionnaire {
   }
 
   /**
-   * Eliminar cuestionario
+   * Ids de los cuestionarios de una persona (mismos criterios que findAllForSubject)
+   */
+  static async findIdsForSubject({ email, userId = null }) {
+    try {
+      let query = 'SELECT id FROM questionnaires WHERE respondent_hash = $1';
+      const params = [hashEmail(email)];
+
+      if (userId) {
+        query += ' OR user_id = $2';
+        params.push(userId);
+      }
+
+      const result = await database.query(`${query} ORDER BY id ASC`, params);
+
+      return result.rows.map(row => row.id);
+    } catch (error) {
+      throw new Error(`Error obteniendo cuestionarios de la persona: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cuántos registros dependen de estos cuestionarios en cada tabla
    */
-  static async delete(id, userId) {
+  static async countDependents(ids) {
+    const counts = {
+      questionnaireResults: 0,
+      questionnaireRevisions: 0,
+      riskFlags: 0,
+      resumeTokens: 0,
+      partnerInvitations: 0,
+      compatibilityAnalyses: 0
+    };
+    if (ids.length === 0) return counts;
+
+    try {
+      const list = idPlaceholders(ids);
+      const count = async (query) => parseInt((await database.query(query, ids)).rows[0].total);
+
+      counts.questionnaireResults = await count(`SELECT COUNT(*) as total FROM questionnaire_results WHERE questionnaire_id IN (${list})`);
+      counts.questionnaireRevisions = await count(`SELECT COUNT(*) as total FROM questionnaire_revisions WHERE questionnaire_id IN (${list})`);
+      counts.riskFlags = await count(`SELECT COUNT(*) as total FROM risk_flags WHERE questionnaire_id IN (${list})`);
+      counts.resumeTokens = await count(`SELECT COUNT(*) as total FROM resume_tokens WHERE questionnaire_id IN (${list})`);
+      counts.partnerInvitations = await count(`SELECT COUNT(*) as total FROM partner_invitations WHERE inviter_questionnaire_id IN (${list}) OR partner_questionnaire_id IN (${list})`);
+      counts.compatibilityAnalyses = await count(`SELECT COUNT(*) as total FROM compatibility_analysis WHERE questionnaire1_id IN (${list}) OR questionnaire2_id IN (${list})`);
+
+      return counts;
+    } catch (error) {
+      throw new Error(`Error contando datos relacionados: ${error.message}`);
+    }
+  }
+
+  /**
+   * Borrar definitivamente varios cuestionarios con todo lo que depende de ellos
+   * Se borra explícitamente cada tabla porque SQLite no aplica los ON DELETE CASCADE.
+   * Las invitaciones en las que el cuestionario era la pareja y los consentimientos se conservan sin él
+   */
+  static async eraseMany(ids) {
+    if (ids.length === 0) return 0;
+
+    try {
+      const list = idPlaceholders(ids);
+
+      await database.query(`DELETE FROM questionnaire_results WHERE questionnaire_id IN (${list})`, ids);
+      await database.query(`DELETE FROM questionnaire_revisions WHERE questionnaire_id IN (${list})`, ids);
+      await database.query(`DELETE FROM risk_flags WHERE questionnaire_id IN (${list})`, ids);
+      await database.query(`DELETE FROM resume_tokens WHERE questionnaire_id IN (${list})`, ids);
+      await database.query(`DELETE FROM compatibility_analysis WHERE questionnaire1_id IN (${list}) OR questionnaire2_id IN (${list})`, ids);
+      await database.query(`DELETE FROM partner_invitations WHERE inviter_questionnaire_id IN (${list})`, ids);
+      await database.query(`UPDATE partner_invitations SET partner_questionnaire_id = NULL WHERE partner_questionnaire_id IN (${list})`, ids);
+      await database.query(`UPDATE consents SET questionnaire_id = NULL WHERE questionnaire_id IN (${list})`, ids);
+
+      const result = await database.query(`DELETE FROM questionnaires WHERE id IN (${list})`, ids);
+
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(`Error borrando cuestionarios: ${error.message}`);
+    }
+  }
+
+  /**
+   * Seudonimizar un cuestionario de forma irreversible
+   * Sustituye nombre, apellidos y correo por el seudónimo, conserva los datos demográficos
+   * y las respuestas (y con ellas resultados y alertas) y rompe todo vínculo con la persona:
+   * cuenta, índice ciego del email, historial de revisiones y enlaces para retomarlo
+   */
+  static async pseudonymize(id, pseudonym) {
     try {
       const result = await database.query(
-        'DELETE FROM questionnaires WHERE id = $1 AND user_id = $2',
-        [id, userId]
+        'SELECT personal_info, answers FROM questionnaires WHERE id = $1',
+        [id]
+      );
+
+      if (result.rows.length === 0) return false;
+
+      const { personalInfo, answers } = readData(result.rows[0]);
+      const encrypted = encryptQuestionnaireData({
+        personalInfo: {
+          nombre: 'Anónimo',
+          apellidos: pseudonym,
+          correo: '',
+          edad: personalInfo.edad,
+          genero: personalInfo.genero,
+          orientacionSexual: personalInfo.orientacionSexual
+        },
+        answers
+      });
+
+      await database.query('DELETE FROM questionnaire_revisions WHERE questionnaire_id = $1', [id]);
+      await database.query('DELETE FROM resume_tokens WHERE questionnaire_id = $1', [id]);
+      await database.query(
+        `UPDATE questionnaires
+         SET personal_info = $1, answers = $2, encryption_key_version = $3,
+             user_id = NULL, respondent_hash = NULL, client_id = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4`,
+        [encrypted.personalInfo, encrypted.answers, encrypted.keyVersion, id]
+      );
+
+      return true;
+    } catch (error) {
+      throw new Error(`Error seudonimizando cuestionario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Asignar el cuestionario a un profesional (null para quitar la asignación)
+   */
+  static async assign(id, professionalId) {
+    try {
+      const result = await database.query(
+        'UPDATE questionnaires SET assigned_to = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [professionalId, id]
       );
 
       return result.rowCount > 0;
     } catch (error) {
-      throw new Error(`Error eliminando cuestionario: ${error.message}`);
+      throw new Error(`Error asignando cuestionario: ${error.message}`);
     }
   }
 
@@ -265,8 +448,8 @@ class Questionnaire {
   static async markAsCompleted(id, userId) {
     try {
       await database.query(
-        'UPDATE questionnaires SET status = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2',
-        [id, userId, 'completed']
+        'UPDATE questionnaires SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND user_id = $3',
+        ['completed', id, userId]
       );
 
       return await this.findById(id, userId);
@@ -277,42 +460,30 @@ class Questionnaire {
 
   /**
    * Buscar cuestionarios por texto
+   * Los datos están cifrados, así que se descifran y se filtran en memoria
    */
   static async search(userId, query, options = {}) {
     const { page = 1, limit = 10 } = options;
     
     try {
-      const searchTerm = `%${query.trim()}%`;
-      
-      // Contar resultados
-      const countResult = await database.query(
-        'SELECT COUNT(*) as total FROM questionnaires WHERE user_id = $1 AND (personal_info LIKE $2 OR answers LIKE $3)',
-        [userId, searchTerm, searchTerm]
-      );
-
-      const total = parseInt(countResult.rows[0].total);
-      const totalPages = Math.ceil(total / limit);
-      const offset = (page - 1) * limit;
+      const searchTerm = query.trim().toLowerCase();
 
-      // Buscar cuestionarios
       const questionnaires = await database.query(
-        'SELECT * FROM questionnaires WHERE user_id = $1 AND (personal_info LIKE $2 OR answers LIKE $3) ORDER BY created_at DESC LIMIT $4 OFFSET $5',
-        [userId, searchTerm, searchTerm, limit, offset]
+        'SELECT * FROM questionnaires WHERE user_id = $1 ORDER BY created_at DESC',
+        [userId]
       );
 
-      const processedQuestionnaires = questionnaires.rows.map(q => ({
-        id: q.id,
-        type: q.type,
-        personalInfo: JSON.parse(q.personal_info),
-        answers: JSON.parse(q.answers),
-        completed: q.status === 'completed',
-        completedAt: q.updated_at,
-        createdAt: q.created_at,
-        updatedAt: q.updated_at
-      }));
+      const matches = questionnaires.rows.map(formatSummary).filter(q =>
+        JSON.stringify(q.personalInfo).toLowerCase().includes(searchTerm) ||
+        JSON.stringify(q.answers).toLowerCase().includes(searchTerm)
+      );
+
+      const total = matches.length;
+      const totalPages = Math.ceil(total / limit);
+      const offset = (page - 1) * limit;
 
       return {
-        questionnaires: processedQuestionnaires,
+        questionnaires: matches.slice(offset, offset + limit),
         pagination: {
           page,
           limit,
@@ -335,22 +506,24 @@ class Questionnaire {
   static async getUserStats(userId) {
     try {
       const stats = await database.query(
-        'SELECT COUNT(*) as total, SUM(CASE WHEN status = $2 THEN 1 ELSE 0 END) as completed FROM questionnaires WHERE user_id = $1',
-        [userId, 'completed']
+        'SELECT COUNT(*) as total, SUM(CASE WHEN status = $1 THEN 1 ELSE 0 END) as completed FROM questionnaires WHERE user_id = $2',
+        ['completed', userId]
       );
 
       const typeStats = await database.query(
-        'SELECT type, COUNT(*) as total, SUM(CASE WHEN status = $2 THEN 1 ELSE 0 END) as completed FROM questionnaires WHERE user_id = $1 GROUP BY type',
-        [userId, 'completed']
+        'SELECT type, COUNT(*) as total, SUM(CASE WHEN status = $1 THEN 1 ELSE 0 END) as completed FROM questionnaires WHERE user_id = $2 GROUP BY type',
+        ['completed', userId]
       );
 
       const byType = {};
       typeStats.rows.forEach(stat => {
+        const total = parseInt(stat.total);
+        const completed = parseInt(stat.completed || 0);
         byType[stat.type] = {
-          total: stat.total,
-          completed: stat.completed,
-          pending: stat.total - stat.completed,
-          completionRate: stat.total > 0 ? Math.round((stat.completed / stat.total) * 100) : 0
+          total,
+          completed,
+          pending: total - completed,
+          completionRate: total > 0 ? Math.round((completed / total) * 100) : 0
         };
       });
 
@@ -389,21 +562,12 @@ class Questionnaire {
         [userId, type, limit, offset]
       );
 
-      const processedQuestionnaires = questionnaires.rows.map(q => ({
-        id: q.id,
-        type: q.type,
-        personalInfo: JSON.parse(q.personal_info),
-        answers: JSON.parse(q.answers),
-        completed: q.status === 'completed',
-        completedAt: q.updated_at,
-        createdAt: q.created_at,
-        updatedAt: q.updated_at
-      }));
+      const processedQuestionnaires = questionnaires.rows.map(formatSummary);
 
       // Estadísticas del tipo
       const stats = await database.query(
-        'SELECT COUNT(*) as total, SUM(CASE WHEN status = $3 THEN 1 ELSE 0 END) as completed FROM questionnaires WHERE user_id = $1 AND type = $2',
-        [userId, type, 'completed']
+        'SELECT COUNT(*) as total, SUM(CASE WHEN status = $1 THEN 1 ELSE 0 END) as completed FROM questionnaires WHERE user_id = $2 AND type = $3',
+        ['completed', userId, type]
       );
 
       return {
@@ -426,6 +590,81 @@ class Questionnaire {
       throw new Error(`Error obteniendo cuestionarios por tipo: ${error.message}`);
     }
   }
+
+  /**
+   * Copia de una fila leída directamente de la tabla con personal_info y answers descifrados
+   * Para las consultas del panel que no pasan por el modelo
+   */
+  static decryptRow(row) {
+    return {
+      ...row,
+      personal_info: decryptField(row.personal_info),
+      answers: decryptField(row.answers)
+    };
+  }
+
+  /**
+   * Cifrar datos que se van a escribir directamente en la tabla
+   * Devuelve { personalInfo, answers, keyVersion } listos para las columnas
+   */
+  static encryptData(personalInfo, answers) {
+    return encryptQuestionnaireData({ personalInfo, answers });
+  }
+
+  /**
+   * Cuántos cuestionarios hay con cada versión de clave (null: en claro)
+   */
+  static async countByKeyVersion() {
+    try {
+      const result = await database.query(
+        'SELECT encryption_key_version, COUNT(*) as total FROM questionnaires GROUP BY encryption_key_version'
+      );
+
+      return Object.fromEntries(
+        result.rows.map(row => [row.encryption_key_version === null ? 'plaintext' : String(row.encryption_key_version), parseInt(row.total)])
+      );
+    } catch (error) {
+      throw new Error(`Error contando versiones de clave: ${error.message}`);
+    }
+  }
+
+  /**
+   * Volver a cifrar con la clave actual un lote de cuestionarios en claro o con una clave anterior
+   * Recorre la tabla por id a partir de `afterId`; devuelve { processed, failed, lastId }
+   * (lastId null: no quedan más). Los que no se pueden descifrar se quedan como estaban
+   */
+  static async reencryptBatch({ afterId = 0, limit = 100 } = {}) {
+    try {
+      const result = await database.query(
+        'SELECT id, personal_info, answers FROM questionnaires WHERE id > $1 AND (encryption_key_version IS NULL OR encryption_key_version <> $2) ORDER BY id LIMIT $3',
+        [afterId, currentKeyVersion, limit]
+      );
+
+      let processed = 0;
+      const failed = [];
+
+      for (const row of result.rows) {
+        try {
+          const encrypted = encryptQuestionnaireData(readData(row));
+
+          // Si entretanto se guardó el cuestionario ya tiene la clave actual y no se toca
+          await database.query(
+            'UPDATE questionnaires SET personal_info = $1, answers = $2, encryption_key_version = $3 WHERE id = $4 AND (encryption_key_version IS NULL OR encryption_key_version <> $3)',
+            [encrypted.personalInfo, encrypted.answers, encrypted.keyVersion, row.id]
+          );
+          processed++;
+        } catch (error) {
+          console.error(`❌ No se pudo recifrar el cuestionario ${row.id}: ${error.message}`);
+          failed.push(row.id);
+        }
+      }
+
+      const lastId = result.rows.length > 0 ? result.rows[result.rows.length - 1].id : null;
+      return { processed, failed, lastId };
+    } catch (error) {
+      throw new Error(`Error recifrando cuestionarios: ${error.message}`);
+    }
+  }
 }
 
 module.exports = Questionnaire;
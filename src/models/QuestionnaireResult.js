@@ -0,0 +1,102 @@
+const database = require('../config/database');
+const questionnaireDefinitions = require('../config/questionnaires');
+const { scoreQuestionnaire } = require('../utils/scoring');
+
+// PostgreSQL puede devolver JSON ya parseado; SQLite siempre devuelve texto
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * Modelo de resultados calculados de un cuestionario completado
+ */
+class QuestionnaireResult {
+  /**
+   * Calcular y guardar los resultados de un cuestionario
+   * Devuelve null si su tipo no tiene puntuación
+   */
+  static async computeFor(questionnaire) {
+    try {
+      const definition = questionnaireDefinitions.getDefinition(
+        questionnaire.type,
+        questionnaire.definitionVersion
+      );
+
+      const result = scoreQuestionnaire(definition, questionnaire.answers);
+      if (!result) return null;
+
+      await database.query(
+        `INSERT INTO questionnaire_results (questionnaire_id, definition_version, method, scores, summary, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+         ON CONFLICT (questionnaire_id) DO UPDATE SET
+           definition_version = EXCLUDED.definition_version,
+           method = EXCLUDED.method,
+           scores = EXCLUDED.scores,
+           summary = EXCLUDED.summary,
+           updated_at = CURRENT_TIMESTAMP`,
+        [questionnaire.id, result.definitionVersion, result.method, JSON.stringify(result.scores), JSON.stringify(result.summary)]
+      );
+
+      console.log(`🧮 Resultados calculados para el cuestionario ${questionnaire.id}:`, result.summary);
+
+      return await this.findByQuestionnaireId(questionnaire.id);
+    } catch (error) {
+      throw new Error(`Error calculando resultados: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener resultados de un cuestionario
+   */
+  static async findByQuestionnaireId(questionnaireId) {
+    try {
+      const result = await database.query(
+        'SELECT * FROM questionnaire_results WHERE questionnaire_id = $1',
+        [questionnaireId]
+      );
+
+      if (result.rows.length === 0) return null;
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error obteniendo resultados: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener resultados de varios cuestionarios indexados por id de cuestionario
+   */
+  static async findByQuestionnaireIds(questionnaireIds) {
+    if (!questionnaireIds || questionnaireIds.length === 0) return {};
+
+    try {
+      const placeholders = questionnaireIds.map((_, index) => `$${index + 1}`).join(', ');
+      const result = await database.query(
+        `SELECT * FROM questionnaire_results WHERE questionnaire_id IN (${placeholders})`,
+        questionnaireIds
+      );
+
+      const byQuestionnaire = {};
+      result.rows.forEach(row => {
+        byQuestionnaire[row.questionnaire_id] = this.format(row);
+      });
+
+      return byQuestionnaire;
+    } catch (error) {
+      throw new Error(`Error obteniendo resultados: ${error.message}`);
+    }
+  }
+
+  /**
+   * Formatear una fila de la tabla
+   */
+  static format(row) {
+    return {
+      method: row.method,
+      definitionVersion: row.definition_version,
+      scores: parseJson(row.scores),
+      summary: parseJson(row.summary),
+      computedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = QuestionnaireResult;
@@ -0,0 +1,163 @@
+const database = require('../config/database');
+const { encryptQuestionnaireData, decryptQuestionnaireData } = require('../utils/encryption');
+const { currentKeyVersion } = require('../config/encryption');
+
+// Descifrar personal_info y answers de una fila (las revisiones antiguas están en claro)
+const readData = (row) => decryptQuestionnaireData({ personalInfo: row.personal_info, answers: row.answers });
+
+// Origen de cada revisión
+const SOURCES = ['start', 'sync', 'save', 'complete', 'admin_fix'];
+
+/**
+ * Modelo del historial de revisiones de un cuestionario
+ * Cada guardado añade una revisión nueva; las existentes nunca se modifican
+ * (salvo para recifrarlas con otra clave). Los datos se cifran igual que en Questionnaire
+ */
+class QuestionnaireRevision {
+  /**
+   * Registrar el estado actual de un cuestionario como nueva revisión
+   */
+  static async record(questionnaire, source, changedBy = null) {
+    if (!SOURCES.includes(source)) {
+      throw new Error(`Origen de revisión inválido: ${source}`);
+    }
+
+    try {
+      const last = await database.query(
+        'SELECT MAX(revision_number) as last FROM questionnaire_revisions WHERE questionnaire_id = $1',
+        [questionnaire.id]
+      );
+      const revisionNumber = (parseInt(last.rows[0].last) || 0) + 1;
+      const encrypted = encryptQuestionnaireData(questionnaire);
+
+      await database.query(
+        'INSERT INTO questionnaire_revisions (questionnaire_id, revision_number, source, personal_info, answers, encryption_key_version, status, changed_by, created_at) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP)',
+        [
+          questionnaire.id,
+          revisionNumber,
+          source,
+          encrypted.personalInfo,
+          encrypted.answers,
+          encrypted.keyVersion,
+          questionnaire.completed ? 'completed' : 'pending',
+          changedBy
+        ]
+      );
+
+      console.log(`🗂️ Revisión ${revisionNumber} (${source}) registrada para el cuestionario ${questionnaire.id}`);
+      return await this.findByNumber(questionnaire.id, revisionNumber);
+    } catch (error) {
+      throw new Error(`Error registrando revisión: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener las revisiones de un cuestionario en orden cronológico
+   */
+  static async findByQuestionnaireId(questionnaireId) {
+    try {
+      const result = await database.query(
+        'SELECT * FROM questionnaire_revisions WHERE questionnaire_id = $1 ORDER BY revision_number ASC',
+        [questionnaireId]
+      );
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      throw new Error(`Error obteniendo revisiones: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener una revisión concreta por su número
+   */
+  static async findByNumber(questionnaireId, revisionNumber) {
+    try {
+      const result = await database.query(
+        'SELECT * FROM questionnaire_revisions WHERE questionnaire_id = $1 AND revision_number = $2',
+        [questionnaireId, revisionNumber]
+      );
+
+      if (result.rows.length === 0) return null;
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error obteniendo revisión: ${error.message}`);
+    }
+  }
+
+  /**
+   * Formatear una fila de la tabla
+   */
+  static format(row) {
+    const { personalInfo, answers } = readData(row);
+
+    return {
+      id: row.id,
+      questionnaireId: row.questionnaire_id,
+      revision: row.revision_number,
+      source: row.source,
+      personalInfo,
+      answers,
+      completed: row.status === 'completed',
+      changedBy: row.changed_by,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Cuántas revisiones hay con cada versión de clave (null: en claro)
+   */
+  static async countByKeyVersion() {
+    try {
+      const result = await database.query(
+        'SELECT encryption_key_version, COUNT(*) as total FROM questionnaire_revisions GROUP BY encryption_key_version'
+      );
+
+      return Object.fromEntries(
+        result.rows.map(row => [row.encryption_key_version === null ? 'plaintext' : String(row.encryption_key_version), parseInt(row.total)])
+      );
+    } catch (error) {
+      throw new Error(`Error contando versiones de clave: ${error.message}`);
+    }
+  }
+
+  /**
+   * Volver a cifrar con la clave actual un lote de revisiones (mismo contrato que
+   * Questionnaire.reencryptBatch); el contenido de la revisión no cambia
+   */
+  static async reencryptBatch({ afterId = 0, limit = 100 } = {}) {
+    try {
+      const result = await database.query(
+        'SELECT id, personal_info, answers FROM questionnaire_revisions WHERE id > $1 AND (encryption_key_version IS NULL OR encryption_key_version <> $2) ORDER BY id LIMIT $3',
+        [afterId, currentKeyVersion, limit]
+      );
+
+      let processed = 0;
+      const failed = [];
+
+      for (const row of result.rows) {
+        try {
+          const encrypted = encryptQuestionnaireData(readData(row));
+
+          await database.query(
+            'UPDATE questionnaire_revisions SET personal_info = $1, answers = $2, encryption_key_version = $3 WHERE id = $4',
+            [encrypted.personalInfo, encrypted.answers, encrypted.keyVersion, row.id]
+          );
+          processed++;
+        } catch (error) {
+          console.error(`❌ No se pudo recifrar la revisión ${row.id}: ${error.message}`);
+          failed.push(row.id);
+        }
+      }
+
+      const lastId = result.rows.length > 0 ? result.rows[result.rows.length - 1].id : null;
+      return { processed, failed, lastId };
+    } catch (error) {
+      throw new Error(`Error recifrando revisiones: ${error.message}`);
+    }
+  }
+}
+
+QuestionnaireRevision.SOURCES = SOURCES;
+
+module.exports = QuestionnaireRevision;
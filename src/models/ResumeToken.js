@@ -0,0 +1,98 @@
+const database = require('../config/database');
+const { generateSecureToken, generateDataHash } = require('../utils/encryption');
+
+// Días de validez de un token para reanudar un cuestionario
+const RESUME_TOKEN_TTL_DAYS = parseInt(process.env.RESUME_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Modelo de tokens opacos para reanudar un cuestionario sin sesión
+ * Solo se guarda el hash del token; el valor en claro se entrega una única vez
+ */
+class ResumeToken {
+  /**
+   * Emitir un token nuevo para un cuestionario
+   * Revoca los anteriores que sigan vigentes: solo vale el último enlace enviado
+   */
+  static async issue(questionnaireId) {
+    try {
+      await database.query(
+        'UPDATE resume_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE questionnaire_id = $1 AND revoked_at IS NULL',
+        [questionnaireId]
+      );
+
+      const token = generateSecureToken(32);
+      const expiresAt = new Date(Date.now() + RESUME_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+      await database.query(
+        'INSERT INTO resume_tokens (questionnaire_id, token_hash, expires_at, created_at) VALUES ($1, $2, $3, CURRENT_TIMESTAMP)',
+        [questionnaireId, generateDataHash(token), expiresAt]
+      );
+
+      console.log(`🔑 Token de reanudación emitido para el cuestionario ${questionnaireId}`);
+      return { token, expiresAt };
+    } catch (error) {
+      throw new Error(`Error emitiendo token de reanudación: ${error.message}`);
+    }
+  }
+
+  /**
+   * Buscar un token vigente (no caducado ni revocado)
+   */
+  static async findValid(token) {
+    if (!token || typeof token !== 'string') return null;
+
+    try {
+      const result = await database.query(
+        'SELECT * FROM resume_tokens WHERE token_hash = $1 AND revoked_at IS NULL',
+        [generateDataHash(token)]
+      );
+
+      if (result.rows.length === 0) return null;
+
+      const resumeToken = this.format(result.rows[0]);
+      if (new Date(resumeToken.expiresAt) <= new Date()) return null;
+
+      return resumeToken;
+    } catch (error) {
+      throw new Error(`Error verificando token de reanudación: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registrar el uso de un token
+   */
+  static async touch(id) {
+    try {
+      await database.query(
+        'UPDATE resume_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [id]
+      );
+    } catch (error) {
+      throw new Error(`Error actualizando token de reanudación: ${error.message}`);
+    }
+  }
+
+  /**
+   * Enlace del frontend para reanudar un cuestionario
+   */
+  static buildLink(type, token) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    return `${frontendUrl}/cuestionario/${type}?reanudar=${token}`;
+  }
+
+  /**
+   * Formatear una fila de la tabla
+   */
+  static format(row) {
+    return {
+      id: row.id,
+      questionnaireId: row.questionnaire_id,
+      expiresAt: row.expires_at,
+      lastUsedAt: row.last_used_at,
+      revokedAt: row.revoked_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = ResumeToken;
@@ -0,0 +1,201 @@
+const database = require('../config/database');
+const questionnaireDefinitions = require('../config/questionnaires');
+const { evaluateRisk } = require('../utils/riskEvaluation');
+
+// PostgreSQL puede devolver JSON ya parseado; SQLite siempre devuelve texto
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * Modelo de alertas de riesgo detectadas en los cuestionarios
+ * Cada regla genera como mucho una alerta por cuestionario
+ */
+class RiskFlag {
+  /**
+   * Evaluar las reglas de riesgo y registrar las alertas nuevas
+   * Devuelve las alertas creadas en esta evaluación
+   */
+  static async evaluateFor(questionnaire, results = null) {
+    try {
+      const definition = questionnaireDefinitions.getDefinition(
+        questionnaire.type,
+        questionnaire.definitionVersion
+      );
+      if (!definition) return [];
+
+      const matches = evaluateRisk(definition, questionnaire.answers, results);
+      const created = [];
+
+      for (const match of matches) {
+        const result = await database.query(
+          `INSERT INTO risk_flags (questionnaire_id, rule_id, level, reason, details, status, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+           ON CONFLICT (questionnaire_id, rule_id) DO NOTHING`,
+          [questionnaire.id, match.ruleId, match.level, match.label, JSON.stringify(match.details), 'open']
+        );
+
+        if (result.rowCount > 0) {
+          console.warn(`🚨 ALERTA DE RIESGO (${match.level}) en el cuestionario ${questionnaire.id}: ${match.label}`);
+          created.push(match);
+        }
+      }
+
+      return created;
+    } catch (error) {
+      throw new Error(`Error evaluando reglas de riesgo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener alerta por ID
+   */
+  static async findById(id) {
+    try {
+      const result = await database.query(
+        'SELECT * FROM risk_flags WHERE id = $1',
+        [id]
+      );
+
+      if (result.rows.length === 0) return null;
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error obteniendo alerta de riesgo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener las alertas de un cuestionario
+   */
+  static async findByQuestionnaireId(questionnaireId) {
+    try {
+      const result = await database.query(
+        'SELECT * FROM risk_flags WHERE questionnaire_id = $1 ORDER BY created_at DESC, id DESC',
+        [questionnaireId]
+      );
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      throw new Error(`Error obteniendo alertas de riesgo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener las alertas de varios cuestionarios agrupadas por cuestionario
+   */
+  static async findByQuestionnaireIds(questionnaireIds) {
+    if (!questionnaireIds || questionnaireIds.length === 0) return {};
+
+    try {
+      const placeholders = questionnaireIds.map((_, index) => `$${index + 1}`).join(', ');
+      const result = await database.query(
+        `SELECT * FROM risk_flags WHERE questionnaire_id IN (${placeholders}) ORDER BY id ASC`,
+        questionnaireIds
+      );
+
+      const byQuestionnaire = {};
+      result.rows.forEach(row => {
+        byQuestionnaire[row.questionnaire_id] = byQuestionnaire[row.questionnaire_id] || [];
+        byQuestionnaire[row.questionnaire_id].push(this.format(row));
+      });
+
+      return byQuestionnaire;
+    } catch (error) {
+      throw new Error(`Error obteniendo alertas de riesgo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cola de alertas para admin: las críticas primero y, dentro de cada nivel, las más antiguas
+   */
+  static async findAll(options = {}) {
+    const { status = 'open', assignedTo = null, page = 1, limit = 20 } = options;
+
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (status !== 'all') {
+        params.push(status);
+        conditions.push(`rf.status = $${params.length}`);
+      }
+
+      // Solo las alertas de los cuestionarios asignados a un profesional
+      if (assignedTo !== null) {
+        params.push(assignedTo);
+        conditions.push(`q.assigned_to = $${params.length}`);
+      }
+
+      const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const fromClause = 'FROM risk_flags rf JOIN questionnaires q ON q.id = rf.questionnaire_id';
+
+      const countResult = await database.query(
+        `SELECT COUNT(*) as total ${fromClause} ${whereClause}`,
+        params
+      );
+
+      const total = parseInt(countResult.rows[0].total);
+      const totalPages = Math.ceil(total / limit);
+      const offset = (page - 1) * limit;
+
+      const result = await database.query(
+        `SELECT rf.* ${fromClause} ${whereClause}
+         ORDER BY CASE WHEN rf.level = 'critical' THEN 0 ELSE 1 END, rf.created_at ASC, rf.id ASC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      );
+
+      return {
+        flags: result.rows.map(row => this.format(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error obteniendo alertas de riesgo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Marcar una alerta como atendida
+   * Devuelve null si ya estaba atendida
+   */
+  static async acknowledge(id, userId, note = null) {
+    try {
+      const result = await database.query(
+        'UPDATE risk_flags SET status = $1, acknowledged_by = $2, acknowledged_at = CURRENT_TIMESTAMP, acknowledgement_note = $3 WHERE id = $4 AND status = $5',
+        ['acknowledged', userId, note, id, 'open']
+      );
+
+      if (result.rowCount === 0) return null;
+
+      console.log(`✅ Alerta de riesgo ${id} atendida por el usuario ${userId}`);
+      return await this.findById(id);
+    } catch (error) {
+      throw new Error(`Error atendiendo alerta de riesgo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Formatear una fila de la tabla
+   */
+  static format(row) {
+    return {
+      id: row.id,
+      questionnaireId: row.questionnaire_id,
+      ruleId: row.rule_id,
+      level: row.level,
+      reason: row.reason,
+      details: parseJson(row.details),
+      status: row.status,
+      acknowledgedBy: row.acknowledged_by,
+      acknowledgedAt: row.acknowledged_at,
+      acknowledgementNote: row.acknowledgement_note,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = RiskFlag;
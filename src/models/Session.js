@@ -0,0 +1,204 @@
+const database = require('../config/database');
+const { generateSecureToken, generateDataHash } = require('../utils/encryption');
+
+// Días de validez de un refresh token (cada rotación renueva el plazo)
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Modelo de sesiones de usuario
+ * Cada sesión guarda el hash de su refresh token vigente y del anterior,
+ * de modo que reutilizar un token ya rotado revoca la sesión completa
+ */
+class Session {
+  /**
+   * Abrir una sesión nueva y emitir su primer refresh token
+   */
+  static async create({ userId, userAgent = null, ipAddress = null }) {
+    try {
+      const refreshToken = generateSecureToken(32);
+      const expiresAt = this.buildExpiry();
+
+      const result = await database.query(
+        `INSERT INTO sessions (user_id, token_hash, user_agent, ip_address, expires_at, created_at)
+         VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP) RETURNING id`,
+        [userId, generateDataHash(refreshToken), userAgent, ipAddress, expiresAt]
+      );
+
+      console.log(`🔑 Sesión ${result.rows[0].id} abierta para el usuario ${userId}`);
+      return { sessionId: result.rows[0].id, refreshToken, expiresAt };
+    } catch (error) {
+      throw new Error(`Error creando sesión: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener sesión por ID
+   */
+  static async findById(id) {
+    try {
+      const result = await database.query(
+        'SELECT * FROM sessions WHERE id = $1',
+        [id]
+      );
+
+      if (result.rows.length === 0) return null;
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error obteniendo sesión: ${error.message}`);
+    }
+  }
+
+  /**
+   * Comprobar si una sesión sigue activa (existe, no está revocada ni caducada)
+   */
+  static async isActive(id) {
+    const session = await this.findById(id);
+    return !!session && this.isUsable(session);
+  }
+
+  /**
+   * Rotar el refresh token de una sesión
+   * Devuelve { reused: true } si el token ya había sido rotado (la sesión queda revocada)
+   * y null si el token no corresponde a ninguna sesión activa
+   */
+  static async rotate(refreshToken, { userAgent = null, ipAddress = null } = {}) {
+    if (!refreshToken || typeof refreshToken !== 'string') return null;
+
+    try {
+      const tokenHash = generateDataHash(refreshToken);
+
+      const current = await database.query(
+        'SELECT * FROM sessions WHERE token_hash = $1',
+        [tokenHash]
+      );
+
+      if (current.rows.length === 0) {
+        const previous = await database.query(
+          'SELECT * FROM sessions WHERE previous_token_hash = $1',
+          [tokenHash]
+        );
+
+        if (previous.rows.length > 0) {
+          const session = this.format(previous.rows[0]);
+          await this.revoke(session.id);
+          console.warn(`⚠️ Refresh token reutilizado en la sesión ${session.id}; sesión revocada`);
+          return { reused: true, session };
+        }
+
+        return null;
+      }
+
+      const session = this.format(current.rows[0]);
+      if (!this.isUsable(session)) return null;
+
+      const newRefreshToken = generateSecureToken(32);
+      const expiresAt = this.buildExpiry();
+
+      // La condición sobre token_hash evita que dos rotaciones simultáneas emitan dos tokens válidos
+      const result = await database.query(
+        `UPDATE sessions
+         SET token_hash = $1, previous_token_hash = $2, expires_at = $3, user_agent = $4, ip_address = $5, last_used_at = CURRENT_TIMESTAMP
+         WHERE id = $6 AND token_hash = $7 AND revoked_at IS NULL`,
+        [generateDataHash(newRefreshToken), tokenHash, expiresAt, userAgent || session.userAgent, ipAddress || session.ipAddress, session.id, tokenHash]
+      );
+
+      if (result.rowCount === 0) return null;
+
+      return {
+        reused: false,
+        session: { ...session, expiresAt },
+        refreshToken: newRefreshToken
+      };
+    } catch (error) {
+      throw new Error(`Error renovando sesión: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revocar una sesión
+   */
+  static async revoke(id) {
+    try {
+      const result = await database.query(
+        'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL',
+        [id]
+      );
+
+      return result.rowCount > 0;
+    } catch (error) {
+      throw new Error(`Error revocando sesión: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revocar todas las sesiones activas de un usuario (menos `exceptSessionId`, si se indica)
+   * Devuelve el número de sesiones revocadas
+   */
+  static async revokeAllForUser(userId, exceptSessionId = null) {
+    try {
+      const result = exceptSessionId
+        ? await database.query(
+          'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL',
+          [userId, exceptSessionId]
+        )
+        : await database.query(
+          'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+          [userId]
+        );
+
+      console.log(`🔒 ${result.rowCount} sesiones revocadas para el usuario ${userId}`);
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(`Error revocando sesiones: ${error.message}`);
+    }
+  }
+
+  /**
+   * Una sesión es utilizable si no está revocada ni caducada
+   */
+  static isUsable(session) {
+    return !session.revokedAt && new Date(session.expiresAt) > new Date();
+  }
+
+  /**
+   * Fecha de caducidad de un refresh token emitido ahora
+   */
+  static buildExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  /**
+   * Todas las sesiones de un usuario (activas, caducadas y revocadas)
+   */
+  static async findByUser(userId) {
+    try {
+      const result = await database.query(
+        'SELECT * FROM sessions WHERE user_id = $1 ORDER BY created_at ASC, id ASC',
+        [userId]
+      );
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      throw new Error(`Error obteniendo sesiones: ${error.message}`);
+    }
+  }
+
+  /**
+   * Formatear una fila de la tabla
+   */
+  static format(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      userAgent: row.user_agent,
+      ipAddress: row.ip_address,
+      expiresAt: row.expires_at,
+      lastUsedAt: row.last_used_at,
+      revokedAt: row.revoked_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = Session;
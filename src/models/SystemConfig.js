@@ -0,0 +1,77 @@
+const database = require('../config/database');
+
+/**
+ * Modelo de configuración del sistema (pares clave/valor editables por el admin)
+ * Los valores se guardan como JSON para conservar su tipo
+ */
+class SystemConfig {
+  /**
+   * Obtener un valor; devuelve `defaultValue` si la clave no existe
+   */
+  static async get(key, defaultValue = null) {
+    try {
+      const result = await database.query(
+        'SELECT value FROM system_config WHERE key = $1',
+        [key]
+      );
+
+      if (result.rows.length === 0) return defaultValue;
+
+      return JSON.parse(result.rows[0].value);
+    } catch (error) {
+      throw new Error(`Error obteniendo configuración: ${error.message}`);
+    }
+  }
+
+  /**
+   * Guardar un valor (crea la clave si no existe)
+   */
+  static async set(key, value, updatedBy = null, description = null) {
+    try {
+      await database.query(
+        `INSERT INTO system_config (key, value, description, updated_by, updated_at)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+         ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_by = excluded.updated_by, updated_at = CURRENT_TIMESTAMP`,
+        [key, JSON.stringify(value), description, updatedBy]
+      );
+
+      console.log(`⚙️ Configuración actualizada: ${key} = ${JSON.stringify(value)}`);
+      return await this.findByKey(key);
+    } catch (error) {
+      throw new Error(`Error guardando configuración: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener la entrada completa de una clave
+   */
+  static async findByKey(key) {
+    try {
+      const result = await database.query(
+        'SELECT * FROM system_config WHERE key = $1',
+        [key]
+      );
+
+      if (result.rows.length === 0) return null;
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error obteniendo configuración: ${error.message}`);
+    }
+  }
+
+  /**
+   * Formatear una fila de la tabla
+   */
+  static format(row) {
+    return {
+      key: row.key,
+      value: JSON.parse(row.value),
+      description: row.description,
+      updatedBy: row.updated_by,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = SystemConfig;
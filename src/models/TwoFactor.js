@@ -0,0 +1,245 @@
+const database = require('../config/database');
+const SystemConfig = require('./SystemConfig');
+const { encryptData, decryptData, generateDataHash } = require('../utils/encryption');
+const totp = require('../utils/totp');
+
+// Roles con acceso a datos de salud mental de terceros: pueden (o deben) usar 2FA
+const TWO_FACTOR_ROLES = ['admin', 'professional'];
+
+// Clave de la política que hace obligatorio el 2FA para esos roles
+const POLICY_KEY = 'two_factor_required';
+
+// Nombre que muestran las apps de autenticación
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Web Salud Mental';
+
+// Clave con la que se cifran los secretos TOTP en la base de datos
+// La de por defecto está en el código: en producción hay que configurarla
+if (!process.env.TWO_FACTOR_SECRET_KEY && process.env.NODE_ENV === 'production') {
+  throw new Error('TWO_FACTOR_SECRET_KEY es obligatorio en producción');
+}
+const SECRET_KEY = process.env.TWO_FACTOR_SECRET_KEY || 'default_two_factor_key_change_in_production';
+
+const BACKUP_CODES_COUNT = 10;
+
+/**
+ * Modelo del segundo factor (TOTP + códigos de recuperación) de los usuarios
+ * Mientras `two_factor_enabled_at` es NULL el secreto guardado es un alta pendiente
+ */
+class TwoFactor {
+  /**
+   * Estado del 2FA de un usuario
+   */
+  static async getStatus(userId) {
+    try {
+      const result = await database.query(
+        'SELECT two_factor_enabled_at FROM users WHERE id = $1',
+        [userId]
+      );
+
+      if (result.rows.length === 0) return null;
+
+      const backupCodes = await database.query(
+        'SELECT COUNT(*) as total FROM two_factor_backup_codes WHERE user_id = $1 AND used_at IS NULL',
+        [userId]
+      );
+
+      return {
+        enabled: !!result.rows[0].two_factor_enabled_at,
+        enabledAt: result.rows[0].two_factor_enabled_at || null,
+        backupCodesRemaining: parseInt(backupCodes.rows[0].total)
+      };
+    } catch (error) {
+      throw new Error(`Error obteniendo estado de 2FA: ${error.message}`);
+    }
+  }
+
+  /**
+   * Iniciar el alta: genera y guarda un secreto pendiente de confirmar
+   * Devuelve el secreto y la URI otpauth:// para el código QR
+   */
+  static async startEnrollment(user) {
+    try {
+      const secret = totp.generateSecret();
+
+      await database.query(
+        'UPDATE users SET two_factor_secret = $1, two_factor_last_step = NULL WHERE id = $2 AND two_factor_enabled_at IS NULL',
+        [encryptData(secret, SECRET_KEY), user.id]
+      );
+
+      return {
+        secret,
+        otpauthUri: totp.buildOtpauthUri(secret, user.email, ISSUER)
+      };
+    } catch (error) {
+      throw new Error(`Error iniciando alta de 2FA: ${error.message}`);
+    }
+  }
+
+  /**
+   * Confirmar el alta con un código de la app; activa el 2FA y genera los códigos de recuperación
+   * Devuelve los códigos en claro (solo se muestran una vez) o null si el código no es válido
+   */
+  static async confirmEnrollment(userId, code) {
+    try {
+      const row = await this.getSecretRow(userId);
+      if (!row || !row.two_factor_secret || row.two_factor_enabled_at) return null;
+
+      const step = totp.verifyCode(decryptData(row.two_factor_secret, SECRET_KEY), code);
+      if (step === null) return null;
+
+      await database.query(
+        'UPDATE users SET two_factor_enabled_at = CURRENT_TIMESTAMP, two_factor_last_step = $1 WHERE id = $2',
+        [step, userId]
+      );
+
+      console.log(`🔐 2FA activado para el usuario ${userId}`);
+      return await this.regenerateBackupCodes(userId);
+    } catch (error) {
+      throw new Error(`Error confirmando alta de 2FA: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verificar un código TOTP o, si no lo es, un código de recuperación (que se consume)
+   * Devuelve 'totp', 'backup_code' o null
+   */
+  static async verify(userId, code) {
+    try {
+      const row = await this.getSecretRow(userId);
+      if (!row || !row.two_factor_enabled_at) return null;
+
+      const lastStep = row.two_factor_last_step === null ? null : Number(row.two_factor_last_step);
+      const step = totp.verifyCode(decryptData(row.two_factor_secret, SECRET_KEY), code, { afterStep: lastStep });
+
+      if (step !== null) {
+        // La condición sobre el último paso impide usar el mismo código dos veces
+        const update = await database.query(
+          'UPDATE users SET two_factor_last_step = $1 WHERE id = $2 AND (two_factor_last_step IS NULL OR two_factor_last_step < $3)',
+          [step, userId, step]
+        );
+        return update.rowCount > 0 ? 'totp' : null;
+      }
+
+      const backupCode = totp.normalizeBackupCode(code);
+      if (!backupCode) return null;
+
+      const update = await database.query(
+        'UPDATE two_factor_backup_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL',
+        [userId, generateDataHash(backupCode)]
+      );
+
+      if (update.rowCount > 0) {
+        console.log(`🔑 Código de recuperación usado por el usuario ${userId}`);
+        return 'backup_code';
+      }
+
+      return null;
+    } catch (error) {
+      throw new Error(`Error verificando código de 2FA: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sustituir los códigos de recuperación por un juego nuevo
+   */
+  static async regenerateBackupCodes(userId) {
+    try {
+      const codes = totp.generateBackupCodes(BACKUP_CODES_COUNT);
+
+      await database.query(
+        'DELETE FROM two_factor_backup_codes WHERE user_id = $1',
+        [userId]
+      );
+
+      for (const code of codes) {
+        await database.query(
+          'INSERT INTO two_factor_backup_codes (user_id, code_hash, created_at) VALUES ($1, $2, CURRENT_TIMESTAMP)',
+          [userId, generateDataHash(totp.normalizeBackupCode(code))]
+        );
+      }
+
+      return codes;
+    } catch (error) {
+      throw new Error(`Error generando códigos de recuperación: ${error.message}`);
+    }
+  }
+
+  /**
+   * Desactivar el 2FA y borrar el secreto y los códigos de recuperación
+   */
+  static async disable(userId) {
+    try {
+      await database.query(
+        'UPDATE users SET two_factor_secret = NULL, two_factor_enabled_at = NULL, two_factor_last_step = NULL WHERE id = $1',
+        [userId]
+      );
+      await database.query(
+        'DELETE FROM two_factor_backup_codes WHERE user_id = $1',
+        [userId]
+      );
+
+      console.log(`🔓 2FA desactivado para el usuario ${userId}`);
+      return true;
+    } catch (error) {
+      throw new Error(`Error desactivando 2FA: ${error.message}`);
+    }
+  }
+
+  /**
+   * ¿Puede este rol usar 2FA?
+   */
+  static appliesTo(role) {
+    return TWO_FACTOR_ROLES.includes(role);
+  }
+
+  /**
+   * ¿Es obligatorio el 2FA para este rol según la política actual?
+   */
+  static async isRequiredFor(role) {
+    if (!this.appliesTo(role)) return false;
+    return (await SystemConfig.get(POLICY_KEY, false)) === true;
+  }
+
+  /**
+   * Política actual de 2FA
+   */
+  static async getPolicy() {
+    const entry = await SystemConfig.findByKey(POLICY_KEY);
+
+    return {
+      required: entry ? entry.value === true : false,
+      roles: TWO_FACTOR_ROLES,
+      updatedBy: entry ? entry.updatedBy : null,
+      updatedAt: entry ? entry.updatedAt : null
+    };
+  }
+
+  /**
+   * Cambiar la política de 2FA
+   */
+  static async setPolicy(required, updatedBy) {
+    await SystemConfig.set(
+      POLICY_KEY,
+      !!required,
+      updatedBy,
+      'Exigir segundo factor a los roles admin y professional'
+    );
+    return await this.getPolicy();
+  }
+
+  /**
+   * Fila con el secreto cifrado de un usuario
+   */
+  static async getSecretRow(userId) {
+    const result = await database.query(
+      'SELECT two_factor_secret, two_factor_enabled_at, two_factor_last_step FROM users WHERE id = $1',
+      [userId]
+    );
+
+    return result.rows[0] || null;
+  }
+}
+
+TwoFactor.ROLES = TWO_FACTOR_ROLES;
+
+module.exports = TwoFactor;
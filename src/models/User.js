@@ -1,5 +1,10 @@
 const database = require('../config/database');
 const bcrypt = require('bcryptjs');
+const Questionnaire = require('./Questionnaire');
+const { generateSecureToken } = require('../utils/encryption');
+
+// Longitud mínima de una contraseña nueva
+const MIN_PASSWORD_LENGTH = 8;
 
 /**
  * Modelo de Usuario que se corresponde con el frontend
@@ -7,8 +12,10 @@ const bcrypt = require('bcryptjs');
 class User {
   /**
    * Crear un nuevo usuario
+   * Por defecto es un encuestado (rol user) con el email sin verificar
    */
-  static async create(userData) {
+  static async create(userData, options = {}) {
+    const { role = 'user', emailVerified = false } = options;
     const { 
       nombre, 
       apellidos, 
@@ -32,9 +39,9 @@ class User {
       // Crear usuario usando la estructura correcta de la base de datos
       const result = await database.query(
         `INSERT INTO users (
-          email, password, name, role, created_at, updated_at
-        ) VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP) RETURNING id`,
-        [correo, hashedPassword, `${nombre} ${apellidos}`, 'assistant']
+          email, password, name, role, email_verified_at, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP) RETURNING id`,
+        [correo, hashedPassword, `${nombre} ${apellidos}`, role, emailVerified ? new Date().toISOString() : null]
       );
 
       // Retornar usuario creado (sin contraseña)
@@ -62,7 +69,9 @@ class User {
         email: user.email,
         name: user.name,
         role: user.role,
-        active: user.active,
+        active: !!user.active,
+        emailVerifiedAt: user.email_verified_at || null,
+        oidcSubject: user.oidc_subject || null,
         createdAt: user.created_at,
         updatedAt: user.updated_at
       };
@@ -76,34 +85,21 @@ class User {
    */
   static async findByEmail(email) {
     try {
-      console.log('🔍 Buscando usuario por email:', email);
-      
       const result = await database.query(
         'SELECT * FROM users WHERE email = $1',
         [email]
       );
-      
-      console.log('📊 Resultado de consulta:', {
-        rowCount: result.rowCount,
-        rows: result.rows,
-        firstRow: result.rows[0]
-      });
-      
+
       const user = result.rows[0];
 
       if (!user) {
-        console.log('❌ Usuario no encontrado en BD');
         return null;
       }
 
-      console.log('✅ Usuario encontrado en BD:', {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        role: user.role,
-        hasPassword: !!user.password,
-        passwordLength: user.password ? user.password.length : 0
-      });
+      // Solo el id y el rol: la fila lleva el email, el hash de la contraseña y los secretos de 2FA
+      if (process.env.NODE_ENV === 'development') {
+        console.log('✅ Usuario encontrado en BD:', { id: user.id, role: user.role });
+      }
 
       return {
         id: user.id,
@@ -111,6 +107,9 @@ class User {
         name: user.name,
         password: user.password,
         role: user.role,
+        active: !!user.active,
+        emailVerifiedAt: user.email_verified_at || null,
+        oidcSubject: user.oidc_subject || null,
         createdAt: user.created_at,
         updatedAt: user.updated_at
       };
@@ -120,6 +119,40 @@ class User {
     }
   }
 
+  /**
+   * Buscar usuario por su identificador en el proveedor de identidad (SSO)
+   */
+  static async findByOidcSubject(subject) {
+    try {
+      const result = await database.query(
+        'SELECT id FROM users WHERE oidc_subject = $1',
+        [subject]
+      );
+
+      if (result.rows.length === 0) return null;
+
+      return await this.findById(result.rows[0].id);
+    } catch (error) {
+      throw new Error(`Error obteniendo usuario por SSO: ${error.message}`);
+    }
+  }
+
+  /**
+   * Vincular la cuenta con su identificador en el proveedor de identidad
+   */
+  static async linkOidcSubject(id, subject) {
+    try {
+      const result = await database.query(
+        'UPDATE users SET oidc_subject = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [subject, id]
+      );
+
+      return result.rowCount > 0;
+    } catch (error) {
+      throw new Error(`Error vinculando cuenta SSO: ${error.message}`);
+    }
+  }
+
   /**
    * Verificar credenciales de login
    */
@@ -144,60 +177,17 @@ class User {
   }
 
   /**
-   * Actualizar usuario
+   * Actualizar los datos del perfil (nombre y apellidos se guardan juntos en `name`)
+   * La contraseña se cambia con changePassword/setPassword
    */
   static async update(id, updateData) {
     try {
-      const { 
-        nombre, 
-        apellidos, 
-        edad, 
-        genero, 
-        orientacionSexual, 
-        password 
-      } = updateData;
-
-      const updateFields = [];
-      const updateValues = [];
-
-      if (nombre) {
-        updateFields.push('nombre = ?');
-        updateValues.push(nombre);
-      }
-
-      if (apellidos) {
-        updateFields.push('apellidos = ?');
-        updateValues.push(apellidos);
-      }
-
-      if (edad) {
-        updateFields.push('edad = ?');
-        updateValues.push(edad);
-      }
-
-      if (genero) {
-        updateFields.push('genero = ?');
-        updateValues.push(genero);
-      }
-
-      if (orientacionSexual) {
-        updateFields.push('orientacion_sexual = ?');
-        updateValues.push(orientacionSexual);
-      }
-
-      if (password) {
-        const hashedPassword = await bcrypt.hash(password, 12);
-        updateFields.push('password_hash = ?');
-        updateValues.push(hashedPassword);
-      }
-
-      if (updateFields.length > 0) {
-        updateFields.push('updated_at = datetime("now")');
-        updateValues.push(id);
+      const { nombre, apellidos } = updateData;
 
-        await database.run(
-          `UPDATE users SET ${updateFields.join(', ')} WHERE id = ?`,
-          updateValues
+      if (nombre && apellidos) {
+        await database.query(
+          'UPDATE users SET name = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+          [`${nombre} ${apellidos}`, id]
         );
       }
 
@@ -208,75 +198,142 @@ class User {
   }
 
   /**
-   * Cambiar contraseña
+   * Comprobar la contraseña de un usuario por su ID
+   * Devuelve null si el usuario no existe
    */
-  static async changePassword(id, currentPassword, newPassword) {
+  static async verifyPassword(id, password) {
     try {
-      const user = await database.get(
-        'SELECT password_hash FROM users WHERE id = ?',
+      const result = await database.query(
+        'SELECT password FROM users WHERE id = $1',
         [id]
       );
+      const user = result.rows[0];
 
-      if (!user) {
+      if (!user) return null;
+
+      return await bcrypt.compare(password, user.password);
+    } catch (error) {
+      throw new Error(`Error verificando contraseña: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cambiar contraseña
+   */
+  static async changePassword(id, currentPassword, newPassword) {
+    try {
+      const isValidCurrentPassword = await this.verifyPassword(id, currentPassword);
+      if (isValidCurrentPassword === null) {
         throw new Error('Usuario no encontrado');
       }
 
       // Verificar contraseña actual
-      const isValidCurrentPassword = await bcrypt.compare(currentPassword, user.password_hash);
       if (!isValidCurrentPassword) {
         throw new Error('La contraseña actual es incorrecta');
       }
 
+      await this.setPassword(id, newPassword);
+
+      return true;
+    } catch (error) {
+      throw new Error(`Error cambiando contraseña: ${error.message}`);
+    }
+  }
+
+  /**
+   * Establecer una contraseña nueva sin comprobar la anterior (restablecimiento)
+   */
+  static async setPassword(id, newPassword) {
+    try {
       // Encriptar nueva contraseña
       const hashedNewPassword = await bcrypt.hash(newPassword, 12);
 
-      // Actualizar contraseña
-      await database.run(
-        'UPDATE users SET password_hash = ?, updated_at = datetime("now") WHERE id = ?',
+      const result = await database.query(
+        'UPDATE users SET password = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
         [hashedNewPassword, id]
       );
 
-      return true;
+      return result.rowCount > 0;
     } catch (error) {
-      throw new Error(`Error cambiando contraseña: ${error.message}`);
+      throw new Error(`Error actualizando contraseña: ${error.message}`);
     }
   }
 
   /**
-   * Eliminar usuario
+   * Marcar el email del usuario como verificado
+   */
+  static async markEmailVerified(id) {
+    try {
+      const result = await database.query(
+        'UPDATE users SET email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND email_verified_at IS NULL',
+        [id]
+      );
+
+      return result.rowCount > 0;
+    } catch (error) {
+      throw new Error(`Error verificando email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Eliminar usuario junto con sus cuestionarios, sesiones y tokens
+   * Se borra explícitamente porque SQLite no aplica los ON DELETE CASCADE
    */
   static async delete(id) {
     try {
-      const result = await database.run(
-        'DELETE FROM users WHERE id = ?',
+      const questionnaires = await database.query('SELECT id FROM questionnaires WHERE user_id = $1', [id]);
+      await Questionnaire.eraseMany(questionnaires.rows.map(row => row.id));
+      await database.query('DELETE FROM sessions WHERE user_id = $1', [id]);
+      await database.query('DELETE FROM user_tokens WHERE user_id = $1', [id]);
+      await database.query('DELETE FROM two_factor_backup_codes WHERE user_id = $1', [id]);
+
+      const result = await database.query(
+        'DELETE FROM users WHERE id = $1',
         [id]
       );
 
-      return result.changes > 0;
+      return result.rowCount > 0;
     } catch (error) {
       throw new Error(`Error eliminando usuario: ${error.message}`);
     }
   }
 
   /**
-   * Obtener perfil público del usuario
+   * Cuántas sesiones, enlaces de un solo uso y códigos de respaldo tiene la cuenta
    */
-  static async getPublicProfile(id) {
+  static async countCredentials(id) {
     try {
-      const user = await database.get(
-        'SELECT id, nombre, apellidos, edad, genero, orientacion_sexual FROM users WHERE id = ?',
+      const count = async (table) => parseInt((await database.query(
+        `SELECT COUNT(*) as total FROM ${table} WHERE user_id = $1`,
         [id]
-      );
+      )).rows[0].total);
+
+      return {
+        sessions: await count('sessions'),
+        userTokens: await count('user_tokens'),
+        twoFactorBackupCodes: await count('two_factor_backup_codes')
+      };
+    } catch (error) {
+      throw new Error(`Error contando credenciales: ${error.message}`);
+    }
+  }
 
+  /**
+   * Obtener el perfil de un usuario (sin contraseña ni secretos)
+   */
+  static async getPublicProfile(id) {
+    try {
+      const user = await this.findById(id);
       if (!user) return null;
 
       return {
         id: user.id,
-        nombre: user.nombre,
-        apellidos: user.apellidos,
-        edad: user.edad,
-        genero: user.genero,
-        orientacionSexual: user.orientacion_sexual
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        emailVerified: !!user.emailVerifiedAt,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt
       };
     } catch (error) {
       throw new Error(`Error obteniendo perfil público: ${error.message}`);
@@ -284,63 +341,52 @@ class User {
   }
 
   /**
-   * Buscar usuarios por criterios
+   * Buscar usuarios (gestión desde administración)
+   * `search` filtra por email o nombre; `role` y `active` son filtros exactos
    */
-  static async search(criteria, options = {}) {
+  static async search(criteria = {}, options = {}) {
     const { page = 1, limit = 10 } = options;
-    const { genero, orientacionSexual, edadMin, edadMax } = criteria;
-    
+    const { search, role, active } = criteria;
+
     try {
-      let whereClause = 'WHERE 1=1';
-      let params = [];
-      
-      if (genero) {
-        whereClause += ' AND genero = ?';
-        params.push(genero);
-      }
-      
-      if (orientacionSexual) {
-        whereClause += ' AND orientacion_sexual = ?';
-        params.push(orientacionSexual);
+      const conditions = [];
+      const params = [];
+
+      if (search) {
+        params.push(`%${search.trim().toLowerCase()}%`);
+        conditions.push(`(LOWER(email) LIKE $${params.length} OR LOWER(name) LIKE $${params.length})`);
       }
-      
-      if (edadMin) {
-        whereClause += ' AND edad >= ?';
-        params.push(edadMin);
+
+      if (role) {
+        params.push(role);
+        conditions.push(`role = $${params.length}`);
       }
-      
-      if (edadMax) {
-        whereClause += ' AND edad <= ?';
-        params.push(edadMax);
+
+      if (active !== undefined) {
+        params.push(active);
+        conditions.push(`active = $${params.length}`);
       }
 
+      const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
       // Contar total
-      const countResult = await database.get(
+      const countResult = await database.query(
         `SELECT COUNT(*) as total FROM users ${whereClause}`,
         params
       );
 
-      const total = countResult.total;
+      const total = parseInt(countResult.rows[0].total);
       const totalPages = Math.ceil(total / limit);
       const offset = (page - 1) * limit;
 
       // Obtener usuarios paginados
-      const users = await database.all(
-        `SELECT id, nombre, apellidos, edad, genero, orientacion_sexual FROM users ${whereClause} ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+      const users = await database.query(
+        `SELECT * FROM users ${whereClause} ORDER BY created_at DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
         [...params, limit, offset]
       );
 
-      const processedUsers = users.map(user => ({
-        id: user.id,
-        nombre: user.nombre,
-        apellidos: user.apellidos,
-        edad: user.edad,
-        genero: user.genero,
-        orientacionSexual: user.orientacion_sexual
-      }));
-
       return {
-        users: processedUsers,
+        users: users.rows.map(user => this.formatForAdmin(user)),
         pagination: {
           page,
           limit,
@@ -354,54 +400,92 @@ class User {
   }
 
   /**
-   * Obtener estadísticas del usuario
+   * Cambiar el rol de un usuario
    */
-  static async getUserStats(id) {
+  static async setRole(id, role) {
     try {
-      const user = await this.findById(id);
-      if (!user) {
-        throw new Error('Usuario no encontrado');
-      }
+      const result = await database.query(
+        'UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [role, id]
+      );
 
-      // Obtener estadísticas de cuestionarios
-      const questionnaireStats = await database.get(
-        'SELECT COUNT(*) as total, SUM(CASE WHEN completed = 1 THEN 1 ELSE 0 END) as completed FROM questionnaires WHERE user_id = ?',
-        [id]
+      return result.rowCount > 0;
+    } catch (error) {
+      throw new Error(`Error cambiando rol: ${error.message}`);
+    }
+  }
+
+  /**
+   * Activar o desactivar una cuenta
+   */
+  static async setActive(id, active) {
+    try {
+      const result = await database.query(
+        'UPDATE users SET active = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [!!active, id]
       );
 
-      // Obtener estadísticas por tipo de cuestionario
-      const typeStats = await database.all(
-        'SELECT type, COUNT(*) as total, SUM(CASE WHEN completed = 1 THEN 1 ELSE 0 END) as completed FROM questionnaires WHERE user_id = ? GROUP BY type',
-        [id]
+      return result.rowCount > 0;
+    } catch (error) {
+      throw new Error(`Error cambiando estado de la cuenta: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sustituir la contraseña por una aleatoria que nadie conoce
+   * El usuario solo puede volver a entrar restableciéndola por email
+   */
+  static async invalidatePassword(id) {
+    return await this.setPassword(id, generateSecureToken(32));
+  }
+
+  /**
+   * Contar los administradores activos
+   */
+  static async countActiveAdmins() {
+    try {
+      const result = await database.query(
+        'SELECT COUNT(*) as total FROM users WHERE role = $1 AND active = $2',
+        ['admin', true]
       );
 
-      const byType = {};
-      typeStats.forEach(stat => {
-        byType[stat.type] = {
-          total: stat.total,
-          completed: stat.completed,
-          pending: stat.total - stat.completed,
-          completionRate: stat.total > 0 ? Math.round((stat.completed / stat.total) * 100) : 0
-        };
-      });
+      return parseInt(result.rows[0].total);
+    } catch (error) {
+      throw new Error(`Error contando administradores: ${error.message}`);
+    }
+  }
+
+  /**
+   * Formatear una fila para los listados de administración (sin contraseña ni secretos)
+   */
+  static formatForAdmin(user) {
+    return {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      active: !!user.active,
+      emailVerified: !!user.email_verified_at,
+      twoFactorEnabled: !!user.two_factor_enabled_at,
+      lockedUntil: user.locked_until && new Date(user.locked_until).getTime() > Date.now() ? user.locked_until : null,
+      createdAt: user.created_at,
+      updatedAt: user.updated_at
+    };
+  }
+
+  /**
+   * Obtener estadísticas del usuario
+   */
+  static async getUserStats(id) {
+    try {
+      const user = await this.getPublicProfile(id);
+      if (!user) {
+        throw new Error('Usuario no encontrado');
+      }
 
       return {
-        user: {
-          id: user.id,
-          nombre: user.nombre,
-          apellidos: user.apellidos,
-          edad: user.edad,
-          genero: user.genero,
-          orientacionSexual: user.orientacionSexual,
-          createdAt: user.createdAt
-        },
-        questionnaires: {
-          total: questionnaireStats.total,
-          completed: questionnaireStats.completed,
-          pending: questionnaireStats.total - questionnaireStats.completed,
-          completionRate: questionnaireStats.total > 0 ? Math.round((questionnaireStats.completed / questionnaireStats.total) * 100) : 0,
-          byType
-        }
+        user,
+        questionnaires: await Questionnaire.getUserStats(id)
       };
     } catch (error) {
       throw new Error(`Error obteniendo estadísticas del usuario: ${error.message}`);
@@ -409,4 +493,6 @@ class User {
   }
 }
 
+User.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
+
 module.exports = User;
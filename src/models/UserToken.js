@@ -0,0 +1,108 @@
+const database = require('../config/database');
+const { generateSecureToken, generateDataHash } = require('../utils/encryption');
+
+// Finalidades admitidas y minutos de validez de cada una
+const TOKEN_TTL_MINUTES = {
+  password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  email_verification: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60,
+  magic_link: parseInt(process.env.MAGIC_LINK_TTL_MINUTES) || 15
+};
+
+/**
+ * Modelo de tokens de un solo uso asociados a un usuario
+ * Solo se guarda el hash del token; el valor en claro se envía una única vez por email
+ */
+class UserToken {
+  /**
+   * Emitir un token nuevo; invalida los tokens pendientes del mismo usuario y finalidad
+   */
+  static async issue(userId, purpose) {
+    const ttlMinutes = TOKEN_TTL_MINUTES[purpose];
+    if (!ttlMinutes) {
+      throw new Error(`Finalidad de token no soportada: ${purpose}`);
+    }
+
+    try {
+      await this.invalidateAll(userId, purpose);
+
+      const token = generateSecureToken(32);
+      const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString();
+
+      await database.query(
+        'INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at, created_at) VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)',
+        [userId, purpose, generateDataHash(token), expiresAt]
+      );
+
+      console.log(`🔑 Token ${purpose} emitido para el usuario ${userId}`);
+      return { token, expiresAt };
+    } catch (error) {
+      throw new Error(`Error emitiendo token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Consumir un token: lo marca como usado y devuelve el token formateado,
+   * o null si no existe, ya se usó o ha caducado
+   */
+  static async consume(token, purpose) {
+    if (!token || typeof token !== 'string') return null;
+
+    try {
+      const result = await database.query(
+        'SELECT * FROM user_tokens WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL',
+        [generateDataHash(token), purpose]
+      );
+
+      if (result.rows.length === 0) return null;
+
+      const userToken = this.format(result.rows[0]);
+      if (new Date(userToken.expiresAt) <= new Date()) return null;
+
+      // La condición sobre used_at garantiza un único uso aunque lleguen dos peticiones a la vez
+      const update = await database.query(
+        'UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1 AND used_at IS NULL',
+        [userToken.id]
+      );
+
+      if (update.rowCount === 0) return null;
+
+      return userToken;
+    } catch (error) {
+      throw new Error(`Error consumiendo token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Invalidar los tokens pendientes de un usuario para una finalidad
+   */
+  static async invalidateAll(userId, purpose) {
+    try {
+      const result = await database.query(
+        'UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+        [userId, purpose]
+      );
+
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(`Error invalidando tokens: ${error.message}`);
+    }
+  }
+
+  /**
+   * Formatear una fila de la tabla
+   */
+  static format(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      purpose: row.purpose,
+      expiresAt: row.expires_at,
+      usedAt: row.used_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+UserToken.PURPOSES = Object.keys(TOKEN_TTL_MINUTES);
+
+module.exports = UserToken;
@@ -2,11 +2,31 @@ const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
 const Joi = require('joi');
-const { authenticateToken, requireRole } = require('../middleware/auth-simple');
+const { authenticateToken, requirePermission, issueTokens } = require('../middleware/auth-simple');
 const User = require('../models/User');
-
-// Middleware para verificar que sea admin
-const requireAdmin = requireRole('admin');
+const Questionnaire = require('../models/Questionnaire');
+const QuestionnaireResult = require('../models/QuestionnaireResult');
+const QuestionnaireRevision = require('../models/QuestionnaireRevision');
+const RiskFlag = require('../models/RiskFlag');
+const PartnerInvitation = require('../models/PartnerInvitation');
+const TwoFactor = require('../models/TwoFactor');
+const AccountLockout = require('../models/AccountLockout');
+const AuditLog = require('../models/AuditLog');
+const Session = require('../models/Session');
+const { sendPasswordResetEmail } = require('../utils/accountEmails');
+const { generateSecureToken, hashEmail } = require('../utils/encryption');
+const { getEncryptionStatus, startReencryptionJob, getReencryptionJob } = require('../utils/dataReencryption');
+const { buildDataExport, exportFilename, exportSummary } = require('../utils/dataExport');
+const { ERASURE_MODES, planErasure, executeErasure, isStaffAccount } = require('../utils/dataErasure');
+const ErasureRequest = require('../models/ErasureRequest');
+const PrivacyPolicy = require('../models/PrivacyPolicy');
+const Consent = require('../models/Consent');
+const { CONSENT_PURPOSES } = require('../config/privacy');
+const OidcLoginRequest = require('../models/OidcLoginRequest');
+const oidc = require('../utils/oidc');
+const oidcConfig = require('../config/oidc');
+const questionnaireDefinitions = require('../config/questionnaires');
+const { ROLES, hasPermission, getPermissions, canReadQuestionnaire } = require('../config/permissions');
 
 // Esquemas de validación
 const loginSchema = Joi.object({
@@ -20,6 +40,54 @@ const loginSchema = Joi.object({
   })
 });
 
+// Roles de personal que se pueden crear desde el panel
+const STAFF_ROLES = ['professional', 'assistant'];
+
+const createUserSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'El email debe tener un formato válido',
+    'any.required': 'El email es requerido'
+  }),
+  nombre: Joi.string().trim().min(1).required().messages({
+    'any.required': 'El nombre es requerido'
+  }),
+  apellidos: Joi.string().trim().min(1).required().messages({
+    'any.required': 'Los apellidos son requeridos'
+  }),
+  role: Joi.string().valid(...STAFF_ROLES).required().messages({
+    'any.only': `El rol debe ser uno de: ${STAFF_ROLES.join(', ')}`,
+    'any.required': 'El rol es requerido'
+  })
+});
+
+const privacyExportSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'El email debe tener un formato válido',
+    'any.required': 'El email es requerido'
+  }),
+  reason: Joi.string().trim().max(500).allow('', null)
+});
+
+const privacyErasureSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'El email debe tener un formato válido',
+    'any.required': 'El email es requerido'
+  }),
+  mode: Joi.string().valid(...ERASURE_MODES).required().messages({
+    'any.only': `El modo debe ser uno de: ${ERASURE_MODES.join(', ')}`,
+    'any.required': 'El modo es requerido'
+  }),
+  reason: Joi.string().trim().max(500).allow('', null),
+  dryRun: Joi.boolean().default(false)
+});
+
+const privacyPolicySchema = Joi.object({
+  content: Joi.string().trim().min(1).required().messages({
+    'string.empty': 'El texto de la política es requerido',
+    'any.required': 'El texto de la política es requerido'
+  })
+});
+
 // ========================================
 // LOGIN ADMIN
 // ========================================
@@ -65,14 +133,28 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Verificar que sea admin
-    if (user.role !== 'admin') {
+    // Verificar que el rol tenga acceso al panel (admin, professional, assistant)
+    if (!hasPermission(user.role, 'panel:access')) {
       if (process.env.NODE_ENV === 'development') {
-        console.log('❌ No es admin, role:', user.role);
+        console.log('❌ Sin acceso al panel, role:', user.role);
       }
       return res.status(403).json({
         success: false,
-        message: 'Acceso denegado. Solo administradores.'
+        message: 'Acceso denegado. Solo personal autorizado.'
+      });
+    }
+
+    // Bloqueo temporal o espera progresiva tras intentos fallidos; el intento se
+    // reserva antes de comprobar la contraseña
+    const attempt = await AccountLockout.reserveAttempt(user.id);
+    if (!attempt.allowed) {
+      res.set('Retry-After', String(attempt.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: attempt.locked
+          ? `Cuenta bloqueada temporalmente. Inténtalo de nuevo en ${attempt.retryAfterSeconds} segundos`
+          : `Demasiados intentos. Inténtalo de nuevo en ${attempt.retryAfterSeconds} segundos`,
+        retryAfter: attempt.retryAfterSeconds
       });
     }
 
@@ -83,15 +165,26 @@ router.post('/login', async (req, res) => {
       if (process.env.NODE_ENV === 'development') {
         console.log('❌ Contraseña incorrecta');
       }
+      await AccountLockout.registerFailure(user.id, attempt, req);
       return res.status(401).json({
         success: false,
         message: 'Credenciales inválidas'
       });
     }
 
-    // Generar token JWT
-    const { generateToken } = require('../middleware/auth-simple');
-    const accessToken = generateToken(user.id, user.role);
+    // El contador se reinicia cuando se abre la sesión (beginLogin o /2fa/verify)
+    await AccountLockout.releaseAttempt(user.id);
+
+    if (!user.active) {
+      return res.status(403).json({
+        success: false,
+        message: 'Cuenta desactivada'
+      });
+    }
+
+    // Abrir sesión o pedir el segundo factor (ver /api/auth/2fa)
+    const { beginLogin } = require('../middleware/auth-simple');
+    const loginResult = await beginLogin(user, req);
 
     if (process.env.NODE_ENV === 'development') {
       console.log('✅ LOGIN ADMIN EXITOSO:', { userId: user.id, email: user.email });
@@ -99,7 +192,7 @@ router.post('/login', async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Login admin exitoso',
+      message: loginResult.accessToken ? 'Login admin exitoso' : 'Se requiere verificación en dos pasos',
       data: {
         user: {
           id: user.id,
@@ -107,7 +200,7 @@ router.post('/login', async (req, res) => {
           email: user.email,
           role: user.role
         },
-        accessToken
+        ...loginResult
       }
     });
 
@@ -120,10 +213,301 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// ========================================
+// INICIO DE SESIÓN ÚNICO (OIDC)
+// ========================================
+
+/**
+ * Buscar (o crear) la cuenta local de los claims del proveedor de identidad
+ * Solo por el sub vinculado: una cuenta local que ya existe se vincula de forma
+ * explícita desde POST /api/admin/sso/link, nunca por coincidir el email
+ * Devuelve { user } o { status, error } con el motivo del rechazo
+ */
+async function resolveSsoUser(claims, role) {
+  const linked = await User.findByOidcSubject(claims.sub);
+  if (linked) return { user: linked };
+
+  const email = claims.email_verified === true && typeof claims.email === 'string'
+    ? claims.email.toLowerCase()
+    : null;
+  if (!email) {
+    return { status: 403, error: 'El proveedor de identidad no ha facilitado un email verificado' };
+  }
+
+  if (await User.findByEmail(email)) {
+    return {
+      status: 409,
+      error: 'Ya existe una cuenta del panel con este email. Inicia sesión con tu contraseña y vincula el proveedor de identidad desde tu perfil'
+    };
+  }
+
+  if (!oidcConfig.autoProvision) {
+    return { status: 403, error: 'No existe una cuenta del panel para este usuario' };
+  }
+
+  const [nombre, ...apellidos] = String(claims.name || email.split('@')[0]).split(' ');
+  const user = await User.create({
+    nombre,
+    apellidos: apellidos.join(' '),
+    correo: email,
+    password: generateSecureToken(32)
+  }, { role, emailVerified: true });
+  await User.linkOidcSubject(user.id, claims.sub);
+  console.log(`👤 Cuenta de ${role} creada por SSO: ${user.id}`);
+
+  return { user: await User.findById(user.id) };
+}
+
+/**
+ * Canjear el code del proveedor y validar su id_token
+ * Devuelve { claims } o { status, message, error } con la respuesta de error
+ */
+async function completeSsoRedirect(body) {
+  const { code, state, error: providerError, error_description: providerErrorDescription } = body;
+
+  if (providerError) {
+    return {
+      status: 401,
+      message: 'El proveedor de identidad ha rechazado el inicio de sesión',
+      error: providerErrorDescription || providerError
+    };
+  }
+
+  if (!code || !state) {
+    return { status: 400, message: 'Faltan el code o el state del proveedor de identidad' };
+  }
+
+  const loginRequest = await OidcLoginRequest.consume(state);
+  if (!loginRequest) {
+    return { status: 400, message: 'El inicio de sesión no es válido o ha caducado. Vuelve a intentarlo' };
+  }
+
+  let tokenSet;
+  try {
+    tokenSet = await oidc.exchangeCode(code, loginRequest.codeVerifier);
+  } catch (error) {
+    console.error('❌ Error canjeando el código SSO:', error.message);
+    return { status: 401, message: 'No se pudo completar el inicio de sesión con el proveedor de identidad' };
+  }
+
+  try {
+    return { claims: await oidc.verifyIdToken(tokenSet.id_token, loginRequest.nonce) };
+  } catch (error) {
+    console.error('❌ id_token SSO rechazado:', error.message);
+    return { status: 401, message: 'La respuesta del proveedor de identidad no es válida' };
+  }
+}
+
+// Respuesta cuando el SSO no está configurado
+const ssoDisabled = (res) => res.status(404).json({
+  success: false,
+  message: 'El inicio de sesión único no está configurado'
+});
+
+/**
+ * GET /api/admin/sso/login
+ * Iniciar el login SSO: devuelve la URL del proveedor a la que redirigir y el state,
+ * que el panel debe guardar y comparar con el que llegue en la redirección de vuelta.
+ * También inicia la vinculación de una cuenta existente (POST /api/admin/sso/link)
+ */
+router.get('/sso/login', async (req, res) => {
+  try {
+    if (!oidcConfig.isEnabled()) return ssoDisabled(res);
+
+    const loginRequest = await OidcLoginRequest.create();
+    const authorizationUrl = await oidc.buildAuthorizationUrl({
+      state: loginRequest.state,
+      nonce: loginRequest.nonce,
+      codeChallenge: oidc.buildCodeChallenge(loginRequest.codeVerifier)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        authorizationUrl,
+        state: loginRequest.state,
+        expiresAt: loginRequest.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error iniciando login SSO:', error);
+    res.status(502).json({
+      success: false,
+      message: 'No se pudo contactar con el proveedor de identidad',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/sso/callback
+ * Completar el login SSO con el code y el state que el proveedor devolvió al panel
+ * Si el proveedor devolvió un error, el panel lo reenvía en `error`
+ * El 2FA local se exige igual que con contraseña salvo que OIDC_TRUST_PROVIDER_MFA
+ * esté activado y el id_token acredite el segundo factor (amr/acr)
+ */
+router.post('/sso/callback', async (req, res) => {
+  try {
+    if (!oidcConfig.isEnabled()) return ssoDisabled(res);
+
+    const redirect = await completeSsoRedirect(req.body);
+    if (!redirect.claims) {
+      return res.status(redirect.status).json({
+        success: false,
+        message: redirect.message,
+        error: redirect.error
+      });
+    }
+
+    const { claims } = redirect;
+    const role = oidcConfig.mapClaimsToRole(claims);
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: 'Tu cuenta del proveedor de identidad no tiene acceso al panel'
+      });
+    }
+
+    const resolved = await resolveSsoUser(claims, role);
+    if (resolved.error) {
+      return res.status(resolved.status).json({
+        success: false,
+        message: resolved.error
+      });
+    }
+
+    const { user } = resolved;
+    if (!user.active) {
+      return res.status(403).json({
+        success: false,
+        message: 'Cuenta desactivada'
+      });
+    }
+
+    // En las cuentas vinculadas el proveedor de identidad manda sobre el rol del personal
+    if (user.role !== role) {
+      await User.setRole(user.id, role);
+      await Session.revokeAllForUser(user.id);
+      await AuditLog.record({
+        action: 'user_role_changed',
+        resource: 'user',
+        resourceId: user.id,
+        details: { from: user.role, to: role, source: 'sso' },
+        req
+      });
+    }
+
+    const providerMfa = oidcConfig.providerVerifiedMfa(claims);
+    const { beginLogin } = require('../middleware/auth-simple');
+    const loginResult = providerMfa
+      ? await issueTokens(user.id, role, req)
+      : await beginLogin({ ...user, role }, req);
+
+    await AuditLog.record({
+      userId: user.id,
+      action: 'sso_login',
+      resource: 'user',
+      resourceId: user.id,
+      details: { subject: claims.sub, providerMfa, completed: !!loginResult.accessToken },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: loginResult.accessToken ? 'Login SSO exitoso' : 'Se requiere verificación en dos pasos',
+      data: {
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          role
+        },
+        ...loginResult
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error en login SSO:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/sso/link
+ * Vincular la cuenta con la que se ha iniciado sesión a una identidad del proveedor
+ * El panel inicia el flujo con GET /api/admin/sso/login y reenvía aquí el code y el
+ * state en lugar de a /sso/callback. El email verificado por el proveedor debe ser
+ * el de la cuenta; a partir de entonces el rol se sincroniza con sus grupos
+ */
+router.post('/sso/link', authenticateToken, requirePermission('panel:access'), async (req, res) => {
+  try {
+    if (!oidcConfig.isEnabled()) return ssoDisabled(res);
+
+    const redirect = await completeSsoRedirect(req.body);
+    if (!redirect.claims) {
+      return res.status(redirect.status).json({
+        success: false,
+        message: redirect.message,
+        error: redirect.error
+      });
+    }
+
+    const { claims } = redirect;
+    const user = await User.findById(req.user.userId);
+    const email = claims.email_verified === true && typeof claims.email === 'string'
+      ? claims.email.toLowerCase()
+      : null;
+
+    if (!user || !email || email !== String(user.email).toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        message: 'El email verificado por el proveedor de identidad no coincide con el de tu cuenta'
+      });
+    }
+
+    const linked = await User.findByOidcSubject(claims.sub);
+    if ((linked && linked.id !== user.id) || (user.oidcSubject && user.oidcSubject !== claims.sub)) {
+      return res.status(409).json({
+        success: false,
+        message: 'La cuenta o la identidad del proveedor ya están vinculadas a otra'
+      });
+    }
+
+    await User.linkOidcSubject(user.id, claims.sub);
+
+    await AuditLog.record({
+      userId: user.id,
+      action: 'sso_linked',
+      resource: 'user',
+      resourceId: user.id,
+      details: { subject: claims.sub },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Cuenta vinculada con el proveedor de identidad'
+    });
+
+  } catch (error) {
+    console.error('❌ Error vinculando cuenta SSO:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
 // ========================================
 // PERFIL ADMIN
 // ========================================
-router.get('/profile', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/profile', authenticateToken, requirePermission('panel:access'), async (req, res) => {
   try {
     console.log('👤 OBTENIENDO PERFIL ADMIN:', { userId: req.user.userId });
     
@@ -144,7 +528,8 @@ router.get('/profile', authenticateToken, requireAdmin, async (req, res) => {
           name: user.name,
           email: user.email,
           role: user.role
-        }
+        },
+        permissions: getPermissions(user.role)
       }
     });
 
@@ -157,10 +542,46 @@ router.get('/profile', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * Descifrar una fila de questionnaires leída directamente de la tabla
+ * Las filas en claro (encryption_key_version NULL) se devuelven tal cual para que las
+ * correcciones de datos las sigan tratando; devuelve null si una fila cifrada no se
+ * puede descifrar (p. ej. falta la clave de su versión), para no darla por corrupta
+ */
+function decryptQuestionnaireRow(row) {
+  if (row.encryption_key_version === null || row.encryption_key_version === undefined) {
+    return row;
+  }
+
+  try {
+    return Questionnaire.decryptRow(row);
+  } catch (error) {
+    console.error(`❌ No se pudo descifrar el cuestionario ${row.id}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Sobrescribir los datos de un cuestionario desde las correcciones de datos (cifrados)
+ */
+async function overwriteQuestionnaireData(db, id, personalInfo, answers) {
+  const encrypted = Questionnaire.encryptData(personalInfo, answers);
+
+  await db.query(`
+    UPDATE questionnaires 
+    SET 
+      personal_info = $1,
+      answers = $2,
+      encryption_key_version = $3,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $4
+  `, [encrypted.personalInfo, encrypted.answers, encrypted.keyVersion, id]);
+}
+
 // ========================================
 // ENDPOINT TEMPORAL PARA FORZAR CORRECCIÓN DE DATOS
 // ========================================
-router.get('/questionnaires-fixed', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/questionnaires-fixed', authenticateToken, requirePermission('data:fix'), async (req, res) => {
   try {
     console.log('🔧 EJECUTANDO CORRECCIÓN FORZADA DE DATOS...');
     
@@ -168,7 +589,7 @@ router.get('/questionnaires-fixed', authenticateToken, requireAdmin, async (req,
     
     // Obtener todos los cuestionarios
     const result = await database.query(`
-      SELECT id, personal_info, answers, type, created_at
+      SELECT id, personal_info, answers, encryption_key_version, type, created_at
       FROM questionnaires
       ORDER BY created_at DESC
     `);
@@ -177,7 +598,10 @@ router.get('/questionnaires-fixed', authenticateToken, requireAdmin, async (req,
 
     let fixedCount = 0;
 
-    for (const row of result.rows) {
+    for (const rawRow of result.rows) {
+      const row = decryptQuestionnaireRow(rawRow);
+      if (!row) continue;
+
       console.log(`\n🔍 Procesando cuestionario ID ${row.id}:`);
 
       let needsUpdate = false;
@@ -236,18 +660,8 @@ router.get('/questionnaires-fixed', authenticateToken, requireAdmin, async (req,
       if (needsUpdate) {
         console.log(`   🔄 Actualizando cuestionario ID ${row.id}...`);
         
-        await database.query(`
-          UPDATE questionnaires 
-          SET 
-            personal_info = $1,
-            answers = $2,
-            updated_at = NOW()
-          WHERE id = $3
-        `, [
-          JSON.stringify(newPersonalInfo),
-          JSON.stringify(newAnswers),
-          row.id
-        ]);
+        await overwriteQuestionnaireData(database, row.id, newPersonalInfo, newAnswers);
+        await QuestionnaireRevision.record(await Questionnaire.findById(row.id), 'admin_fix', req.user.userId);
         
         console.log(`   ✅ Cuestionario ID ${row.id} actualizado`);
         fixedCount++;
@@ -263,6 +677,7 @@ router.get('/questionnaires-fixed', authenticateToken, requireAdmin, async (req,
         q.type,
         q.personal_info as personal_info,
         q.answers as answers,
+        q.encryption_key_version,
         q.status,
         q.created_at,
         u.email as user_email,
@@ -272,7 +687,10 @@ router.get('/questionnaires-fixed', authenticateToken, requireAdmin, async (req,
       ORDER BY q.created_at DESC
     `);
     
-    const questionnaires = correctedResult.rows || [];
+    // Las filas que no se pueden descifrar se muestran con los valores por defecto
+    const questionnaires = (correctedResult.rows || []).map(row =>
+      decryptQuestionnaireRow(row) || { ...row, personal_info: null, answers: null }
+    );
     
     // Procesar cada cuestionario con la nueva lógica
     const processedQuestionnaires = questionnaires.map(q => {
@@ -326,22 +744,18 @@ router.get('/questionnaires-fixed', authenticateToken, requireAdmin, async (req,
     });
     
     // Separar por tipo
-    const parejaQuestionnaires = processedQuestionnaires.filter(q => q.type === 'pareja');
-    const personalidadQuestionnaires = processedQuestionnaires.filter(q => q.type === 'personalidad');
-    
     const response = {
       success: true,
       total: questionnaires.length,
-      fixedCount: fixedCount,
-      pareja: {
-        count: parejaQuestionnaires.length,
-        questionnaires: parejaQuestionnaires
-      },
-      personalidad: {
-        count: personalidadQuestionnaires.length,
-        questionnaires: personalidadQuestionnaires
-      }
+      fixedCount: fixedCount
     };
+    questionnaireDefinitions.getTypes().forEach(type => {
+      const typeQuestionnaires = processedQuestionnaires.filter(q => q.type === type);
+      response[type] = {
+        count: typeQuestionnaires.length,
+        questionnaires: typeQuestionnaires
+      };
+    });
     
     res.json(response);
     
@@ -358,76 +772,53 @@ router.get('/questionnaires-fixed', authenticateToken, requireAdmin, async (req,
 // ========================================
 // OBTENER TODOS LOS CUESTIONARIOS (SIN FILTRO DE USUARIO)
 // ========================================
-router.get('/questionnaires', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/questionnaires', authenticateToken, requirePermission('questionnaires:read', 'questionnaires:read_assigned'), async (req, res) => {
   try {
-    console.log(`\n🚀 ===== INICIO ENDPOINT /api/admin/questionnaires =====`);
-    console.log(`⏰ Timestamp: ${new Date().toISOString()}`);
-    console.log(`🔄 Versión del código: 2025-09-01-v2.1 (CON CAMPOS COMPLETOS)`);
-    console.log(`📊 OBTENIENDO TODOS LOS CUESTIONARIOS (ADMIN)`);
-    console.log(`🔍 DEBUG: Headers recibidos:`, req.headers);
-    console.log(`🔍 DEBUG: User ID del token:`, req.user?.userId);
-    console.log(`🔍 DEBUG: User role del token:`, req.user?.userRole);
-    console.log(`🔍 DEBUG: IP del cliente:`, req.ip || req.connection.remoteAddress);
-    console.log(`🔍 DEBUG: User-Agent:`, req.get('User-Agent'));
+    // Solo IDs y recuentos: los datos personales y las respuestas no van al log
+    console.log(`📊 OBTENIENDO TODOS LOS CUESTIONARIOS (ADMIN): usuario ${req.user.userId} (${req.user.userRole})`);
     
     // Usar la base de datos configurada (PostgreSQL en producción)
     const database = require('../config/database');
-    console.log('🔍 DEBUG: Base de datos configurada:', database ? 'OK' : 'ERROR');
     
-    // Obtener TODOS los cuestionarios sin filtrar por usuario
+    // Obtener todos los cuestionarios, o solo los asignados si el rol no puede ver todos
+    const onlyAssigned = !hasPermission(req.user.userRole, 'questionnaires:read');
     const query = `
       SELECT 
         q.id,
         q.type,
         q.personal_info as personal_info,
         q.answers as answers,
+        q.encryption_key_version,
         q.status,
+        q.assigned_to,
         q.created_at,
         u.email as user_email,
         u.name as user_name
       FROM questionnaires q
       LEFT JOIN users u ON q.user_id = u.id
+      ${onlyAssigned ? 'WHERE q.assigned_to = $1' : ''}
       ORDER BY q.created_at DESC
     `;
     
-    console.log('🔍 DEBUG: Ejecutando consulta SQL...');
-    const result = await database.query(query);
-    const questionnaires = result.rows || [];
+    const result = await database.query(query, onlyAssigned ? [req.user.userId] : []);
+    // Las filas que no se pueden descifrar se muestran con los valores por defecto
+    const questionnaires = (result.rows || []).map(row =>
+      decryptQuestionnaireRow(row) || { ...row, personal_info: null, answers: null }
+    );
     
-    console.log(`📊 Total de cuestionarios encontrados: ${questionnaires.length}`);
-    console.log(`🔍 DEBUG: Resultado de la consulta:`, {
-      rowCount: result.rowCount,
-      rowsLength: questionnaires.length,
-      hasRows: questionnaires.length > 0
-    });
-    console.log(`🔍 DEBUG: Primer cuestionario raw:`, questionnaires[0]);
+    // Resultados calculados de los cuestionarios completados
+    const resultsByQuestionnaire = await QuestionnaireResult.findByQuestionnaireIds(
+      questionnaires.map(q => q.id)
+    );
+    const riskFlagsByQuestionnaire = await RiskFlag.findByQuestionnaireIds(
+      questionnaires.map(q => q.id)
+    );
     
     // Procesar cada cuestionario
     const processedQuestionnaires = questionnaires.map(q => {
       let personalInfo = {};
       let answers = {};
       
-      // 🔍 DEBUG: Log detallado de lo que viene de la BD
-      console.log(`\n🔍 ===== DEBUG CUESTIONARIO ID ${q.id} =====`);
-      console.log(`📋 Tipo: ${q.type}`);
-      console.log(`📅 Creado: ${q.created_at}`);
-      console.log(`👤 Usuario: ${q.user_name} (${q.user_email})`);
-      console.log(`📊 Status: ${q.status}`);
-      console.log(`\n🔍 DATOS RAW DE LA BASE DE DATOS:`);
-      console.log(`   - personal_info (raw):`, q.personal_info);
-      console.log(`   - personal_info type:`, typeof q.personal_info);
-      console.log(`   - personal_info length:`, q.personal_info ? q.personal_info.length : 'N/A');
-      console.log(`   - answers (raw):`, q.answers);
-      console.log(`   - answers type:`, typeof q.answers);
-      console.log(`   - answers length:`, q.answers ? q.answers.length : 'N/A');
-      console.log(`\n🔍 CONTENIDO DETALLADO:`);
-      if (q.personal_info) {
-        console.log(`   📝 personal_info content:`, JSON.stringify(q.personal_info, null, 2));
-      }
-      if (q.answers) {
-        console.log(`   📝 answers content:`, JSON.stringify(q.answers, null, 2));
-      }
-      
       // 🔧 LÓGICA DE PARSING MEJORADA
       try {
         // Procesar personal_info
@@ -444,7 +835,6 @@ router.get('/questionnaires', authenticateToken, requireAdmin, async (req, res)
         }
         
         // 🔧 GARANTIZAR CAMPOS COMPLETOS EN PERSONAL_INFO
-        console.log(`   🔧 ANTES de garantizar campos - personalInfo:`, JSON.stringify(personalInfo, null, 2));
         personalInfo = {
           nombre: personalInfo.nombre || 'Usuario',
           apellidos: personalInfo.apellidos || 'Desconocido',
@@ -453,7 +843,6 @@ router.get('/questionnaires', authenticateToken, requireAdmin, async (req, res)
           correo: personalInfo.correo || 'N/A',
           orientacionSexual: personalInfo.orientacionSexual || 'N/A'
         };
-        console.log(`   ✅ DESPUÉS de garantizar campos - personalInfo:`, JSON.stringify(personalInfo, null, 2));
         
         // Procesar answers
         if (q.answers) {
@@ -473,26 +862,8 @@ router.get('/questionnaires', authenticateToken, requireAdmin, async (req, res)
           answers = {};
         }
         
-        // 🔍 DEBUG: Log después del parse
-        console.log(`\n✅ PARSE EXITOSO PARA ID ${q.id}:`);
-        console.log(`   📋 personalInfo procesado:`, JSON.stringify(personalInfo, null, 2));
-        console.log(`   📋 personalInfo.nombre:`, personalInfo.nombre);
-        console.log(`   📋 personalInfo.apellidos:`, personalInfo.apellidos);
-        console.log(`   📋 personalInfo.edad:`, personalInfo.edad);
-        console.log(`   📋 personalInfo.genero:`, personalInfo.genero);
-        console.log(`   📋 personalInfo.correo:`, personalInfo.correo);
-        console.log(`   📋 personalInfo.orientacionSexual:`, personalInfo.orientacionSexual);
-        console.log(`   📋 answers procesado:`, JSON.stringify(answers, null, 2));
-        console.log(`   📋 answers keys:`, Object.keys(answers));
-        console.log(`   📋 answers count:`, Object.keys(answers).length);
-        
       } catch (e) {
         console.warn('⚠️ Error parseando JSON para ID', q.id, ':', e.message);
-        console.error('❌ DEBUG: Contenido problemático:', {
-          personal_info: q.personal_info,
-          answers: q.answers,
-          error: e.message
-        });
         
         // 🔧 FALLBACK MEJORADO
         personalInfo = { 
@@ -506,64 +877,40 @@ router.get('/questionnaires', authenticateToken, requireAdmin, async (req, res)
         answers = {};
       }
       
-      const result = {
+      return {
         id: q.id,
         type: q.type,
         status: q.status,
         personalInfo: personalInfo,
         answers: answers,
+        results: resultsByQuestionnaire[q.id] || null,
+        riskFlags: riskFlagsByQuestionnaire[q.id] || [],
+        assignedTo: q.assigned_to || null,
         userEmail: q.user_email,
         userName: q.user_name,
         createdAt: q.created_at
       };
-      
-      console.log(`\n📤 RESULTADO FINAL PARA ID ${q.id}:`);
-      console.log(`   📋 Resultado completo:`, JSON.stringify(result, null, 2));
-      console.log(`🔍 ===== FIN DEBUG CUESTIONARIO ID ${q.id} =====\n`);
-      
-      return result;
     });
     
-    // Separar por tipo
-    const parejaQuestionnaires = processedQuestionnaires.filter(q => q.type === 'pareja');
-    const personalidadQuestionnaires = processedQuestionnaires.filter(q => q.type === 'personalidad');
-    
-    console.log(`📊 Procesamiento completado:`);
-    console.log(`   - Total procesados: ${processedQuestionnaires.length}`);
-    console.log(`   - Pareja: ${parejaQuestionnaires.length}`);
-    console.log(`   - Personalidad: ${personalidadQuestionnaires.length}`);
-    console.log(`🔍 DEBUG: Primer cuestionario procesado:`, processedQuestionnaires[0]);
-    
+    // Separar por tipo (una clave por cada tipo registrado: pareja, personalidad, phq9...)
     const response = {
       success: true,
-      total: questionnaires.length,
-      pareja: {
-        count: parejaQuestionnaires.length,
-        questionnaires: parejaQuestionnaires
-      },
-      personalidad: {
-        count: personalidadQuestionnaires.length,
-        questionnaires: personalidadQuestionnaires
-      }
+      total: questionnaires.length
     };
-    
-    console.log(`\n📤 ===== ENVIANDO RESPUESTA AL FRONTEND =====`);
-    console.log(`📊 Resumen de la respuesta:`, {
-      success: response.success,
-      total: response.total,
-      pareja_count: response.pareja.count,
-      personalidad_count: response.personalidad.count
+    const countsByType = {};
+    questionnaireDefinitions.getTypes().forEach(type => {
+      const typeQuestionnaires = processedQuestionnaires.filter(q => q.type === type);
+      response[type] = {
+        count: typeQuestionnaires.length,
+        questionnaires: typeQuestionnaires
+      };
+      countsByType[type] = typeQuestionnaires.length;
     });
     
-    console.log(`\n📋 RESPUESTA COMPLETA:`);
-    console.log(JSON.stringify(response, null, 2));
-    
-    console.log(`\n✅ Cuestionarios obtenidos exitosamente:`, {
+    console.log(`✅ Cuestionarios obtenidos exitosamente:`, {
       total: response.total,
-      pareja: response.pareja.count,
-      personalidad: response.personalidad.count
+      ...countsByType
     });
-    console.log(`📤 ===== FIN ENVÍO RESPUESTA =====\n`);
     
     res.json(response);
     
@@ -580,21 +927,21 @@ router.get('/questionnaires', authenticateToken, requireAdmin, async (req, res)
 // ========================================
 // LIMPIAR DATOS CORRUPTOS
 // ========================================
-router.delete('/clean-corrupted-data', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/clean-corrupted-data', authenticateToken, requirePermission('data:fix'), async (req, res) => {
   try {
     console.log('🧹 ADMIN SOLICITANDO LIMPIEZA DE DATOS CORRUPTOS');
     
     const database = require('../config/database');
     
     // 1. Verificar cuestionarios existentes
-    const questionnaires = await database.query('SELECT id, answers FROM questionnaires');
+    const questionnaires = await database.query('SELECT id, personal_info, answers, encryption_key_version FROM questionnaires');
     console.log(`📊 Total cuestionarios encontrados: ${questionnaires.rows.length}`);
     
-    // 2. Identificar cuestionarios corruptos
+    // 2. Identificar cuestionarios corruptos (los que no se pueden descifrar no se tocan)
     const corruptedIds = [];
-    questionnaires.rows.forEach(row => {
+    questionnaires.rows.map(decryptQuestionnaireRow).filter(Boolean).forEach(row => {
       try {
-        const answers = JSON.parse(row.answers);
+        const answers = typeof row.answers === 'string' ? JSON.parse(row.answers) : row.answers;
         // Verificar si alguna respuesta contiene [object Object]
         const hasCorruptedData = Object.values(answers).some(answer => 
           String(answer).includes('[object Object]')
@@ -623,7 +970,7 @@ router.delete('/clean-corrupted-data', authenticateToken, requireAdmin, async (r
     // 3. Eliminar cuestionarios corruptos
     let deletedCount = 0;
     for (const id of corruptedIds) {
-      await database.query('DELETE FROM questionnaires WHERE id = $1', [id]);
+      await Questionnaire.eraseMany([id]);
       deletedCount++;
       console.log(`✅ Cuestionario ${id} eliminado`);
     }
@@ -654,7 +1001,7 @@ router.delete('/clean-corrupted-data', authenticateToken, requireAdmin, async (r
 // ========================================
 // ELIMINAR CUESTIONARIO INDIVIDUAL
 // ========================================
-router.delete('/questionnaires/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/questionnaires/:id', authenticateToken, requirePermission('questionnaires:delete'), async (req, res) => {
   try {
     const { id } = req.params;
     console.log(`🗑️ ADMIN SOLICITANDO ELIMINAR CUESTIONARIO ID: ${id}`);
@@ -678,8 +1025,8 @@ router.delete('/questionnaires/:id', authenticateToken, requireAdmin, async (req
     const questionnaire = existingQuestionnaire.rows[0];
     console.log(`📝 Cuestionario a eliminar: ID ${id}, Tipo: ${questionnaire.type}`);
     
-    // 2. Eliminar el cuestionario
-    await database.query('DELETE FROM questionnaires WHERE id = $1', [id]);
+    // 2. Eliminar el cuestionario con todo lo que depende de él (SQLite no aplica los ON DELETE CASCADE)
+    await Questionnaire.eraseMany([questionnaire.id]);
     console.log(`✅ Cuestionario ${id} eliminado exitosamente`);
     
     // 3. Verificar resultado
@@ -703,10 +1050,71 @@ router.delete('/questionnaires/:id', authenticateToken, requireAdmin, async (req
   }
 });
 
+/**
+ * PUT /api/admin/questionnaires/:id/assignment
+ * Asignar un cuestionario a un profesional ({ professionalId }, null para quitarlo)
+ */
+router.put('/questionnaires/:id/assignment', authenticateToken, requirePermission('questionnaires:assign'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { professionalId = null } = req.body;
+    console.log('🩺 ASIGNANDO CUESTIONARIO:', { id, professionalId });
+
+    const questionnaire = await Questionnaire.findById(id);
+    if (!questionnaire) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cuestionario no encontrado'
+      });
+    }
+
+    if (professionalId !== null) {
+      const professional = await User.findById(professionalId);
+      if (!professional || professional.role !== 'professional') {
+        return res.status(400).json({
+          success: false,
+          message: 'El usuario indicado no es un profesional'
+        });
+      }
+    }
+
+    await Questionnaire.assign(id, professionalId);
+
+    // Los cuestionarios de pareja se asignan juntos: el caso es la pareja
+    const pairing = questionnaire.type === 'pareja'
+      ? await PartnerInvitation.findByQuestionnaireId(id)
+      : null;
+    const partnerId = pairing && pairing.partnerQuestionnaireId
+      ? (pairing.inviterQuestionnaireId === questionnaire.id ? pairing.partnerQuestionnaireId : pairing.inviterQuestionnaireId)
+      : null;
+    if (partnerId) {
+      await Questionnaire.assign(partnerId, professionalId);
+    }
+
+    res.json({
+      success: true,
+      message: professionalId ? 'Cuestionario asignado' : 'Asignación eliminada',
+      data: {
+        questionnaireId: questionnaire.id,
+        partnerQuestionnaireId: partnerId,
+        assignedTo: professionalId
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error asignando cuestionario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
 // ========================================
 // DEBUG ESPECÍFICO - VER DATOS RAW DE CUESTIONARIOS
 // ========================================
-router.get('/debug/questionnaires-raw', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/debug/questionnaires-raw', authenticateToken, requirePermission('system:debug'), async (req, res) => {
   try {
     console.log('🔍 DEBUG: Obteniendo datos RAW de cuestionarios...');
     
@@ -847,11 +1255,11 @@ router.get('/debug/database-status', async (req, res) => {
         questionnairesSample = sampleResult.rows;
         
         // Verificar cuestionarios corruptos
-        const allQuestionnaires = await database.query('SELECT id, answers FROM questionnaires');
-        allQuestionnaires.rows.forEach(row => {
+        const allQuestionnaires = await database.query('SELECT id, personal_info, answers, encryption_key_version FROM questionnaires');
+        allQuestionnaires.rows.map(decryptQuestionnaireRow).filter(Boolean).forEach(row => {
           try {
             if (row.answers && row.answers !== '{}' && row.answers !== '') {
-              const parsed = JSON.parse(row.answers);
+              const parsed = typeof row.answers === 'string' ? JSON.parse(row.answers) : row.answers;
               if (typeof parsed === 'object' && parsed !== null) {
                 const hasCorruptedData = Object.values(parsed).some(answer => 
                   String(answer).includes('[object Object]')
@@ -924,17 +1332,1097 @@ router.get('/debug/database-status', async (req, res) => {
 });
 
 // ========================================
-// MENSAJES DE CONTACTO (ADMIN)
+// ANÁLISIS DE COMPATIBILIDAD (ADMIN)
 // ========================================
 
 /**
- * GET /api/admin/contact-messages
- * Obtener todos los mensajes de contacto
+ * Resumen de un cuestionario para mostrarlo junto a un análisis
+ */
+async function getQuestionnaireSummary(id) {
+  const questionnaire = await Questionnaire.findById(id);
+
+  if (!questionnaire) return null;
+
+  return {
+    id: questionnaire.id,
+    type: questionnaire.type,
+    nombre: questionnaire.personalInfo.nombre,
+    apellidos: questionnaire.personalInfo.apellidos,
+    correo: questionnaire.personalInfo.correo,
+    completed: questionnaire.completed,
+    completedAt: questionnaire.completedAt,
+    assignedTo: questionnaire.assignedTo
+  };
+}
+
+/**
+ * GET /api/admin/compatibility
+ * Listar los análisis de compatibilidad
  */
-router.get('/contact-messages', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/compatibility', authenticateToken, requirePermission('questionnaires:read'), async (req, res) => {
   try {
-    console.log('📬 OBTENIENDO MENSAJES DE CONTACTO');
-    
+    const { page = 1, limit = 20 } = req.query;
+    console.log('💞 OBTENIENDO ANÁLISIS DE COMPATIBILIDAD');
+
+    const CompatibilityAnalysis = require('../models/CompatibilityAnalysis');
+    const { analyses, pagination } = await CompatibilityAnalysis.findAll({
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    const data = [];
+    for (const analysis of analyses) {
+      data.push({
+        id: analysis.id,
+        compatibilityScore: analysis.compatibilityScore,
+        recommendations: analysis.recommendations,
+        questionnaire1: await getQuestionnaireSummary(analysis.questionnaire1Id),
+        questionnaire2: await getQuestionnaireSummary(analysis.questionnaire2Id),
+        createdAt: analysis.createdAt
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Análisis de compatibilidad obtenidos exitosamente',
+      data: {
+        analyses: data,
+        pagination
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error obteniendo análisis de compatibilidad:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/couples
+ * Listar las parejas por estado de su invitación (?status=paired|pending, por defecto paired)
+ */
+router.get('/couples', authenticateToken, requirePermission('questionnaires:read'), async (req, res) => {
+  try {
+    const { status = 'paired', page = 1, limit = 20 } = req.query;
+    console.log(`💞 OBTENIENDO PAREJAS (${status})`);
+
+    const PartnerInvitation = require('../models/PartnerInvitation');
+    const CompatibilityAnalysis = require('../models/CompatibilityAnalysis');
+    const { invitations, pagination } = await PartnerInvitation.findAll({
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    const couples = [];
+    for (const invitation of invitations) {
+      const analysis = invitation.partnerQuestionnaireId
+        ? await CompatibilityAnalysis.findLatestForPair(invitation.inviterQuestionnaireId, invitation.partnerQuestionnaireId)
+        : null;
+
+      couples.push({
+        invitationId: invitation.id,
+        code: invitation.code,
+        status: invitation.status,
+        pairedAt: invitation.pairedAt,
+        expiresAt: invitation.expiresAt,
+        inviter: await getQuestionnaireSummary(invitation.inviterQuestionnaireId),
+        partner: invitation.partnerQuestionnaireId
+          ? await getQuestionnaireSummary(invitation.partnerQuestionnaireId)
+          : null,
+        compatibility: analysis
+          ? { id: analysis.id, compatibilityScore: analysis.compatibilityScore, createdAt: analysis.createdAt }
+          : null
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Parejas obtenidas exitosamente',
+      data: {
+        couples,
+        pagination
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error obteniendo parejas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/compatibility/:id
+ * Obtener el detalle de un análisis de compatibilidad
+ */
+router.get('/compatibility/:id', authenticateToken, requirePermission('questionnaires:read', 'questionnaires:read_assigned'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log('💞 OBTENIENDO ANÁLISIS DE COMPATIBILIDAD:', id);
+
+    const CompatibilityAnalysis = require('../models/CompatibilityAnalysis');
+    const analysis = await CompatibilityAnalysis.findById(id);
+
+    const questionnaire1 = analysis && await getQuestionnaireSummary(analysis.questionnaire1Id);
+    const questionnaire2 = analysis && await getQuestionnaireSummary(analysis.questionnaire2Id);
+
+    // Un profesional solo ve el análisis si tiene asignado alguno de los dos cuestionarios
+    if (!analysis || !(canReadQuestionnaire(req.user, questionnaire1) || canReadQuestionnaire(req.user, questionnaire2))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Análisis no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Análisis de compatibilidad obtenido exitosamente',
+      data: {
+        ...analysis,
+        questionnaire1,
+        questionnaire2
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error obteniendo análisis de compatibilidad:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// USUARIOS (ADMIN)
+// ========================================
+
+/**
+ * GET /api/admin/users
+ * Listar y buscar usuarios (?search=&role=&active=true|false&page=&limit=)
+ */
+router.get('/users', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { search, role, active, page = 1, limit = 20 } = req.query;
+    console.log('👥 OBTENIENDO USUARIOS:', { search, role, active });
+
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Rol inválido. Debe ser uno de: ${ROLES.join(', ')}`
+      });
+    }
+
+    if (active !== undefined && active !== 'true' && active !== 'false') {
+      return res.status(400).json({
+        success: false,
+        message: 'El filtro active debe ser true o false'
+      });
+    }
+
+    const result = await User.search(
+      { search, role, active: active === undefined ? undefined : active === 'true' },
+      { page: Math.max(parseInt(page) || 1, 1), limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100) }
+    );
+
+    res.json({
+      success: true,
+      message: 'Usuarios obtenidos exitosamente',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('❌ Error obteniendo usuarios:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/users/:id
+ * Detalle de un usuario con su historial de auditoría
+ */
+router.get('/users/:id', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    const lockout = await AccountLockout.check(user.id);
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.name,
+          role: user.role,
+          active: user.active,
+          emailVerified: !!user.emailVerifiedAt,
+          createdAt: user.createdAt,
+          updatedAt: user.updatedAt
+        },
+        permissions: getPermissions(user.role),
+        twoFactor: await TwoFactor.getStatus(user.id),
+        lockout,
+        auditLog: await AuditLog.findByResource('user', user.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error obteniendo usuario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users
+ * Crear una cuenta de personal (professional o assistant)
+ * La persona recibe un enlace por email para elegir su contraseña
+ */
+router.post('/users', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { error, value } = createUserSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos de entrada inválidos',
+        details: error.details.map(detail => ({
+          field: detail.path[0],
+          message: detail.message
+        }))
+      });
+    }
+
+    if (await User.findByEmail(value.email)) {
+      return res.status(409).json({
+        success: false,
+        message: 'El email ya está registrado'
+      });
+    }
+
+    // Contraseña aleatoria que nadie conoce hasta que la persona elige la suya
+    const user = await User.create({
+      nombre: value.nombre,
+      apellidos: value.apellidos,
+      correo: value.email,
+      password: generateSecureToken(32)
+    }, { role: value.role, emailVerified: true });
+
+    const { expiresAt } = await sendPasswordResetEmail(user, 'welcome');
+
+    await AuditLog.record({
+      userId: req.user.userId,
+      action: 'user_created',
+      resource: 'user',
+      resourceId: user.id,
+      details: { email: user.email, role: user.role },
+      req
+    });
+
+    console.log(`👤 Cuenta de ${user.role} creada: ${user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Cuenta creada. Se ha enviado un enlace para elegir la contraseña',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.name,
+          role: user.role,
+          active: user.active
+        },
+        passwordSetupLinkExpiresAt: expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error creando usuario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/role
+ * Cambiar el rol de un usuario; cierra sus sesiones para que el nuevo rol se aplique
+ */
+router.put('/users/:id/role', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Rol inválido. Debe ser uno de: ${ROLES.join(', ')}`
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    if (user.id === req.user.userId) {
+      return res.status(409).json({
+        success: false,
+        message: 'No puedes cambiar tu propio rol'
+      });
+    }
+
+    if (user.role === role) {
+      return res.status(409).json({
+        success: false,
+        message: `El usuario ya tiene el rol ${role}`
+      });
+    }
+
+    if (user.role === 'admin' && user.active && await User.countActiveAdmins() <= 1) {
+      return res.status(409).json({
+        success: false,
+        message: 'Debe quedar al menos un administrador activo'
+      });
+    }
+
+    await User.setRole(user.id, role);
+    const revokedSessions = await Session.revokeAllForUser(user.id);
+
+    await AuditLog.record({
+      userId: req.user.userId,
+      action: 'user_role_changed',
+      resource: 'user',
+      resourceId: user.id,
+      details: { from: user.role, to: role },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Rol actualizado',
+      data: {
+        userId: user.id,
+        role,
+        permissions: getPermissions(role),
+        revokedSessions
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error cambiando rol:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/active
+ * Desactivar (o reactivar) una cuenta; al desactivarla se cierran sus sesiones
+ */
+router.put('/users/:id/active', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { active } = req.body;
+
+    if (typeof active !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'El campo active debe ser true o false'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    if (user.id === req.user.userId) {
+      return res.status(409).json({
+        success: false,
+        message: 'No puedes desactivar tu propia cuenta'
+      });
+    }
+
+    if (user.active === active) {
+      return res.status(409).json({
+        success: false,
+        message: active ? 'La cuenta ya está activa' : 'La cuenta ya está desactivada'
+      });
+    }
+
+    if (!active && user.role === 'admin' && await User.countActiveAdmins() <= 1) {
+      return res.status(409).json({
+        success: false,
+        message: 'Debe quedar al menos un administrador activo'
+      });
+    }
+
+    await User.setActive(user.id, active);
+    const revokedSessions = active ? 0 : await Session.revokeAllForUser(user.id);
+
+    await AuditLog.record({
+      userId: req.user.userId,
+      action: active ? 'user_reactivated' : 'user_deactivated',
+      resource: 'user',
+      resourceId: user.id,
+      details: active ? null : { revokedSessions },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: active ? 'Cuenta reactivada' : 'Cuenta desactivada',
+      data: {
+        userId: user.id,
+        active,
+        revokedSessions
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error cambiando estado de la cuenta:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/password-reset
+ * Forzar el cambio de contraseña: invalida la actual, cierra las sesiones
+ * y envía al usuario un enlace para elegir una nueva
+ */
+router.post('/users/:id/password-reset', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    await User.invalidatePassword(user.id);
+    const revokedSessions = await Session.revokeAllForUser(user.id);
+    const { expiresAt } = await sendPasswordResetEmail(user, 'forced');
+
+    await AuditLog.record({
+      userId: req.user.userId,
+      action: 'password_reset_forced',
+      resource: 'user',
+      resourceId: user.id,
+      details: { revokedSessions },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Contraseña invalidada. Se ha enviado un enlace para elegir una nueva',
+      data: {
+        userId: user.id,
+        revokedSessions,
+        resetLinkExpiresAt: expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error forzando el cambio de contraseña:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/unlock
+ * Desbloquear una cuenta bloqueada por intentos fallidos de login
+ */
+router.post('/users/:id/unlock', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log('🔓 DESBLOQUEANDO CUENTA:', id);
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    const unlocked = await AccountLockout.unlock(user.id, req.user.userId, req);
+
+    res.json({
+      success: true,
+      message: unlocked ? 'Cuenta desbloqueada' : 'La cuenta no estaba bloqueada',
+      data: {
+        userId: user.id,
+        unlocked
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error desbloqueando cuenta:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// POLÍTICA DE SEGURIDAD (ADMIN)
+// ========================================
+
+/**
+ * GET /api/admin/security/two-factor-policy
+ * Consultar si el 2FA es obligatorio para admins y profesionales
+ */
+router.get('/security/two-factor-policy', authenticateToken, requirePermission('security:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await TwoFactor.getPolicy()
+    });
+
+  } catch (error) {
+    console.error('❌ Error obteniendo política de 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/security/two-factor-policy
+ * Hacer obligatorio (o no) el 2FA para admins y profesionales
+ */
+router.put('/security/two-factor-policy', authenticateToken, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const { required } = req.body;
+
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'El campo required debe ser booleano'
+      });
+    }
+
+    const policy = await TwoFactor.setPolicy(required, req.user.userId);
+    console.log(`🔐 Política de 2FA ${required ? 'activada' : 'desactivada'} por el usuario ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      message: required
+        ? 'El 2FA es obligatorio a partir del próximo inicio de sesión'
+        : 'El 2FA ha dejado de ser obligatorio',
+      data: policy
+    });
+
+  } catch (error) {
+    console.error('❌ Error actualizando política de 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/security/encryption
+ * Estado del cifrado de los cuestionarios: filas por versión de clave, cuántas quedan
+ * por recifrar con la clave actual y el último recifrado lanzado
+ */
+router.get('/security/encryption', authenticateToken, requirePermission('security:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        ...await getEncryptionStatus(),
+        job: getReencryptionJob()
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error obteniendo estado del cifrado:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/security/encryption/reencrypt
+ * Lanzar en segundo plano el recifrado con la clave actual (tras rotar la clave
+ * o para cifrar los datos anteriores al cifrado). El progreso se consulta con el GET
+ */
+router.post('/security/encryption/reencrypt', authenticateToken, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const batchSize = req.body.batchSize === undefined ? 100 : parseInt(req.body.batchSize);
+
+    if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > 1000) {
+      return res.status(400).json({
+        success: false,
+        message: 'batchSize debe ser un número entre 1 y 1000'
+      });
+    }
+
+    const job = startReencryptionJob({ batchSize, startedBy: req.user.userId });
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya hay un recifrado en marcha',
+        data: getReencryptionJob()
+      });
+    }
+
+    await AuditLog.record({
+      userId: req.user.userId,
+      action: 'data_reencryption_started',
+      resource: 'system',
+      details: { keyVersion: job.keyVersion, batchSize },
+      req
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Recifrado iniciado',
+      data: job
+    });
+
+  } catch (error) {
+    console.error('❌ Error iniciando el recifrado:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// PROTECCIÓN DE DATOS (RGPD)
+// ========================================
+
+/**
+ * POST /api/admin/privacy/export
+ * Exportar los datos de una persona en su nombre (derecho de acceso) a partir de su email.
+ * Devuelve el archivo JSON descargable con su manifiesto
+ */
+router.post('/privacy/export', authenticateToken, requirePermission('privacy:manage'), async (req, res) => {
+  try {
+    const { error, value } = privacyExportSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const exportData = await buildDataExport(value.email, {
+      requestedBy: req.user.userId,
+      onBehalf: true,
+      reason: value.reason || null
+    });
+
+    if (exportData.manifest.records === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No hay datos vinculados a ese email'
+      });
+    }
+
+    await AuditLog.record({
+      userId: req.user.userId,
+      action: 'data_export',
+      resource: 'user',
+      resourceId: exportData.manifest.subject.userId,
+      details: {
+        subject: hashEmail(exportData.manifest.subject.email),
+        onBehalf: true,
+        reason: value.reason || null,
+        records: exportSummary(exportData)
+      },
+      req
+    });
+
+    console.log(`📦 Exportación de datos personales generada por el usuario ${req.user.userId}`);
+
+    res.attachment(exportFilename(exportData));
+    res.json(exportData);
+
+  } catch (error) {
+    console.error('❌ Error exportando datos personales:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/privacy/erasure
+ * Suprimir (`mode: erase`) o seudonimizar (`mode: pseudonymize`) todo lo vinculado a un email.
+ * Con `dryRun: true` solo devuelve qué se haría en cada tabla, sin tocar nada
+ */
+router.post('/privacy/erasure', authenticateToken, requirePermission('privacy:manage'), async (req, res) => {
+  try {
+    const { error, value } = privacyErasureSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const plan = await planErasure(value.email, value.mode);
+
+    if (plan.records === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No hay datos vinculados a ese email'
+      });
+    }
+
+    if (isStaffAccount(plan)) {
+      return res.status(409).json({
+        success: false,
+        message: 'El email pertenece a una cuenta del personal: desactívala desde la gestión de usuarios'
+      });
+    }
+
+    if (value.dryRun) {
+      return res.json({
+        success: true,
+        message: 'Vista previa: no se ha modificado nada',
+        data: { dryRun: true, plan }
+      });
+    }
+
+    const { erasure, plan: executed } = await executeErasure(value.email, {
+      mode: value.mode,
+      requestedBy: req.user.userId,
+      reason: value.reason || null
+    });
+
+    await AuditLog.record({
+      userId: req.user.userId,
+      action: 'data_erasure',
+      resource: 'erasure_request',
+      resourceId: erasure.id,
+      details: { mode: erasure.mode, records: executed.records },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: value.mode === 'erase' ? 'Datos suprimidos' : 'Datos seudonimizados',
+      data: { dryRun: false, erasure, plan: executed }
+    });
+
+  } catch (error) {
+    console.error('❌ Error en la supresión de datos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/privacy/erasures
+ * Constancias de las supresiones realizadas (?email= para comprobar una persona, ?page=&limit=)
+ */
+router.get('/privacy/erasures', authenticateToken, requirePermission('privacy:manage'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    res.json({
+      success: true,
+      data: await ErasureRequest.findAll({ email: req.query.email, page, limit })
+    });
+
+  } catch (error) {
+    console.error('❌ Error obteniendo supresiones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/privacy/policies
+ * Versiones de la política de privacidad con cuántos consentimientos de cada finalidad tiene cada una
+ */
+router.get('/privacy/policies', authenticateToken, requirePermission('privacy:manage'), async (req, res) => {
+  try {
+    const policies = await PrivacyPolicy.findAll();
+    const counts = await Consent.countByPolicyVersion();
+
+    res.json({
+      success: true,
+      data: {
+        currentVersion: policies.length > 0 ? policies[0].version : null,
+        policies: policies.map(policy => ({
+          ...policy,
+          consents: counts[policy.version] || {}
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error obteniendo políticas de privacidad:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/privacy/policies
+ * Publicar una versión nueva de la política de privacidad (`content`)
+ * Desde ese momento los formularios exigen aceptar la nueva versión
+ */
+router.post('/privacy/policies', authenticateToken, requirePermission('privacy:manage'), async (req, res) => {
+  try {
+    const { error, value } = privacyPolicySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const policy = await PrivacyPolicy.publish({
+      content: value.content,
+      publishedBy: req.user.userId
+    });
+
+    await AuditLog.record({
+      userId: req.user.userId,
+      action: 'privacy_policy_published',
+      resource: 'privacy_policy',
+      resourceId: policy.version,
+      req
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Política de privacidad versión ${policy.version} publicada`,
+      data: policy
+    });
+
+  } catch (error) {
+    console.error('❌ Error publicando la política de privacidad:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/privacy/consents
+ * Quién aceptó qué versión y para qué (?policyVersion=&purpose=&source=&page=&limit=)
+ */
+router.get('/privacy/consents', authenticateToken, requirePermission('privacy:manage'), async (req, res) => {
+  try {
+    const { policyVersion, purpose, source, page = 1, limit = 20 } = req.query;
+
+    if (purpose && !CONSENT_PURPOSES[purpose]) {
+      return res.status(400).json({
+        success: false,
+        message: `Finalidad inválida. Debe ser una de: ${Object.keys(CONSENT_PURPOSES).join(', ')}`
+      });
+    }
+
+    const result = await Consent.findAll({
+      policyVersion: policyVersion ? parseInt(policyVersion) || null : null,
+      purpose,
+      source,
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100)
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('❌ Error obteniendo consentimientos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// ALERTAS DE RIESGO (ADMIN)
+// ========================================
+
+/**
+ * GET /api/admin/urgent
+ * Cola de alertas de riesgo (?status=open|acknowledged|all, por defecto open)
+ */
+router.get('/urgent', authenticateToken, requirePermission('risk:read', 'risk:read_assigned'), async (req, res) => {
+  try {
+    const { status = 'open', page = 1, limit = 20 } = req.query;
+    console.log(`🚨 OBTENIENDO COLA DE ALERTAS (${status})`);
+
+    if (!['open', 'acknowledged', 'all'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Estado inválido. Debe ser open, acknowledged o all'
+      });
+    }
+
+    const { flags, pagination } = await RiskFlag.findAll({
+      status,
+      // Sin risk:read solo se ven las alertas de los casos asignados
+      assignedTo: hasPermission(req.user.userRole, 'risk:read') ? null : req.user.userId,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    const data = [];
+    for (const flag of flags) {
+      data.push({
+        ...flag,
+        questionnaire: await getQuestionnaireSummary(flag.questionnaireId)
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Alertas de riesgo obtenidas exitosamente',
+      data: {
+        flags: data,
+        pagination
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error obteniendo alertas de riesgo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/urgent/:id/acknowledge
+ * Marcar una alerta de riesgo como atendida
+ */
+router.post('/urgent/:id/acknowledge', authenticateToken, requirePermission('risk:acknowledge'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body;
+    console.log('🚨 ATENDIENDO ALERTA DE RIESGO:', id);
+
+    const flag = await RiskFlag.findById(id);
+    const canSeeFlag = flag && (
+      hasPermission(req.user.userRole, 'risk:read') ||
+      canReadQuestionnaire(req.user, await Questionnaire.findById(flag.questionnaireId))
+    );
+    if (!canSeeFlag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alerta de riesgo no encontrada'
+      });
+    }
+
+    const acknowledged = await RiskFlag.acknowledge(id, req.user.userId, note || null);
+    if (!acknowledged) {
+      return res.status(409).json({
+        success: false,
+        message: 'La alerta ya fue atendida',
+        data: flag
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Alerta de riesgo atendida',
+      data: acknowledged
+    });
+
+  } catch (error) {
+    console.error('❌ Error atendiendo alerta de riesgo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// MENSAJES DE CONTACTO (ADMIN)
+// ========================================
+
+/**
+ * GET /api/admin/contact-messages
+ * Obtener todos los mensajes de contacto
+ */
+router.get('/contact-messages', authenticateToken, requirePermission('contact:read'), async (req, res) => {
+  try {
+    console.log('📬 OBTENIENDO MENSAJES DE CONTACTO');
+    
     const ContactMessage = require('../models/ContactMessage');
     const messages = await ContactMessage.findAll();
     
@@ -963,7 +2451,7 @@ router.get('/contact-messages', authenticateToken, requireAdmin, async (req, res
  * GET /api/admin/contact-messages/:id
  * Obtener mensaje de contacto por ID
  */
-router.get('/contact-messages/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/contact-messages/:id', authenticateToken, requirePermission('contact:read'), async (req, res) => {
   try {
     const { id } = req.params;
     console.log('📬 OBTENIENDO MENSAJE DE CONTACTO:', id);
@@ -1000,7 +2488,7 @@ router.get('/contact-messages/:id', authenticateToken, requireAdmin, async (req,
  * PUT /api/admin/contact-messages/:id/status
  * Actualizar status de un mensaje de contacto
  */
-router.put('/contact-messages/:id/status', authenticateToken, requireAdmin, async (req, res) => {
+router.put('/contact-messages/:id/status', authenticateToken, requirePermission('contact:reply'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
@@ -1038,7 +2526,7 @@ router.put('/contact-messages/:id/status', authenticateToken, requireAdmin, asyn
  * DELETE /api/admin/contact-messages/:id
  * Eliminar mensaje de contacto
  */
-router.delete('/contact-messages/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/contact-messages/:id', authenticateToken, requirePermission('contact:delete'), async (req, res) => {
   try {
     const { id } = req.params;
     console.log('📬 ELIMINANDO MENSAJE DE CONTACTO:', id);
@@ -1067,7 +2555,7 @@ router.delete('/contact-messages/:id', authenticateToken, requireAdmin, async (r
  * GET /api/admin/contact-stats
  * Obtener estadísticas de mensajes de contacto
  */
-router.get('/contact-stats', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/contact-stats', authenticateToken, requirePermission('contact:read'), async (req, res) => {
   try {
     console.log('📊 OBTENIENDO ESTADÍSTICAS DE CONTACTO');
     
@@ -1096,7 +2584,7 @@ router.get('/contact-stats', authenticateToken, requireAdmin, async (req, res) =
  * POST /api/admin/fix-corrupted-data
  * Corregir datos corruptos en la base de datos
  */
-router.post('/fix-corrupted-data', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/fix-corrupted-data', authenticateToken, requirePermission('data:fix'), async (req, res) => {
   try {
     console.log('🔧 EJECUTANDO CORRECCIÓN DE DATOS CORRUPTOS');
     
@@ -1104,7 +2592,7 @@ router.post('/fix-corrupted-data', authenticateToken, requireAdmin, async (req,
     
     // Obtener todos los cuestionarios
     const result = await database.query(`
-      SELECT id, personal_info, answers, type, created_at
+      SELECT id, personal_info, answers, encryption_key_version, type, created_at
       FROM questionnaires
       ORDER BY created_at DESC
     `);
@@ -1113,11 +2601,12 @@ router.post('/fix-corrupted-data', authenticateToken, requireAdmin, async (req,
 
     let fixedCount = 0;
 
-    for (const row of result.rows) {
+    for (const rawRow of result.rows) {
+      const row = decryptQuestionnaireRow(rawRow);
+      if (!row) continue;
+
       console.log(`\n🔍 Procesando cuestionario ID ${row.id}:`);
       console.log(`   - Tipo: ${row.type}`);
-      console.log(`   - personal_info (raw): ${row.personal_info}`);
-      console.log(`   - answers (raw): ${row.answers}`);
 
       let needsUpdate = false;
       let newPersonalInfo = {};
@@ -1125,7 +2614,9 @@ router.post('/fix-corrupted-data', authenticateToken, requireAdmin, async (req,
 
       // Procesar personal_info
       try {
-        newPersonalInfo = JSON.parse(row.personal_info || '{}');
+        newPersonalInfo = typeof row.personal_info === 'object' && row.personal_info !== null
+          ? row.personal_info
+          : JSON.parse(row.personal_info || '{}');
         console.log(`   ✅ personal_info parseado correctamente`);
       } catch (e) {
         console.log(`   ❌ Error parseando personal_info: ${e.message}`);
@@ -1153,7 +2644,9 @@ router.post('/fix-corrupted-data', authenticateToken, requireAdmin, async (req,
 
       // Procesar answers
       try {
-        newAnswers = JSON.parse(row.answers || '{}');
+        newAnswers = typeof row.answers === 'object' && row.answers !== null
+          ? row.answers
+          : JSON.parse(row.answers || '{}');
         console.log(`   ✅ answers parseado correctamente`);
         
         // Verificar si answers tiene error
@@ -1172,18 +2665,8 @@ router.post('/fix-corrupted-data', authenticateToken, requireAdmin, async (req,
       if (needsUpdate) {
         console.log(`   🔄 Actualizando cuestionario ID ${row.id}...`);
         
-        await database.query(`
-          UPDATE questionnaires 
-          SET 
-            personal_info = $1,
-            answers = $2,
-            updated_at = NOW()
-          WHERE id = $3
-        `, [
-          JSON.stringify(newPersonalInfo),
-          JSON.stringify(newAnswers),
-          row.id
-        ]);
+        await overwriteQuestionnaireData(database, row.id, newPersonalInfo, newAnswers);
+        await QuestionnaireRevision.record(await Questionnaire.findById(row.id), 'admin_fix', req.user.userId);
         
         console.log(`   ✅ Cuestionario ID ${row.id} actualizado`);
         fixedCount++;
@@ -1216,7 +2699,7 @@ router.post('/fix-corrupted-data', authenticateToken, requireAdmin, async (req,
  * POST /api/admin/migrate-contact-table
  * Crear tabla contact_messages si no existe (migración temporal)
  */
-router.post('/migrate-contact-table', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/migrate-contact-table', authenticateToken, requirePermission('data:fix'), async (req, res) => {
   try {
     console.log('🚀 EJECUTANDO MIGRACIÓN DE TABLA CONTACT_MESSAGES');
     
@@ -1259,7 +2742,7 @@ router.post('/migrate-contact-table', authenticateToken, requireAdmin, async (re
       
       // Obtener todos los cuestionarios
       const questionnairesResult = await pool.query(`
-        SELECT id, personal_info, answers, type, created_at
+        SELECT id, personal_info, answers, encryption_key_version, type, created_at
         FROM questionnaires
         ORDER BY created_at DESC
       `);
@@ -1268,11 +2751,12 @@ router.post('/migrate-contact-table', authenticateToken, requireAdmin, async (re
 
       let fixedCount = 0;
 
-      for (const row of questionnairesResult.rows) {
+      for (const rawRow of questionnairesResult.rows) {
+        const row = decryptQuestionnaireRow(rawRow);
+        if (!row) continue;
+
         console.log(`\n🔍 Procesando cuestionario ID ${row.id}:`);
         console.log(`   - Tipo: ${row.type}`);
-        console.log(`   - personal_info (raw): ${row.personal_info}`);
-        console.log(`   - answers (raw): ${row.answers}`);
 
         let needsUpdate = false;
         let newPersonalInfo = {};
@@ -1280,7 +2764,9 @@ router.post('/migrate-contact-table', authenticateToken, requireAdmin, async (re
 
         // Procesar personal_info
         try {
-          newPersonalInfo = JSON.parse(row.personal_info || '{}');
+          newPersonalInfo = typeof row.personal_info === 'object' && row.personal_info !== null
+            ? row.personal_info
+            : JSON.parse(row.personal_info || '{}');
           console.log(`   ✅ personal_info parseado correctamente`);
         } catch (e) {
           console.log(`   ❌ Error parseando personal_info: ${e.message}`);
@@ -1308,7 +2794,9 @@ router.post('/migrate-contact-table', authenticateToken, requireAdmin, async (re
 
         // Procesar answers
         try {
-          newAnswers = JSON.parse(row.answers || '{}');
+          newAnswers = typeof row.answers === 'object' && row.answers !== null
+            ? row.answers
+            : JSON.parse(row.answers || '{}');
           console.log(`   ✅ answers parseado correctamente`);
           
           // Verificar si answers tiene error
@@ -1327,19 +2815,9 @@ router.post('/migrate-contact-table', authenticateToken, requireAdmin, async (re
         if (needsUpdate) {
           console.log(`   🔄 Actualizando cuestionario ID ${row.id}...`);
           
-          await pool.query(`
-            UPDATE questionnaires 
-            SET 
-              personal_info = $1,
-              answers = $2,
-              updated_at = NOW()
-            WHERE id = $3
-          `, [
-            JSON.stringify(newPersonalInfo),
-            JSON.stringify(newAnswers),
-            row.id
-          ]);
-          
+          await overwriteQuestionnaireData(pool, row.id, newPersonalInfo, newAnswers);
+          await QuestionnaireRevision.record(await Questionnaire.findById(row.id), 'admin_fix', req.user.userId);
+
           console.log(`   ✅ Cuestionario ID ${row.id} actualizado`);
           fixedCount++;
         } else {
@@ -1,8 +1,36 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const { generateToken } = require('../middleware/auth-simple');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const { sendVerificationEmail, sendPasswordResetEmail, sendMagicLinkEmail } = require('../utils/accountEmails');
+const TwoFactor = require('../models/TwoFactor');
+const AccountLockout = require('../models/AccountLockout');
+const {
+  generateToken,
+  issueTokens,
+  beginLogin,
+  verifyChallengeToken,
+  authenticateToken,
+  authenticateTokenOrSetupChallenge
+} = require('../middleware/auth-simple');
+const { emailLinkRateLimiter } = require('../middleware/security-simple');
 const bcrypt = require('bcryptjs');
+const Joi = require('joi');
+
+const { MIN_PASSWORD_LENGTH } = User;
+
+/**
+ * Responder 429 cuando la cuenta no admite otro intento (ver AccountLockout.reserveAttempt)
+ */
+function rejectAttempt(res, attempt) {
+  res.set('Retry-After', String(attempt.retryAfterSeconds));
+  return res.status(429).json({
+    error: attempt.locked ? 'Cuenta bloqueada temporalmente' : 'Demasiados intentos',
+    message: `Inténtalo de nuevo en ${attempt.retryAfterSeconds} segundos`,
+    retryAfter: attempt.retryAfterSeconds
+  });
+}
 
 /**
  * POST /api/auth/register
@@ -27,6 +55,12 @@ router.post('/register', async (req, res) => {
       });
     }
 
+    if (Joi.string().email().validate(correo).error) {
+      return res.status(400).json({
+        error: 'El email no tiene un formato válido'
+      });
+    }
+
     // Verificar si el usuario ya existe
     const existingUser = await User.findByEmail(correo);
     if (existingUser) {
@@ -46,20 +80,24 @@ router.post('/register', async (req, res) => {
       password
     });
 
-    // Generar token
-    const accessToken = generateToken(user.id, 'user');
+    // La cuenta empieza sin verificar; se envía el enlace de verificación
+    await sendVerificationEmail(user);
+
+    // Abrir sesión y generar tokens
+    const tokens = await issueTokens(user.id, user.role, req);
 
     res.status(201).json({
       success: true,
-      message: 'Usuario registrado exitosamente',
+      message: 'Usuario registrado exitosamente. Revisa tu email para verificar la cuenta',
       data: {
         user: {
           id: user.id,
           nombre: user.nombre,
           apellidos: user.apellidos,
-          correo: user.correo
+          correo: user.correo,
+          emailVerified: !!user.emailVerifiedAt
         },
-        accessToken
+        ...tokens
       }
     });
 
@@ -94,28 +132,45 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // Bloqueo temporal o espera progresiva tras intentos fallidos; el intento se
+    // reserva antes de comprobar la contraseña
+    const attempt = await AccountLockout.reserveAttempt(user.id);
+    if (!attempt.allowed) return rejectAttempt(res, attempt);
+
     // Verificar contraseña
     const isValidPassword = await bcrypt.compare(password, user.password);
     if (!isValidPassword) {
+      await AccountLockout.registerFailure(user.id, attempt, req);
       return res.status(401).json({
         error: 'Credenciales inválidas'
       });
     }
 
-    // Generar token
-    const accessToken = generateToken(user.id, 'user');
+    // El contador se reinicia cuando se abre la sesión (beginLogin o /2fa/verify)
+    await AccountLockout.releaseAttempt(user.id);
+
+    if (!user.active) {
+      return res.status(403).json({
+        error: 'Cuenta desactivada',
+        message: 'Contacta con el equipo de Web Salud Mental para reactivarla'
+      });
+    }
+
+    // Abrir sesión o pedir el segundo factor si la cuenta lo requiere
+    const loginResult = await beginLogin(user, req);
 
     res.json({
       success: true,
-      message: 'Login exitoso',
+      message: loginResult.accessToken ? 'Login exitoso' : 'Se requiere verificación en dos pasos',
       data: {
         user: {
           id: user.id,
           nombre: user.nombre,
           apellidos: user.apellidos,
-          correo: user.correo
+          correo: user.correo,
+          emailVerified: !!user.emailVerifiedAt
         },
-        accessToken
+        ...loginResult
       }
     });
 
@@ -127,4 +182,648 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/auth/verify-email
+ * Verificar el email con el token del enlace (?token=...)
+ */
+router.get('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(400).json({
+        error: 'El token de verificación es requerido'
+      });
+    }
+
+    const userToken = await UserToken.consume(token, 'email_verification');
+    if (!userToken) {
+      return res.status(400).json({
+        error: 'El enlace de verificación no es válido o ha caducado'
+      });
+    }
+
+    await User.markEmailVerified(userToken.userId);
+    console.log(`✅ Email verificado para el usuario ${userToken.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Email verificado correctamente'
+    });
+
+  } catch (error) {
+    console.error('Error verificando email:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Reenviar el enlace de verificación al usuario autenticado
+ */
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    if (user.emailVerifiedAt) {
+      return res.status(409).json({
+        error: 'El email ya está verificado'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: 'Te hemos enviado un nuevo enlace de verificación'
+    });
+
+  } catch (error) {
+    console.error('Error reenviando verificación:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Renovar el access token con un refresh token (el refresh token se rota en cada uso)
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: 'El refresh token es requerido'
+      });
+    }
+
+    const rotation = await Session.rotate(refreshToken, {
+      userAgent: req.get('User-Agent') || null,
+      ipAddress: req.ip || null
+    });
+
+    if (!rotation) {
+      return res.status(401).json({
+        error: 'Refresh token inválido o caducado'
+      });
+    }
+
+    // Un refresh token ya rotado indica posible robo: la sesión queda revocada
+    if (rotation.reused) {
+      return res.status(401).json({
+        error: 'Refresh token reutilizado',
+        message: 'La sesión se ha cerrado por seguridad. Inicia sesión de nuevo.'
+      });
+    }
+
+    const user = await User.findById(rotation.session.userId);
+    if (!user || !user.active) {
+      await Session.revoke(rotation.session.id);
+      return res.status(401).json({
+        error: 'Refresh token inválido o caducado'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Sesión renovada',
+      data: {
+        accessToken: generateToken(user.id, user.role, rotation.session.id),
+        refreshToken: rotation.refreshToken,
+        refreshTokenExpiresAt: rotation.session.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error renovando sesión:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Cerrar la sesión actual (o todas las del usuario con { allSessions: true })
+ */
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    const { allSessions = false } = req.body;
+
+    const revoked = allSessions
+      ? await Session.revokeAllForUser(req.user.userId)
+      : (await Session.revoke(req.user.sessionId) ? 1 : 0);
+
+    res.json({
+      success: true,
+      message: 'Sesión cerrada',
+      data: {
+        revokedSessions: revoked
+      }
+    });
+
+  } catch (error) {
+    console.error('Error cerrando sesión:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Solicitar un enlace para restablecer la contraseña
+ * Responde siempre lo mismo para no revelar qué emails están registrados
+ * Limitado por IP y por dirección (429 al superarlo)
+ */
+router.post('/forgot-password', emailLinkRateLimiter, async (req, res) => {
+  try {
+    const { correo } = req.body;
+
+    if (!correo) {
+      return res.status(400).json({
+        error: 'El email es requerido'
+      });
+    }
+
+    const user = await User.findByEmail(correo);
+
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'Si el email está registrado, recibirás un enlace para restablecer la contraseña'
+    });
+
+  } catch (error) {
+    console.error('Error solicitando restablecimiento de contraseña:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Establecer una contraseña nueva con el token recibido por email
+ * Cierra todas las sesiones abiertas del usuario
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        error: 'El token y la nueva contraseña son requeridos'
+      });
+    }
+
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`
+      });
+    }
+
+    const userToken = await UserToken.consume(token, 'password_reset');
+    if (!userToken) {
+      return res.status(400).json({
+        error: 'El enlace para restablecer la contraseña no es válido o ha caducado'
+      });
+    }
+
+    const updated = await User.setPassword(userToken.userId, password);
+    if (!updated) {
+      return res.status(400).json({
+        error: 'El enlace para restablecer la contraseña no es válido o ha caducado'
+      });
+    }
+
+    await Session.revokeAllForUser(userToken.userId);
+    // Quien controla el email recupera el acceso aunque la cuenta estuviera bloqueada
+    await AccountLockout.registerSuccess(userToken.userId);
+    console.log(`🔐 Contraseña restablecida para el usuario ${userToken.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Contraseña restablecida. Inicia sesión con tu nueva contraseña'
+    });
+
+  } catch (error) {
+    console.error('Error restableciendo contraseña:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// ========================================
+// ACCESO SIN CONTRASEÑA (ENCUESTADOS)
+// ========================================
+
+/**
+ * POST /api/auth/magic-link
+ * Solicitar un enlace de acceso por email (solo cuentas de encuestados)
+ * Responde siempre lo mismo para no revelar qué emails están registrados
+ * Limitado por IP y por dirección (429 al superarlo)
+ */
+router.post('/magic-link', emailLinkRateLimiter, async (req, res) => {
+  try {
+    const { correo } = req.body;
+
+    if (!correo || typeof correo !== 'string') {
+      return res.status(400).json({
+        error: 'El email es requerido'
+      });
+    }
+
+    const user = await User.findByEmail(correo);
+
+    // El personal entra con contraseña (y 2FA) o por SSO, nunca con un enlace
+    if (user && user.role === 'user' && user.active) {
+      await sendMagicLinkEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'Si el email está registrado, recibirás un enlace para acceder a tus cuestionarios'
+    });
+
+  } catch (error) {
+    console.error('Error enviando enlace de acceso:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/magic-link/verify
+ * Canjear el token del enlace de acceso por una sesión
+ * Abrir el enlace demuestra que el email es del usuario, así que queda verificado
+ */
+router.post('/magic-link/verify', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        error: 'El token de acceso es requerido'
+      });
+    }
+
+    const userToken = await UserToken.consume(token, 'magic_link');
+    const user = userToken ? await User.findById(userToken.userId) : null;
+
+    if (!user || user.role !== 'user') {
+      return res.status(400).json({
+        error: 'El enlace de acceso no es válido o ha caducado'
+      });
+    }
+
+    if (!user.active) {
+      return res.status(403).json({
+        error: 'Cuenta desactivada',
+        message: 'Contacta con el equipo de Web Salud Mental para reactivarla'
+      });
+    }
+
+    await User.markEmailVerified(user.id);
+
+    // beginLogin reinicia el contador de intentos fallidos al abrir la sesión
+    const loginResult = await beginLogin(user, req);
+    console.log(`🔗 Acceso con enlace para el usuario ${user.id}`);
+
+    res.json({
+      success: true,
+      message: loginResult.accessToken ? 'Login exitoso' : 'Se requiere verificación en dos pasos',
+      data: {
+        user: await User.getPublicProfile(user.id),
+        ...loginResult
+      }
+    });
+
+  } catch (error) {
+    console.error('Error en acceso con enlace:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+// ========================================
+// VERIFICACIÓN EN DOS PASOS (TOTP)
+// ========================================
+
+/**
+ * POST /api/auth/2fa/verify
+ * Segundo paso del login: canjear el challengeToken y un código TOTP
+ * (o un código de recuperación) por los tokens de sesión
+ */
+router.post('/2fa/verify', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        error: 'El token de verificación y el código son requeridos'
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = verifyChallengeToken(challengeToken, '2fa_login');
+    } catch (error) {
+      return res.status(401).json({
+        error: error.message
+      });
+    }
+
+    // Los códigos erróneos cuentan como intentos fallidos de la cuenta
+    const attempt = await AccountLockout.reserveAttempt(challenge.userId);
+    if (!attempt.allowed) return rejectAttempt(res, attempt);
+
+    const method = await TwoFactor.verify(challenge.userId, code);
+    if (!method) {
+      await AccountLockout.registerFailure(challenge.userId, attempt, req);
+      return res.status(401).json({
+        error: 'Código de verificación inválido'
+      });
+    }
+
+    await AccountLockout.releaseAttempt(challenge.userId);
+
+    const user = await User.findById(challenge.userId);
+    if (!user) {
+      return res.status(401).json({
+        error: 'Credenciales inválidas'
+      });
+    }
+
+    if (!user.active) {
+      return res.status(403).json({
+        error: 'Cuenta desactivada',
+        message: 'Contacta con el equipo de Web Salud Mental para reactivarla'
+      });
+    }
+
+    // Login completo: se reinicia el contador de intentos fallidos
+    await AccountLockout.registerSuccess(user.id);
+    const tokens = await issueTokens(user.id, user.role, req);
+    const status = await TwoFactor.getStatus(user.id);
+
+    res.json({
+      success: true,
+      message: 'Login exitoso',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          role: user.role
+        },
+        method,
+        backupCodesRemaining: status.backupCodesRemaining,
+        ...tokens
+      }
+    });
+
+  } catch (error) {
+    console.error('Error verificando 2FA:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * GET /api/auth/2fa/status
+ * Estado del 2FA del usuario autenticado
+ */
+router.get('/2fa/status', authenticateToken, async (req, res) => {
+  try {
+    const status = await TwoFactor.getStatus(req.user.userId);
+
+    if (!status) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...status,
+        available: TwoFactor.appliesTo(req.user.userRole),
+        required: await TwoFactor.isRequiredFor(req.user.userRole)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo estado de 2FA:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Iniciar el alta de 2FA: devuelve el secreto y la URI otpauth:// para el código QR
+ * Acepta un access token o el challengeToken del login cuando el 2FA es obligatorio
+ */
+router.post('/2fa/setup', authenticateTokenOrSetupChallenge, async (req, res) => {
+  try {
+    if (!TwoFactor.appliesTo(req.user.userRole)) {
+      return res.status(403).json({
+        error: 'La verificación en dos pasos solo está disponible para cuentas de administración y profesionales'
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    const status = await TwoFactor.getStatus(user.id);
+    if (status.enabled) {
+      return res.status(409).json({
+        error: 'La verificación en dos pasos ya está activada'
+      });
+    }
+
+    const enrollment = await TwoFactor.startEnrollment(user);
+
+    res.json({
+      success: true,
+      message: 'Escanea el código QR con tu app de autenticación y confirma con un código',
+      data: enrollment
+    });
+
+  } catch (error) {
+    console.error('Error iniciando alta de 2FA:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirmar el alta con un código de la app; devuelve los códigos de recuperación
+ * Si se usó el challengeToken del login, también abre la sesión
+ */
+router.post('/2fa/enable', authenticateTokenOrSetupChallenge, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        error: 'El código de verificación es requerido'
+      });
+    }
+
+    if (!TwoFactor.appliesTo(req.user.userRole)) {
+      return res.status(403).json({
+        error: 'La verificación en dos pasos solo está disponible para cuentas de administración y profesionales'
+      });
+    }
+
+    const backupCodes = await TwoFactor.confirmEnrollment(req.user.userId, code);
+    if (!backupCodes) {
+      return res.status(400).json({
+        error: 'Código de verificación inválido o alta no iniciada'
+      });
+    }
+
+    let tokens = {};
+    if (req.user.setupChallenge) {
+      // El alta completa el login: se reinicia el contador de intentos fallidos
+      await AccountLockout.registerSuccess(req.user.userId);
+      tokens = await issueTokens(req.user.userId, req.user.userRole, req);
+    }
+
+    res.json({
+      success: true,
+      message: 'Verificación en dos pasos activada. Guarda los códigos de recuperación en un lugar seguro',
+      data: {
+        backupCodes,
+        ...tokens
+      }
+    });
+
+  } catch (error) {
+    console.error('Error activando 2FA:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/backup-codes
+ * Generar un juego nuevo de códigos de recuperación (invalida los anteriores)
+ * Los códigos erróneos cuentan para el bloqueo de la cuenta (429 al superarlo)
+ */
+router.post('/2fa/backup-codes', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        error: 'El código de verificación es requerido'
+      });
+    }
+
+    // Los códigos erróneos cuentan como intentos fallidos de la cuenta, igual que en el login
+    const attempt = await AccountLockout.reserveAttempt(req.user.userId);
+    if (!attempt.allowed) return rejectAttempt(res, attempt);
+
+    if (!(await TwoFactor.verify(req.user.userId, code))) {
+      await AccountLockout.registerFailure(req.user.userId, attempt, req);
+      return res.status(401).json({
+        error: 'Código de verificación inválido'
+      });
+    }
+
+    await AccountLockout.releaseAttempt(req.user.userId);
+    const backupCodes = await TwoFactor.regenerateBackupCodes(req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Códigos de recuperación regenerados',
+      data: {
+        backupCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('Error regenerando códigos de recuperación:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Desactivar el 2FA (no permitido si la política lo hace obligatorio)
+ * Los códigos erróneos cuentan para el bloqueo de la cuenta (429 al superarlo)
+ */
+router.post('/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        error: 'El código de verificación es requerido'
+      });
+    }
+
+    if (await TwoFactor.isRequiredFor(req.user.userRole)) {
+      return res.status(403).json({
+        error: 'La verificación en dos pasos es obligatoria para tu cuenta'
+      });
+    }
+
+    // Los códigos erróneos cuentan como intentos fallidos de la cuenta, igual que en el login
+    const attempt = await AccountLockout.reserveAttempt(req.user.userId);
+    if (!attempt.allowed) return rejectAttempt(res, attempt);
+
+    if (!(await TwoFactor.verify(req.user.userId, code))) {
+      await AccountLockout.registerFailure(req.user.userId, attempt, req);
+      return res.status(401).json({
+        error: 'Código de verificación inválido'
+      });
+    }
+
+    await AccountLockout.releaseAttempt(req.user.userId);
+    await TwoFactor.disable(req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Verificación en dos pasos desactivada'
+    });
+
+  } catch (error) {
+    console.error('Error desactivando 2FA:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+});
+
 module.exports = router;
@@ -1,11 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const ContactMessage = require('../models/ContactMessage');
+const Consent = require('../models/Consent');
+const { checkConsent } = require('../utils/consentValidation');
 const { body, validationResult } = require('express-validator');
 
 /**
  * POST /api/contact
  * Crear un nuevo mensaje de contacto
+ * Requiere `consent` con la finalidad contact y la versión vigente de la política de privacidad
  */
 router.post('/', [
   body('nombre').trim().isLength({ min: 2, max: 100 }).withMessage('El nombre debe tener entre 2 y 100 caracteres'),
@@ -24,7 +27,24 @@ router.post('/', [
       });
     }
 
-    const { nombre, email, asunto, mensaje } = req.body;
+    const { nombre, email, asunto, mensaje, consent } = req.body;
+
+    const consentCheck = await checkConsent(consent, 'contact');
+    if (consentCheck.error) {
+      return res.status(consentCheck.status).json({
+        success: false,
+        message: consentCheck.error,
+        currentPolicyVersion: consentCheck.currentVersion
+      });
+    }
+
+    // El consentimiento se registra antes que el mensaje: si falla, no se guarda nada
+    const consentIds = await Consent.record({
+      ...consentCheck.consent,
+      source: 'contact',
+      email,
+      req
+    });
 
     // Crear mensaje en la base de datos
     const messageId = await ContactMessage.create({
@@ -34,6 +54,8 @@ router.post('/', [
       mensaje
     });
 
+    await Consent.attachToContactMessage(consentIds, messageId);
+
     console.log('✅ Mensaje de contacto creado exitosamente:', messageId);
 
     res.status(201).json({
@@ -0,0 +1,297 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Questionnaire = require('../models/Questionnaire');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth-simple');
+const { buildDataExport, exportFilename, exportSummary } = require('../utils/dataExport');
+const { executeErasure } = require('../utils/dataErasure');
+const { hashEmail } = require('../utils/encryption');
+
+// Tamaño máximo de página al listar cuestionarios
+const MAX_PAGE_SIZE = 50;
+
+/**
+ * GET /api/me
+ * Perfil del usuario autenticado
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const profile = await User.getPublicProfile(req.user.userId);
+
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: profile
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo perfil:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/me
+ * Actualizar el nombre y apellidos del usuario autenticado
+ */
+router.put('/', authenticateToken, async (req, res) => {
+  try {
+    const { nombre, apellidos } = req.body;
+
+    if (typeof nombre !== 'string' || !nombre.trim() || typeof apellidos !== 'string' || !apellidos.trim()) {
+      return res.status(400).json({
+        error: 'Nombre y apellidos son requeridos'
+      });
+    }
+
+    await User.update(req.user.userId, {
+      nombre: nombre.trim(),
+      apellidos: apellidos.trim()
+    });
+
+    res.json({
+      success: true,
+      message: 'Perfil actualizado',
+      data: await User.getPublicProfile(req.user.userId)
+    });
+
+  } catch (error) {
+    console.error('Error actualizando perfil:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/me/password
+ * Cambiar la contraseña; cierra el resto de sesiones abiertas
+ */
+router.put('/password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        error: 'La contraseña actual y la nueva son requeridas'
+      });
+    }
+
+    if (typeof newPassword !== 'string' || newPassword.length < User.MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `La contraseña debe tener al menos ${User.MIN_PASSWORD_LENGTH} caracteres`
+      });
+    }
+
+    try {
+      await User.changePassword(req.user.userId, currentPassword, newPassword);
+    } catch (error) {
+      if (error.message.includes('La contraseña actual es incorrecta')) {
+        return res.status(400).json({
+          error: 'La contraseña actual es incorrecta'
+        });
+      }
+      throw error;
+    }
+
+    const revoked = await Session.revokeAllForUser(req.user.userId, req.user.sessionId);
+    console.log(`🔐 Contraseña cambiada por el usuario ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Contraseña actualizada',
+      data: {
+        revokedSessions: revoked
+      }
+    });
+
+  } catch (error) {
+    console.error('Error cambiando contraseña:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/me/questionnaires
+ * Cuestionarios del usuario autenticado con sus estadísticas
+ * Filtros opcionales: ?type=&completed=true|false&page=&limit=
+ */
+router.get('/questionnaires', authenticateToken, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { type, completed } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_PAGE_SIZE);
+
+    if (completed !== undefined && completed !== 'true' && completed !== 'false') {
+      return res.status(400).json({
+        error: 'El filtro completed debe ser true o false'
+      });
+    }
+
+    const result = await Questionnaire.findByUser(req.user.userId, {
+      type,
+      completed: completed === undefined ? undefined : completed === 'true',
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        stats: await Questionnaire.getUserStats(req.user.userId)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo cuestionarios del usuario:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/me/stats
+ * Resumen del perfil y estadísticas de cuestionarios del usuario autenticado
+ */
+router.get('/stats', authenticateToken, requireVerifiedEmail, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await User.getUserStats(req.user.userId)
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo estadísticas del usuario:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/me/export
+ * Descargar todos los datos vinculados a la cuenta y a su email (derecho de acceso)
+ * Requiere el email verificado: es lo que acredita que los datos son de quien los pide
+ */
+router.get('/export', authenticateToken, requireVerifiedEmail, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    const exportData = await buildDataExport(user.email, { requestedBy: user.id });
+
+    await AuditLog.record({
+      userId: user.id,
+      action: 'data_export',
+      resource: 'user',
+      resourceId: user.id,
+      details: {
+        subject: hashEmail(exportData.manifest.subject.email),
+        onBehalf: false,
+        records: exportSummary(exportData)
+      },
+      req
+    });
+
+    console.log(`📦 Exportación de datos personales descargada por el usuario ${user.id}`);
+
+    res.attachment(exportFilename(exportData));
+    res.json(exportData);
+
+  } catch (error) {
+    console.error('Error exportando datos personales:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/me
+ * Eliminar la cuenta con sus cuestionarios y mensajes de contacto (requiere la contraseña)
+ * Las cuentas del personal se gestionan desde administración
+ */
+router.delete('/', authenticateToken, async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (req.user.userRole !== 'user') {
+      return res.status(403).json({
+        error: 'Las cuentas del personal no se pueden eliminar desde aquí'
+      });
+    }
+
+    if (!password) {
+      return res.status(400).json({
+        error: 'La contraseña es requerida para eliminar la cuenta'
+      });
+    }
+
+    const isValidPassword = await User.verifyPassword(req.user.userId, password);
+    if (isValidPassword === null) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    if (!isValidPassword) {
+      return res.status(400).json({
+        error: 'La contraseña es incorrecta'
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    const { erasure } = await executeErasure(user.email, {
+      mode: 'erase',
+      reason: 'Baja solicitada por la persona desde su cuenta'
+    });
+
+    // Sin IP ni user agent: serían datos de la persona cuya cuenta se acaba de suprimir
+    await AuditLog.record({
+      action: 'data_erasure',
+      resource: 'erasure_request',
+      resourceId: erasure.id,
+      details: { mode: erasure.mode, selfService: true }
+    });
+
+    console.log(`🗑️ Cuenta ${req.user.userId} eliminada por su titular`);
+
+    res.json({
+      success: true,
+      message: 'Cuenta eliminada'
+    });
+
+  } catch (error) {
+    console.error('Error eliminando cuenta:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const PrivacyPolicy = require('../models/PrivacyPolicy');
+const { CONSENT_PURPOSES, REQUIRED_PURPOSES } = require('../config/privacy');
+
+/**
+ * GET /api/privacy/policy
+ * Política de privacidad vigente y finalidades que se pueden aceptar en cada formulario
+ * El frontend la muestra y devuelve su versión en `consent.policyVersion`
+ */
+router.get('/policy', async (req, res) => {
+  try {
+    const policy = await PrivacyPolicy.findCurrent();
+
+    if (!policy) {
+      return res.status(404).json({
+        error: 'No hay ninguna política de privacidad publicada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        version: policy.version,
+        content: policy.content,
+        publishedAt: policy.publishedAt,
+        purposes: CONSENT_PURPOSES,
+        required: REQUIRED_PURPOSES
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo la política de privacidad:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,26 +1,195 @@
 const express = require('express');
 const router = express.Router();
+const { validate: isUuid } = require('uuid');
 const Questionnaire = require('../models/Questionnaire');
 const User = require('../models/User');
+const QuestionnaireResult = require('../models/QuestionnaireResult');
+const CompatibilityAnalysis = require('../models/CompatibilityAnalysis');
+const PartnerInvitation = require('../models/PartnerInvitation');
+const QuestionnaireRevision = require('../models/QuestionnaireRevision');
+const ResumeToken = require('../models/ResumeToken');
+const RiskFlag = require('../models/RiskFlag');
+const Consent = require('../models/Consent');
+const { analyzeCompatibility } = require('../utils/compatibility');
+const { validateAnswers } = require('../utils/answerValidation');
+const { checkConsent } = require('../utils/consentValidation');
+const { diffRevisions, diffObjects } = require('../utils/revisionDiff');
+const { sendMail } = require('../utils/mailer');
+const { generateSecureToken } = require('../utils/encryption');
+const {
+  authenticateToken,
+  requireVerifiedEmail,
+  generateQuestionnaireToken,
+  getAuthenticatedUser,
+  checkQuestionnaireAccess,
+  authorizeQuestionnaireAccess
+} = require('../middleware/auth-simple');
+const { emailLinkRateLimiter } = require('../middleware/security-simple');
+const questionnaireDefinitions = require('../config/questionnaires');
+
+/**
+ * Validar el código de invitación con el que se une la pareja
+ * Devuelve la invitación o un mensaje de error
+ */
+async function resolveInvitation(invitationCode, type, personalInfo) {
+  const invitation = await PartnerInvitation.findByCode(invitationCode);
+
+  if (!PartnerInvitation.isUsable(invitation) || type !== 'pareja') {
+    return { error: 'Código de invitación inválido o caducado' };
+  }
+
+  const inviterQuestionnaire = await Questionnaire.findById(invitation.inviterQuestionnaireId);
+  if (!inviterQuestionnaire) {
+    return { error: 'Código de invitación inválido o caducado' };
+  }
+
+  const inviterEmail = String(inviterQuestionnaire.personalInfo.correo || '').toLowerCase();
+  if (inviterEmail && inviterEmail === String(personalInfo.correo || '').toLowerCase()) {
+    return { error: 'No puedes usar tu propia invitación de pareja' };
+  }
+
+  return { invitation };
+}
+
+/**
+ * Estado de emparejamiento de un cuestionario de pareja
+ * Al completar el cuestionario se genera la invitación para la pareja si todavía no la tiene
+ */
+async function getPairingStatus(questionnaire) {
+  if (!questionnaire || questionnaire.type !== 'pareja') return null;
+
+  let invitation = await PartnerInvitation.findByQuestionnaireId(questionnaire.id);
+  if (questionnaire.completed && (!invitation || invitation.status === 'expired')) {
+    invitation = await PartnerInvitation.getOrCreateForQuestionnaire(questionnaire.id) || invitation;
+  }
+
+  if (!invitation) return null;
+
+  const isInviter = String(invitation.inviterQuestionnaireId) === String(questionnaire.id);
+  const partnerId = isInviter ? invitation.partnerQuestionnaireId : invitation.inviterQuestionnaireId;
+  const partnerQuestionnaire = partnerId ? await Questionnaire.findById(partnerId) : null;
+
+  return {
+    role: isInviter ? 'inviter' : 'partner',
+    status: invitation.status,
+    code: isInviter ? invitation.code : null,
+    link: isInviter ? invitation.link : null,
+    expiresAt: isInviter ? invitation.expiresAt : null,
+    pairedAt: invitation.pairedAt,
+    partner: partnerQuestionnaire ? {
+      questionnaireId: partnerQuestionnaire.id,
+      nombre: partnerQuestionnaire.personalInfo.nombre,
+      completed: partnerQuestionnaire.completed
+    } : null
+  };
+}
+
+/**
+ * GET /api/questionnaires/definitions
+ * Listar las definiciones vigentes de cuestionarios
+ */
+router.get('/definitions', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: questionnaireDefinitions.listDefinitions()
+    });
+  } catch (error) {
+    console.error('Error listando definiciones:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/questionnaires/definitions/:type
+ * Obtener la definición de un cuestionario (opcionalmente ?version=N)
+ */
+router.get('/definitions/:type', (req, res) => {
+  try {
+    const { type } = req.params;
+    const { version } = req.query;
+
+    const definition = questionnaireDefinitions.getDefinition(type, version);
+    if (!definition) {
+      return res.status(404).json({
+        error: 'Definición de cuestionario no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: questionnaireDefinitions.toPublicDefinition(definition)
+    });
+  } catch (error) {
+    console.error('Error obteniendo definición:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/questionnaires/invitations/:code
+ * Consultar una invitación de pareja antes de empezar el cuestionario
+ */
+router.get('/invitations/:code', async (req, res) => {
+  try {
+    const invitation = await PartnerInvitation.findByCode(req.params.code);
+
+    if (!invitation) {
+      return res.status(404).json({
+        error: 'Invitación no encontrada'
+      });
+    }
+
+    const inviterQuestionnaire = await Questionnaire.findById(invitation.inviterQuestionnaireId);
+
+    res.json({
+      success: true,
+      data: {
+        code: invitation.code,
+        type: 'pareja',
+        status: invitation.status,
+        valid: PartnerInvitation.isUsable(invitation),
+        expiresAt: invitation.expiresAt,
+        inviter: inviterQuestionnaire ? { nombre: inviterQuestionnaire.personalInfo.nombre } : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo invitación:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: error.message
+    });
+  }
+});
 
 /**
  * POST /api/questionnaires/start
  * Iniciar un nuevo cuestionario
+ * Requiere `consent` con la finalidad processing y la versión vigente de la política de privacidad
+ * Con el access token de la cuenta del email indicado, el cuestionario se vincula a ella
  */
 router.post('/start', async (req, res) => {
   try {
-    const { type, personalInfo } = req.body;
+    const { type, personalInfo, answers = {}, invitationCode, consent } = req.body;
     
     // Validar tipo de cuestionario
-    if (!['pareja', 'personalidad'].includes(type)) {
+    const definition = questionnaireDefinitions.getDefinition(type);
+    if (!definition) {
       return res.status(400).json({
-        error: 'Tipo de cuestionario inválido. Debe ser "pareja" o "personalidad"'
+        error: `Tipo de cuestionario inválido. Debe ser uno de: ${questionnaireDefinitions.getTypes().join(', ')}`
       });
     }
 
     // Validar información personal requerida
     const requiredFields = ['nombre', 'apellidos', 'edad', 'genero', 'correo', 'orientacionSexual'];
-    const missingFields = requiredFields.filter(field => !personalInfo[field]);
+    const missingFields = requiredFields.filter(field => !personalInfo || !personalInfo[field]);
     
     if (missingFields.length > 0) {
       return res.status(400).json({
@@ -28,34 +197,101 @@ router.post('/start', async (req, res) => {
       });
     }
 
-    // Crear o encontrar usuario por email
+    // Sin consentimiento para tratar los datos (de salud y orientación sexual) no se guarda nada
+    const consentCheck = await checkConsent(consent, 'questionnaire');
+    if (consentCheck.error) {
+      return res.status(consentCheck.status).json({
+        error: consentCheck.error,
+        currentPolicyVersion: consentCheck.currentVersion
+      });
+    }
+
+    // Validar respuestas iniciales contra la definición
+    const validation = validateAnswers(definition, answers);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Respuestas inválidas',
+        details: validation.errors
+      });
+    }
+
+    // Validar la invitación de pareja si se une con un código
+    let invitation = null;
+    if (invitationCode) {
+      const resolved = await resolveInvitation(invitationCode, type, personalInfo);
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+      }
+      invitation = resolved.invitation;
+    }
+
+    // Vincular el cuestionario a una cuenta. Que el email coincida no basta: a una cuenta
+    // existente (también del personal) solo se vincula si quien lo inicia tiene la sesión
+    // iniciada con ella; si no, se accede solo con el token del cuestionario.
+    // Sin cuenta se crea una, que no da acceso al cuestionario hasta verificar el email
     let user = await User.findByEmail(personalInfo.correo);
-    
-    if (!user) {
+
+    if (user) {
+      const caller = await getAuthenticatedUser(req);
+      if (!caller || String(caller.userId) !== String(user.id)) {
+        user = null;
+      }
+    } else {
       // Crear usuario nuevo
       user = await User.create({
         ...personalInfo,
-        password: 'temp_password_' + Date.now() // Contraseña temporal
+        // Contraseña aleatoria que nadie conoce: el encuestado accede con un enlace por email
+        // (POST /api/auth/magic-link) o eligiendo una con /api/auth/forgot-password
+        password: generateSecureToken(32)
       });
     }
+    const userId = user ? user.id : null;
 
     // Crear cuestionario
     const questionnaireId = await Questionnaire.create({
-      userId: user.id,
+      userId,
       type,
+      definitionVersion: definition.version,
       personalInfo,
-      answers: {},
+      answers: validation.answers,
       completed: false
     });
 
+    if (invitation) {
+      await PartnerInvitation.pair(invitation.id, questionnaireId);
+    }
+
+    await Consent.record({
+      ...consentCheck.consent,
+      source: 'start',
+      email: personalInfo.correo,
+      userId,
+      questionnaireId,
+      req
+    });
+
+    const createdQuestionnaire = await Questionnaire.findById(questionnaireId);
+    await QuestionnaireRevision.record(createdQuestionnaire, 'start');
+    await RiskFlag.evaluateFor(createdQuestionnaire);
+    const resume = await ResumeToken.issue(questionnaireId);
+
+    const pairing = invitation
+      ? await getPairingStatus(createdQuestionnaire)
+      : null;
+
     res.status(201).json({
       success: true,
       message: 'Cuestionario iniciado correctamente',
       data: {
         questionnaireId,
-        userId: user.id,
+        userId,
         type,
-        personalInfo
+        definitionVersion: definition.version,
+        personalInfo,
+        pairing,
+        accessToken: generateQuestionnaireToken(questionnaireId),
+        resumeToken: resume.token,
+        resumeTokenExpiresAt: resume.expiresAt
       }
     });
 
@@ -71,39 +307,12 @@ router.post('/start', async (req, res) => {
 /**
  * POST /api/questionnaires/sync
  * Sincronizar datos del localStorage con el backend
+ * Con un clientId ya sincronizado solo actualiza quien presenta el token del cuestionario
+ * Requiere `consent` con la finalidad processing (vale cualquier versión publicada de la política)
  */
 router.post('/sync', async (req, res) => {
   try {
-    const { type, personalInfo, answers, completed = false, timestamp } = req.body;
-    
-    // Log detallado del cuestionario recibido
-    console.log(`📥 CUESTIONARIO RECIBIDO EN BACKEND:`);
-    console.log(`📋 DATOS DEL USUARIO:`);
-    console.log(JSON.stringify({
-      tipo: type,
-      usuario: {
-        nombre: personalInfo.nombre,
-        apellidos: personalInfo.apellidos,
-        edad: personalInfo.edad,
-        genero: personalInfo.genero,
-        correo: personalInfo.correo,
-        orientacionSexual: personalInfo.orientacionSexual
-      },
-      cuestionario: {
-        totalPreguntas: Object.keys(answers).length,
-        completado: completed,
-        timestamp: timestamp ? new Date(timestamp).toISOString() : new Date().toISOString()
-      },
-      backend: 'questionnaires/sync',
-      endpoint: '/api/questionnaires/sync'
-    }, null, 2));
-    
-    console.log(`📝 RESPUESTAS RECIBIDAS:`);
-    Object.entries(answers).forEach(([questionIndex, answer]) => {
-      const questionNumber = parseInt(questionIndex) + 1;
-      console.log(`   Pregunta ${questionNumber}: ${answer}`);
-    });
-    console.log(`📊 ---`);
+    const { type, personalInfo, answers, completed = false, timestamp, invitationCode, clientId, consent } = req.body;
     
     // Validar datos requeridos
     if (!type || !personalInfo || !personalInfo.correo) {
@@ -112,34 +321,188 @@ router.post('/sync', async (req, res) => {
       });
     }
 
+    if (clientId !== undefined && (typeof clientId !== 'string' || !isUuid(clientId))) {
+      return res.status(400).json({
+        error: 'clientId debe ser un UUID válido'
+      });
+    }
+
+    // Lo rellenado sin conexión pudo aceptarse con una versión anterior de la política
+    const consentCheck = await checkConsent(consent, 'questionnaire', { acceptPreviousVersions: true });
+    if (consentCheck.error) {
+      return res.status(consentCheck.status).json({
+        error: consentCheck.error,
+        currentPolicyVersion: consentCheck.currentVersion
+      });
+    }
+
+    // Un clientId ya sincronizado se actualiza en lugar de crear otro cuestionario
+    const existing = clientId ? await Questionnaire.findByClientId(clientId) : null;
+
+    // El clientId no acredita nada: para actualizar o leer el cuestionario hace falta su
+    // token de acceso (X-Questionnaire-Token) o la cuenta dueña. Sin ellos solo se
+    // confirma que ya está sincronizado
+    if (existing && !(await checkQuestionnaireAccess(req, existing))) {
+      return res.json({
+        success: true,
+        message: 'Cuestionario ya sincronizado; para actualizarlo hace falta su token de acceso',
+        data: {
+          action: 'exists',
+          questionnaireId: existing.id
+        }
+      });
+    }
+
+    if (existing && existing.type !== type) {
+      return res.status(409).json({
+        error: 'El clientId pertenece a un cuestionario de otro tipo'
+      });
+    }
+
+    const definition = existing
+      ? questionnaireDefinitions.getDefinition(existing.type, existing.definitionVersion)
+      : questionnaireDefinitions.getDefinition(type);
+    if (!definition) {
+      return res.status(400).json({
+        error: `Tipo de cuestionario inválido. Debe ser uno de: ${questionnaireDefinitions.getTypes().join(', ')}`
+      });
+    }
+
+    // Validar respuestas contra la definición (completas si llega terminado)
+    const validation = validateAnswers(definition, answers, { requireComplete: completed });
+    if (!validation.valid) {
+      console.warn(`⚠️ Cuestionario ${type} rechazado: ${validation.errors.length} respuestas inválidas`);
+      return res.status(400).json({
+        error: 'Respuestas inválidas',
+        details: validation.errors
+      });
+    }
+    
+    // Solo recuentos: los datos personales y las respuestas no van al log
+    console.log(`📥 Cuestionario ${type} recibido en /sync: ${Object.keys(validation.answers).length} respuestas, completado: ${completed}`);
+
+    if (existing) {
+      // Un reenvío de un borrador anterior no deshace un cuestionario ya completado
+      const unchanged = (existing.completed && !completed) || (
+        existing.completed === completed &&
+        diffObjects(existing.personalInfo, personalInfo).length === 0 &&
+        diffObjects(existing.answers, validation.answers).length === 0
+      );
+
+      let questionnaire = existing;
+      if (!unchanged) {
+        questionnaire = await Questionnaire.update(existing.id, existing.userId, {
+          personalInfo,
+          answers: validation.answers,
+          completed
+        });
+        await QuestionnaireRevision.record(questionnaire, 'sync');
+      }
+
+      await Consent.record({
+        ...consentCheck.consent,
+        source: 'sync',
+        email: personalInfo.correo,
+        questionnaireId: questionnaire.id,
+        req
+      });
+
+      const results = questionnaire.completed && !unchanged
+        ? await QuestionnaireResult.computeFor(questionnaire)
+        : await QuestionnaireResult.findByQuestionnaireId(questionnaire.id);
+      if (!unchanged) {
+        await RiskFlag.evaluateFor(questionnaire, results);
+      }
+      const pairing = await getPairingStatus(questionnaire);
+      const action = unchanged ? 'unchanged' : 'updated';
+
+      console.log(`🔁 Cuestionario ${questionnaire.id} sincronizado (${action}) con clientId ${clientId}`);
+
+      return res.json({
+        success: true,
+        message: unchanged ? 'Cuestionario ya sincronizado, sin cambios' : 'Cuestionario actualizado y sincronizado',
+        data: {
+          action,
+          questionnaireId: questionnaire.id,
+          clientId,
+          type: questionnaire.type,
+          definitionVersion: definition.version,
+          personalInfo: questionnaire.personalInfo,
+          answers: questionnaire.answers,
+          completed: questionnaire.completed,
+          results,
+          pairing,
+          accessToken: generateQuestionnaireToken(questionnaire.id),
+          resumeToken: null,
+          resumeTokenExpiresAt: null,
+          timestamp
+        }
+      });
+    }
+
+    // Validar la invitación de pareja si se une con un código
+    let invitation = null;
+    if (invitationCode) {
+      const resolved = await resolveInvitation(invitationCode, type, personalInfo);
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+      }
+      invitation = resolved.invitation;
+    }
+
     // Crear cuestionario directamente sin crear usuario
     const questionnaireId = await Questionnaire.create({
       userId: null, // No necesitamos usuario
+      clientId: clientId || null,
       type,
+      definitionVersion: definition.version,
       personalInfo,
-      answers,
+      answers: validation.answers,
       completed
     });
     
-    console.log(`🆕 CUESTIONARIO CREADO EXITOSAMENTE:`);
-    console.log(JSON.stringify({
-      accion: 'creado',
-      cuestionarioId: questionnaireId,
-      tipo: type,
-      estado: 'nuevo',
-      timestamp: new Date().toISOString(),
-      backend: 'questionnaires/sync'
-    }, null, 2));
+    if (invitation) {
+      await PartnerInvitation.pair(invitation.id, questionnaireId);
+    }
+
+    await Consent.record({
+      ...consentCheck.consent,
+      source: 'sync',
+      email: personalInfo.correo,
+      questionnaireId,
+      req
+    });
+
+    // Calcular resultados si llega ya completado
+    const createdQuestionnaire = await Questionnaire.findById(questionnaireId);
+    await QuestionnaireRevision.record(createdQuestionnaire, 'sync');
+    const resume = await ResumeToken.issue(questionnaireId);
+
+    const results = completed
+      ? await QuestionnaireResult.computeFor(createdQuestionnaire)
+      : null;
+    await RiskFlag.evaluateFor(createdQuestionnaire, results);
+    const pairing = await getPairingStatus(createdQuestionnaire);
+    
+    console.log(`🆕 Cuestionario ${questionnaireId} (${type}) creado por sincronización`);
     
     res.status(201).json({
       success: true,
       message: 'Cuestionario creado y sincronizado',
       data: {
+        action: 'created',
         questionnaireId,
+        clientId: clientId || null,
         type,
+        definitionVersion: definition.version,
         personalInfo,
-        answers,
+        answers: validation.answers,
         completed,
+        results,
+        pairing,
+        accessToken: generateQuestionnaireToken(questionnaireId),
+        resumeToken: resume.token,
+        resumeTokenExpiresAt: resume.expiresAt,
         timestamp
       }
     });
@@ -153,34 +516,130 @@ router.post('/sync', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/questionnaires/compatibility
+ * Analizar la compatibilidad de dos cuestionarios de pareja completados
+ * El análisis incluye las respuestas de ambos: hay que acreditar acceso a los dos
+ * (sus tokens en X-Questionnaire-Token separados por comas, o la cuenta dueña)
+ */
+router.post('/compatibility', async (req, res) => {
+  try {
+    const { questionnaire1Id, questionnaire2Id } = req.body;
+
+    if (!questionnaire1Id || !questionnaire2Id) {
+      return res.status(400).json({
+        error: 'Datos requeridos faltantes: questionnaire1Id, questionnaire2Id'
+      });
+    }
+
+    if (String(questionnaire1Id) === String(questionnaire2Id)) {
+      return res.status(400).json({
+        error: 'Los dos cuestionarios deben ser distintos'
+      });
+    }
+
+    const questionnaire1 = await Questionnaire.findById(questionnaire1Id);
+    const questionnaire2 = await Questionnaire.findById(questionnaire2Id);
+
+    // Sin acceso a alguno de los dos se responde igual que si no existiera
+    if (!questionnaire1 || !questionnaire2 ||
+        !(await checkQuestionnaireAccess(req, questionnaire1)) ||
+        !(await checkQuestionnaireAccess(req, questionnaire2))) {
+      return res.status(404).json({
+        error: 'Cuestionario no encontrado'
+      });
+    }
+
+    if (questionnaire1.type !== 'pareja' || questionnaire2.type !== 'pareja') {
+      return res.status(400).json({
+        error: 'Solo se puede analizar la compatibilidad de cuestionarios de pareja'
+      });
+    }
+
+    if (!questionnaire1.completed || !questionnaire2.completed) {
+      return res.status(400).json({
+        error: 'Ambos cuestionarios deben estar completados'
+      });
+    }
+
+    const version1 = questionnaire1.definitionVersion || questionnaireDefinitions.getLatestVersion('pareja');
+    const version2 = questionnaire2.definitionVersion || questionnaireDefinitions.getLatestVersion('pareja');
+    if (version1 !== version2) {
+      return res.status(400).json({
+        error: 'Los cuestionarios se respondieron con versiones distintas de la definición'
+      });
+    }
+
+    const definition = questionnaireDefinitions.getDefinition('pareja', version1);
+    const analysis = analyzeCompatibility(definition, questionnaire1.answers, questionnaire2.answers);
+
+    const savedAnalysis = await CompatibilityAnalysis.create({
+      questionnaire1Id: questionnaire1.id,
+      questionnaire2Id: questionnaire2.id,
+      compatibilityScore: analysis.overallScore,
+      detailedAnalysis: analysis.detailedAnalysis,
+      recommendations: analysis.recommendations
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Análisis de compatibilidad generado correctamente',
+      data: savedAnalysis
+    });
+
+  } catch (error) {
+    console.error('Error analizando compatibilidad:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /api/questionnaires/:id/save
  * Guardar respuestas del cuestionario
  */
-router.post('/:id/save', async (req, res) => {
+router.post('/:id/save', authorizeQuestionnaireAccess, async (req, res) => {
   try {
     const { id } = req.params;
     const { answers, personalInfo, completed = false } = req.body;
+    const { questionnaire } = req;
 
-    // Buscar cuestionario
-    const questionnaire = await Questionnaire.findById(id);
-    if (!questionnaire) {
-      return res.status(404).json({
-        error: 'Cuestionario no encontrado'
+    // Validar respuestas contra la versión de la definición con la que se empezó
+    const definition = questionnaireDefinitions.getDefinition(questionnaire.type, questionnaire.definitionVersion);
+    const validation = validateAnswers(definition, answers !== undefined ? answers : questionnaire.answers, {
+      requireComplete: completed
+    });
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Respuestas inválidas',
+        details: validation.errors
       });
     }
 
     // Actualizar cuestionario
     const updatedQuestionnaire = await Questionnaire.update(id, questionnaire.userId, {
-      answers,
+      answers: answers !== undefined ? validation.answers : undefined,
       personalInfo,
       completed
     });
+    await QuestionnaireRevision.record(updatedQuestionnaire, 'save');
+
+    const results = updatedQuestionnaire.completed
+      ? await QuestionnaireResult.computeFor(updatedQuestionnaire)
+      : await QuestionnaireResult.findByQuestionnaireId(updatedQuestionnaire.id);
+    await RiskFlag.evaluateFor(updatedQuestionnaire, results);
+    const pairing = await getPairingStatus(updatedQuestionnaire);
 
     res.json({
       success: true,
       message: 'Respuestas guardadas correctamente',
-      data: updatedQuestionnaire
+      data: {
+        ...updatedQuestionnaire,
+        results,
+        pairing
+      }
     });
 
   } catch (error) {
@@ -193,25 +652,124 @@ router.post('/:id/save', async (req, res) => {
 });
 
 /**
- * GET /api/questionnaires/:id
- * Obtener cuestionario por ID
+ * GET /api/questionnaires/:id/pairing
+ * Consultar el estado de emparejamiento de un cuestionario de pareja
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id/pairing', authorizeQuestionnaireAccess, async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // Buscar cuestionario (sin validar usuario por ahora)
-    const questionnaire = await Questionnaire.findById(id, null);
-    
-    if (!questionnaire) {
+    const { questionnaire } = req;
+
+    if (questionnaire.type !== 'pareja') {
+      return res.status(400).json({
+        error: 'Solo los cuestionarios de pareja pueden emparejarse'
+      });
+    }
+
+    const pairing = await getPairingStatus(questionnaire);
+
+    res.json({
+      success: true,
+      data: pairing || { role: null, status: 'none', partner: null }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo emparejamiento:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/questionnaires/:id/revisions
+ * Historial de revisiones de un cuestionario
+ */
+router.get('/:id/revisions', authorizeQuestionnaireAccess, async (req, res) => {
+  try {
+    const { questionnaire } = req;
+
+    const revisions = await QuestionnaireRevision.findByQuestionnaireId(questionnaire.id);
+
+    res.json({
+      success: true,
+      data: {
+        questionnaireId: questionnaire.id,
+        total: revisions.length,
+        revisions
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo revisiones:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/questionnaires/:id/revisions/diff?from=N&to=M
+ * Comparar dos revisiones (por defecto la última con la anterior)
+ */
+router.get('/:id/revisions/diff', authorizeQuestionnaireAccess, async (req, res) => {
+  try {
+    const { questionnaire } = req;
+
+    const revisions = await QuestionnaireRevision.findByQuestionnaireId(questionnaire.id);
+    const latest = revisions.length > 0 ? revisions[revisions.length - 1].revision : 0;
+
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : latest;
+    const from = req.query.from !== undefined ? parseInt(req.query.from) : to - 1;
+
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return res.status(400).json({
+        error: 'Los parámetros from y to deben ser números de revisión'
+      });
+    }
+
+    const fromRevision = revisions.find(revision => revision.revision === from);
+    const toRevision = revisions.find(revision => revision.revision === to);
+
+    if (!fromRevision || !toRevision) {
       return res.status(404).json({
-        error: 'Cuestionario no encontrado'
+        error: 'Revisión no encontrada'
       });
     }
 
     res.json({
       success: true,
-      data: questionnaire
+      data: diffRevisions(fromRevision, toRevision)
+    });
+
+  } catch (error) {
+    console.error('Error comparando revisiones:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/questionnaires/:id
+ * Obtener cuestionario por ID
+ */
+router.get('/:id', authorizeQuestionnaireAccess, async (req, res) => {
+  try {
+    const { questionnaire } = req;
+
+    const results = await QuestionnaireResult.findByQuestionnaireId(questionnaire.id);
+    const pairing = await getPairingStatus(questionnaire);
+
+    res.json({
+      success: true,
+      data: {
+        ...questionnaire,
+        results,
+        pairing
+      }
     });
 
   } catch (error) {
@@ -225,27 +783,41 @@ router.get('/:id', async (req, res) => {
 
 /**
  * POST /api/questionnaires/:id/complete
- * Marcar cuestionario como completado
+ * Marcar cuestionario como completado (400 si faltan preguntas obligatorias)
  */
-router.post('/:id/complete', async (req, res) => {
+router.post('/:id/complete', authorizeQuestionnaireAccess, async (req, res) => {
   try {
     const { id } = req.params;
-    
-    // Buscar cuestionario
-    const questionnaire = await Questionnaire.findById(id);
-    if (!questionnaire) {
-      return res.status(404).json({
-        error: 'Cuestionario no encontrado'
+    const { questionnaire } = req;
+
+    // Solo se completa con todas las preguntas obligatorias respondidas: con respuestas
+    // parciales la puntuación no se puede clasificar
+    const definition = questionnaireDefinitions.getDefinition(questionnaire.type, questionnaire.definitionVersion);
+    const validation = validateAnswers(definition, questionnaire.answers, { requireComplete: true });
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'El cuestionario tiene preguntas obligatorias sin responder',
+        details: validation.errors
       });
     }
 
     // Marcar como completado
     const completedQuestionnaire = await Questionnaire.markAsCompleted(id, questionnaire.userId);
+    await QuestionnaireRevision.record(completedQuestionnaire, 'complete');
+
+    // Calcular resultados del cuestionario completado
+    const results = await QuestionnaireResult.computeFor(completedQuestionnaire);
+    await RiskFlag.evaluateFor(completedQuestionnaire, results);
+    const pairing = await getPairingStatus(completedQuestionnaire);
 
     res.json({
       success: true,
       message: 'Cuestionario marcado como completado',
-      data: completedQuestionnaire
+      data: {
+        ...completedQuestionnaire,
+        results,
+        pairing
+      }
     });
 
   } catch (error) {
@@ -258,43 +830,48 @@ router.post('/:id/complete', async (req, res) => {
 });
 
 /**
- * GET /api/questionnaires/user/:email
- * Obtener cuestionarios de un usuario por email
+ * Datos para que el frontend reanude un cuestionario (incluye un token de acceso nuevo)
  */
-router.get('/user/:email', async (req, res) => {
+function toResumeData(questionnaire) {
+  return {
+    questionnaireId: questionnaire.id,
+    accessToken: generateQuestionnaireToken(questionnaire.id),
+    type: questionnaire.type,
+    definitionVersion: questionnaire.definitionVersion,
+    personalInfo: questionnaire.personalInfo,
+    answers: questionnaire.answers,
+    completed: questionnaire.completed,
+    timestamp: questionnaire.updatedAt
+  };
+}
+
+/**
+ * POST /api/questionnaires/resume
+ * Reanudar un cuestionario con su token de reanudación
+ */
+router.post('/resume', async (req, res) => {
   try {
-    const { email } = req.params;
-    const { page = 1, limit = 10 } = req.query;
+    const { token } = req.body;
 
-    // Buscar usuario por email
-    const user = await User.findByEmail(email);
-    if (!user) {
-      return res.status(404).json({
-        error: 'Usuario no encontrado'
+    const resumeToken = await ResumeToken.findValid(token);
+    const questionnaire = resumeToken ? await Questionnaire.findById(resumeToken.questionnaireId) : null;
+
+    if (!questionnaire) {
+      return res.status(401).json({
+        error: 'Token de reanudación inválido o caducado'
       });
     }
 
-    // Obtener cuestionarios del usuario
-    const userQuestionnaires = await Questionnaire.findByUser(user.id, {
-      page: parseInt(page),
-      limit: parseInt(limit)
-    });
+    await ResumeToken.touch(resumeToken.id);
 
     res.json({
       success: true,
-      data: {
-        user: {
-          id: user.id,
-          nombre: user.nombre,
-          apellidos: user.apellidos,
-          correo: user.correo
-        },
-        questionnaires: userQuestionnaires
-      }
+      message: 'Cuestionario restaurado correctamente',
+      data: toResumeData(questionnaire)
     });
 
   } catch (error) {
-    console.error('Error obteniendo cuestionarios del usuario:', error);
+    console.error('Error reanudando cuestionario:', error);
     res.status(500).json({
       error: 'Error interno del servidor',
       message: error.message
@@ -303,44 +880,85 @@ router.get('/user/:email', async (req, res) => {
 });
 
 /**
- * GET /api/questionnaires/restore/:email/:type
- * Restaurar cuestionario desde localStorage
+ * POST /api/questionnaires/resume-link
+ * Enviar por email un enlace para reanudar los borradores de un encuestado
+ * La respuesta es siempre la misma para no revelar si el email tiene cuestionarios
+ * Limitado por IP y por dirección (429 al superarlo); cada enlace anula los anteriores
  */
-router.get('/restore/:email/:type', async (req, res) => {
+router.post('/resume-link', emailLinkRateLimiter, async (req, res) => {
   try {
-    const { email, type } = req.params;
-    
-    // Buscar usuario por email
-    const user = await User.findByEmail(email);
-    if (!user) {
-      return res.status(404).json({
-        error: 'Usuario no encontrado'
+    const { email, type } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        error: 'Datos requeridos faltantes: email'
       });
     }
 
-    // Buscar cuestionario más reciente del usuario por tipo
-    const userQuestionnaires = await Questionnaire.findByUser(user.id, { type, limit: 1 });
-    
+    if (type && !questionnaireDefinitions.isValidType(type)) {
+      return res.status(400).json({
+        error: `Tipo de cuestionario inválido. Debe ser uno de: ${questionnaireDefinitions.getTypes().join(', ')}`
+      });
+    }
+
+    const drafts = await Questionnaire.findDraftsByRespondentEmail(email, { type });
+
+    if (drafts.length > 0) {
+      const links = [];
+      for (const draft of drafts) {
+        const { token } = await ResumeToken.issue(draft.id);
+        const definition = questionnaireDefinitions.getDefinition(draft.type);
+        links.push(`- ${definition ? definition.title : draft.type}: ${ResumeToken.buildLink(draft.type, token)}`);
+      }
+
+      await sendMail({
+        to: email,
+        subject: 'Continúa tu cuestionario',
+        text: [
+          'Hola,',
+          '',
+          'Puedes continuar tus cuestionarios pendientes desde estos enlaces:',
+          ...links,
+          '',
+          'Si no has solicitado este email, puedes ignorarlo.'
+        ].join('\n')
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Si existen cuestionarios pendientes para ese email, recibirás un enlace para continuarlos'
+    });
+
+  } catch (error) {
+    console.error('Error enviando enlace de reanudación:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/questionnaires/restore/:type
+ * Restaurar el cuestionario más reciente del usuario autenticado (requiere email verificado)
+ */
+router.get('/restore/:type', authenticateToken, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { type } = req.params;
+
+    const userQuestionnaires = await Questionnaire.findByUser(req.user.userId, { type, limit: 1 });
+
     if (userQuestionnaires.questionnaires.length === 0) {
       return res.status(404).json({
         error: 'No se encontró cuestionario para restaurar'
       });
     }
 
-    const questionnaire = userQuestionnaires.questionnaires[0];
-
     res.json({
       success: true,
       message: 'Cuestionario restaurado correctamente',
-      data: {
-        questionnaireId: questionnaire.id,
-        userId: user.id,
-        type: questionnaire.type,
-        personalInfo: questionnaire.personalInfo,
-        answers: questionnaire.answers,
-        completed: questionnaire.completed,
-        timestamp: questionnaire.updatedAt
-      }
+      data: toResumeData(userQuestionnaires.questionnaires[0])
     });
 
   } catch (error) {
@@ -356,20 +974,12 @@ router.get('/restore/:email/:type', async (req, res) => {
  * DELETE /api/questionnaires/:id
  * Eliminar cuestionario
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorizeQuestionnaireAccess, async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // Buscar cuestionario
-    const questionnaire = await Questionnaire.findById(id);
-    if (!questionnaire) {
-      return res.status(404).json({
-        error: 'Cuestionario no encontrado'
-      });
-    }
+    const { questionnaire } = req;
 
-    // Eliminar cuestionario
-    const deleted = await Questionnaire.delete(id, questionnaire.userId);
+    // Eliminar cuestionario con sus revisiones, resultados, alertas, enlaces e invitaciones
+    const deleted = await Questionnaire.eraseMany([questionnaire.id]) > 0;
 
     if (deleted) {
       res.json({
@@ -17,6 +17,8 @@ const questionnaireRoutes = require('./routes/questionnaires');
 const adminRoutes = require('./routes/admin');
 const contactRoutes = require('./routes/contact');
 const paymentRoutes = require('./routes/payment');
+const meRoutes = require('./routes/me');
+const privacyRoutes = require('./routes/privacy');
 
 // Importar middlewares
 const errorHandler = require('./middleware/errorHandler');
@@ -100,6 +102,7 @@ app.use(cors({
   allowedHeaders: [
     'Content-Type', 
     'Authorization', 
+    'X-Questionnaire-Token',
     'X-Requested-With',
     'Accept',
     'Origin'
@@ -251,6 +254,8 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/questionnaires', questionnaireRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/payment', paymentRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/privacy', privacyRoutes);
 
 // Endpoint de prueba temporal para verificar que las rutas funcionan
 app.get('/api/payment/test', (req, res) => {
@@ -0,0 +1,93 @@
+const UserToken = require('../models/UserToken');
+const { sendMail } = require('./mailer');
+
+/**
+ * Emails de gestión de cuentas (verificación, restablecimiento de contraseña y acceso sin contraseña)
+ * Los enlaces apuntan al frontend (FRONTEND_URL)
+ */
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Texto de cada motivo por el que se envía un enlace para elegir contraseña
+const PASSWORD_RESET_INTROS = {
+  requested: 'Hemos recibido una solicitud para restablecer tu contraseña. Puedes elegir una nueva desde este enlace:',
+  forced: 'Un administrador ha solicitado que cambies tu contraseña. La anterior ya no es válida; elige una nueva desde este enlace:',
+  welcome: 'Se ha creado tu cuenta en el panel de Web Salud Mental. Elige tu contraseña desde este enlace:'
+};
+
+/**
+ * Enviar al usuario el enlace para verificar su email
+ */
+async function sendVerificationEmail(user) {
+  const { token, expiresAt } = await UserToken.issue(user.id, 'email_verification');
+  const link = `${getFrontendUrl()}/verificar-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verifica tu email',
+    text: [
+      'Hola,',
+      '',
+      'Gracias por registrarte. Confirma tu email desde este enlace:',
+      link,
+      '',
+      `El enlace caduca el ${new Date(expiresAt).toLocaleString('es-ES')}.`,
+      'Si no has creado esta cuenta, puedes ignorar este email.'
+    ].join('\n')
+  });
+}
+
+/**
+ * Enviar al usuario un enlace de un solo uso para elegir contraseña
+ * `reason`: requested (lo pide el usuario), forced (lo exige un admin) o welcome (cuenta nueva)
+ */
+async function sendPasswordResetEmail(user, reason = 'requested') {
+  const { token, expiresAt } = await UserToken.issue(user.id, 'password_reset');
+  const link = `${getFrontendUrl()}/restablecer-contrasena?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: reason === 'welcome' ? 'Activa tu cuenta' : 'Restablece tu contraseña',
+    text: [
+      'Hola,',
+      '',
+      PASSWORD_RESET_INTROS[reason] || PASSWORD_RESET_INTROS.requested,
+      link,
+      '',
+      `El enlace caduca el ${new Date(expiresAt).toLocaleString('es-ES')} y solo puede usarse una vez.`,
+      reason === 'requested' ? 'Si no has solicitado este cambio, puedes ignorar este email.' : null
+    ].filter(line => line !== null).join('\n')
+  });
+
+  return { expiresAt };
+}
+
+/**
+ * Enviar al encuestado un enlace de acceso sin contraseña (un solo uso)
+ */
+async function sendMagicLinkEmail(user) {
+  const { token, expiresAt } = await UserToken.issue(user.id, 'magic_link');
+  const link = `${getFrontendUrl()}/acceso?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Tu enlace de acceso',
+    text: [
+      'Hola,',
+      '',
+      'Accede a tus cuestionarios y resultados desde este enlace, sin necesidad de contraseña:',
+      link,
+      '',
+      `El enlace caduca el ${new Date(expiresAt).toLocaleString('es-ES')} y solo puede usarse una vez.`,
+      'Si no has pedido este acceso, puedes ignorar este email.'
+    ].join('\n')
+  });
+
+  return { expiresAt };
+}
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendMagicLinkEmail
+};
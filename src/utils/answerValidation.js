@@ -0,0 +1,128 @@
+const questionnaireDefinitions = require('../config/questionnaires');
+
+/**
+ * Validación de respuestas contra la definición del cuestionario
+ * Cada error indica la pregunta afectada para que el frontend pueda señalarla
+ */
+
+const isEmpty = (answer) =>
+  answer === null ||
+  answer === undefined ||
+  (typeof answer === 'string' && answer.trim() === '') ||
+  (Array.isArray(answer) && answer.length === 0);
+
+const isScalar = (answer) => typeof answer === 'string' || typeof answer === 'number';
+
+/**
+ * Validar una respuesta según el tipo de pregunta
+ * Devuelve { value } con la respuesta normalizada o { code, message } si no es válida
+ */
+function validateAnswer(question, answer) {
+  switch (question.type) {
+    case 'single_choice': {
+      if (!isScalar(answer)) {
+        return { code: 'invalid_type', message: 'La respuesta debe ser una de las opciones de la pregunta' };
+      }
+      if (!questionnaireDefinitions.findOption(question, answer)) {
+        return { code: 'invalid_option', message: `Opción no válida: ${answer}` };
+      }
+      return { value: typeof answer === 'string' ? answer.trim() : answer };
+    }
+
+    case 'multiple_choice': {
+      if (!Array.isArray(answer) || !answer.every(isScalar)) {
+        return { code: 'invalid_type', message: 'La respuesta debe ser una lista de opciones' };
+      }
+      const invalid = answer.filter(item => !questionnaireDefinitions.findOption(question, item));
+      if (invalid.length > 0) {
+        return { code: 'invalid_option', message: `Opciones no válidas: ${invalid.join(', ')}` };
+      }
+      return { value: answer.map(item => (typeof item === 'string' ? item.trim() : item)) };
+    }
+
+    case 'number': {
+      const value = typeof answer === 'string' ? Number(answer.trim()) : answer;
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { code: 'invalid_type', message: 'La respuesta debe ser un número' };
+      }
+      if ((question.min !== undefined && value < question.min) || (question.max !== undefined && value > question.max)) {
+        return { code: 'out_of_range', message: `La respuesta debe estar entre ${question.min} y ${question.max}` };
+      }
+      return { value };
+    }
+
+    case 'text': {
+      if (typeof answer !== 'string') {
+        return { code: 'invalid_type', message: 'La respuesta debe ser un texto' };
+      }
+      if (question.maxLength !== undefined && answer.length > question.maxLength) {
+        return { code: 'too_long', message: `La respuesta no puede superar ${question.maxLength} caracteres` };
+      }
+      return { value: answer };
+    }
+
+    default:
+      return { code: 'unsupported_type', message: `Tipo de pregunta no soportado: ${question.type}` };
+  }
+}
+
+/**
+ * Validar un juego de respuestas
+ * Con `requireComplete` se exigen todas las preguntas obligatorias (cuestionario completado)
+ * Las preguntas sin responder (null o vacías) no se guardan
+ */
+function validateAnswers(definition, answers, options = {}) {
+  const { requireComplete = false } = options;
+  const errors = [];
+  const normalized = {};
+
+  if (answers === null || answers === undefined) {
+    answers = {};
+  }
+
+  if (typeof answers !== 'object' || Array.isArray(answers)) {
+    return {
+      valid: false,
+      errors: [{ questionId: null, code: 'invalid_format', message: 'Las respuestas deben enviarse como un objeto { idPregunta: respuesta }' }],
+      answers: {}
+    };
+  }
+
+  Object.entries(answers).forEach(([questionId, answer]) => {
+    const question = questionnaireDefinitions.getQuestion(definition, questionId);
+
+    if (!question) {
+      errors.push({ questionId, code: 'unknown_question', message: 'La pregunta no existe en este cuestionario' });
+      return;
+    }
+
+    if (isEmpty(answer)) return;
+
+    const result = validateAnswer(question, answer);
+    if (result.code) {
+      errors.push({ questionId, code: result.code, message: result.message });
+    } else {
+      normalized[question.id] = result.value;
+    }
+  });
+
+  if (requireComplete) {
+    definition.questions
+      .filter(question => question.required && normalized[question.id] === undefined)
+      .filter(question => !errors.some(error => error.questionId === question.id))
+      .forEach(question => {
+        errors.push({ questionId: question.id, code: 'required', message: 'Pregunta obligatoria sin responder' });
+      });
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    answers: normalized
+  };
+}
+
+module.exports = {
+  validateAnswer,
+  validateAnswers
+};
@@ -0,0 +1,114 @@
+const questionnaireDefinitions = require('../config/questionnaires');
+
+/**
+ * Análisis de compatibilidad entre dos cuestionarios de pareja
+ * Compara pregunta a pregunta y agrega el grado de acuerdo por dimensión
+ */
+
+// Umbrales (0-100) para priorizar las recomendaciones
+const LOW_AGREEMENT = 50;
+const MEDIUM_AGREEMENT = 75;
+
+/**
+ * Grado de acuerdo (0-1) entre dos opciones de una misma pregunta
+ * Las escalas numéricas se comparan por distancia; las categóricas por coincidencia
+ */
+function optionAgreement(question, option1, option2) {
+  if (typeof option1.value === 'number' && typeof option2.value === 'number') {
+    const values = question.options.map(option => option.value);
+    const range = Math.max(...values) - Math.min(...values);
+    return range > 0 ? 1 - Math.abs(option1.value - option2.value) / range : 1;
+  }
+
+  return option1.value === option2.value ? 1 : 0;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Calcular la compatibilidad de dos juegos de respuestas de la misma definición
+ */
+function analyzeCompatibility(definition, answers1 = {}, answers2 = {}) {
+  const dimensions = {};
+
+  definition.dimensions.forEach(dimension => {
+    dimensions[dimension.id] = {
+      label: dimension.label,
+      score: null,
+      comparedQuestions: 0,
+      questions: []
+    };
+  });
+
+  definition.questions
+    .filter(question => question.dimension && question.options)
+    .forEach(question => {
+      const option1 = questionnaireDefinitions.findOption(question, answers1[question.id]);
+      const option2 = questionnaireDefinitions.findOption(question, answers2[question.id]);
+
+      if (!option1 || !option2 || !dimensions[question.dimension]) return;
+
+      const agreement = optionAgreement(question, option1, option2);
+      dimensions[question.dimension].questions.push({
+        questionId: question.id,
+        text: question.text,
+        answer1: option1.label,
+        answer2: option2.label,
+        agreement: round(agreement * 100)
+      });
+    });
+
+  Object.values(dimensions).forEach(dimension => {
+    dimension.comparedQuestions = dimension.questions.length;
+    if (dimension.comparedQuestions > 0) {
+      const total = dimension.questions.reduce((sum, question) => sum + question.agreement, 0);
+      dimension.score = round(total / dimension.comparedQuestions);
+    }
+  });
+
+  const scoredDimensions = Object.values(dimensions).filter(dimension => dimension.score !== null);
+  const overallScore = scoredDimensions.length > 0
+    ? round(scoredDimensions.reduce((sum, dimension) => sum + dimension.score, 0) / scoredDimensions.length)
+    : null;
+
+  return {
+    overallScore,
+    detailedAnalysis: {
+      definitionVersion: definition.version,
+      dimensions
+    },
+    recommendations: buildRecommendations(definition, dimensions)
+  };
+}
+
+/**
+ * Recomendaciones para las dimensiones con menor grado de acuerdo
+ */
+function buildRecommendations(definition, dimensions) {
+  const recommendations = definition.dimensions
+    .filter(dimension => dimensions[dimension.id].score !== null && dimensions[dimension.id].score < MEDIUM_AGREEMENT)
+    .sort((a, b) => dimensions[a.id].score - dimensions[b.id].score)
+    .map(dimension => ({
+      dimension: dimension.id,
+      label: dimension.label,
+      priority: dimensions[dimension.id].score < LOW_AGREEMENT ? 'alta' : 'media',
+      score: dimensions[dimension.id].score,
+      text: dimension.recommendation
+    }));
+
+  if (recommendations.length === 0) {
+    recommendations.push({
+      dimension: null,
+      label: 'General',
+      priority: 'baja',
+      score: null,
+      text: 'Tenéis un alto grado de acuerdo. Seguid cuidando la comunicación y el tiempo compartido.'
+    });
+  }
+
+  return recommendations;
+}
+
+module.exports = {
+  analyzeCompatibility
+};
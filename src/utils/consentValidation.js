@@ -0,0 +1,81 @@
+const PrivacyPolicy = require('../models/PrivacyPolicy');
+const { CONSENT_PURPOSES, REQUIRED_PURPOSES } = require('../config/privacy');
+
+/**
+ * Validación del consentimiento que acompaña a los formularios
+ * El frontend envía `consent: { policyVersion, purposes: ['processing', ...] }` con la
+ * versión de la política que mostró y las finalidades que la persona marcó
+ */
+
+/**
+ * Comprobar el consentimiento de un envío del formulario `form` (questionnaire o contact)
+ * Devuelve { consent } normalizado o { status, error } si no es válido.
+ * Con `acceptPreviousVersions` vale cualquier versión publicada (envíos sin conexión
+ * que se sincronizan después de publicarse una versión nueva); si no, solo la vigente
+ */
+async function checkConsent(consent, form, options = {}) {
+  const { acceptPreviousVersions = false } = options;
+  const required = REQUIRED_PURPOSES[form];
+
+  if (!consent || typeof consent !== 'object' || !Number.isInteger(consent.policyVersion) || !Array.isArray(consent.purposes)) {
+    return {
+      status: 400,
+      error: `Falta el consentimiento: consent { policyVersion, purposes } con al menos ${required.join(', ')}`
+    };
+  }
+
+  const purposes = [...new Set(consent.purposes)];
+  const unknown = purposes.filter(purpose => !CONSENT_PURPOSES[purpose]);
+  if (unknown.length > 0) {
+    return {
+      status: 400,
+      error: `Finalidades desconocidas: ${unknown.join(', ')}. Deben ser: ${Object.keys(CONSENT_PURPOSES).join(', ')}`
+    };
+  }
+
+  const missing = required.filter(purpose => !purposes.includes(purpose));
+  if (missing.length > 0) {
+    return {
+      status: 400,
+      error: `Es necesario aceptar: ${missing.join(', ')}`
+    };
+  }
+
+  const current = await PrivacyPolicy.findCurrent();
+  if (!current) {
+    return {
+      status: 503,
+      error: 'No hay ninguna política de privacidad publicada'
+    };
+  }
+
+  if (consent.policyVersion !== current.version) {
+    const known = consent.policyVersion < current.version && await PrivacyPolicy.findByVersion(consent.policyVersion);
+
+    if (!known) {
+      return {
+        status: 400,
+        error: `Versión de la política de privacidad desconocida: ${consent.policyVersion}`
+      };
+    }
+
+    if (!acceptPreviousVersions) {
+      return {
+        status: 409,
+        error: `La política de privacidad ha cambiado: hay que aceptar la versión ${current.version}`,
+        currentVersion: current.version
+      };
+    }
+  }
+
+  return {
+    consent: {
+      policyVersion: consent.policyVersion,
+      purposes
+    }
+  };
+}
+
+module.exports = {
+  checkConsent
+};
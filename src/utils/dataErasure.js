@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Questionnaire = require('../models/Questionnaire');
+const ContactMessage = require('../models/ContactMessage');
+const AuditLog = require('../models/AuditLog');
+const ErasureRequest = require('../models/ErasureRequest');
+const Consent = require('../models/Consent');
+
+/**
+ * Supresión de los datos de una persona (derecho de supresión del RGPD, art. 17)
+ *
+ * Modos:
+ * - erase: borra la cuenta, sus cuestionarios con todo lo calculado a partir de ellos
+ *   y sus mensajes de contacto
+ * - pseudonymize: borra igualmente la cuenta y los mensajes, pero conserva las respuestas
+ *   de los cuestionarios (y sus resultados) bajo un seudónimo aleatorio que no se guarda
+ *   en ningún sitio, de modo que ya no se pueden atribuir a la persona
+ *
+ * En ambos el registro de auditoría y los consentimientos se conservan desvinculados
+ * de la persona y queda una constancia mínima en erasure_requests
+ */
+
+const ERASURE_MODES = ['erase', 'pseudonymize'];
+
+/**
+ * Qué se hará con cada tabla en cada modo
+ */
+function tableActions(mode) {
+  const keepOnPseudonymize = mode === 'erase' ? 'delete' : 'keep';
+
+  return {
+    users: 'delete',
+    sessions: 'delete',
+    userTokens: 'delete',
+    twoFactorBackupCodes: 'delete',
+    questionnaires: mode === 'erase' ? 'delete' : 'pseudonymize',
+    questionnaireResults: keepOnPseudonymize,
+    questionnaireRevisions: 'delete',
+    riskFlags: keepOnPseudonymize,
+    resumeTokens: 'delete',
+    partnerInvitations: keepOnPseudonymize,
+    compatibilityAnalyses: keepOnPseudonymize,
+    contactMessages: 'delete',
+    consents: 'anonymize',
+    auditLogs: 'anonymize'
+  };
+}
+
+/**
+ * Localizar a la persona y todo lo vinculado a su email
+ */
+async function findSubject(email) {
+  const subjectEmail = String(email || '').trim();
+  const user = await User.findByEmail(subjectEmail);
+
+  // Los cuestionarios anónimos quedan a nombre del administrador: solo se cuentan
+  // los vinculados a la cuenta si es de un encuestado
+  const questionnaireIds = await Questionnaire.findIdsForSubject({
+    email: subjectEmail,
+    userId: user && user.role === 'user' ? user.id : null
+  });
+
+  return { email: subjectEmail, user, questionnaireIds };
+}
+
+/**
+ * Cuántos registros de cada tabla se verán afectados y qué se hará con ellos
+ */
+async function buildPlan(subject, mode) {
+  const { user, questionnaireIds } = subject;
+
+  const counts = {
+    users: user ? 1 : 0,
+    ...(user ? await User.countCredentials(user.id) : { sessions: 0, userTokens: 0, twoFactorBackupCodes: 0 }),
+    questionnaires: questionnaireIds.length,
+    ...await Questionnaire.countDependents(questionnaireIds),
+    contactMessages: (await ContactMessage.findByEmail(subject.email)).length,
+    consents: (await Consent.findBySubject({ email: subject.email, userId: user ? user.id : null })).length,
+    auditLogs: user ? await AuditLog.countByUser(user.id) : 0
+  };
+
+  const actions = tableActions(mode);
+  const tables = {};
+  Object.entries(counts).forEach(([table, records]) => {
+    tables[table] = { records, action: actions[table] };
+  });
+
+  return {
+    mode,
+    subject: {
+      userId: user ? user.id : null,
+      role: user ? user.role : null
+    },
+    tables,
+    records: Object.values(counts).reduce((sum, records) => sum + records, 0)
+  };
+}
+
+/**
+ * Vista previa de la supresión (no modifica nada)
+ */
+async function planErasure(email, mode) {
+  return buildPlan(await findSubject(email), mode);
+}
+
+/**
+ * ¿Se puede suprimir? Las cuentas del personal se desactivan desde la gestión de
+ * usuarios: su id sigue referenciado en asignaciones, alertas y auditoría
+ */
+function isStaffAccount(plan) {
+  return !!plan.subject.role && plan.subject.role !== 'user';
+}
+
+/**
+ * Ejecutar la supresión y registrar la constancia
+ * Cada paso se puede repetir sin efectos: si algo falla a mitad, volver a lanzarla
+ * completa lo que faltaba. La constancia solo se registra al terminar
+ */
+async function executeErasure(email, { mode, requestedBy = null, reason = null }) {
+  if (!ERASURE_MODES.includes(mode)) {
+    throw new Error(`Modo de supresión desconocido: ${mode}`);
+  }
+
+  const subject = await findSubject(email);
+  const { email: subjectEmail, user, questionnaireIds } = subject;
+
+  const plan = await buildPlan(subject, mode);
+  if (isStaffAccount(plan)) {
+    throw new Error('Las cuentas del personal no se pueden suprimir');
+  }
+
+  if (mode === 'erase') {
+    await Questionnaire.eraseMany(questionnaireIds);
+  } else {
+    const pseudonym = `seud-${crypto.randomBytes(6).toString('hex')}`;
+    for (const id of questionnaireIds) {
+      await Questionnaire.pseudonymize(id, pseudonym);
+    }
+  }
+
+  await ContactMessage.deleteByEmail(subjectEmail);
+  await Consent.anonymizeSubject({
+    email: subjectEmail,
+    userId: user ? user.id : null,
+    keepQuestionnaires: mode === 'pseudonymize'
+  });
+
+  if (user) {
+    await AuditLog.anonymizeUser(user.id);
+    await User.delete(user.id);
+  }
+
+  const erasure = await ErasureRequest.create({
+    email: subjectEmail,
+    mode,
+    requestedBy,
+    reason,
+    summary: plan.tables
+  });
+
+  console.log(`🧹 Supresión de datos completada (${mode}): ${plan.records} registros`);
+  return { erasure, plan };
+}
+
+module.exports = {
+  ERASURE_MODES,
+  planErasure,
+  executeErasure,
+  isStaffAccount
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Questionnaire = require('../models/Questionnaire');
+const QuestionnaireResult = require('../models/QuestionnaireResult');
+const QuestionnaireRevision = require('../models/QuestionnaireRevision');
+const RiskFlag = require('../models/RiskFlag');
+const ContactMessage = require('../models/ContactMessage');
+const AuditLog = require('../models/AuditLog');
+const Session = require('../models/Session');
+const TwoFactor = require('../models/TwoFactor');
+const Consent = require('../models/Consent');
+
+/**
+ * Exportación de los datos de una persona (derecho de acceso del RGPD, art. 15)
+ * Reúne todo lo vinculado a un email en un archivo JSON con un manifiesto que
+ * describe cada sección, cuántos registros tiene y la suma de comprobación de los datos
+ */
+
+const EXPORT_FORMAT = 'web-salud-mental/data-export';
+const EXPORT_VERSION = 1;
+
+// Descripción de cada sección del archivo (se incluye en el manifiesto)
+const SECTIONS = {
+  account: 'Datos de la cuenta (sin contraseña ni secretos de acceso)',
+  questionnaires: 'Cuestionarios respondidos con sus resultados, revisiones y alertas de riesgo',
+  contactMessages: 'Mensajes enviados desde el formulario de contacto',
+  consents: 'Consentimientos otorgados: versión de la política, finalidad, fecha e IP',
+  auditLogs: 'Registro de auditoría de las acciones de la cuenta y sobre ella',
+  sessions: 'Sesiones iniciadas con la cuenta'
+};
+
+/**
+ * Datos de la cuenta vinculada al email (null si no tiene cuenta)
+ */
+async function buildAccount(user) {
+  if (!user) return null;
+
+  const twoFactor = await TwoFactor.getStatus(user.id);
+
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    active: user.active,
+    emailVerified: !!user.emailVerifiedAt,
+    emailVerifiedAt: user.emailVerifiedAt,
+    twoFactorEnabled: twoFactor ? twoFactor.enabled : false,
+    singleSignOnLinked: !!user.oidcSubject,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt
+  };
+}
+
+/**
+ * Cuestionarios de la persona con todo lo que se ha calculado a partir de ellos
+ * Solo se cuentan como suyos los vinculados a la cuenta si es de un encuestado:
+ * los cuestionarios anónimos quedan a nombre del administrador
+ */
+async function buildQuestionnaires(email, user) {
+  const questionnaires = await Questionnaire.findAllForSubject({
+    email,
+    userId: user && user.role === 'user' ? user.id : null
+  });
+
+  const ids = questionnaires.map(questionnaire => questionnaire.id);
+  const results = await QuestionnaireResult.findByQuestionnaireIds(ids);
+  const riskFlags = await RiskFlag.findByQuestionnaireIds(ids);
+
+  const items = [];
+  for (const questionnaire of questionnaires) {
+    items.push({
+      ...questionnaire,
+      results: results[questionnaire.id] || null,
+      revisions: await QuestionnaireRevision.findByQuestionnaireId(questionnaire.id),
+      riskFlags: riskFlags[questionnaire.id] || []
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Reunir los datos vinculados a un email
+ * Devuelve { manifest, data }; `manifest.records` es 0 si no hay nada de la persona
+ */
+async function buildDataExport(email, { requestedBy = null, onBehalf = false, reason = null } = {}) {
+  const subjectEmail = String(email || '').trim();
+  const user = await User.findByEmail(subjectEmail);
+
+  const data = {
+    account: await buildAccount(user),
+    questionnaires: await buildQuestionnaires(subjectEmail, user),
+    contactMessages: await ContactMessage.findByEmail(subjectEmail),
+    consents: await Consent.findBySubject({ email: subjectEmail, userId: user ? user.id : null }),
+    auditLogs: user ? await AuditLog.findByUser(user.id) : [],
+    sessions: user ? await Session.findByUser(user.id) : []
+  };
+
+  const sections = Object.entries(SECTIONS).map(([name, description]) => ({
+    name,
+    description,
+    records: Array.isArray(data[name]) ? data[name].length : (data[name] ? 1 : 0)
+  }));
+
+  const manifest = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    subject: {
+      email: subjectEmail,
+      userId: user ? user.id : null
+    },
+    requestedBy: {
+      userId: requestedBy,
+      onBehalf,
+      reason
+    },
+    sections,
+    records: sections.reduce((sum, section) => sum + section.records, 0),
+    checksum: {
+      algorithm: 'sha256',
+      value: crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex')
+    }
+  };
+
+  return { manifest, data };
+}
+
+/**
+ * Nombre del archivo descargable
+ */
+function exportFilename(exportData) {
+  const date = exportData.manifest.generatedAt.slice(0, 10);
+  const subject = exportData.manifest.subject.userId || 'sin-cuenta';
+  return `datos-personales-${subject}-${date}.json`;
+}
+
+/**
+ * Resumen para el registro de auditoría: cuántos registros se exportaron de cada sección
+ */
+function exportSummary(exportData) {
+  const summary = {};
+  exportData.manifest.sections.forEach(section => {
+    summary[section.name] = section.records;
+  });
+  return summary;
+}
+
+module.exports = {
+  buildDataExport,
+  exportFilename,
+  exportSummary
+};
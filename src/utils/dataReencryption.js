@@ -0,0 +1,115 @@
+const Questionnaire = require('../models/Questionnaire');
+const QuestionnaireRevision = require('../models/QuestionnaireRevision');
+const { currentKeyVersion, keyVersions } = require('../config/encryption');
+
+/**
+ * Recifrado de los datos de los cuestionarios con la clave actual
+ * Cifra los datos que aún están en claro y los cifrados con versiones de clave anteriores
+ * (rotación de claves). Lo lanza el panel en segundo plano o `npm run db:reencrypt`
+ */
+
+// Tablas con datos cifrados y el modelo que sabe recifrarlas
+const ENCRYPTED_TABLES = {
+  questionnaires: Questionnaire,
+  questionnaire_revisions: QuestionnaireRevision
+};
+
+// Último recifrado lanzado desde el panel en este proceso
+let currentJob = null;
+
+/**
+ * Filas de cada tabla por versión de clave y cuántas quedan por recifrar
+ */
+async function getEncryptionStatus() {
+  const tables = {};
+
+  for (const [table, model] of Object.entries(ENCRYPTED_TABLES)) {
+    const byKeyVersion = await model.countByKeyVersion();
+    const pending = Object.entries(byKeyVersion)
+      .filter(([version]) => version !== String(currentKeyVersion))
+      .reduce((sum, [, total]) => sum + total, 0);
+
+    tables[table] = { byKeyVersion, pending };
+  }
+
+  return { currentKeyVersion, keyVersions, tables };
+}
+
+/**
+ * Recifrar por lotes todo lo pendiente
+ * `onProgress(table, totals)` se llama tras cada lote
+ */
+async function reencryptAll({ batchSize = 100, onProgress = null } = {}) {
+  const summary = {};
+
+  for (const [table, model] of Object.entries(ENCRYPTED_TABLES)) {
+    const totals = { processed: 0, failed: [] };
+    summary[table] = totals;
+    let afterId = 0;
+
+    for (;;) {
+      const batch = await model.reencryptBatch({ afterId, limit: batchSize });
+      if (batch.lastId === null) break;
+
+      totals.processed += batch.processed;
+      totals.failed.push(...batch.failed);
+      afterId = batch.lastId;
+
+      if (onProgress) onProgress(table, totals);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Lanzar el recifrado en segundo plano; devuelve null si ya hay uno en marcha
+ */
+function startReencryptionJob({ batchSize, startedBy = null } = {}) {
+  if (currentJob && currentJob.status === 'running') return null;
+
+  const job = {
+    status: 'running',
+    keyVersion: currentKeyVersion,
+    startedBy,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    tables: {},
+    error: null
+  };
+  currentJob = job;
+
+  reencryptAll({
+    batchSize,
+    onProgress: (table, totals) => { job.tables[table] = totals; }
+  })
+    .then(summary => {
+      job.tables = summary;
+      job.status = 'completed';
+      console.log('🔐 Recifrado de datos completado:', JSON.stringify(summary));
+    })
+    .catch(error => {
+      job.status = 'failed';
+      job.error = error.message;
+      console.error('❌ Error recifrando datos:', error);
+    })
+    .finally(() => {
+      job.finishedAt = new Date().toISOString();
+    });
+
+  return job;
+}
+
+/**
+ * Estado del último recifrado lanzado desde el panel (null si no se ha lanzado)
+ */
+function getReencryptionJob() {
+  return currentJob;
+}
+
+module.exports = {
+  getEncryptionStatus,
+  reencryptAll,
+  startReencryptionJob,
+  getReencryptionJob
+};
@@ -1,16 +1,24 @@
 const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
+const dataKeys = require('../config/encryption');
 
 /**
  * Utilidades de Encriptación y Hashing Avanzado
  * Protección de nivel empresarial para datos sensibles
  */
 
+// El pepper por defecto está en el código: en producción los hashes y el índice ciego de emails
+// serían reproducibles por cualquiera, así que hay que configurarlo
+if (!process.env.ENCRYPTION_PEPPER && process.env.NODE_ENV === 'production') {
+  throw new Error('ENCRYPTION_PEPPER es obligatorio en producción');
+}
+
 // Configuración de encriptación
 const ENCRYPTION_CONFIG = {
   algorithm: 'aes-256-gcm',
   keyLength: 32, // 256 bits
   ivLength: 16,  // 128 bits
+  fieldIvLength: 12, // 96 bits, el recomendado para GCM
   saltRounds: 12,
   pepper: process.env.ENCRYPTION_PEPPER || 'default_pepper_change_in_production'
 };
@@ -47,8 +55,7 @@ function encryptData(data, masterKey) {
     const key = generateEncryptionKey(masterKey, salt);
     
     // Crear cipher
-    const cipher = crypto.createCipher(ENCRYPTION_CONFIG.algorithm, key);
-    cipher.setAutoPadding(true);
+    const cipher = crypto.createCipheriv(ENCRYPTION_CONFIG.algorithm, key, iv);
     
     // Encriptar datos
     let encrypted = cipher.update(data, 'utf8', 'hex');
@@ -63,7 +70,8 @@ function encryptData(data, masterKey) {
       iv: iv.toString('hex'),
       salt: salt.toString('hex'),
       authTag: authTag.toString('hex'),
-      algorithm: ENCRYPTION_CONFIG.algorithm
+      algorithm: ENCRYPTION_CONFIG.algorithm,
+      version: 2
     };
     
     return JSON.stringify(encryptedData);
@@ -86,7 +94,7 @@ function decryptData(encryptedData, masterKey) {
     const data = JSON.parse(encryptedData);
     
     // Extraer componentes
-    const { encrypted, iv, salt, authTag, algorithm } = data;
+    const { encrypted, iv, salt, authTag, algorithm, version } = data;
     
     // Verificar algoritmo
     if (algorithm !== ENCRYPTION_CONFIG.algorithm) {
@@ -96,9 +104,10 @@ function decryptData(encryptedData, masterKey) {
     // Generar clave de desencriptación
     const key = generateEncryptionKey(masterKey, Buffer.from(salt, 'hex'));
     
-    // Crear decipher
-    const decipher = crypto.createDecipher(ENCRYPTION_CONFIG.algorithm, key);
-    decipher.setAutoPadding(true);
+    // Crear decipher (sin versión: datos cifrados con createCipher, que ignoraba el IV)
+    const decipher = version === 2
+      ? crypto.createDecipheriv(ENCRYPTION_CONFIG.algorithm, key, Buffer.from(iv, 'hex'))
+      : createLegacyDecipher(key);
     
     // Establecer auth tag
     decipher.setAuthTag(Buffer.from(authTag, 'hex'));
@@ -114,6 +123,17 @@ function decryptData(encryptedData, masterKey) {
   }
 }
 
+/**
+ * Decipher del formato anterior (crypto.createDecipher, retirado en Node.js 22)
+ */
+function createLegacyDecipher(key) {
+  if (typeof crypto.createDecipher !== 'function') {
+    throw new Error('Datos cifrados con el formato antiguo: descífralos con Node.js 20 o anterior');
+  }
+
+  return crypto.createDecipher(ENCRYPTION_CONFIG.algorithm, key);
+}
+
 /**
  * Hash seguro de contraseñas con salt y pepper
  */
@@ -199,6 +219,14 @@ function generateDataHash(data) {
   }
 }
 
+/**
+ * Índice ciego de un email: permite buscar por correo sin guardarlo en claro en una columna
+ */
+function hashEmail(email) {
+  const normalized = String(email || '').trim().toLowerCase();
+  return crypto.createHmac('sha256', ENCRYPTION_CONFIG.pepper).update(normalized).digest('hex');
+}
+
 /**
  * Verificar integridad de datos
  */
@@ -213,25 +241,67 @@ function verifyDataIntegrity(data, expectedHash) {
 }
 
 /**
- * Encriptar datos del cuestionario de manera segura
+ * Cifrar un campo (cualquier valor JSON) con una de las claves de datos
+ * Devuelve un JSON que incluye la versión de la clave para poder rotarla
+ */
+function encryptField(value, keyVersion = dataKeys.currentKeyVersion) {
+  const iv = crypto.randomBytes(ENCRYPTION_CONFIG.fieldIvLength);
+  const cipher = crypto.createCipheriv(ENCRYPTION_CONFIG.algorithm, dataKeys.getKey(keyVersion), iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return JSON.stringify({
+    keyVersion,
+    algorithm: ENCRYPTION_CONFIG.algorithm,
+    iv: iv.toString('hex'),
+    authTag: cipher.getAuthTag().toString('hex'),
+    encrypted: encrypted.toString('base64')
+  });
+}
+
+/**
+ * Leer un campo guardado: descifra si está cifrado y, si no (datos anteriores al
+ * cifrado), lo devuelve tal cual. PostgreSQL entrega las columnas JSONB ya parseadas
  */
-function encryptQuestionnaireData(data, userEmail) {
+function decryptField(stored) {
+  const value = typeof stored === 'string' ? JSON.parse(stored) : stored;
+  if (!isEncryptedField(value)) return value;
+
+  if (value.algorithm !== ENCRYPTION_CONFIG.algorithm) {
+    throw new Error('Algoritmo de encriptación no soportado');
+  }
+
+  const decipher = crypto.createDecipheriv(
+    ENCRYPTION_CONFIG.algorithm,
+    dataKeys.getKey(value.keyVersion),
+    Buffer.from(value.iv, 'hex')
+  );
+  decipher.setAuthTag(Buffer.from(value.authTag, 'hex'));
+  const decrypted = Buffer.concat([decipher.update(Buffer.from(value.encrypted, 'base64')), decipher.final()]);
+
+  return JSON.parse(decrypted.toString('utf8'));
+}
+
+/**
+ * ¿Es un valor cifrado con encryptField?
+ */
+function isEncryptedField(value) {
+  return !!value && typeof value === 'object' && Number.isInteger(value.keyVersion) &&
+    typeof value.encrypted === 'string' && typeof value.authTag === 'string';
+}
+
+/**
+ * Cifrar los datos sensibles de un cuestionario con la clave de datos actual
+ * Devuelve los valores a guardar en personal_info y answers y la versión de la clave
+ */
+function encryptQuestionnaireData(data) {
   try {
-    // Usar email del usuario como parte de la clave
-    const masterKey = userEmail + ENCRYPTION_CONFIG.pepper;
-    
-    // Encriptar datos sensibles
-    const encryptedData = {
-      personalInfo: encryptData(JSON.stringify(data.personalInfo), masterKey),
-      answers: encryptData(JSON.stringify(data.answers), masterKey),
-      metadata: {
-        encryptedAt: new Date().toISOString(),
-        algorithm: ENCRYPTION_CONFIG.algorithm,
-        dataHash: generateDataHash(data)
-      }
+    const keyVersion = dataKeys.currentKeyVersion;
+
+    return {
+      personalInfo: encryptField(data.personalInfo || {}, keyVersion),
+      answers: encryptField(data.answers || {}, keyVersion),
+      keyVersion
     };
-    
-    return encryptedData;
   } catch (error) {
     console.error('Error encriptando datos del cuestionario:', error);
     throw new Error('Error de encriptación del cuestionario');
@@ -239,30 +309,16 @@ function encryptQuestionnaireData(data, userEmail) {
 }
 
 /**
- * Desencriptar datos del cuestionario
+ * Descifrar personal_info y answers tal como se leen de la base de datos
  */
-function decryptQuestionnaireData(encryptedData, userEmail) {
+function decryptQuestionnaireData(stored) {
   try {
-    // Usar email del usuario como parte de la clave
-    const masterKey = userEmail + ENCRYPTION_CONFIG.pepper;
-    
-    // Desencriptar datos
-    const decryptedData = {
-      personalInfo: JSON.parse(decryptData(encryptedData.personalInfo, masterKey)),
-      answers: JSON.parse(decryptData(encryptedData.answers, masterKey))
+    return {
+      personalInfo: decryptField(stored.personalInfo),
+      answers: decryptField(stored.answers)
     };
-    
-    // Verificar integridad
-    if (encryptedData.metadata && encryptedData.metadata.dataHash) {
-      const actualHash = generateDataHash(decryptedData);
-      if (actualHash !== encryptedData.metadata.dataHash) {
-        throw new Error('Integridad de datos comprometida');
-      }
-    }
-    
-    return decryptedData;
   } catch (error) {
-    console.error('Error desencriptando datos del cuestionario:', error);
+    console.error('Error desencriptando datos del cuestionario:', error.message);
     throw new Error('Error de desencriptación del cuestionario');
   }
 }
@@ -299,7 +355,11 @@ module.exports = {
   generateSecureToken,
   generateSecureUUID,
   generateDataHash,
+  hashEmail,
   verifyDataIntegrity,
+  encryptField,
+  decryptField,
+  isEncryptedField,
   encryptQuestionnaireData,
   decryptQuestionnaireData,
   secureCleanup,
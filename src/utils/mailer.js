@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Envío de emails con transportes intercambiables
+ * MAIL_TRANSPORT elige el transporte: `console` (por defecto) o `outbox`
+ * (guarda cada email como JSON en MAIL_OUTBOX_DIR). Se pueden registrar otros con registerTransport
+ */
+
+const DEFAULT_FROM = process.env.MAIL_FROM || 'Web Salud Mental <no-reply@websaludmental.com>';
+
+const transports = {
+  /**
+   * Mostrar el email en consola (desarrollo)
+   */
+  console: async (message) => {
+    console.log('📧 EMAIL (transporte consola):');
+    console.log(`   Para: ${message.to}`);
+    console.log(`   Asunto: ${message.subject}`);
+    console.log(message.text);
+    return { transport: 'console' };
+  },
+
+  /**
+   * Guardar el email como fichero JSON en la carpeta de salida
+   */
+  outbox: async (message) => {
+    const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || 'tmp/outbox');
+    fs.mkdirSync(outboxDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    const filePath = path.join(outboxDir, fileName);
+    fs.writeFileSync(filePath, JSON.stringify(message, null, 2));
+
+    console.log(`📧 Email guardado en ${filePath}`);
+    return { transport: 'outbox', path: filePath };
+  }
+};
+
+/**
+ * Registrar un transporte adicional (p. ej. SMTP o un proveedor externo)
+ */
+function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+/**
+ * Enviar un email con el transporte configurado
+ */
+async function sendMail({ to, subject, text, html }) {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Transporte de email desconocido: ${transportName}`);
+  }
+
+  const message = {
+    from: DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html: html || null,
+    date: new Date().toISOString()
+  };
+
+  return await transport(message);
+}
+
+module.exports = {
+  sendMail,
+  registerTransport
+};
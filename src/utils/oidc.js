@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const oidcConfig = require('../config/oidc');
+
+/**
+ * Cliente OpenID Connect (flujo authorization code con PKCE)
+ * Usa fetch nativo y las claves públicas del proveedor (JWKS) para validar el id_token
+ */
+
+// Documento de descubrimiento y claves del proveedor (se cachean en memoria)
+let discoveryCache = null;
+let jwksCache = null;
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Generar un valor aleatorio para state, nonce o el verificador PKCE
+ */
+function generateRandomValue(bytes = 32) {
+  return base64url(crypto.randomBytes(bytes));
+}
+
+/**
+ * Desafío PKCE (S256) de un verificador
+ */
+function buildCodeChallenge(codeVerifier) {
+  return base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+}
+
+/**
+ * Petición JSON al proveedor; los errores HTTP se convierten en excepciones
+ */
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const detail = body && (body.error_description || body.error);
+    throw new Error(`El proveedor respondió ${response.status}${detail ? `: ${detail}` : ''}`);
+  }
+
+  return body;
+}
+
+/**
+ * Documento .well-known/openid-configuration del proveedor
+ */
+async function discover() {
+  if (discoveryCache) return discoveryCache;
+
+  const metadata = await fetchJson(`${oidcConfig.issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer !== oidcConfig.issuer) {
+    throw new Error(`El issuer del proveedor (${metadata.issuer}) no coincide con OIDC_ISSUER`);
+  }
+
+  discoveryCache = metadata;
+  return metadata;
+}
+
+/**
+ * Clave pública con la que se firmó un id_token
+ * Si el kid no está en caché se vuelven a pedir las claves (rotación en el proveedor)
+ */
+async function getSigningKey(kid) {
+  const findKey = () => jwksCache && jwksCache.keys.find(key => key.kid === kid && key.kty === 'RSA');
+
+  if (!findKey()) {
+    const metadata = await discover();
+    jwksCache = await fetchJson(metadata.jwks_uri);
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw new Error('Clave de firma del id_token desconocida');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * URL de autorización a la que se redirige al usuario
+ */
+async function buildAuthorizationUrl({ state, nonce, codeChallenge }) {
+  const metadata = await discover();
+  const url = new URL(metadata.authorization_endpoint);
+
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: oidcConfig.clientId,
+    redirect_uri: oidcConfig.redirectUri,
+    scope: oidcConfig.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+}
+
+/**
+ * Canjear el código de autorización por los tokens (client_secret_basic)
+ */
+async function exchangeCode(code, codeVerifier) {
+  const metadata = await discover();
+  const credentials = Buffer.from(
+    `${encodeURIComponent(oidcConfig.clientId)}:${encodeURIComponent(oidcConfig.clientSecret)}`
+  ).toString('base64');
+
+  return await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Authorization: `Basic ${credentials}`
+    },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: oidcConfig.redirectUri,
+      code_verifier: codeVerifier
+    }).toString()
+  });
+}
+
+/**
+ * Validar el id_token: firma, issuer, audiencia, caducidad y nonce
+ * Devuelve los claims
+ */
+async function verifyIdToken(idToken, expectedNonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header || !decoded.header.kid) {
+    throw new Error('id_token con formato inválido');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256'],
+    issuer: oidcConfig.issuer,
+    audience: oidcConfig.clientId
+  });
+
+  if (!claims.nonce || claims.nonce !== expectedNonce) {
+    throw new Error('El nonce del id_token no coincide');
+  }
+
+  if (!claims.sub) {
+    throw new Error('El id_token no incluye el claim sub');
+  }
+
+  return claims;
+}
+
+/**
+ * Vaciar las cachés del proveedor (cambio de configuración)
+ */
+function resetCache() {
+  discoveryCache = null;
+  jwksCache = null;
+}
+
+module.exports = {
+  generateRandomValue,
+  buildCodeChallenge,
+  discover,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  resetCache
+};
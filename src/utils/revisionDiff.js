@@ -0,0 +1,45 @@
+/**
+ * Comparación entre dos revisiones de un cuestionario
+ */
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Cambios clave a clave entre dos objetos planos
+ */
+function diffObjects(before = {}, after = {}) {
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return keys
+    .filter(key => !isSame(before[key], after[key]))
+    .map(key => ({
+      key,
+      change: !(key in before) ? 'added' : !(key in after) ? 'removed' : 'modified',
+      from: key in before ? before[key] : null,
+      to: key in after ? after[key] : null
+    }));
+}
+
+/**
+ * Diferencias entre dos revisiones (de `from` a `to`)
+ */
+function diffRevisions(from, to) {
+  const personalInfo = diffObjects(from.personalInfo, to.personalInfo)
+    .map(({ key, ...change }) => ({ field: key, ...change }));
+  const answers = diffObjects(from.answers, to.answers)
+    .map(({ key, ...change }) => ({ questionId: key, ...change }));
+
+  return {
+    from: { revision: from.revision, source: from.source, createdAt: from.createdAt },
+    to: { revision: to.revision, source: to.source, createdAt: to.createdAt },
+    completed: from.completed !== to.completed ? { from: from.completed, to: to.completed } : null,
+    personalInfo,
+    answers,
+    totalChanges: personalInfo.length + answers.length + (from.completed !== to.completed ? 1 : 0)
+  };
+}
+
+module.exports = {
+  diffObjects,
+  diffRevisions
+};
@@ -0,0 +1,66 @@
+const questionnaireDefinitions = require('../config/questionnaires');
+const RISK_RULES = require('../config/riskRules');
+
+/**
+ * Evaluación de las reglas de riesgo sobre las respuestas de un cuestionario
+ */
+
+const OPERATORS = {
+  gt: (actual, expected) => actual > expected,
+  gte: (actual, expected) => actual >= expected,
+  lt: (actual, expected) => actual < expected,
+  lte: (actual, expected) => actual <= expected,
+  eq: (actual, expected) => actual === expected,
+  in: (actual, expected) => Array.isArray(expected) && expected.includes(actual)
+};
+
+/**
+ * Valor de una respuesta para comparar: el valor de la opción elegida o la respuesta tal cual
+ */
+function answerValue(definition, questionId, answers) {
+  const question = questionnaireDefinitions.getQuestion(definition, questionId);
+  const answer = answers[questionId];
+
+  if (!question || answer === null || answer === undefined) return undefined;
+
+  const option = questionnaireDefinitions.findOption(question, answer);
+  return option ? option.value : answer;
+}
+
+/**
+ * Reglas que cumple un cuestionario
+ * `results` son los resultados calculados (null si todavía no está completado)
+ */
+function evaluateRisk(definition, answers = {}, results = null, rules = RISK_RULES) {
+  return rules
+    .filter(rule => rule.type === definition.type)
+    .map(rule => {
+      const { questionId, score, operator, value } = rule.when;
+      const compare = OPERATORS[operator];
+
+      if (!compare) {
+        throw new Error(`Operador de regla de riesgo no soportado: ${operator}`);
+      }
+
+      const actual = questionId !== undefined
+        ? answerValue(definition, questionId, answers || {})
+        : results && results.summary ? results.summary[score] : undefined;
+
+      if (actual === undefined || !compare(actual, value)) return null;
+
+      return {
+        ruleId: rule.id,
+        level: rule.level,
+        label: rule.label,
+        // Solo el valor numérico: la respuesta literal queda cifrada en el cuestionario
+        details: questionId !== undefined
+          ? { questionId, value: actual }
+          : { score, value: actual }
+      };
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  evaluateRisk
+};
@@ -0,0 +1,144 @@
+const questionnaireDefinitions = require('../config/questionnaires');
+
+/**
+ * Motor de puntuación de cuestionarios
+ * Cada definición indica en `scoring.method` qué calculador se aplica
+ */
+
+/**
+ * Puntuación por polos: cada respuesta suma un punto al polo de su dimensión
+ */
+function scorePoles(definition, answers) {
+  const scores = {};
+  let answered = 0;
+
+  definition.dimensions.forEach(dimension => {
+    const poles = {};
+    Object.entries(dimension.poles).forEach(([pole, label]) => {
+      poles[pole] = { label, count: 0, percentage: 0 };
+    });
+    scores[dimension.id] = { label: dimension.label, answered: 0, poles, dominant: null, dominantLabel: null };
+  });
+
+  definition.questions
+    .filter(question => question.dimension)
+    .forEach(question => {
+      const option = questionnaireDefinitions.findOption(question, answers[question.id]);
+      const dimensionScore = scores[question.dimension];
+
+      if (!option || !dimensionScore || !dimensionScore.poles[option.value]) return;
+
+      dimensionScore.poles[option.value].count++;
+      dimensionScore.answered++;
+      answered++;
+    });
+
+  const code = definition.dimensions.map(dimension => {
+    const dimensionScore = scores[dimension.id];
+    const entries = Object.entries(dimensionScore.poles);
+
+    entries.forEach(([, pole]) => {
+      pole.percentage = dimensionScore.answered > 0
+        ? Math.round((pole.count / dimensionScore.answered) * 100)
+        : 0;
+    });
+
+    if (dimensionScore.answered === 0) return '-';
+
+    const maxCount = Math.max(...entries.map(([, pole]) => pole.count));
+    const leaders = entries.filter(([, pole]) => pole.count === maxCount).map(([key]) => key);
+    const dominant = leaders.length === 1 ? leaders[0] : dimension.tieBreaker || leaders[0];
+
+    dimensionScore.dominant = dominant;
+    dimensionScore.dominantLabel = dimension.poles[dominant];
+    return dominant;
+  }).join('');
+
+  return {
+    scores,
+    summary: {
+      code,
+      answered,
+      totalScored: definition.questions.filter(question => question.dimension).length
+    }
+  };
+}
+
+/**
+ * Puntuación por suma: cada ítem puntuable suma el valor de la opción elegida
+ * El total se clasifica en las bandas de gravedad de la definición solo si están
+ * respondidos todos los ítems puntuables: un total parcial no tiene gravedad
+ */
+function scoreSum(definition, answers) {
+  const items = {};
+  let total = 0;
+
+  const scoredQuestions = definition.questions.filter(question => question.scored);
+
+  scoredQuestions.forEach(question => {
+    const option = questionnaireDefinitions.findOption(question, answers[question.id]);
+    if (!option || typeof option.value !== 'number') return;
+
+    items[question.id] = option.value;
+    total += option.value;
+  });
+
+  const maxScore = scoredQuestions.reduce(
+    (sum, question) => sum + Math.max(...question.options.map(option => option.value)),
+    0
+  );
+  const answered = Object.keys(items).length;
+  const band = answered < scoredQuestions.length
+    ? null
+    : (definition.scoring.bands || []).find(b => total >= b.min && total <= b.max) || null;
+
+  return {
+    scores: {
+      total,
+      maxScore,
+      items
+    },
+    summary: {
+      total,
+      severity: band ? band.id : null,
+      severityLabel: band ? band.label : null,
+      answered,
+      totalScored: scoredQuestions.length
+    }
+  };
+}
+
+// Calculadores disponibles por método
+const SCORERS = {
+  poles: scorePoles,
+  sum: scoreSum
+};
+
+/**
+ * Calcular los resultados de un cuestionario
+ * Devuelve null si la definición no tiene puntuación configurada
+ */
+function scoreQuestionnaire(definition, answers = {}) {
+  if (!definition || !definition.scoring) {
+    return null;
+  }
+
+  const scorer = SCORERS[definition.scoring.method];
+  if (!scorer) {
+    throw new Error(`Método de puntuación no soportado: ${definition.scoring.method}`);
+  }
+
+  const { scores, summary } = scorer(definition, answers || {});
+
+  return {
+    method: definition.scoring.method,
+    definitionVersion: definition.version,
+    scores,
+    summary
+  };
+}
+
+module.exports = {
+  scoreQuestionnaire,
+  SCORERS
+};
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+
+/**
+ * Códigos de un solo uso basados en tiempo (TOTP, RFC 6238)
+ * Compatibles con Google Authenticator, Authy, 1Password, etc.
+ */
+
+const TOTP_CONFIG = {
+  digits: 6,
+  period: 30, // segundos
+  algorithm: 'sha1',
+  window: 1 // pasos aceptados antes y después del actual (desfase de reloj)
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Codificar bytes en base32 (sin relleno), el formato que esperan las apps
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decodificar un secreto base32 (ignora espacios, guiones y relleno)
+ */
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Secreto base32 inválido');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generar un secreto aleatorio de 160 bits en base32
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Paso de tiempo correspondiente a un instante
+ */
+function getStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / TOTP_CONFIG.period);
+}
+
+/**
+ * Calcular el código de un paso concreto (HOTP, RFC 4226)
+ */
+function generateCode(secret, step = getStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac(TOTP_CONFIG.algorithm, base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_CONFIG.digits).padStart(TOTP_CONFIG.digits, '0');
+}
+
+/**
+ * Verificar un código dentro de la ventana permitida
+ * Devuelve el paso que coincide, o null si el código no es válido.
+ * `afterStep` descarta los pasos ya usados para impedir reutilizar un código
+ */
+function verifyCode(secret, code, { timestamp = Date.now(), afterStep = null } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_CONFIG.digits}}$`).test(normalized)) return null;
+
+  const currentStep = getStep(timestamp);
+
+  for (let offset = -TOTP_CONFIG.window; offset <= TOTP_CONFIG.window; offset++) {
+    const step = currentStep + offset;
+    if (afterStep !== null && step <= afterStep) continue;
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * URI otpauth:// para el código QR de alta en la app de autenticación
+ */
+function buildOtpauthUri(secret, accountName, issuer) {
+  // Se usa encodeURIComponent (espacios como %20): algunas apps no interpretan el '+'
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = {
+    secret,
+    issuer,
+    algorithm: TOTP_CONFIG.algorithm.toUpperCase(),
+    digits: TOTP_CONFIG.digits,
+    period: TOTP_CONFIG.period
+  };
+  const query = Object.entries(params)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+
+  return `otpauth://totp/${label}?${query}`;
+}
+
+/**
+ * Generar códigos de recuperación con el formato XXXX-XXXX
+ */
+function generateBackupCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const raw = base32Encode(crypto.randomBytes(5));
+    return `${raw.slice(0, 4)}-${raw.slice(4, 8)}`;
+  });
+}
+
+/**
+ * Normalizar un código de recuperación antes de compararlo
+ */
+function normalizeBackupCode(code) {
+  return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+module.exports = {
+  TOTP_CONFIG,
+  generateSecret,
+  generateCode,
+  getStep,
+  verifyCode,
+  buildOtpauthUri,
+  generateBackupCodes,
+  normalizeBackupCode
+};
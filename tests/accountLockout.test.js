@@ -0,0 +1,173 @@
+const request = require('supertest');
+const database = require('../src/config/database');
+const AccountLockout = require('../src/models/AccountLockout');
+const TwoFactor = require('../src/models/TwoFactor');
+const totp = require('../src/utils/totp');
+const {
+  ADMIN_CREDENTIALS,
+  createTestApp,
+  closeTestApp,
+  loginAdmin,
+  registerUser,
+  captureMail
+} = require('./helpers/app');
+
+describe('AccountLockout.getDelaySeconds', () => {
+  test('la espera se duplica con cada fallo hasta un máximo de 60 segundos', () => {
+    expect([0, 1, 2, 3, 4, 7, 20].map(failures => AccountLockout.getDelaySeconds(failures))).toEqual([0, 1, 2, 4, 8, 60, 60]);
+  });
+});
+
+describe('Bloqueo de cuentas por intentos fallidos', () => {
+  let app;
+  let sentMails;
+
+  // Se adelanta el reloj para no esperar las pausas entre intentos
+  const advance = seconds => {
+    jest.setSystemTime(Date.now() + seconds * 1000);
+  };
+  const login = (correo, password) => request(app).post('/api/auth/login').send({ correo, password });
+  const failedAttemptsOf = async correo => {
+    const result = await database.query('SELECT failed_login_attempts FROM users WHERE email = $1', [correo]);
+    return parseInt(result.rows[0].failed_login_attempts);
+  };
+  // Cinco fallos respetando la espera que impone cada uno
+  const failFiveTimes = async correo => {
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      expect((await login(correo, 'incorrecta')).status).toBe(401);
+      advance(AccountLockout.getDelaySeconds(attempt));
+    }
+  };
+
+  beforeAll(async () => {
+    // Solo se simula la fecha; los temporizadores siguen siendo reales para las peticiones
+    jest.useFakeTimers({
+      doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance']
+    });
+    sentMails = captureMail();
+    app = await createTestApp();
+  });
+
+  afterAll(async () => {
+    jest.useRealTimers();
+    await closeTestApp();
+  });
+
+  test('tras un fallo hay que esperar antes del siguiente intento', async () => {
+    await registerUser(app, 'ana@example.com');
+
+    await login('ana@example.com', 'incorrecta');
+    const tooSoon = await login('ana@example.com', 'Password123!');
+    advance(1);
+    const afterDelay = await login('ana@example.com', 'Password123!');
+
+    expect(tooSoon.status).toBe(429);
+    expect(tooSoon.headers['retry-after']).toBe('1');
+    expect(afterDelay.status).toBe(200);
+  });
+
+  test('el quinto fallo bloquea la cuenta aunque la contraseña sea correcta', async () => {
+    const { user } = await registerUser(app, 'bea@example.com');
+    await failFiveTimes('bea@example.com');
+
+    const locked = await login('bea@example.com', 'Password123!');
+    const audit = await database.query("SELECT * FROM audit_logs WHERE action = 'account_locked' AND resource_id = $1", [user.id]);
+
+    expect(locked.status).toBe(429);
+    expect(locked.body.error).toBe('Cuenta bloqueada temporalmente');
+    expect(audit.rows).toHaveLength(1);
+
+    advance(15 * 60);
+    expect((await login('bea@example.com', 'Password123!')).status).toBe(200);
+  });
+
+  test('un login correcto reinicia el contador', async () => {
+    await registerUser(app, 'carla@example.com');
+    for (let attempt = 1; attempt <= 4; attempt++) {
+      await login('carla@example.com', 'incorrecta');
+      advance(AccountLockout.getDelaySeconds(attempt));
+    }
+    await login('carla@example.com', 'Password123!').expect(200);
+
+    await login('carla@example.com', 'incorrecta');
+    advance(1);
+
+    expect((await login('carla@example.com', 'Password123!')).status).toBe(200);
+  });
+
+  test('los fallos simultáneos no superan el máximo de intentos', async () => {
+    await registerUser(app, 'gema@example.com');
+
+    const responses = await Promise.all([1, 2, 3, 4, 5, 6, 7].map(() => login('gema@example.com', 'incorrecta')));
+    const statuses = responses.map(res => res.status);
+    const compared = statuses.filter(status => status === 401).length;
+
+    // Cada intento se reserva antes de comprobar la contraseña: los que no caben reciben 429
+    expect(compared).toBeLessThanOrEqual(5);
+    expect(statuses.filter(status => status === 429)).toHaveLength(7 - compared);
+    expect(await failedAttemptsOf('gema@example.com')).toBe(compared);
+  });
+
+  test('con 2FA la contraseña correcta no reinicia el contador hasta validar el código', async () => {
+    const { user } = await registerUser(app, 'hugo@example.com');
+    await database.query("UPDATE users SET role = 'professional' WHERE id = $1", [user.id]);
+    const { secret } = await TwoFactor.startEnrollment(user);
+    await TwoFactor.confirmEnrollment(user.id, totp.generateCode(secret, totp.getStep(Date.now())));
+    const verify = (challengeToken, code) => request(app).post('/api/auth/2fa/verify').send({ challengeToken, code });
+
+    for (let attempt = 1; attempt <= 4; attempt++) {
+      await login('hugo@example.com', 'incorrecta');
+      advance(AccountLockout.getDelaySeconds(attempt));
+    }
+    const challenge = await login('hugo@example.com', 'Password123!');
+    expect(challenge.body.data.challengeToken).toEqual(expect.any(String));
+    expect(await failedAttemptsOf('hugo@example.com')).toBe(4);
+
+    // Un código erróneo es el quinto fallo de la misma cuenta
+    advance(AccountLockout.getDelaySeconds(4));
+    expect((await verify(challenge.body.data.challengeToken, '000000')).status).toBe(401);
+    expect((await login('hugo@example.com', 'Password123!')).status).toBe(429);
+
+    advance(15 * 60);
+    const { challengeToken } = (await login('hugo@example.com', 'Password123!')).body.data;
+    const valid = await verify(challengeToken, totp.generateCode(secret, totp.getStep(Date.now())));
+
+    expect(valid.status).toBe(200);
+    expect(await failedAttemptsOf('hugo@example.com')).toBe(0);
+  });
+
+  test('el administrador puede desbloquear una cuenta', async () => {
+    const { user } = await registerUser(app, 'dani@example.com');
+    await failFiveTimes('dani@example.com');
+    const admin = await loginAdmin(app);
+
+    const unlock = () => request(app)
+      .post(`/api/admin/users/${user.id}/unlock`)
+      .set('Authorization', `Bearer ${admin.accessToken}`);
+
+    expect((await unlock()).body.data.unlocked).toBe(true);
+    expect((await login('dani@example.com', 'Password123!')).status).toBe(200);
+    expect((await unlock()).body.data.unlocked).toBe(false);
+  });
+
+  test('restablecer la contraseña desbloquea la cuenta', async () => {
+    await registerUser(app, 'eva@example.com');
+    await failFiveTimes('eva@example.com');
+
+    await request(app).post('/api/auth/forgot-password').send({ correo: 'eva@example.com' });
+    const token = sentMails[sentMails.length - 1].text.match(/token=([a-f0-9]+)/)[1];
+    await request(app).post('/api/auth/reset-password').send({ token, password: 'NuevaClave456!' }).expect(200);
+
+    expect((await login('eva@example.com', 'NuevaClave456!')).status).toBe(200);
+  });
+
+  test('el login del panel comparte el mismo contador', async () => {
+    const adminLogin = password => request(app).post('/api/admin/login').send({ ...ADMIN_CREDENTIALS, password });
+
+    await adminLogin('incorrecta');
+    const res = await adminLogin(ADMIN_CREDENTIALS.password);
+
+    expect(res.status).toBe(429);
+    expect(res.body.success).toBe(false);
+  });
+});
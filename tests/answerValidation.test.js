@@ -0,0 +1,109 @@
+const request = require('supertest');
+const questionnaireDefinitions = require('../src/config/questionnaires');
+const { validateAnswer, validateAnswers } = require('../src/utils/answerValidation');
+const { CONSENT, createTestApp, closeTestApp, personalInfo, fullAnswers } = require('./helpers/app');
+
+const pareja = questionnaireDefinitions.getDefinition('pareja');
+const personalidad = questionnaireDefinitions.getDefinition('personalidad');
+
+describe('validateAnswer', () => {
+  const options = [{ value: 'a', label: 'Opción A' }, { value: 2, label: 'Dos' }];
+
+  test('single_choice acepta valor o etiqueta y rechaza el resto', () => {
+    const question = { type: 'single_choice', options };
+
+    expect(validateAnswer(question, ' Opción A ')).toEqual({ value: 'Opción A' });
+    expect(validateAnswer(question, 2)).toEqual({ value: 2 });
+    expect(validateAnswer(question, 'Opción C').code).toBe('invalid_option');
+    expect(validateAnswer(question, { label: 'Opción A' }).code).toBe('invalid_type');
+  });
+
+  test('multiple_choice indica qué opciones no existen', () => {
+    const question = { type: 'multiple_choice', options };
+
+    expect(validateAnswer(question, ['a', 'Dos'])).toEqual({ value: ['a', 'Dos'] });
+    expect(validateAnswer(question, ['a', 'x', 'y'])).toMatchObject({ code: 'invalid_option', message: 'Opciones no válidas: x, y' });
+    expect(validateAnswer(question, 'a').code).toBe('invalid_type');
+  });
+
+  test('number convierte textos numéricos y respeta el rango', () => {
+    const question = { type: 'number', min: 1, max: 10 };
+
+    expect(validateAnswer(question, ' 7 ')).toEqual({ value: 7 });
+    expect(validateAnswer(question, 11).code).toBe('out_of_range');
+    expect(validateAnswer(question, 'siete').code).toBe('invalid_type');
+  });
+
+  test('text limita la longitud', () => {
+    const question = { type: 'text', maxLength: 5 };
+
+    expect(validateAnswer(question, 'hola')).toEqual({ value: 'hola' });
+    expect(validateAnswer(question, 'hola!!').code).toBe('too_long');
+    expect(validateAnswer({ type: 'escala' }, 1).code).toBe('unsupported_type');
+  });
+});
+
+describe('validateAnswers', () => {
+  test('descarta las respuestas vacías y señala preguntas desconocidas', () => {
+    const result = validateAnswers(personalidad, { 0: 'E', 1: '', 99: 'x' });
+
+    expect(result.valid).toBe(false);
+    expect(result.answers).toEqual({ 0: 'E' });
+    expect(result.errors).toEqual([expect.objectContaining({ questionId: '99', code: 'unknown_question' })]);
+  });
+
+  test('un cuestionario completado exige todas las preguntas obligatorias', () => {
+    const partial = validateAnswers(personalidad, { 0: 'E' }, { requireComplete: true });
+    const complete = validateAnswers(pareja, fullAnswers('pareja'), { requireComplete: true });
+
+    expect(partial.errors).toHaveLength(personalidad.questions.length - 1);
+    expect(partial.errors.every(error => error.code === 'required')).toBe(true);
+    expect(complete.valid).toBe(true);
+  });
+
+  test('rechaza respuestas que no son un objeto', () => {
+    expect(validateAnswers(personalidad, ['E']).errors[0].code).toBe('invalid_format');
+    expect(validateAnswers(personalidad, null).valid).toBe(true);
+  });
+});
+
+describe('Validación en la API de cuestionarios', () => {
+  let app;
+
+  const sync = (answers, completed) => request(app)
+    .post('/api/questionnaires/sync')
+    .send({ type: 'personalidad', personalInfo: personalInfo('ana@example.com'), answers, completed, consent: CONSENT });
+
+  beforeAll(async () => {
+    app = await createTestApp();
+  });
+
+  afterAll(closeTestApp);
+
+  test('/sync devuelve el detalle de cada respuesta inválida', async () => {
+    const res = await sync({ 0: 'Ambivertido', 1: { text: 'I' } }, false);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(error => [error.questionId, error.code])).toEqual([
+      ['0', 'invalid_option'],
+      ['1', 'invalid_type']
+    ]);
+  });
+
+  test('/sync no acepta como completado un cuestionario a medias', async () => {
+    const partial = await sync({ 0: 'Extrovertido' }, true);
+    const saved = await sync({ 0: 'Extrovertido' }, false);
+
+    expect(partial.status).toBe(400);
+    expect(saved.status).toBe(201);
+  });
+
+  test('/start valida las respuestas iniciales', async () => {
+    const res = await request(app)
+      .post('/api/questionnaires/start')
+      .send({ type: 'personalidad', personalInfo: personalInfo('bea@example.com'), answers: { 42: 'E' }, consent: CONSENT });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].code).toBe('unknown_question');
+  });
+});
@@ -0,0 +1,118 @@
+const request = require('supertest');
+const questionnaireDefinitions = require('../src/config/questionnaires');
+const { analyzeCompatibility } = require('../src/utils/compatibility');
+const {
+  CONSENT,
+  createTestApp,
+  closeTestApp,
+  fullAnswers,
+  syncQuestionnaire,
+  loginAdmin
+} = require('./helpers/app');
+
+const pareja = questionnaireDefinitions.getDefinition('pareja');
+
+// Id de la primera pregunta de escala numérica de una dimensión
+const scaleQuestion = dimension => pareja.questions
+  .find(question => question.dimension === dimension && typeof question.options[0].value === 'number');
+
+describe('analyzeCompatibility', () => {
+  test('respuestas idénticas dan 100 y solo la recomendación general', () => {
+    const answers = fullAnswers('pareja');
+    const analysis = analyzeCompatibility(pareja, answers, answers);
+
+    expect(analysis.overallScore).toBe(100);
+    expect(analysis.recommendations).toEqual([expect.objectContaining({ dimension: null, priority: 'baja' })]);
+  });
+
+  test('las escalas se comparan por distancia entre valores', () => {
+    const question = scaleQuestion('convivencia');
+    const analysis = analyzeCompatibility(pareja, { [question.id]: 4 }, { [question.id]: 3 });
+    const opposite = analyzeCompatibility(pareja, { [question.id]: 4 }, { [question.id]: 1 });
+
+    expect(analysis.detailedAnalysis.dimensions.convivencia.score).toBe(66.67);
+    expect(opposite.overallScore).toBe(0);
+  });
+
+  test('solo se comparan las preguntas respondidas por los dos', () => {
+    const question = scaleQuestion('apoyo');
+    const analysis = analyzeCompatibility(pareja, fullAnswers('pareja'), { [question.id]: question.options[0].value });
+
+    expect(analysis.detailedAnalysis.dimensions.apoyo.comparedQuestions).toBe(1);
+    expect(analysis.detailedAnalysis.dimensions.valores.score).toBeNull();
+    expect(analysis.overallScore).toBe(100);
+  });
+
+  test('las recomendaciones empiezan por las dimensiones con menos acuerdo', () => {
+    const answers1 = fullAnswers('pareja');
+    const answers2 = { ...answers1 };
+    pareja.questions
+      .filter(question => ['valores', 'convivencia'].includes(question.dimension))
+      .forEach(question => {
+        answers2[question.id] = question.options[question.options.length - 1].label;
+      });
+    const convivencia = scaleQuestion('convivencia');
+    answers2[convivencia.id] = convivencia.options[1].label;
+
+    const { recommendations } = analyzeCompatibility(pareja, answers1, answers2);
+
+    expect(recommendations.map(recommendation => recommendation.dimension)).toEqual(['valores', 'convivencia']);
+    expect(recommendations[0].priority).toBe('alta');
+  });
+});
+
+describe('POST /api/questionnaires/compatibility', () => {
+  let app;
+  let first;
+  let second;
+
+  // Por defecto se acredita el acceso a los dos cuestionarios de pareja
+  const analyze = (questionnaire1Id, questionnaire2Id, tokens = [first.accessToken, second.accessToken]) => request(app)
+    .post('/api/questionnaires/compatibility')
+    .set('X-Questionnaire-Token', tokens.join(','))
+    .send({ questionnaire1Id, questionnaire2Id });
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    first = await syncQuestionnaire(app, { type: 'pareja', correo: 'ana@example.com', answers: fullAnswers('pareja') });
+    second = await syncQuestionnaire(app, { type: 'pareja', correo: 'bea@example.com', answers: fullAnswers('pareja') });
+  });
+
+  afterAll(closeTestApp);
+
+  test('guarda el análisis y el administrador puede consultarlo', async () => {
+    const res = await analyze(first.questionnaireId, second.questionnaireId);
+    const admin = await loginAdmin(app);
+    const stored = await request(app)
+      .get(`/api/admin/compatibility/${res.body.data.id}`)
+      .set('Authorization', `Bearer ${admin.accessToken}`);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.compatibilityScore).toBe(100);
+    expect(stored.status).toBe(200);
+  });
+
+  test('sin el token de los dos cuestionarios responde como si no existieran', async () => {
+    const onlyFirst = await analyze(first.questionnaireId, second.questionnaireId, [first.accessToken]);
+    const swapped = await analyze(first.questionnaireId, second.questionnaireId, [second.accessToken, second.accessToken]);
+
+    expect(onlyFirst.status).toBe(404);
+    expect(swapped.status).toBe(404);
+  });
+
+  test('rechaza el mismo cuestionario dos veces o ids que no existen', async () => {
+    expect((await analyze(first.questionnaireId, first.questionnaireId)).status).toBe(400);
+    expect((await analyze(first.questionnaireId)).status).toBe(400);
+    expect((await analyze(first.questionnaireId, 9999)).status).toBe(404);
+  });
+
+  test('solo analiza cuestionarios de pareja completados', async () => {
+    const personality = await syncQuestionnaire(app, { type: 'personalidad', correo: 'carla@example.com', answers: fullAnswers('personalidad') });
+    const pending = await request(app)
+      .post('/api/questionnaires/sync')
+      .send({ type: 'pareja', personalInfo: { nombre: 'Dani', correo: 'dani@example.com' }, answers: {}, completed: false, consent: CONSENT });
+
+    expect((await analyze(first.questionnaireId, personality.questionnaireId, [first.accessToken, personality.accessToken])).status).toBe(400);
+    expect((await analyze(first.questionnaireId, pending.body.data.questionnaireId, [first.accessToken, pending.body.data.accessToken])).status).toBe(400);
+  });
+});
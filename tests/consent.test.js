@@ -0,0 +1,99 @@
+const request = require('supertest');
+const {
+  CONSENT,
+  createTestApp,
+  closeTestApp,
+  personalInfo,
+  loginAdmin,
+  countRows
+} = require('./helpers/app');
+
+describe('Consentimiento informado en los formularios', () => {
+  let app;
+  let admin;
+
+  const start = (correo, consent) => request(app)
+    .post('/api/questionnaires/start')
+    .send({ type: 'phq9', personalInfo: personalInfo(correo), consent });
+  const sync = (correo, consent) => request(app)
+    .post('/api/questionnaires/sync')
+    .send({ type: 'phq9', personalInfo: personalInfo(correo), answers: {}, consent });
+  const contact = (email, consent) => request(app)
+    .post('/api/contact')
+    .send({ nombre: 'Ana', email, mensaje: 'Quisiera pedir una cita.', consent });
+  const consents = query => request(app)
+    .get('/api/admin/privacy/consents')
+    .query(query)
+    .set('Authorization', `Bearer ${admin.accessToken}`);
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    admin = await loginAdmin(app);
+  });
+
+  afterAll(closeTestApp);
+
+  test('la política vigente se publica con sus finalidades', async () => {
+    const res = await request(app).get('/api/privacy/policy');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.version).toBe(1);
+    expect(res.body.data.required).toEqual({ questionnaire: ['processing'], contact: ['contact'] });
+  });
+
+  test('sin consentimiento válido no se guarda el cuestionario', async () => {
+    expect((await start('ana@example.com')).status).toBe(400);
+    expect((await start('ana@example.com', { policyVersion: 1, purposes: ['research'] })).status).toBe(400);
+    expect((await start('ana@example.com', { policyVersion: 1, purposes: ['processing', 'marketing'] })).status).toBe(400);
+    expect((await start('ana@example.com', { policyVersion: 7, purposes: ['processing'] })).status).toBe(400);
+    expect((await contact('ana@example.com', { policyVersion: 1, purposes: ['processing'] })).status).toBe(400);
+
+    expect(await countRows('questionnaires', 'type', 'phq9')).toBe(0);
+    expect(await countRows('contact_messages', 'status', 'unread')).toBe(0);
+    expect((await consents({})).body.data.pagination.total).toBe(0);
+  });
+
+  test('registra una fila por finalidad aceptada con su origen', async () => {
+    const created = await start('bea@example.com', { policyVersion: 1, purposes: ['processing', 'research'] });
+    const message = await contact('bea@example.com', CONSENT);
+
+    const res = await consents({ policyVersion: 1 });
+    const bySource = res.body.data.consents.reduce((acc, consent) => {
+      (acc[consent.source] = acc[consent.source] || []).push(consent.purpose);
+      return acc;
+    }, {});
+
+    expect(created.status).toBe(201);
+    expect(bySource.start.sort()).toEqual(['processing', 'research']);
+    expect(bySource.contact.sort()).toEqual(['contact', 'processing']);
+    expect(await countRows('consents', 'contact_message_id', message.body.data.id)).toBe(2);
+    expect(await countRows('consents', 'questionnaire_id', created.body.data.questionnaireId)).toBe(2);
+    expect((await consents({ purpose: 'marketing' })).status).toBe(400);
+  });
+
+  test('tras publicar una versión nueva solo la sincronización acepta la anterior', async () => {
+    const published = await request(app)
+      .post('/api/admin/privacy/policies')
+      .set('Authorization', `Bearer ${admin.accessToken}`)
+      .send({ content: 'Segunda versión de la política.' });
+
+    const outdatedStart = await start('carla@example.com', CONSENT);
+    const outdatedContact = await contact('carla@example.com', CONSENT);
+    const offlineSync = await sync('carla@example.com', CONSENT);
+    const current = await start('dani@example.com', { policyVersion: 2, purposes: ['processing'] });
+
+    expect(published.status).toBe(201);
+    expect(published.body.data.version).toBe(2);
+    expect(outdatedStart.status).toBe(409);
+    expect(outdatedStart.body.currentPolicyVersion).toBe(2);
+    expect(outdatedContact.status).toBe(409);
+    expect(offlineSync.status).toBe(201);
+    expect(current.status).toBe(201);
+
+    const policies = await request(app)
+      .get('/api/admin/privacy/policies')
+      .set('Authorization', `Bearer ${admin.accessToken}`);
+    expect(policies.body.data.currentVersion).toBe(2);
+    expect((await request(app).get('/api/privacy/policy')).body.data.version).toBe(2);
+  });
+});
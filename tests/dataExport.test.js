@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const database = require('../src/config/database');
+const {
+  CONSENT,
+  createTestApp,
+  closeTestApp,
+  fullAnswers,
+  syncQuestionnaire,
+  loginAdmin,
+  registerUser,
+  registerVerifiedUser,
+  captureMail
+} = require('./helpers/app');
+
+describe('Exportación de datos personales (derecho de acceso)', () => {
+  let app;
+  let admin;
+
+  const adminExport = (session, body) => request(app)
+    .post('/api/admin/privacy/export')
+    .set('Authorization', `Bearer ${session.accessToken}`)
+    .send(body);
+  const sectionRecords = manifest => Object.fromEntries(manifest.sections.map(section => [section.name, section.records]));
+
+  beforeAll(async () => {
+    captureMail();
+    app = await createTestApp();
+    admin = await loginAdmin(app);
+  });
+
+  afterAll(closeTestApp);
+
+  test('el titular descarga sus cuestionarios, mensajes y cuenta sin secretos', async () => {
+    const { accessToken, userId } = await registerVerifiedUser(app, 'ana@example.com');
+    await syncQuestionnaire(app, { type: 'phq9', correo: 'ana@example.com', answers: fullAnswers('phq9') });
+    await syncQuestionnaire(app, { type: 'phq9', correo: 'bea@example.com', answers: fullAnswers('phq9') });
+    await request(app).post('/api/contact').send({ nombre: 'Ana', email: 'ana@example.com', mensaje: 'Quisiera pedir una cita.', consent: CONSENT });
+
+    const res = await request(app).get('/api/me/export').set('Authorization', `Bearer ${accessToken}`);
+    const { manifest, data } = res.body;
+
+    expect(res.headers['content-disposition']).toContain(`datos-personales-${userId}-`);
+    expect(sectionRecords(manifest)).toMatchObject({ account: 1, questionnaires: 1, contactMessages: 1 });
+    expect(data.questionnaires[0].personalInfo.correo).toBe('ana@example.com');
+    expect(data.questionnaires[0].results).not.toBeNull();
+    expect(JSON.stringify(data)).not.toMatch(/password|two_factor_secret/);
+    expect(manifest.checksum.value).toBe(crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex'));
+  });
+
+  test('la descarga queda en la auditoría sin el email en claro', async () => {
+    const rows = await database.query("SELECT details FROM audit_logs WHERE action = 'data_export'");
+    const details = JSON.parse(rows.rows[0].details);
+
+    expect(details).toMatchObject({ onBehalf: false, records: { questionnaires: 1 } });
+    expect(rows.rows[0].details).not.toContain('ana@example.com');
+  });
+
+  test('sin el email verificado no se puede descargar', async () => {
+    const { accessToken } = await registerUser(app, 'carla@example.com');
+
+    expect((await request(app).get('/api/me/export').set('Authorization', `Bearer ${accessToken}`)).status).toBe(403);
+  });
+
+  test('el administrador exporta en nombre de alguien sin cuenta', async () => {
+    const res = await adminExport(admin, { email: 'bea@example.com', reason: 'Solicitud por correo postal' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.manifest.subject.userId).toBeNull();
+    expect(res.body.manifest.requestedBy).toMatchObject({ userId: admin.user.id, onBehalf: true });
+    expect(sectionRecords(res.body.manifest)).toMatchObject({ account: 0, questionnaires: 1 });
+  });
+
+  test('un email sin datos responde 404 y solo el administrador puede exportar', async () => {
+    await registerUser(app, 'pro@example.com');
+    await database.query('UPDATE users SET role = $1 WHERE email = $2', ['professional', 'pro@example.com']);
+    const professional = (await request(app).post('/api/admin/login').send({ email: 'pro@example.com', password: 'Password123!' })).body.data;
+
+    expect((await adminExport(admin, { email: 'nadie@example.com' })).status).toBe(404);
+    expect((await adminExport(admin, { email: 'no-es-un-email' })).status).toBe(400);
+    expect((await adminExport(professional, { email: 'bea@example.com' })).status).toBe(403);
+  });
+});
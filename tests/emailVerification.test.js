@@ -0,0 +1,97 @@
+const request = require('supertest');
+const database = require('../src/config/database');
+const { generateDataHash } = require('../src/utils/encryption');
+const {
+  createTestApp,
+  closeTestApp,
+  personalInfo,
+  loginAdmin,
+  registerUser,
+  captureMail
+} = require('./helpers/app');
+
+describe('Verificación de email', () => {
+  let app;
+  let sentMails;
+
+  const verify = token => request(app).get('/api/auth/verify-email').query(token ? { token } : {});
+  const tokenFromMail = () => sentMails[sentMails.length - 1].text.match(/token=([a-f0-9]+)/)[1];
+  // Ruta que exige el email verificado
+  const restore = accessToken => request(app)
+    .get('/api/questionnaires/restore/personalidad')
+    .set('Authorization', `Bearer ${accessToken}`);
+
+  beforeAll(async () => {
+    sentMails = captureMail();
+    app = await createTestApp();
+  });
+
+  afterAll(closeTestApp);
+
+  test('el registro envía el enlace y la cuenta empieza sin verificar', async () => {
+    const session = await registerUser(app, 'ana@example.com');
+
+    expect(session.user.emailVerified).toBe(false);
+    expect(sentMails[0]).toMatchObject({ to: 'ana@example.com', subject: 'Verifica tu email' });
+    expect((await restore(session.accessToken)).status).toBe(403);
+  });
+
+  test('el enlace verifica la cuenta una sola vez', async () => {
+    const session = await registerUser(app, 'bea@example.com');
+    const token = tokenFromMail();
+
+    const first = await verify(token);
+    const second = await verify(token);
+    const login = await request(app).post('/api/auth/login').send({ correo: 'bea@example.com', password: 'Password123!' });
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(400);
+    expect(login.body.data.user.emailVerified).toBe(true);
+    expect((await restore(session.accessToken)).status).toBe(404);
+  });
+
+  test('reenviar la verificación invalida el enlace anterior', async () => {
+    const session = await registerUser(app, 'carla@example.com');
+    const oldToken = tokenFromMail();
+
+    const resend = await request(app)
+      .post('/api/auth/resend-verification')
+      .set('Authorization', `Bearer ${session.accessToken}`);
+
+    expect(resend.status).toBe(200);
+    expect((await verify(oldToken)).status).toBe(400);
+    expect((await verify(tokenFromMail())).status).toBe(200);
+
+    const again = await request(app)
+      .post('/api/auth/resend-verification')
+      .set('Authorization', `Bearer ${session.accessToken}`);
+    expect(again.status).toBe(409);
+  });
+
+  test('rechaza enlaces caducados o sin token', async () => {
+    await registerUser(app, 'dani@example.com');
+    const token = tokenFromMail();
+    await database.query(
+      "UPDATE user_tokens SET expires_at = '2000-01-01T00:00:00.000Z' WHERE token_hash = $1",
+      [generateDataHash(token)]
+    );
+
+    expect((await verify(token)).status).toBe(400);
+    expect((await verify()).status).toBe(400);
+  });
+
+  test('el registro exige un email con formato válido', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ ...personalInfo('no-es-un-email'), password: 'Password123!' });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('el administrador creado por la migración ya está verificado', async () => {
+    const admin = await loginAdmin(app);
+    const user = await database.query('SELECT email_verified_at FROM users WHERE id = $1', [admin.user.id]);
+
+    expect(user.rows[0].email_verified_at).not.toBeNull();
+  });
+});
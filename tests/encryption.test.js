@@ -0,0 +1,150 @@
+/**
+ * Cifrado en reposo de los cuestionarios con claves versionadas
+ * Las claves se leen al cargar el módulo: cada caso carga la configuración con su entorno
+ */
+
+const ENV_KEYS = ['DATA_ENCRYPTION_KEYS', 'DATA_ENCRYPTION_KEY_VERSION', 'ENCRYPTION_PEPPER', 'NODE_ENV'];
+const originalEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+// Cargar el módulo de cifrado con las variables indicadas (las demás sin definir)
+function loadEncryption(env) {
+  ENV_KEYS.forEach(key => delete process.env[key]);
+  Object.assign(process.env, env);
+
+  let encryption;
+  jest.isolateModules(() => {
+    encryption = require('../src/utils/encryption');
+  });
+  return encryption;
+}
+
+const data = {
+  personalInfo: { nombre: 'Ana', correo: 'ana@example.com' },
+  answers: { 0: 3, 1: 2 }
+};
+
+describe('Cifrado de los datos de los cuestionarios', () => {
+  afterEach(() => {
+    ENV_KEYS.forEach(key => {
+      if (originalEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = originalEnv[key];
+    });
+  });
+
+  test('cifra con la versión más alta y no deja datos en claro', () => {
+    const { encryptQuestionnaireData, decryptQuestionnaireData } = loadEncryption({ DATA_ENCRYPTION_KEYS: '1:clave-uno,2:clave-dos' });
+
+    const stored = encryptQuestionnaireData(data);
+
+    expect(stored.keyVersion).toBe(2);
+    expect(JSON.parse(stored.personalInfo).keyVersion).toBe(2);
+    expect(stored.personalInfo).not.toContain('Ana');
+    expect(decryptQuestionnaireData(stored)).toEqual(data);
+  });
+
+  test('tras añadir una clave nueva se siguen leyendo los datos de la anterior', () => {
+    const stored = loadEncryption({ DATA_ENCRYPTION_KEYS: '1:clave-uno' }).encryptQuestionnaireData(data);
+    const rotated = loadEncryption({ DATA_ENCRYPTION_KEYS: '1:clave-uno,2:clave-dos' });
+
+    expect(stored.keyVersion).toBe(1);
+    expect(rotated.decryptQuestionnaireData(stored)).toEqual(data);
+    expect(rotated.encryptQuestionnaireData(data).keyVersion).toBe(2);
+  });
+
+  test('en producción no arranca sin claves propias', () => {
+    expect(() => loadEncryption({ NODE_ENV: 'production' })).toThrow('DATA_ENCRYPTION_KEYS es obligatorio en producción');
+    expect(() => loadEncryption({ NODE_ENV: 'test' })).not.toThrow();
+  });
+
+  test('en producción no arranca sin pepper propio', () => {
+    const production = { NODE_ENV: 'production', DATA_ENCRYPTION_KEYS: '1:clave-uno' };
+
+    expect(() => loadEncryption(production)).toThrow('ENCRYPTION_PEPPER es obligatorio en producción');
+    expect(() => loadEncryption({ ...production, ENCRYPTION_PEPPER: 'pepper-de-produccion' })).not.toThrow();
+  });
+
+  test('el índice ciego de emails depende del pepper', () => {
+    const { hashEmail } = loadEncryption({ ENCRYPTION_PEPPER: 'pepper-uno' });
+    const other = loadEncryption({ ENCRYPTION_PEPPER: 'pepper-dos' });
+
+    expect(hashEmail(' Ana@Example.com ')).toBe(hashEmail('ana@example.com'));
+    expect(other.hashEmail('ana@example.com')).not.toBe(hashEmail('ana@example.com'));
+  });
+
+  test('DATA_ENCRYPTION_KEY_VERSION elige la clave con la que se cifra', () => {
+    const { encryptQuestionnaireData } = loadEncryption({
+      DATA_ENCRYPTION_KEYS: '1:clave-uno,2:clave-dos',
+      DATA_ENCRYPTION_KEY_VERSION: '1'
+    });
+
+    expect(encryptQuestionnaireData(data).keyVersion).toBe(1);
+    expect(() => loadEncryption({ DATA_ENCRYPTION_KEYS: '1:clave-uno', DATA_ENCRYPTION_KEY_VERSION: '3' })).toThrow('no está en DATA_ENCRYPTION_KEYS');
+  });
+
+  test('sin la clave correcta no se puede descifrar', () => {
+    const stored = loadEncryption({ DATA_ENCRYPTION_KEYS: '1:clave-uno' }).encryptQuestionnaireData(data);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // Versión retirada de la lista y mismo número de versión con otro secreto
+    expect(() => loadEncryption({ DATA_ENCRYPTION_KEYS: '2:clave-dos' }).decryptQuestionnaireData(stored))
+      .toThrow('Error de desencriptación del cuestionario');
+    expect(() => loadEncryption({ DATA_ENCRYPTION_KEYS: '1:otra-clave' }).decryptQuestionnaireData(stored))
+      .toThrow('Error de desencriptación del cuestionario');
+    console.error.mockRestore();
+  });
+
+  test('los datos anteriores al cifrado se leen tal cual', () => {
+    const { decryptQuestionnaireData } = loadEncryption({ DATA_ENCRYPTION_KEYS: '1:clave-uno' });
+
+    expect(decryptQuestionnaireData({
+      personalInfo: JSON.stringify(data.personalInfo),
+      answers: data.answers
+    })).toEqual(data);
+  });
+
+  test('rechaza claves con formato incorrecto', () => {
+    expect(() => loadEncryption({ DATA_ENCRYPTION_KEYS: 'clave-sin-version' })).toThrow('DATA_ENCRYPTION_KEYS debe tener el formato');
+  });
+
+  test('la API guarda cifrado y el recifrado pasa lo antiguo a la clave actual', async () => {
+    const { encryptField } = loadEncryption({ DATA_ENCRYPTION_KEYS: '1:clave-uno,2:clave-dos' });
+
+    await jest.isolateModulesAsync(async () => {
+      const request = require('supertest');
+      const { createTestApp, closeTestApp, startQuestionnaire } = require('./helpers/app');
+      const app = await createTestApp();
+      const database = require('../src/config/database');
+      const Questionnaire = require('../src/models/Questionnaire');
+      const { reencryptAll } = require('../src/utils/dataReencryption');
+
+      const started = await startQuestionnaire(app, { type: 'phq9', correo: 'bea@example.com' });
+      const inserted = await database.query(
+        "INSERT INTO questionnaires (type, personal_info, answers, encryption_key_version, status) VALUES ('phq9', $1, $2, 1, 'pending') RETURNING id",
+        [encryptField(data.personalInfo, 1), encryptField(data.answers, 1)]
+      );
+      const legacy = await database.query(
+        "INSERT INTO questionnaires (type, personal_info, answers, status) VALUES ('phq9', $1, $2, 'pending') RETURNING id",
+        [JSON.stringify(data.personalInfo), JSON.stringify(data.answers)]
+      );
+      const rowOf = async id => (await database.query('SELECT personal_info, encryption_key_version FROM questionnaires WHERE id = $1', [id])).rows[0];
+
+      const startedRow = await rowOf(started.questionnaireId);
+      await reencryptAll();
+      const rotated = await rowOf(inserted.rows[0].id);
+      const encryptedLegacy = await rowOf(legacy.rows[0].id);
+      const read = await request(app)
+        .get(`/api/questionnaires/${started.questionnaireId}`)
+        .set('X-Questionnaire-Token', started.accessToken);
+      const legacyQuestionnaire = await Questionnaire.findById(legacy.rows[0].id);
+      await closeTestApp();
+
+      expect(startedRow.personal_info).not.toContain('bea@example.com');
+      expect(startedRow.encryption_key_version).toBe(2);
+      expect(read.body.data.personalInfo.correo).toBe('bea@example.com');
+      expect(rotated.encryption_key_version).toBe(2);
+      expect(JSON.parse(rotated.personal_info).keyVersion).toBe(2);
+      expect(encryptedLegacy.personal_info).not.toContain('ana@example.com');
+      expect(legacyQuestionnaire.personalInfo).toEqual(data.personalInfo);
+    });
+  });
+});
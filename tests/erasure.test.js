@@ -0,0 +1,168 @@
+const request = require('supertest');
+const database = require('../src/config/database');
+const QuestionnaireResult = require('../src/models/QuestionnaireResult');
+const {
+  CONSENT,
+  createTestApp,
+  closeTestApp,
+  fullAnswers,
+  scoredAnswers,
+  startQuestionnaire,
+  syncQuestionnaire,
+  loginAdmin,
+  registerUser,
+  registerVerifiedUser,
+  captureMail,
+  countRows
+} = require('./helpers/app');
+
+/**
+ * Supresión de datos: no deben quedar filas que apunten a cuestionarios o cuentas borrados
+ */
+
+// Tablas que referencian un cuestionario y la columna que lo hace
+const QUESTIONNAIRE_REFERENCES = [
+  ['questionnaires', 'id'],
+  ['questionnaire_results', 'questionnaire_id'],
+  ['questionnaire_revisions', 'questionnaire_id'],
+  ['risk_flags', 'questionnaire_id'],
+  ['resume_tokens', 'questionnaire_id'],
+  ['partner_invitations', 'inviter_questionnaire_id'],
+  ['partner_invitations', 'partner_questionnaire_id'],
+  ['compatibility_analysis', 'questionnaire1_id'],
+  ['compatibility_analysis', 'questionnaire2_id']
+];
+
+// Tablas que referencian una cuenta
+const USER_REFERENCES = [
+  ['users', 'id'],
+  ['sessions', 'user_id'],
+  ['user_tokens', 'user_id'],
+  ['two_factor_backup_codes', 'user_id'],
+  ['audit_logs', 'user_id'],
+  ['questionnaires', 'user_id']
+];
+
+// Filas que siguen apuntando a los ids indicados, por tabla y columna (solo las que no son 0)
+async function referencesTo(references, ids) {
+  const left = {};
+  for (const id of ids) {
+    for (const [table, column] of references) {
+      const total = await countRows(table, column, id);
+      if (total > 0) left[`${table}.${column}`] = (left[`${table}.${column}`] || 0) + total;
+    }
+  }
+  return left;
+}
+
+// Cribado con respuestas de riesgo (genera resultados y alertas)
+const RISK_ANSWERS = scoredAnswers('phq9', 3, 9);
+
+describe('Supresión de datos (derecho de supresión)', () => {
+  let app;
+  let admin;
+
+  const erase = body => request(app)
+    .post('/api/admin/privacy/erasure')
+    .set('Authorization', `Bearer ${admin.accessToken}`)
+    .send(body);
+
+  beforeAll(async () => {
+    captureMail();
+    app = await createTestApp();
+    admin = await loginAdmin(app);
+  });
+
+  afterAll(closeTestApp);
+
+  test('la vista previa cuenta lo que se tocaría sin modificar nada', async () => {
+    const zoe = await syncQuestionnaire(app, { type: 'phq9', correo: 'zoe@example.com', answers: RISK_ANSWERS });
+
+    const res = await erase({ email: 'zoe@example.com', mode: 'erase', dryRun: true });
+    const pseudonymize = await erase({ email: 'zoe@example.com', mode: 'pseudonymize', dryRun: true });
+
+    expect(res.body.data.plan.tables.questionnaires).toEqual({ records: 1, action: 'delete' });
+    expect(res.body.data.plan.tables.riskFlags.records).toBeGreaterThan(0);
+    expect(pseudonymize.body.data.plan.tables.questionnaireResults.action).toBe('keep');
+    expect(await countRows('questionnaires', 'id', zoe.questionnaireId)).toBe(1);
+    expect(await countRows('erasure_requests', 'mode', 'erase')).toBe(0);
+  });
+
+  test('erase no deja filas de los cuestionarios, la cuenta ni los mensajes', async () => {
+    const account = await registerVerifiedUser(app, 'ana@example.com');
+    const screener = await syncQuestionnaire(app, { type: 'phq9', correo: 'ana@example.com', answers: RISK_ANSWERS });
+    const couple = await syncQuestionnaire(app, { type: 'pareja', correo: 'ana@example.com', answers: fullAnswers('pareja') });
+    const partner = await syncQuestionnaire(app, { type: 'pareja', correo: 'bea@example.com', answers: fullAnswers('pareja') });
+    await request(app)
+      .post('/api/questionnaires/compatibility')
+      .set('X-Questionnaire-Token', `${couple.accessToken},${partner.accessToken}`)
+      .send({ questionnaire1Id: couple.questionnaireId, questionnaire2Id: partner.questionnaireId })
+      .expect(201);
+    await request(app)
+      .post('/api/contact')
+      .send({ nombre: 'Ana', email: 'ana@example.com', mensaje: 'Borrad mis datos, por favor', consent: CONSENT })
+      .expect(201);
+
+    const res = await erase({ email: 'ana@example.com', mode: 'erase', reason: 'Solicitud por email' });
+
+    expect(res.status).toBe(200);
+    expect(await referencesTo(QUESTIONNAIRE_REFERENCES, [screener.questionnaireId, couple.questionnaireId])).toEqual({});
+    expect(await referencesTo(USER_REFERENCES, [account.userId])).toEqual({});
+    expect(await countRows('contact_messages', 'email', 'ana@example.com')).toBe(0);
+    // El cuestionario de la otra persona se conserva
+    expect(await countRows('questionnaires', 'id', partner.questionnaireId)).toBe(1);
+  });
+
+  test('la constancia guarda el índice ciego y no el email', async () => {
+    const list = await request(app)
+      .get('/api/admin/privacy/erasures?email=ana@example.com')
+      .set('Authorization', `Bearer ${admin.accessToken}`);
+    const stored = await database.query('SELECT * FROM erasure_requests');
+
+    expect(list.body.data.erasures).toHaveLength(1);
+    expect(list.body.data.erasures[0]).toMatchObject({ mode: 'erase', requestedBy: admin.user.id, reason: 'Solicitud por email' });
+    expect(JSON.stringify(stored.rows)).not.toContain('ana@example.com');
+  });
+
+  test('pseudonymize borra la cuenta y conserva las respuestas sin vínculo con la persona', async () => {
+    const account = await registerVerifiedUser(app, 'carla@example.com');
+    const questionnaire = await startQuestionnaire(app, { type: 'phq9', correo: 'carla@example.com', answers: RISK_ANSWERS });
+    await request(app)
+      .post(`/api/questionnaires/${questionnaire.questionnaireId}/complete`)
+      .set('X-Questionnaire-Token', questionnaire.accessToken)
+      .expect(200);
+
+    const res = await erase({ email: 'carla@example.com', mode: 'pseudonymize' });
+    const row = (await database.query('SELECT user_id, respondent_hash FROM questionnaires WHERE id = $1', [questionnaire.questionnaireId])).rows[0];
+
+    expect(res.status).toBe(200);
+    expect(await referencesTo(USER_REFERENCES, [account.userId])).toEqual({});
+    expect(row).toEqual({ user_id: null, respondent_hash: null });
+    expect(await QuestionnaireResult.findByQuestionnaireId(questionnaire.questionnaireId)).not.toBeNull();
+    expect(await countRows('questionnaire_revisions', 'questionnaire_id', questionnaire.questionnaireId)).toBe(0);
+    expect(await countRows('resume_tokens', 'questionnaire_id', questionnaire.questionnaireId)).toBe(0);
+  });
+
+  test('sin datos responde 404 y las cuentas del personal no se suprimen', async () => {
+    await registerUser(app, 'pro@example.com');
+    await database.query('UPDATE users SET role = $1 WHERE email = $2', ['professional', 'pro@example.com']);
+
+    expect((await erase({ email: 'nadie@example.com', mode: 'erase' })).status).toBe(404);
+    expect((await erase({ email: 'pro@example.com', mode: 'erase' })).status).toBe(409);
+    expect((await erase({ email: 'pro@example.com', mode: 'borrar' })).status).toBe(400);
+  });
+
+  test('la baja desde la propia cuenta no deja filas de la cuenta ni de sus cuestionarios', async () => {
+    const account = await registerVerifiedUser(app, 'eva@example.com');
+    const questionnaire = await startQuestionnaire(app, { type: 'phq9', correo: 'eva@example.com', answers: RISK_ANSWERS });
+
+    const res = await request(app)
+      .delete('/api/me')
+      .set('Authorization', `Bearer ${account.accessToken}`)
+      .send({ password: 'Password123!' });
+
+    expect(res.status).toBe(200);
+    expect(await referencesTo(QUESTIONNAIRE_REFERENCES, [questionnaire.questionnaireId])).toEqual({});
+    expect(await referencesTo(USER_REFERENCES, [account.userId])).toEqual({});
+  });
+});
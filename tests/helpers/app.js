@@ -0,0 +1,171 @@
+const { migrateWithoutExit } = require('../../scripts/migrate');
+const request = require('supertest');
+const database = require('../../src/config/database');
+const questionnaireDefinitions = require('../../src/config/questionnaires');
+const { registerTransport } = require('../../src/utils/mailer');
+
+/**
+ * Utilidades comunes de los tests de la API
+ * La migración crea las tablas y el administrador por defecto en la base de datos en memoria
+ */
+
+const ADMIN_CREDENTIALS = { email: 'admin@websaludmental.com', password: 'admin123' };
+
+// Consentimiento válido para los cuestionarios y el formulario de contacto
+const CONSENT = { policyVersion: 1, purposes: ['processing', 'contact'] };
+
+/**
+ * Crear las tablas y cargar la aplicación (sin abrir el puerto)
+ */
+async function createTestApp() {
+  await migrateWithoutExit();
+  return require('../../src/server').app;
+}
+
+/**
+ * Cerrar la base de datos al terminar el archivo de tests
+ */
+async function closeTestApp() {
+  await database.end();
+}
+
+/**
+ * Información personal completa de un encuestado
+ */
+function personalInfo(correo, overrides = {}) {
+  return {
+    nombre: 'Ana',
+    apellidos: 'Pérez',
+    edad: 30,
+    genero: 'mujer',
+    correo,
+    orientacionSexual: 'heterosexual',
+    ...overrides
+  };
+}
+
+/**
+ * Respuestas a todas las preguntas con opciones (la primera de cada una)
+ */
+function fullAnswers(type, overrides = {}) {
+  const answers = {};
+  questionnaireDefinitions.getDefinition(type).questions
+    .filter(question => question.options)
+    .forEach(question => {
+      answers[question.id] = question.options[0].label;
+    });
+  return { ...answers, ...overrides };
+}
+
+/**
+ * Respuestas con el mismo valor en todas las preguntas puntuables de un cribado
+ */
+function scoredAnswers(type, value, count) {
+  const answers = {};
+  questionnaireDefinitions.getDefinition(type).questions
+    .filter(question => question.scored)
+    .slice(0, count)
+    .forEach(question => {
+      answers[question.id] = value;
+    });
+  return answers;
+}
+
+/**
+ * Sincronizar un cuestionario completo de una vez; devuelve los datos de la respuesta
+ */
+async function syncQuestionnaire(app, { type, correo, answers }) {
+  const res = await request(app)
+    .post('/api/questionnaires/sync')
+    .send({ type, personalInfo: personalInfo(correo), answers, completed: true, consent: CONSENT });
+
+  expect(res.status).toBeLessThan(300);
+  return res.body.data;
+}
+
+/**
+ * Iniciar un cuestionario con /start; devuelve los datos de la respuesta (incluye su token de acceso)
+ * Con `accessToken` se inicia con la sesión de esa cuenta (para vincularlo a ella)
+ */
+async function startQuestionnaire(app, { type, correo, answers = {}, accessToken }) {
+  const req = request(app).post('/api/questionnaires/start');
+  if (accessToken) req.set('Authorization', `Bearer ${accessToken}`);
+  const res = await req.send({ type, personalInfo: personalInfo(correo), answers, consent: CONSENT });
+
+  expect(res.status).toBe(201);
+  return res.body.data;
+}
+
+/**
+ * Login del administrador por defecto; devuelve los datos de la respuesta
+ */
+async function loginAdmin(app) {
+  const res = await request(app).post('/api/admin/login').send(ADMIN_CREDENTIALS);
+
+  expect(res.status).toBe(200);
+  return res.body.data;
+}
+
+/**
+ * Guardar en memoria los emails enviados; devuelve la lista, que se va llenando
+ */
+function captureMail() {
+  const sentMails = [];
+  registerTransport('memoria', async message => {
+    sentMails.push(message);
+    return { transport: 'memoria' };
+  });
+  process.env.MAIL_TRANSPORT = 'memoria';
+  return sentMails;
+}
+
+/**
+ * Registrar un usuario; devuelve los datos de la respuesta (usuario y tokens)
+ */
+async function registerUser(app, correo, password = 'Password123!') {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ ...personalInfo(correo), password });
+
+  expect(res.status).toBe(201);
+  return res.body.data;
+}
+
+/**
+ * Registrar un usuario con el email ya verificado e iniciar sesión
+ * Devuelve el id del usuario junto con los datos del login (tokens)
+ */
+async function registerVerifiedUser(app, correo, password = 'Password123!') {
+  const { user } = await registerUser(app, correo, password);
+  await database.query('UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+
+  const res = await request(app).post('/api/auth/login').send({ correo, password });
+
+  expect(res.status).toBe(200);
+  return { userId: user.id, ...res.body.data };
+}
+
+/**
+ * Contar las filas de una tabla con un valor en una columna
+ */
+async function countRows(table, column, value) {
+  const result = await database.query(`SELECT COUNT(*) AS total FROM ${table} WHERE ${column} = $1`, [value]);
+  return parseInt(result.rows[0].total);
+}
+
+module.exports = {
+  ADMIN_CREDENTIALS,
+  CONSENT,
+  createTestApp,
+  closeTestApp,
+  personalInfo,
+  fullAnswers,
+  scoredAnswers,
+  syncQuestionnaire,
+  startQuestionnaire,
+  loginAdmin,
+  registerUser,
+  registerVerifiedUser,
+  captureMail,
+  countRows
+};
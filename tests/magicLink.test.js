@@ -0,0 +1,82 @@
+const request = require('supertest');
+const database = require('../src/config/database');
+const { generateDataHash } = require('../src/utils/encryption');
+const {
+  createTestApp,
+  closeTestApp,
+  startQuestionnaire,
+  captureMail
+} = require('./helpers/app');
+
+describe('Acceso sin contraseña con enlace por email', () => {
+  let app;
+  let sentMails;
+
+  const requestLink = correo => request(app).post('/api/auth/magic-link').send({ correo });
+  const verify = token => request(app).post('/api/auth/magic-link/verify').send({ token });
+  const tokenFromMail = () => sentMails[sentMails.length - 1].text.match(/token=([a-f0-9]+)/)[1];
+
+  beforeAll(async () => {
+    sentMails = captureMail();
+    app = await createTestApp();
+  });
+
+  afterAll(closeTestApp);
+
+  test('la respuesta no revela si el email existe ni envía enlaces al personal', async () => {
+    await startQuestionnaire(app, { type: 'phq9', correo: 'ana@example.com' });
+
+    const known = await requestLink('ana@example.com');
+    const unknown = await requestLink('nadie@example.com');
+    const staff = await requestLink('admin@websaludmental.com');
+
+    expect(unknown.body).toEqual(known.body);
+    expect(staff.body).toEqual(known.body);
+    expect(sentMails.map(mail => mail.to)).toEqual(['ana@example.com']);
+  });
+
+  test('el enlace abre una sesión con el email verificado y solo se usa una vez', async () => {
+    await requestLink('ana@example.com');
+    const token = tokenFromMail();
+
+    const first = await verify(token);
+    const second = await verify(token);
+    const questionnaires = await request(app)
+      .get('/api/me/questionnaires')
+      .set('Authorization', `Bearer ${first.body.data.accessToken}`);
+
+    expect(first.status).toBe(200);
+    expect(first.body.data.user.emailVerified).toBe(true);
+    expect(second.status).toBe(400);
+    expect(questionnaires.body.data.questionnaires.map(questionnaire => questionnaire.type)).toEqual(['phq9']);
+  });
+
+  test('dos canjes simultáneos del mismo enlace abren una sola sesión', async () => {
+    await requestLink('ana@example.com');
+    const token = tokenFromMail();
+
+    const results = await Promise.all([verify(token), verify(token)]);
+
+    expect(results.map(res => res.status).sort()).toEqual([200, 400]);
+  });
+
+  test('pedir un enlace nuevo anula el anterior y los enlaces caducan', async () => {
+    await requestLink('ana@example.com');
+    const previous = tokenFromMail();
+    await requestLink('ana@example.com');
+    const latest = tokenFromMail();
+    await database.query(
+      "UPDATE user_tokens SET expires_at = '2000-01-01T00:00:00.000Z' WHERE token_hash = $1",
+      [generateDataHash(latest)]
+    );
+
+    expect((await verify(previous)).status).toBe(400);
+    expect((await verify(latest)).status).toBe(400);
+  });
+
+  test('un token de otra finalidad no sirve como enlace de acceso', async () => {
+    await request(app).post('/api/auth/forgot-password').send({ correo: 'ana@example.com' });
+
+    expect((await verify(tokenFromMail())).status).toBe(400);
+  });
+});
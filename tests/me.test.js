@@ -0,0 +1,109 @@
+const request = require('supertest');
+const {
+  CONSENT,
+  createTestApp,
+  closeTestApp,
+  personalInfo,
+  fullAnswers,
+  registerUser,
+  registerVerifiedUser,
+  captureMail
+} = require('./helpers/app');
+
+describe('Autoservicio de la cuenta (/api/me)', () => {
+  let app;
+
+  const asUser = (method, path, accessToken) => request(app)[method](`/api/me${path}`)
+    .set('Authorization', `Bearer ${accessToken}`);
+  const login = (correo, password) => request(app).post('/api/auth/login').send({ correo, password });
+  // Los cuestionarios iniciados con la sesión del usuario y su email quedan en su cuenta
+  const start = (type, correo, answers = {}, accessToken = null) => {
+    const req = request(app).post('/api/questionnaires/start');
+    if (accessToken) req.set('Authorization', `Bearer ${accessToken}`);
+    return req.send({ type, personalInfo: personalInfo(correo), answers, consent: CONSENT });
+  };
+
+  beforeAll(async () => {
+    captureMail();
+    app = await createTestApp();
+  });
+
+  afterAll(closeTestApp);
+
+  test('devuelve el perfil sin contraseña y permite cambiar el nombre', async () => {
+    const { accessToken } = await registerVerifiedUser(app, 'ana@example.com');
+
+    const invalid = await asUser('put', '', accessToken).send({ nombre: '  ', apellidos: 'López' });
+    const updated = await asUser('put', '', accessToken).send({ nombre: ' Ana ', apellidos: 'López' });
+    const profile = await asUser('get', '', accessToken);
+
+    expect(invalid.status).toBe(400);
+    expect(updated.body.data.name).toBe('Ana López');
+    expect(profile.body.data).toMatchObject({ email: 'ana@example.com', role: 'user', emailVerified: true });
+    expect(profile.body.data).not.toHaveProperty('password');
+    expect((await request(app).get('/api/me')).status).toBe(401);
+  });
+
+  test('cambiar la contraseña exige la actual y cierra las demás sesiones', async () => {
+    const first = await registerVerifiedUser(app, 'bea@example.com');
+    const other = (await login('bea@example.com', 'Password123!')).body.data;
+
+    const wrong = await asUser('put', '/password', first.accessToken)
+      .send({ currentPassword: 'Incorrecta1!', newPassword: 'NuevaClave456!' });
+    const short = await asUser('put', '/password', first.accessToken)
+      .send({ currentPassword: 'Password123!', newPassword: 'corta' });
+    const changed = await asUser('put', '/password', first.accessToken)
+      .send({ currentPassword: 'Password123!', newPassword: 'NuevaClave456!' });
+
+    expect(wrong.status).toBe(400);
+    expect(short.status).toBe(400);
+    // La sesión del registro y la segunda sesión; la actual sigue abierta
+    expect(changed.body.data.revokedSessions).toBe(2);
+    expect((await request(app).post('/api/auth/refresh').send({ refreshToken: other.refreshToken })).status).toBe(401);
+    expect((await asUser('get', '', first.accessToken)).status).toBe(200);
+    expect((await login('bea@example.com', 'NuevaClave456!')).status).toBe(200);
+  });
+
+  test('lista los cuestionarios propios con filtros y estadísticas', async () => {
+    const { accessToken } = await registerVerifiedUser(app, 'carla@example.com');
+    const personality = await start('personalidad', 'carla@example.com', fullAnswers('personalidad'), accessToken);
+    await start('pareja', 'carla@example.com', {}, accessToken);
+    await start('personalidad', 'otra@example.com', {}, accessToken);
+    // Sin la sesión el email no basta para meterlo en su cuenta
+    await start('gad7', 'carla@example.com');
+    await request(app)
+      .post(`/api/questionnaires/${personality.body.data.questionnaireId}/complete`)
+      .set('X-Questionnaire-Token', personality.body.data.accessToken);
+
+    const all = await asUser('get', '/questionnaires', accessToken);
+    const completed = await asUser('get', '/questionnaires?completed=true', accessToken);
+    const invalid = await asUser('get', '/questionnaires?completed=quizas', accessToken);
+
+    expect(all.body.data.pagination.total).toBe(2);
+    expect(all.body.data.stats).toMatchObject({ total: 2, completed: 1 });
+    expect(completed.body.data.questionnaires.map(questionnaire => questionnaire.type)).toEqual(['personalidad']);
+    expect(invalid.status).toBe(400);
+  });
+
+  test('los cuestionarios y estadísticas exigen el email verificado', async () => {
+    const { accessToken } = await registerUser(app, 'dani@example.com');
+
+    expect((await asUser('get', '/questionnaires', accessToken)).status).toBe(403);
+    expect((await asUser('get', '/stats', accessToken)).status).toBe(403);
+  });
+
+  test('eliminar la cuenta exige la contraseña y borra sus cuestionarios', async () => {
+    const { accessToken, userId } = await registerVerifiedUser(app, 'eva@example.com');
+    await start('personalidad', 'eva@example.com');
+
+    const wrong = await asUser('delete', '', accessToken).send({ password: 'Incorrecta1!' });
+    const deleted = await asUser('delete', '', accessToken).send({ password: 'Password123!' });
+    const database = require('../src/config/database');
+    const remaining = await database.query('SELECT COUNT(*) as total FROM questionnaires WHERE user_id = $1', [userId]);
+
+    expect(wrong.status).toBe(400);
+    expect(deleted.status).toBe(200);
+    expect(parseInt(remaining.rows[0].total)).toBe(0);
+    expect((await login('eva@example.com', 'Password123!')).status).toBe(401);
+  });
+});
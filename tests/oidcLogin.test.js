@@ -0,0 +1,157 @@
+const http = require('http');
+const request = require('supertest');
+const database = require('../src/config/database');
+const { createMockOidcProvider } = require('../scripts/mock-oidc-provider');
+const { createTestApp, closeTestApp, loginAdmin, registerUser, captureMail } = require('./helpers/app');
+
+describe('Inicio de sesión único (OIDC) del personal', () => {
+  let app;
+  let provider;
+
+  // Pedir la URL de autorización y seguirla en el proveedor, que aprueba sin pantalla
+  // `tamper` permite manipular la URL (nonce, PKCE) antes de enviarla
+  const authorize = async (loginHint, tamper = url => url) => {
+    const login = await request(app).get('/api/admin/sso/login');
+    const url = new URL(login.body.data.authorizationUrl);
+    url.searchParams.set('login_hint', loginHint);
+
+    const response = await fetch(tamper(url), { redirect: 'manual' });
+    const redirect = new URL(response.headers.get('location'));
+    return { state: login.body.data.state, code: redirect.searchParams.get('code') };
+  };
+  const callback = body => request(app).post('/api/admin/sso/callback').send(body);
+
+  beforeAll(async () => {
+    captureMail();
+    let mock;
+    provider = http.createServer((req, res) => mock(req, res));
+    await new Promise(resolve => provider.listen(0, '127.0.0.1', resolve));
+
+    const issuer = `http://127.0.0.1:${provider.address().port}`;
+    mock = createMockOidcProvider({ issuer });
+    Object.assign(process.env, {
+      OIDC_ISSUER: issuer,
+      OIDC_CLIENT_ID: 'panel-salud-mental',
+      OIDC_CLIENT_SECRET: 'secreto-de-pruebas',
+      OIDC_ROLE_MAPPING: JSON.stringify({
+        'salud-mental-admins': 'admin',
+        'salud-mental-profesionales': 'professional',
+        'salud-mental-recepcion': 'assistant'
+      }),
+      OIDC_AUTO_PROVISION: 'true',
+      OIDC_TRUST_PROVIDER_MFA: 'true'
+    });
+    app = await createTestApp();
+  });
+
+  afterAll(async () => {
+    provider.closeAllConnections();
+    await new Promise(resolve => provider.close(resolve));
+    await closeTestApp();
+  });
+
+  test('el rol sale del grupo con más privilegios', () => {
+    const { mapClaimsToRole } = require('../src/config/oidc');
+
+    expect(mapClaimsToRole({ groups: ['salud-mental-recepcion', 'salud-mental-admins'] })).toBe('admin');
+    expect(mapClaimsToRole({ groups: 'salud-mental-profesionales' })).toBe('professional');
+    expect(mapClaimsToRole({ groups: ['otro-grupo'] })).toBeNull();
+  });
+
+  test('la primera entrada crea la cuenta con el rol del proveedor y la vincula al sub', async () => {
+    const res = await callback(await authorize('psicologa@example.com'));
+    const linked = await database.query('SELECT oidc_subject FROM users WHERE email = $1', ['psicologa@example.com']);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user).toMatchObject({ email: 'psicologa@example.com', role: 'professional' });
+    expect(res.body.data.accessToken).toBeDefined();
+    expect(linked.rows[0].oidc_subject).toBe('mock-profesional');
+  });
+
+  test('una cuenta existente con el mismo email solo entra tras vincularla desde su sesión', async () => {
+    const { refreshToken } = await registerUser(app, 'recepcion@example.com');
+    await database.query("UPDATE users SET role = 'assistant' WHERE email = $1", ['recepcion@example.com']);
+    const staff = await request(app)
+      .post('/api/admin/login')
+      .send({ email: 'recepcion@example.com', password: 'Password123!' });
+    const link = async loginHint => request(app)
+      .post('/api/admin/sso/link')
+      .set('Authorization', `Bearer ${staff.body.data.accessToken}`)
+      .send(await authorize(loginHint));
+
+    const beforeLink = await callback(await authorize('recepcion@example.com'));
+    const otherIdentity = await link('admin@example.com');
+    const linked = await link('recepcion@example.com');
+    const afterLink = await callback(await authorize('recepcion@example.com'));
+
+    expect(beforeLink.status).toBe(409);
+    expect(beforeLink.body.data).toBeUndefined();
+    expect(otherIdentity.status).toBe(403);
+    expect(linked.status).toBe(200);
+    expect(afterLink.status).toBe(200);
+    expect(afterLink.body.data.user.role).toBe('assistant');
+    expect((await request(app).post('/api/auth/refresh').send({ refreshToken })).status).toBe(200);
+  });
+
+  test('sin un grupo mapeado no hay acceso al panel', async () => {
+    const res = await callback(await authorize('externo@example.com'));
+
+    expect(res.status).toBe(403);
+  });
+
+  test('cada state vale una sola vez y caduca', async () => {
+    const first = await authorize('psicologa@example.com');
+    const second = await authorize('psicologa@example.com');
+    await database.query("UPDATE oidc_login_requests SET expires_at = '2000-01-01T00:00:00.000Z' WHERE used_at IS NULL");
+
+    expect((await callback(first)).status).toBe(400);
+    expect((await callback({ code: second.code, state: 'inventado' })).status).toBe(400);
+
+    const fresh = await authorize('psicologa@example.com');
+    expect((await callback(fresh)).status).toBe(200);
+    expect((await callback(fresh)).status).toBe(400);
+  });
+
+  test('un código emitido para otro login no sirve (PKCE)', async () => {
+    const stolen = await authorize('admin@example.com');
+    const own = await authorize('admin@example.com');
+
+    const res = await callback({ code: stolen.code, state: own.state });
+
+    expect(res.status).toBe(401);
+  });
+
+  test('se rechaza el id_token con un nonce distinto', async () => {
+    const attempt = await authorize('admin@example.com', url => {
+      url.searchParams.set('nonce', 'nonce-de-otro-login');
+      return url;
+    });
+
+    const res = await callback(attempt);
+
+    expect(res.status).toBe(401);
+  });
+
+  test('los errores del proveedor se devuelven sin abrir sesión', async () => {
+    const res = await callback({ error: 'access_denied', error_description: 'Usuario desconocido', state: 'x' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.data).toBeUndefined();
+  });
+
+  test('el 2FA local se exige salvo que el id_token acredite el segundo factor', async () => {
+    const admin = await loginAdmin(app);
+    await request(app)
+      .put('/api/admin/security/two-factor-policy')
+      .set('Authorization', `Bearer ${admin.accessToken}`)
+      .send({ required: true })
+      .expect(200);
+
+    const withoutMfa = await callback(await authorize('psicologa@example.com'));
+    const withMfa = await callback(await authorize('admin@example.com'));
+
+    expect(withoutMfa.body.data).toMatchObject({ twoFactorSetupRequired: true, challengeToken: expect.any(String) });
+    expect(withoutMfa.body.data.accessToken).toBeUndefined();
+    expect(withMfa.body.data.accessToken).toEqual(expect.any(String));
+  });
+});
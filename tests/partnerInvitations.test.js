@@ -0,0 +1,83 @@
+const request = require('supertest');
+const database = require('../src/config/database');
+const {
+  CONSENT,
+  createTestApp,
+  closeTestApp,
+  personalInfo,
+  fullAnswers,
+  syncQuestionnaire
+} = require('./helpers/app');
+
+describe('Invitaciones de pareja', () => {
+  let app;
+  let inviter;
+
+  const joinWith = (invitationCode, correo, type = 'pareja') => request(app)
+    .post('/api/questionnaires/sync')
+    .send({ type, personalInfo: personalInfo(correo, { nombre: 'Bea' }), answers: fullAnswers(type), completed: true, invitationCode, consent: CONSENT });
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    inviter = await syncQuestionnaire(app, { type: 'pareja', correo: 'ana@example.com', answers: fullAnswers('pareja') });
+  });
+
+  afterAll(closeTestApp);
+
+  test('al completar el cuestionario se genera la invitación', async () => {
+    const invitation = await request(app).get(`/api/questionnaires/invitations/${inviter.pairing.code.toLowerCase()}`);
+
+    expect(inviter.pairing).toMatchObject({ role: 'inviter', status: 'pending' });
+    expect(inviter.pairing.link).toContain(inviter.pairing.code);
+    expect(invitation.status).toBe(200);
+    expect(invitation.body.data).toMatchObject({ valid: true, inviter: { nombre: 'Ana' } });
+  });
+
+  test('no se puede usar la invitación propia ni con otro tipo de cuestionario', async () => {
+    const own = await joinWith(inviter.pairing.code, 'ANA@example.com');
+    const otherType = await joinWith(inviter.pairing.code, 'bea@example.com', 'personalidad');
+
+    expect(own.status).toBe(400);
+    expect(otherType.status).toBe(400);
+  });
+
+  test('la pareja se une con el código y los dos ven el emparejamiento', async () => {
+    const partner = await joinWith(inviter.pairing.code, 'bea@example.com');
+    const inviterPairing = await request(app)
+      .get(`/api/questionnaires/${inviter.questionnaireId}/pairing`)
+      .set('X-Questionnaire-Token', inviter.accessToken);
+
+    expect(partner.status).toBe(201);
+    expect(partner.body.data.pairing).toMatchObject({ role: 'partner', status: 'paired', code: null });
+    expect(partner.body.data.pairing.partner.questionnaireId).toBe(inviter.questionnaireId);
+    expect(inviterPairing.body.data).toMatchObject({ role: 'inviter', status: 'paired', partner: { nombre: 'Bea' } });
+  });
+
+  test('un código ya usado no vale para una tercera persona', async () => {
+    const res = await joinWith(inviter.pairing.code, 'carla@example.com');
+
+    expect(res.status).toBe(400);
+  });
+
+  test('una invitación caducada no se puede usar', async () => {
+    const other = await syncQuestionnaire(app, { type: 'pareja', correo: 'dani@example.com', answers: fullAnswers('pareja') });
+    await database.query("UPDATE partner_invitations SET expires_at = '2000-01-01T00:00:00.000Z' WHERE code = $1", [other.pairing.code]);
+
+    const invitation = await request(app).get(`/api/questionnaires/invitations/${other.pairing.code}`);
+    const join = await joinWith(other.pairing.code, 'eva@example.com');
+
+    expect(invitation.body.data).toMatchObject({ status: 'expired', valid: false });
+    expect(join.status).toBe(400);
+  });
+
+  test('códigos desconocidos y cuestionarios que no son de pareja', async () => {
+    const personality = await syncQuestionnaire(app, { type: 'personalidad', correo: 'fer@example.com', answers: fullAnswers('personalidad') });
+    const pairing = await request(app)
+      .get(`/api/questionnaires/${personality.questionnaireId}/pairing`)
+      .set('X-Questionnaire-Token', personality.accessToken);
+
+    expect((await request(app).get('/api/questionnaires/invitations/NOEXISTE')).status).toBe(404);
+    expect(pairing.status).toBe(400);
+    expect(personality.pairing).toBeNull();
+  });
+});
@@ -0,0 +1,95 @@
+const request = require('supertest');
+const database = require('../src/config/database');
+const { generateDataHash } = require('../src/utils/encryption');
+const {
+  createTestApp,
+  closeTestApp,
+  registerUser,
+  captureMail
+} = require('./helpers/app');
+
+describe('Restablecimiento de contraseña', () => {
+  let app;
+  let sentMails;
+
+  const forgot = correo => request(app).post('/api/auth/forgot-password').send({ correo });
+  const reset = (token, password = 'NuevaClave456!') => request(app).post('/api/auth/reset-password').send({ token, password });
+  const login = (correo, password) => request(app).post('/api/auth/login').send({ correo, password });
+  const tokenFromMail = () => sentMails[sentMails.length - 1].text.match(/token=([a-f0-9]+)/)[1];
+
+  beforeAll(async () => {
+    sentMails = captureMail();
+    app = await createTestApp();
+  });
+
+  afterAll(closeTestApp);
+
+  test('la respuesta es la misma exista o no el email', async () => {
+    await registerUser(app, 'ana@example.com');
+    sentMails.length = 0;
+
+    const known = await forgot('ana@example.com');
+    const unknown = await forgot('nadie@example.com');
+
+    expect(unknown.status).toBe(200);
+    expect(unknown.body).toEqual(known.body);
+    expect(sentMails.map(mail => mail.to)).toEqual(['ana@example.com']);
+  });
+
+  test('el token cambia la contraseña una sola vez y cierra las sesiones abiertas', async () => {
+    const session = await registerUser(app, 'bea@example.com');
+    await forgot('bea@example.com');
+    const token = tokenFromMail();
+
+    const first = await reset(token);
+    const second = await reset(token, 'OtraClave789!');
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(400);
+    expect((await login('bea@example.com', 'NuevaClave456!')).status).toBe(200);
+    expect((await login('bea@example.com', 'Password123!')).status).toBe(401);
+    expect((await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken })).status).toBe(401);
+  });
+
+  test('dos peticiones simultáneas con el mismo token: solo una lo usa', async () => {
+    await registerUser(app, 'carla@example.com');
+    await forgot('carla@example.com');
+    const token = tokenFromMail();
+
+    const statuses = (await Promise.all([reset(token, 'Primera111!'), reset(token, 'Segunda222!')])).map(res => res.status);
+
+    expect(statuses.sort()).toEqual([200, 400]);
+  });
+
+  test('pedir un enlace nuevo invalida el anterior', async () => {
+    await registerUser(app, 'dani@example.com');
+    await forgot('dani@example.com');
+    const oldToken = tokenFromMail();
+    await forgot('dani@example.com');
+
+    expect((await reset(oldToken)).status).toBe(400);
+    expect((await reset(tokenFromMail())).status).toBe(200);
+  });
+
+  test('una contraseña corta no gasta el token', async () => {
+    await registerUser(app, 'eva@example.com');
+    await forgot('eva@example.com');
+    const token = tokenFromMail();
+
+    expect((await reset(token, 'corta')).status).toBe(400);
+    expect((await reset(token)).status).toBe(200);
+  });
+
+  test('rechaza tokens caducados o ausentes', async () => {
+    await registerUser(app, 'fer@example.com');
+    await forgot('fer@example.com');
+    const token = tokenFromMail();
+    await database.query(
+      "UPDATE user_tokens SET expires_at = '2000-01-01T00:00:00.000Z' WHERE token_hash = $1",
+      [generateDataHash(token)]
+    );
+
+    expect((await reset(token)).status).toBe(400);
+    expect((await reset(undefined)).status).toBe(400);
+  });
+});
@@ -0,0 +1,131 @@
+const request = require('supertest');
+const database = require('../src/config/database');
+const { hasPermission, getPermissions, canReadQuestionnaire, ROLES } = require('../src/config/permissions');
+const {
+  CONSENT,
+  createTestApp,
+  closeTestApp,
+  personalInfo,
+  fullAnswers,
+  scoredAnswers,
+  syncQuestionnaire,
+  loginAdmin,
+  registerUser
+} = require('./helpers/app');
+
+describe('Permisos por rol', () => {
+  test('admin tiene todos los permisos y user ninguno', () => {
+    expect(ROLES).toEqual(['admin', 'professional', 'assistant', 'user']);
+    expect(hasPermission('admin', 'system:debug')).toBe(true);
+    expect(getPermissions('user')).toEqual([]);
+    expect(getPermissions('desconocido')).toEqual([]);
+  });
+
+  test('profesionales y asistentes solo tienen lo de su función', () => {
+    expect(hasPermission('professional', 'risk:acknowledge')).toBe(true);
+    expect(hasPermission('professional', 'contact:read')).toBe(false);
+    expect(hasPermission('assistant', 'contact:reply')).toBe(true);
+    expect(hasPermission('assistant', 'questionnaires:read_assigned')).toBe(false);
+  });
+
+  test('un profesional solo puede leer los cuestionarios que tiene asignados', () => {
+    const professional = { userId: 7, userRole: 'professional' };
+
+    expect(canReadQuestionnaire(professional, { assignedTo: 7 })).toBe(true);
+    expect(canReadQuestionnaire(professional, { assignedTo: 8 })).toBe(false);
+    expect(canReadQuestionnaire(professional, null)).toBe(false);
+    expect(canReadQuestionnaire({ userId: 1, userRole: 'admin' }, { assignedTo: 8 })).toBe(true);
+  });
+});
+
+describe('Panel de administración según el rol', () => {
+  let app;
+  let admin;
+  let professional;
+  let assistant;
+  let assigned;
+  let unassigned;
+
+  // Crea una cuenta de personal y devuelve el login del panel
+  const staffLogin = async (correo, role) => {
+    await registerUser(app, correo);
+    await database.query('UPDATE users SET role = $1 WHERE email = $2', [role, correo]);
+    const res = await request(app).post('/api/admin/login').send({ email: correo, password: 'Password123!' });
+    return res.body.data;
+  };
+  const as = (session, method, path) => request(app)[method](`/api/admin${path}`).set('Authorization', `Bearer ${session.accessToken}`);
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    admin = await loginAdmin(app);
+    professional = await staffLogin('pro@example.com', 'professional');
+    assistant = await staffLogin('asis@example.com', 'assistant');
+
+    assigned = await syncQuestionnaire(app, { type: 'phq9', correo: 'ana@example.com', answers: scoredAnswers('phq9', 1) });
+    unassigned = await syncQuestionnaire(app, { type: 'phq9', correo: 'bea@example.com', answers: scoredAnswers('phq9', 1) });
+    await as(admin, 'put', `/questionnaires/${assigned.questionnaireId}/assignment`)
+      .send({ professionalId: professional.user.id })
+      .expect(200);
+  });
+
+  afterAll(closeTestApp);
+
+  test.each([
+    ['professional', 'get', '/contact-messages'],
+    ['professional', 'put', '/security/two-factor-policy'],
+    ['professional', 'put', '/questionnaires/1/assignment'],
+    ['professional', 'delete', '/questionnaires/1'],
+    ['assistant', 'get', '/questionnaires'],
+    ['assistant', 'get', '/urgent'],
+    ['assistant', 'post', '/fix-corrupted-data']
+  ])('%s recibe 403 en %s %s', async (role, method, path) => {
+    const session = role === 'professional' ? professional : assistant;
+
+    expect((await as(session, method, path)).status).toBe(403);
+  });
+
+  test('los usuarios que responden cuestionarios no pueden entrar en el panel', async () => {
+    await registerUser(app, 'carla@example.com');
+
+    const res = await request(app).post('/api/admin/login').send({ email: 'carla@example.com', password: 'Password123!' });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('el asistente gestiona los mensajes de contacto', async () => {
+    expect((await as(assistant, 'get', '/contact-messages')).status).toBe(200);
+  });
+
+  test('el profesional solo ve sus casos asignados y sus alertas', async () => {
+    const list = await as(professional, 'get', '/questionnaires');
+    const urgent = await as(professional, 'get', '/urgent');
+
+    expect(list.body.phq9.questionnaires.map(q => q.id)).toEqual([assigned.questionnaireId]);
+    expect(urgent.body.data.flags.map(flag => flag.questionnaireId)).toEqual([assigned.questionnaireId]);
+  });
+
+  test('el profesional no puede atender alertas de casos ajenos', async () => {
+    const all = (await as(admin, 'get', '/urgent')).body.data.flags;
+    const foreign = all.find(flag => flag.questionnaireId === unassigned.questionnaireId);
+    const own = all.find(flag => flag.questionnaireId === assigned.questionnaireId);
+
+    expect((await as(professional, 'post', `/urgent/${foreign.id}/acknowledge`)).status).toBe(404);
+    expect((await as(professional, 'post', `/urgent/${own.id}/acknowledge`)).status).toBe(200);
+  });
+
+  test('solo se asigna a profesionales y una pareja se asigna junta', async () => {
+    const inviter = await syncQuestionnaire(app, { type: 'pareja', correo: 'dani@example.com', answers: fullAnswers('pareja') });
+    const partner = await request(app)
+      .post('/api/questionnaires/sync')
+      .send({ type: 'pareja', personalInfo: personalInfo('eva@example.com'), answers: fullAnswers('pareja'), completed: true, invitationCode: inviter.pairing.code, consent: CONSENT });
+
+    const toAssistant = await as(admin, 'put', `/questionnaires/${inviter.questionnaireId}/assignment`)
+      .send({ professionalId: assistant.user.id });
+    const toProfessional = await as(admin, 'put', `/questionnaires/${inviter.questionnaireId}/assignment`)
+      .send({ professionalId: professional.user.id });
+
+    expect(toAssistant.status).toBe(400);
+    expect(toProfessional.body.data.partnerQuestionnaireId).toBe(partner.body.data.questionnaireId);
+    expect((await as(professional, 'get', '/questionnaires')).body.pareja.count).toBe(2);
+  });
+});
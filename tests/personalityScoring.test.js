@@ -0,0 +1,90 @@
+const request = require('supertest');
+const questionnaireDefinitions = require('../src/config/questionnaires');
+const { scoreQuestionnaire } = require('../src/utils/scoring');
+const database = require('../src/config/database');
+const Questionnaire = require('../src/models/Questionnaire');
+const QuestionnaireResult = require('../src/models/QuestionnaireResult');
+const { CONSENT, createTestApp, closeTestApp, personalInfo } = require('./helpers/app');
+
+const personalidad = questionnaireDefinitions.getDefinition('personalidad');
+
+// Respuestas que eligen en cada pregunta la opción del polo indicado (E, I, S, N...)
+function answersFor(poles, { useLabels = false } = {}) {
+  const answers = {};
+  personalidad.questions.forEach(question => {
+    const option = question.options.find(candidate => poles.includes(candidate.value));
+    if (option) answers[question.id] = useLabels ? option.label : option.value;
+  });
+  return answers;
+}
+
+describe('Puntuación por polos', () => {
+  test('el código reúne el polo dominante de cada dimensión', () => {
+    const { summary, scores } = scoreQuestionnaire(personalidad, answersFor(['E', 'S', 'T', 'J']));
+
+    expect(summary.code).toBe('ESTJ');
+    expect(summary.answered).toBe(summary.totalScored);
+    expect(scores.energia.poles.E.percentage).toBe(100);
+  });
+
+  test('acepta la etiqueta de la opción igual que su valor', () => {
+    const byLabel = scoreQuestionnaire(personalidad, answersFor(['I', 'N', 'F', 'P'], { useLabels: true }));
+
+    expect(byLabel.summary.code).toBe('INFP');
+  });
+
+  test('los empates se resuelven con el polo de desempate de la dimensión', () => {
+    const [first, second] = personalidad.questions.filter(question => question.dimension === 'energia');
+    const { scores } = scoreQuestionnaire(personalidad, { [first.id]: 'E', [second.id]: 'I' });
+
+    expect(scores.energia.dominant).toBe('I');
+    expect(scores.energia.poles.E.percentage).toBe(50);
+  });
+
+  test('una dimensión sin respuestas queda como "-" y se ignoran respuestas desconocidas', () => {
+    const energia = personalidad.questions.find(question => question.dimension === 'energia');
+    const { summary } = scoreQuestionnaire(personalidad, { [energia.id]: 'E', 99: 'X' });
+
+    expect(summary.code).toBe('E---');
+    expect(summary.answered).toBe(1);
+  });
+
+  test('los tipos sin puntuación no tienen resultados', () => {
+    expect(scoreQuestionnaire(questionnaireDefinitions.getDefinition('pareja'), {})).toBeNull();
+  });
+});
+
+describe('Resultados guardados', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await createTestApp();
+  });
+
+  afterAll(closeTestApp);
+
+  test('/sync de un cuestionario completado devuelve y guarda sus resultados', async () => {
+    const res = await request(app)
+      .post('/api/questionnaires/sync')
+      .send({ type: 'personalidad', personalInfo: personalInfo('ana@example.com'), answers: answersFor(['E', 'N', 'T', 'P']), completed: true, consent: CONSENT });
+    const stored = await request(app)
+      .get(`/api/questionnaires/${res.body.data.questionnaireId}`)
+      .set('X-Questionnaire-Token', res.body.data.accessToken);
+
+    expect(res.body.data.results.summary.code).toBe('ENTP');
+    expect(stored.body.data.results.summary.code).toBe('ENTP');
+  });
+
+  test('recalcular sustituye los resultados guardados del cuestionario', async () => {
+    const res = await request(app)
+      .post('/api/questionnaires/sync')
+      .send({ type: 'personalidad', personalInfo: personalInfo('bea@example.com'), answers: answersFor(['E', 'S', 'T', 'J']), completed: true, consent: CONSENT });
+    const questionnaire = await Questionnaire.findById(res.body.data.questionnaireId);
+
+    const recalculated = await QuestionnaireResult.computeFor({ ...questionnaire, answers: answersFor(['I', 'S', 'F', 'J']) });
+    const rows = await database.query('SELECT COUNT(*) AS total FROM questionnaire_results WHERE questionnaire_id = $1', [questionnaire.id]);
+
+    expect(recalculated.summary.code).toBe('ISFJ');
+    expect(parseInt(rows.rows[0].total)).toBe(1);
+  });
+});
@@ -0,0 +1,124 @@
+const request = require('supertest');
+const {
+  createTestApp,
+  closeTestApp,
+  fullAnswers,
+  syncQuestionnaire,
+  startQuestionnaire,
+  loginAdmin,
+  registerUser,
+  registerVerifiedUser,
+  captureMail,
+  countRows
+} = require('./helpers/app');
+
+describe('Acceso a un cuestionario por su token o por la cuenta propietaria', () => {
+  let app;
+  let own;
+  let other;
+
+  const read = (questionnaireId, headers = {}) => request(app)
+    .get(`/api/questionnaires/${questionnaireId}`)
+    .set(headers);
+
+  beforeAll(async () => {
+    captureMail();
+    app = await createTestApp();
+    own = await startQuestionnaire(app, { type: 'phq9', correo: 'ana@example.com' });
+    other = await startQuestionnaire(app, { type: 'phq9', correo: 'bea@example.com' });
+  });
+
+  afterAll(closeTestApp);
+
+  test('sin credenciales responde 404 igual que un id inexistente', async () => {
+    expect((await read(own.questionnaireId)).status).toBe(404);
+    expect((await read(9999, { 'X-Questionnaire-Token': own.accessToken })).status).toBe(404);
+  });
+
+  test('el token solo abre su propio cuestionario', async () => {
+    const allowed = await read(own.questionnaireId, { 'X-Questionnaire-Token': own.accessToken });
+    const tampered = await read(own.questionnaireId, { 'X-Questionnaire-Token': `${own.accessToken}x` });
+    const save = await request(app)
+      .post(`/api/questionnaires/${other.questionnaireId}/save`)
+      .set('X-Questionnaire-Token', own.accessToken)
+      .send({ answers: { 0: 1 } });
+    const remove = await request(app)
+      .delete(`/api/questionnaires/${other.questionnaireId}`)
+      .set('X-Questionnaire-Token', own.accessToken);
+
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.data.personalInfo.correo).toBe('ana@example.com');
+    expect(tampered.status).toBe(404);
+    expect(save.status).toBe(404);
+    expect(remove.status).toBe(404);
+  });
+
+  test('la cuenta propietaria entra con su sesión si tiene el email verificado', async () => {
+    const owner = await registerVerifiedUser(app, 'carla@example.com');
+    const unverified = await registerUser(app, 'dani@example.com');
+    const carla = await startQuestionnaire(app, { type: 'gad7', correo: 'carla@example.com', accessToken: owner.accessToken });
+    const dani = await startQuestionnaire(app, { type: 'gad7', correo: 'dani@example.com', accessToken: unverified.accessToken });
+    const bearer = accessToken => ({ Authorization: `Bearer ${accessToken}` });
+
+    expect((await read(carla.questionnaireId, bearer(owner.accessToken))).status).toBe(200);
+    expect((await read(own.questionnaireId, bearer(owner.accessToken))).status).toBe(404);
+    expect((await read(dani.questionnaireId, bearer(unverified.accessToken))).status).toBe(404);
+  });
+
+  test('coincidir el email no vincula el cuestionario a una cuenta existente', async () => {
+    const account = await registerVerifiedUser(app, 'elena@example.com');
+    const stranger = await registerVerifiedUser(app, 'fran@example.com');
+    const admin = await loginAdmin(app);
+    const bearer = accessToken => ({ Authorization: `Bearer ${accessToken}` });
+
+    const anonymous = await startQuestionnaire(app, { type: 'phq9', correo: 'elena@example.com' });
+    const foreign = await startQuestionnaire(app, { type: 'phq9', correo: 'elena@example.com', accessToken: stranger.accessToken });
+    const staff = await startQuestionnaire(app, { type: 'phq9', correo: 'admin@websaludmental.com' });
+    const staffSession = await startQuestionnaire(app, { type: 'phq9', correo: 'elena@example.com', accessToken: admin.accessToken });
+    const newAccount = await startQuestionnaire(app, { type: 'phq9', correo: 'gema@example.com' });
+
+    [anonymous, foreign, staff, staffSession].forEach(started => expect(started.userId).toBeNull());
+    expect(newAccount.userId).toEqual(expect.any(Number));
+    expect((await read(anonymous.questionnaireId, bearer(account.accessToken))).status).toBe(404);
+    expect((await read(foreign.questionnaireId, bearer(account.accessToken))).status).toBe(404);
+    expect((await read(foreign.questionnaireId, bearer(stranger.accessToken))).status).toBe(404);
+    expect((await read(anonymous.questionnaireId, { 'X-Questionnaire-Token': anonymous.accessToken })).status).toBe(200);
+
+    const mine = await request(app)
+      .get('/api/me/questionnaires')
+      .set('Authorization', `Bearer ${account.accessToken}`);
+    expect(mine.body.data.pagination.total).toBe(0);
+  });
+
+  test('el navegador puede enviar la cabecera del token desde el frontend (CORS)', async () => {
+    const preflight = await request(app)
+      .options(`/api/questionnaires/${own.questionnaireId}`)
+      .set('Origin', 'http://localhost:5173')
+      .set('Access-Control-Request-Method', 'GET')
+      .set('Access-Control-Request-Headers', 'X-Questionnaire-Token');
+
+    expect(preflight.status).toBe(204);
+    expect(preflight.headers['access-control-allow-headers']).toContain('X-Questionnaire-Token');
+  });
+
+  test('el personal no entra por estas rutas sino por /api/admin', async () => {
+    const admin = await loginAdmin(app);
+
+    expect((await read(own.questionnaireId, { Authorization: `Bearer ${admin.accessToken}` })).status).toBe(404);
+  });
+
+  test('al borrarlo con su token no quedan revisiones, resultados ni consentimientos que lo apunten', async () => {
+    const completed = await syncQuestionnaire(app, { type: 'phq9', correo: 'carla@example.com', answers: fullAnswers('phq9') });
+    const { questionnaireId, accessToken } = completed;
+
+    const res = await request(app)
+      .delete(`/api/questionnaires/${questionnaireId}`)
+      .set('X-Questionnaire-Token', accessToken);
+
+    expect(res.status).toBe(200);
+    expect(await countRows('questionnaire_revisions', 'questionnaire_id', questionnaireId)).toBe(0);
+    expect(await countRows('questionnaire_results', 'questionnaire_id', questionnaireId)).toBe(0);
+    expect(await countRows('consents', 'questionnaire_id', questionnaireId)).toBe(0);
+    expect((await read(questionnaireId, { 'X-Questionnaire-Token': accessToken })).status).toBe(404);
+  });
+});
@@ -0,0 +1,78 @@
+const request = require('supertest');
+const questionnaireDefinitions = require('../src/config/questionnaires');
+const Questionnaire = require('../src/models/Questionnaire');
+const { CONSENT, createTestApp, closeTestApp, personalInfo } = require('./helpers/app');
+
+describe('Registro de definiciones', () => {
+  test('cada tipo tiene una versión vigente con ids de pregunta únicos', () => {
+    questionnaireDefinitions.getTypes().forEach(type => {
+      const definition = questionnaireDefinitions.getDefinition(type);
+      const ids = definition.questions.map(question => question.id);
+
+      expect(definition.version).toBe(questionnaireDefinitions.getLatestVersion(type));
+      expect(new Set(ids).size).toBe(ids.length);
+    });
+  });
+
+  test('getDefinition devuelve null para tipos o versiones que no existen', () => {
+    expect(questionnaireDefinitions.getDefinition('desconocido')).toBeNull();
+    expect(questionnaireDefinitions.getDefinition('pareja', 99)).toBeNull();
+    expect(questionnaireDefinitions.getDefinition('pareja', '1').version).toBe(1);
+  });
+
+  test('la definición pública ordena las preguntas y solo expone sus campos', () => {
+    const publicDefinition = questionnaireDefinitions.toPublicDefinition(questionnaireDefinitions.getDefinition('pareja'));
+    const orders = publicDefinition.questions.map(question => question.order);
+
+    expect(orders).toEqual([...orders].sort((a, b) => a - b));
+    publicDefinition.questions.forEach(question => {
+      expect(Object.keys(question)).toEqual(expect.arrayContaining(['id', 'order', 'text', 'type', 'required']));
+      (question.options || []).forEach(option => {
+        expect(Object.keys(option).sort()).toEqual(['label', 'value']);
+      });
+    });
+  });
+});
+
+describe('API de definiciones', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await createTestApp();
+  });
+
+  afterAll(closeTestApp);
+
+  test('GET /definitions lista la versión vigente de cada tipo', async () => {
+    const res = await request(app).get('/api/questionnaires/definitions');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(definition => definition.type).sort())
+      .toEqual(questionnaireDefinitions.getTypes().sort());
+  });
+
+  test('GET /definitions/:type acepta ?version y responde 404 si no existe', async () => {
+    const found = await request(app).get('/api/questionnaires/definitions/pareja?version=1');
+    const missingVersion = await request(app).get('/api/questionnaires/definitions/pareja?version=99');
+    const missingType = await request(app).get('/api/questionnaires/definitions/desconocido');
+
+    expect(found.status).toBe(200);
+    expect(found.body.data.version).toBe(1);
+    expect(missingVersion.status).toBe(404);
+    expect(missingType.status).toBe(404);
+  });
+
+  test('/start guarda la versión de la definición y rechaza tipos desconocidos', async () => {
+    const started = await request(app)
+      .post('/api/questionnaires/start')
+      .send({ type: 'pareja', personalInfo: personalInfo('ana@example.com'), consent: CONSENT });
+    const unknown = await request(app)
+      .post('/api/questionnaires/start')
+      .send({ type: 'desconocido', personalInfo: personalInfo('ana@example.com'), consent: CONSENT });
+
+    expect(started.status).toBe(201);
+    expect(started.body.data.definitionVersion).toBe(1);
+    expect((await Questionnaire.findById(started.body.data.questionnaireId)).definitionVersion).toBe(1);
+    expect(unknown.status).toBe(400);
+  });
+});
@@ -0,0 +1,106 @@
+const request = require('supertest');
+const QuestionnaireRevision = require('../src/models/QuestionnaireRevision');
+const { diffRevisions } = require('../src/utils/revisionDiff');
+const { createTestApp, closeTestApp, fullAnswers, startQuestionnaire } = require('./helpers/app');
+
+describe('diffRevisions', () => {
+  const revision = (number, personal, answers, completed = false) => ({
+    revision: number,
+    source: 'save',
+    createdAt: '2024-01-01',
+    personalInfo: personal,
+    answers,
+    completed
+  });
+
+  test('distingue respuestas añadidas, modificadas y eliminadas', () => {
+    const diff = diffRevisions(
+      revision(1, { nombre: 'Ana' }, { 0: 'E', 1: 'S' }),
+      revision(2, { nombre: 'Ana' }, { 0: 'I', 2: 'T' })
+    );
+
+    expect(diff.answers).toEqual([
+      { questionId: '0', change: 'modified', from: 'E', to: 'I' },
+      { questionId: '1', change: 'removed', from: 'S', to: null },
+      { questionId: '2', change: 'added', from: null, to: 'T' }
+    ]);
+    expect(diff.personalInfo).toEqual([]);
+  });
+
+  test('cuenta el cambio de estado y de datos personales', () => {
+    const diff = diffRevisions(
+      revision(1, { nombre: 'Ana' }, {}),
+      revision(2, { nombre: 'Ana María' }, {}, true)
+    );
+
+    expect(diff.completed).toEqual({ from: false, to: true });
+    expect(diff.personalInfo[0]).toMatchObject({ field: 'nombre', change: 'modified' });
+    expect(diff.totalChanges).toBe(2);
+  });
+});
+
+describe('Historial de revisiones de un cuestionario', () => {
+  let app;
+  let questionnaireId;
+  let accessToken;
+
+  // Rutas del cuestionario con su token de acceso
+  const get = path => request(app).get(`/api/questionnaires/${questionnaireId}${path}`).set('X-Questionnaire-Token', accessToken);
+  const post = path => request(app).post(`/api/questionnaires/${questionnaireId}${path}`).set('X-Questionnaire-Token', accessToken);
+
+  beforeAll(async () => {
+    app = await createTestApp();
+
+    ({ questionnaireId, accessToken } = await startQuestionnaire(app, { type: 'personalidad', correo: 'ana@example.com' }));
+
+    await post('/save')
+      .send({ answers: { 0: 'Extrovertido' } })
+      .expect(200);
+    await post('/save')
+      .send({ answers: fullAnswers('personalidad', { 0: 'Introvertido' }) })
+      .expect(200);
+    await post('/complete')
+      .expect(200);
+  });
+
+  afterAll(closeTestApp);
+
+  test('cada guardado añade una revisión numerada con su origen', async () => {
+    const res = await get('/revisions');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.revisions.map(revision => [revision.revision, revision.source])).toEqual([
+      [1, 'start'],
+      [2, 'save'],
+      [3, 'save'],
+      [4, 'complete']
+    ]);
+    expect(res.body.data.revisions[1].answers).toEqual({ 0: 'Extrovertido' });
+  });
+
+  test('el diff compara dos revisiones concretas', async () => {
+    const res = await get('/revisions/diff?from=2&to=3');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.answers[0]).toEqual({ questionId: '0', change: 'modified', from: 'Extrovertido', to: 'Introvertido' });
+    expect(res.body.data.answers).toHaveLength(Object.keys(fullAnswers('personalidad')).length);
+  });
+
+  test('sin parámetros compara la última revisión con la anterior', async () => {
+    const res = await get('/revisions/diff');
+
+    expect(res.body.data.from.revision).toBe(3);
+    expect(res.body.data.completed).toEqual({ from: false, to: true });
+    expect(res.body.data.answers).toEqual([]);
+  });
+
+  test('revisiones inexistentes o parámetros inválidos', async () => {
+    expect((await get('/revisions/diff?from=1&to=9')).status).toBe(404);
+    expect((await get('/revisions/diff?from=uno')).status).toBe(400);
+    expect((await request(app).get('/api/questionnaires/9999/revisions')).status).toBe(404);
+  });
+
+  test('solo se aceptan orígenes conocidos', async () => {
+    await expect(QuestionnaireRevision.record({ id: questionnaireId }, 'import')).rejects.toThrow('Origen de revisión inválido');
+  });
+});
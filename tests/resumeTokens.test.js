@@ -0,0 +1,97 @@
+const request = require('supertest');
+const database = require('../src/config/database');
+const ResumeToken = require('../src/models/ResumeToken');
+const { hashEmail, generateDataHash } = require('../src/utils/encryption');
+const { CONSENT, createTestApp, closeTestApp, personalInfo, fullAnswers, captureMail } = require('./helpers/app');
+
+describe('Reanudación de cuestionarios con token', () => {
+  let app;
+  let draft;
+  let sentMails;
+
+  const resume = token => request(app).post('/api/questionnaires/resume').send({ token });
+
+  beforeAll(async () => {
+    sentMails = captureMail();
+    app = await createTestApp();
+    const res = await request(app)
+      .post('/api/questionnaires/sync')
+      .send({ type: 'personalidad', personalInfo: personalInfo('Ana@Example.com'), answers: { 0: 'Extrovertido' }, completed: false, consent: CONSENT });
+    draft = res.body.data;
+  });
+
+  afterAll(closeTestApp);
+
+  beforeEach(() => {
+    sentMails.length = 0;
+  });
+
+  test('el token devuelto al guardar permite recuperar el borrador', async () => {
+    const res = await resume(draft.resumeToken);
+
+    expect(draft.resumeToken).toHaveLength(64);
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ questionnaireId: draft.questionnaireId, answers: { 0: 'Extrovertido' }, completed: false });
+  });
+
+  test('en la base de datos solo se guarda el hash del token', async () => {
+    const stored = await database.query('SELECT token_hash FROM resume_tokens WHERE questionnaire_id = $1', [draft.questionnaireId]);
+
+    expect(stored.rows).toHaveLength(1);
+    expect(stored.rows[0].token_hash).not.toBe(draft.resumeToken);
+  });
+
+  test('rechaza tokens desconocidos, caducados o revocados', async () => {
+    // Emitir un token nuevo revoca los anteriores
+    const revoked = await ResumeToken.issue(draft.questionnaireId);
+    const expired = await ResumeToken.issue(draft.questionnaireId);
+    await database.query(
+      "UPDATE resume_tokens SET expires_at = '2000-01-01T00:00:00.000Z' WHERE token_hash = $1",
+      [generateDataHash(expired.token)]
+    );
+
+    expect((await resume(expired.token)).status).toBe(401);
+    expect((await resume(revoked.token)).status).toBe(401);
+    expect((await resume('x'.repeat(64))).status).toBe(401);
+    expect((await resume()).status).toBe(401);
+  });
+
+  test('el enlace por email se envía sin importar mayúsculas y solo para borradores', async () => {
+    await request(app)
+      .post('/api/questionnaires/sync')
+      .send({ type: 'pareja', personalInfo: personalInfo('ana@example.com'), answers: fullAnswers('pareja'), completed: true, consent: CONSENT });
+
+    const res = await request(app).post('/api/questionnaires/resume-link').send({ email: ' ANA@example.com ' });
+    const token = sentMails[0].text.match(/reanudar=([a-f0-9]+)/)[1];
+
+    expect(res.status).toBe(200);
+    expect(sentMails).toHaveLength(1);
+    expect(sentMails[0].text).not.toContain('/cuestionario/pareja');
+    expect((await resume(token)).body.data.questionnaireId).toBe(draft.questionnaireId);
+    expect((await resume(draft.resumeToken)).status).toBe(401);
+  });
+
+  test('la respuesta no revela si el email tiene cuestionarios', async () => {
+    const known = await request(app).post('/api/questionnaires/resume-link').send({ email: 'ana@example.com', type: 'pareja' });
+    const unknown = await request(app).post('/api/questionnaires/resume-link').send({ email: 'nadie@example.com' });
+
+    expect(unknown.body).toEqual(known.body);
+    expect(sentMails).toHaveLength(0);
+  });
+
+  test('limita los enlaces que se piden para una misma dirección', async () => {
+    const third = await request(app).post('/api/questionnaires/resume-link').send({ email: 'ana@example.com' });
+    const fourth = await request(app).post('/api/questionnaires/resume-link').send({ email: 'Ana@example.com' });
+
+    expect(third.status).toBe(200);
+    expect(fourth.status).toBe(429);
+    expect(sentMails).toHaveLength(1);
+  });
+
+  test('ya no se puede restaurar un cuestionario conociendo solo el email', async () => {
+    const res = await request(app).get('/api/questionnaires/restore/personalidad');
+
+    expect(res.status).toBe(401);
+    expect(hashEmail(' Ana@Example.com')).toBe(hashEmail('ana@example.com'));
+  });
+});
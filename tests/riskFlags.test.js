@@ -0,0 +1,100 @@
+const request = require('supertest');
+const questionnaireDefinitions = require('../src/config/questionnaires');
+const { evaluateRisk } = require('../src/utils/riskEvaluation');
+const {
+  CONSENT,
+  createTestApp,
+  closeTestApp,
+  personalInfo,
+  scoredAnswers,
+  loginAdmin
+} = require('./helpers/app');
+
+const phq9 = questionnaireDefinitions.getDefinition('phq9');
+const gad7 = questionnaireDefinitions.getDefinition('gad7');
+
+describe('evaluateRisk', () => {
+  test('el ítem 9 del PHQ-9 marca riesgo crítico aunque el cuestionario esté a medias', () => {
+    const flags = evaluateRisk(phq9, { 8: 'Varios días' });
+
+    expect(flags).toEqual([expect.objectContaining({ ruleId: 'phq9_ideacion_suicida', level: 'critical' })]);
+    // Solo el valor: la respuesta literal no sale del cuestionario cifrado
+    expect(flags[0].details).toEqual({ questionId: '8', value: 1 });
+    expect(evaluateRisk(phq9, { 8: 0 })).toEqual([]);
+  });
+
+  test('las reglas de puntuación solo se evalúan con resultados', () => {
+    const answers = scoredAnswers('gad7', 3);
+
+    expect(evaluateRisk(gad7, answers)).toEqual([]);
+    expect(evaluateRisk(gad7, answers, { summary: { total: 15 } })).toEqual([
+      expect.objectContaining({ ruleId: 'gad7_ansiedad_grave', details: { score: 'total', value: 15 } })
+    ]);
+    expect(evaluateRisk(gad7, answers, { summary: { total: 14 } })).toEqual([]);
+  });
+
+  test('admite reglas propias y rechaza operadores desconocidos', () => {
+    const rules = [{ id: 'regla', type: 'gad7', level: 'high', label: 'Regla', when: { questionId: '0', operator: 'in', value: [2, 3] } }];
+    const broken = [{ ...rules[0], when: { questionId: '0', operator: 'between', value: 1 } }];
+
+    expect(evaluateRisk(gad7, { 0: 2 }, null, rules)).toHaveLength(1);
+    expect(evaluateRisk(gad7, { 0: 1 }, null, rules)).toHaveLength(0);
+    expect(() => evaluateRisk(gad7, { 0: 1 }, null, broken)).toThrow('Operador de regla de riesgo no soportado');
+  });
+});
+
+describe('Cola de alertas urgentes', () => {
+  let app;
+  let authHeader;
+
+  const urgent = (query = '') => request(app)
+    .get(`/api/admin/urgent${query}`)
+    .set('Authorization', authHeader);
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    const admin = await loginAdmin(app);
+    authHeader = `Bearer ${admin.accessToken}`;
+
+    await request(app)
+      .post('/api/questionnaires/sync')
+      .send({ type: 'phq9', personalInfo: personalInfo('ana@example.com'), answers: scoredAnswers('phq9', 3), completed: true, consent: CONSENT });
+    await request(app)
+      .post('/api/questionnaires/sync')
+      .send({ type: 'phq9', personalInfo: personalInfo('bea@example.com'), answers: scoredAnswers('phq9', 0), completed: true, consent: CONSENT });
+  });
+
+  afterAll(closeTestApp);
+
+  test('un PHQ-9 grave con ideación genera dos alertas abiertas', async () => {
+    const res = await urgent();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.flags.map(flag => flag.ruleId).sort()).toEqual(['phq9_depresion_grave', 'phq9_ideacion_suicida']);
+    expect(res.body.data.flags[0].questionnaire).toMatchObject({ type: 'phq9', correo: 'ana@example.com' });
+  });
+
+  test('atender una alerta la saca de la cola abierta y no se puede atender dos veces', async () => {
+    const { body } = await urgent();
+    const flagId = body.data.flags[0].id;
+
+    const acknowledged = await request(app)
+      .post(`/api/admin/urgent/${flagId}/acknowledge`)
+      .set('Authorization', authHeader)
+      .send({ note: 'Llamada realizada' });
+    const again = await request(app)
+      .post(`/api/admin/urgent/${flagId}/acknowledge`)
+      .set('Authorization', authHeader);
+
+    expect(acknowledged.status).toBe(200);
+    expect(again.status).toBe(409);
+    expect((await urgent()).body.data.flags).toHaveLength(1);
+    expect((await urgent('?status=acknowledged')).body.data.flags[0].id).toBe(flagId);
+  });
+
+  test('valida el estado, las alertas inexistentes y exige sesión de administrador', async () => {
+    expect((await urgent('?status=closed')).status).toBe(400);
+    expect((await request(app).post('/api/admin/urgent/9999/acknowledge').set('Authorization', authHeader)).status).toBe(404);
+    expect((await request(app).get('/api/admin/urgent')).status).toBe(401);
+  });
+});
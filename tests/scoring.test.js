@@ -0,0 +1,120 @@
+const request = require('supertest');
+const questionnaireDefinitions = require('../src/config/questionnaires');
+const { scoreQuestionnaire } = require('../src/utils/scoring');
+const {
+  CONSENT,
+  createTestApp,
+  closeTestApp,
+  personalInfo,
+  scoredAnswers,
+  startQuestionnaire,
+  loginAdmin
+} = require('./helpers/app');
+
+// Respuestas de un cribado cuya suma es exactamente `total` (valores de 0 a 3 por ítem)
+const answersWithTotal = (type, total) => {
+  let remaining = total;
+  const answers = {};
+  questionnaireDefinitions.getDefinition(type).questions
+    .filter(question => question.scored)
+    .forEach(question => {
+      answers[question.id] = Math.min(3, remaining);
+      remaining -= answers[question.id];
+    });
+  return answers;
+};
+
+describe('Puntuación de PHQ-9 y GAD-7', () => {
+  test.each([
+    ['phq9', 4, 'minimal'],
+    ['phq9', 5, 'mild'],
+    ['phq9', 14, 'moderate'],
+    ['phq9', 15, 'moderately_severe'],
+    ['phq9', 27, 'severe'],
+    ['gad7', 9, 'mild'],
+    ['gad7', 10, 'moderate'],
+    ['gad7', 15, 'severe']
+  ])('%s con un total de %i se clasifica como %s', (type, total, severity) => {
+    const definition = questionnaireDefinitions.getDefinition(type);
+    const { summary, scores } = scoreQuestionnaire(definition, answersWithTotal(type, total));
+
+    expect(summary.total).toBe(total);
+    expect(summary.severity).toBe(severity);
+    expect(scores.maxScore).toBe(type === 'phq9' ? 27 : 21);
+  });
+
+  test('la pregunta de dificultad funcional no suma', () => {
+    const definition = questionnaireDefinitions.getDefinition('phq9');
+    const difficulty = definition.questions.find(question => !question.scored);
+    const answers = { ...scoredAnswers('phq9', 1), [difficulty.id]: difficulty.options[3].value };
+    const { summary, scores } = scoreQuestionnaire(definition, answers);
+
+    expect(summary.total).toBe(9);
+    expect(scores.items[difficulty.id]).toBeUndefined();
+    expect(summary.answered).toBe(summary.totalScored);
+  });
+
+  test('un total parcial no se clasifica en ninguna banda', () => {
+    const definition = questionnaireDefinitions.getDefinition('phq9');
+    const answers = scoredAnswers('phq9', 3);
+    delete answers[Object.keys(answers)[0]];
+    const { summary } = scoreQuestionnaire(definition, answers);
+
+    expect(summary.total).toBe(24);
+    expect(summary.answered).toBe(summary.totalScored - 1);
+    expect(summary.severity).toBeNull();
+  });
+
+  test('acepta la etiqueta de la opción igual que su valor', () => {
+    const definition = questionnaireDefinitions.getDefinition('gad7');
+    const answers = scoredAnswers('gad7', 'Casi todos los días');
+
+    expect(scoreQuestionnaire(definition, answers).summary.total).toBe(21);
+  });
+});
+
+describe('Cribados en la API', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await createTestApp();
+  });
+
+  afterAll(closeTestApp);
+
+  test('un PHQ-9 completado guarda el total y la gravedad', async () => {
+    const res = await request(app)
+      .post('/api/questionnaires/sync')
+      .send({ type: 'phq9', personalInfo: personalInfo('ana@example.com'), answers: scoredAnswers('phq9', 2), completed: true, consent: CONSENT });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.results.summary).toMatchObject({ total: 18, severity: 'moderately_severe', severityLabel: 'Moderadamente grave' });
+  });
+
+  test('el listado de administración agrupa también los cribados', async () => {
+    await request(app)
+      .post('/api/questionnaires/sync')
+      .send({ type: 'gad7', personalInfo: personalInfo('bea@example.com'), answers: scoredAnswers('gad7', 0), completed: true, consent: CONSENT });
+    const admin = await loginAdmin(app);
+
+    const res = await request(app)
+      .get('/api/admin/questionnaires')
+      .set('Authorization', `Bearer ${admin.accessToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.phq9.count).toBe(1);
+    expect(res.body.gad7.count).toBe(1);
+    expect(res.body.pareja.count).toBe(0);
+  });
+
+  test('no se puede completar con preguntas obligatorias sin responder', async () => {
+    const questionnaire = await startQuestionnaire(app, { type: 'gad7', correo: 'carla@example.com', answers: { 0: 3 } });
+
+    const res = await request(app)
+      .post(`/api/questionnaires/${questionnaire.questionnaireId}/complete`)
+      .set('X-Questionnaire-Token', questionnaire.accessToken);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.length).toBeGreaterThan(0);
+  });
+});
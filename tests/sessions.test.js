@@ -0,0 +1,96 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const database = require('../src/config/database');
+const { generateToken } = require('../src/middleware/auth-simple');
+const {
+  createTestApp,
+  closeTestApp,
+  loginAdmin,
+  registerUser
+} = require('./helpers/app');
+
+/**
+ * Sesiones con refresh tokens rotatorios: reutilizar uno ya rotado cierra la sesión
+ */
+describe('Sesiones y refresh tokens', () => {
+  let app;
+
+  const refresh = refreshToken => request(app).post('/api/auth/refresh').send({ refreshToken });
+  // Ruta autenticada cualquiera: 403 o 404 según el usuario si el token vale, 401 si no
+  const authenticates = async accessToken => (await request(app)
+    .get('/api/questionnaires/restore/personalidad')
+    .set('Authorization', `Bearer ${accessToken}`)).status !== 401;
+
+  beforeAll(async () => {
+    app = await createTestApp();
+  });
+
+  afterAll(closeTestApp);
+
+  test('login y registro devuelven un access token ligado a una sesión', async () => {
+    const admin = await loginAdmin(app);
+    const user = await registerUser(app, 'ana@example.com');
+
+    expect(admin.refreshToken).toEqual(expect.any(String));
+    expect(jwt.decode(admin.accessToken).sessionId).toEqual(expect.any(Number));
+    expect(jwt.decode(user.accessToken).userId).toBe(user.user.id);
+    expect(await authenticates(user.accessToken)).toBe(true);
+  });
+
+  test('sin refresh token responde 400 y con uno desconocido 401', async () => {
+    expect((await request(app).post('/api/auth/refresh').send({})).status).toBe(400);
+    expect((await refresh('no-es-un-refresh-token')).status).toBe(401);
+  });
+
+  test('rota el refresh token y el nuevo access token funciona', async () => {
+    const session = await registerUser(app, 'bea@example.com');
+
+    const res = await refresh(session.refreshToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.refreshToken).not.toBe(session.refreshToken);
+    expect(await authenticates(res.body.data.accessToken)).toBe(true);
+  });
+
+  test('reutilizar un refresh token ya rotado revoca toda la sesión', async () => {
+    const session = await registerUser(app, 'carla@example.com');
+    const rotated = (await refresh(session.refreshToken)).body.data;
+
+    const reuse = await refresh(session.refreshToken);
+
+    expect(reuse.status).toBe(401);
+    expect(reuse.body.error).toBe('Refresh token reutilizado');
+    expect((await refresh(rotated.refreshToken)).status).toBe(401);
+    expect(await authenticates(rotated.accessToken)).toBe(false);
+    expect(await authenticates(session.accessToken)).toBe(false);
+  });
+
+  test('cerrar sesión solo afecta a la sesión actual salvo con allSessions', async () => {
+    const first = await registerUser(app, 'dani@example.com');
+    const login = () => request(app).post('/api/auth/login').send({ correo: 'dani@example.com', password: 'Password123!' });
+    const second = (await login()).body.data;
+    const third = (await login()).body.data;
+
+    await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${first.accessToken}`).send({}).expect(200);
+    expect((await refresh(first.refreshToken)).status).toBe(401);
+    expect(await authenticates(second.accessToken)).toBe(true);
+
+    const all = await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${second.accessToken}`)
+      .send({ allSessions: true });
+
+    expect(all.body.data.revokedSessions).toBe(2);
+    expect(await authenticates(third.accessToken)).toBe(false);
+  });
+
+  test('un access token sin sesión o de una sesión caducada no vale', async () => {
+    const session = await registerUser(app, 'eva@example.com');
+    const { sessionId, userId } = jwt.decode(session.accessToken);
+    await database.query("UPDATE sessions SET expires_at = '2000-01-01T00:00:00.000Z' WHERE id = $1", [sessionId]);
+
+    expect(await authenticates(generateToken(userId, 'user'))).toBe(false);
+    expect(await authenticates(session.accessToken)).toBe(false);
+    expect((await refresh(session.refreshToken)).status).toBe(401);
+  });
+});
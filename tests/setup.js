@@ -0,0 +1,7 @@
+// Entorno de los tests: cada archivo usa su propia base de datos SQLite en memoria
+process.env.SQLITE_PATH = ':memory:';
+process.env.RATE_LIMIT_MAX_REQUESTS = '1000';
+
+// Los logs de la aplicación no aportan nada en la salida de jest (los errores sí se ven)
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
@@ -0,0 +1,76 @@
+const request = require('supertest');
+const { randomUUID } = require('crypto');
+const { CONSENT, createTestApp, closeTestApp, personalInfo, fullAnswers } = require('./helpers/app');
+
+describe('Sincronización idempotente con clientId', () => {
+  let app;
+
+  // `accessToken` es el del cuestionario, que hace falta para volver a sincronizar su clientId
+  const sync = (clientId, answers, { completed = false, type = 'personalidad', accessToken = '' } = {}) => request(app)
+    .post('/api/questionnaires/sync')
+    .set('X-Questionnaire-Token', accessToken)
+    .send({ clientId, type, personalInfo: personalInfo('ana@example.com'), answers, completed, consent: CONSENT });
+
+  const revisionsOf = async ({ questionnaireId, accessToken }) => {
+    const res = await request(app)
+      .get(`/api/questionnaires/${questionnaireId}/revisions`)
+      .set('X-Questionnaire-Token', accessToken);
+    return res.body.data.revisions.map(revision => revision.source);
+  };
+
+  beforeAll(async () => {
+    app = await createTestApp();
+  });
+
+  afterAll(closeTestApp);
+
+  test('reenviar el mismo borrador no crea otro cuestionario ni otra revisión', async () => {
+    const clientId = randomUUID();
+    const first = await sync(clientId, { 0: 'Extrovertido' });
+    const retry = await sync(clientId, { 0: 'Extrovertido' }, { accessToken: first.body.data.accessToken });
+
+    expect(first.status).toBe(201);
+    expect(first.body.data).toMatchObject({ action: 'created', clientId });
+    expect(retry.status).toBe(200);
+    expect(retry.body.data).toMatchObject({ action: 'unchanged', questionnaireId: first.body.data.questionnaireId });
+    expect(await revisionsOf(first.body.data)).toEqual(['sync']);
+  });
+
+  test('los cambios actualizan el cuestionario existente y calculan resultados al completarlo', async () => {
+    const clientId = randomUUID();
+    const { body: created } = await sync(clientId, { 0: 'Extrovertido' });
+    const updated = await sync(clientId, fullAnswers('personalidad'), { completed: true, accessToken: created.data.accessToken });
+
+    expect(updated.body.data).toMatchObject({ action: 'updated', questionnaireId: created.data.questionnaireId, completed: true });
+    expect(updated.body.data.results.summary.code).toHaveLength(4);
+    expect(await revisionsOf(created.data)).toEqual(['sync', 'sync']);
+  });
+
+  test('un borrador que llega tarde no deshace un cuestionario completado', async () => {
+    const clientId = randomUUID();
+    const { body: completed } = await sync(clientId, fullAnswers('personalidad'), { completed: true });
+    const late = await sync(clientId, { 0: 'Extrovertido' }, { accessToken: completed.data.accessToken });
+
+    expect(late.body.data).toMatchObject({ action: 'unchanged', completed: true });
+    expect(late.body.data.answers).toEqual(fullAnswers('personalidad'));
+    expect(late.body.data.results).not.toBeNull();
+  });
+
+  test('rechaza clientId que no son UUID o que pertenecen a otro tipo', async () => {
+    const clientId = randomUUID();
+    const { body: created } = await sync(clientId, {});
+
+    expect((await sync('borrador-1', {})).status).toBe(400);
+    expect((await sync(clientId, {}, { type: 'pareja', accessToken: created.data.accessToken })).status).toBe(409);
+  });
+
+  test('sin el token del cuestionario un clientId conocido no se lee ni se modifica', async () => {
+    const clientId = randomUUID();
+    const { body: created } = await sync(clientId, { 0: 'Extrovertido' });
+    const replay = await sync(clientId, fullAnswers('personalidad'), { completed: true });
+
+    expect(replay.status).toBe(200);
+    expect(replay.body.data).toEqual({ action: 'exists', questionnaireId: created.data.questionnaireId });
+    expect(await revisionsOf(created.data)).toEqual(['sync']);
+  });
+});
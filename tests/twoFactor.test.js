@@ -0,0 +1,247 @@
+const request = require('supertest');
+const database = require('../src/config/database');
+const totp = require('../src/utils/totp');
+const { encryptData, decryptData } = require('../src/utils/encryption');
+const TwoFactor = require('../src/models/TwoFactor');
+const AccountLockout = require('../src/models/AccountLockout');
+const {
+  ADMIN_CREDENTIALS,
+  createTestApp,
+  closeTestApp,
+  loginAdmin,
+  registerUser
+} = require('./helpers/app');
+
+// Secreto del apéndice B de la RFC 6238 ("12345678901234567890" en base32)
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP', () => {
+  test('coincide con los vectores de la RFC 6238 (6 dígitos)', () => {
+    expect(totp.generateCode(RFC_SECRET, totp.getStep(59 * 1000))).toBe('287082');
+    expect(totp.generateCode(RFC_SECRET, totp.getStep(1111111109 * 1000))).toBe('081804');
+  });
+
+  test('acepta un paso de desfase a cada lado y ninguno más', () => {
+    const now = 1700000000000;
+    const step = totp.getStep(now);
+    const codeAt = offset => totp.generateCode(RFC_SECRET, step + offset);
+
+    expect(totp.verifyCode(RFC_SECRET, codeAt(-1), { timestamp: now })).toBe(step - 1);
+    expect(totp.verifyCode(RFC_SECRET, codeAt(1), { timestamp: now })).toBe(step + 1);
+    expect(totp.verifyCode(RFC_SECRET, codeAt(-2), { timestamp: now })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, codeAt(2), { timestamp: now })).toBeNull();
+  });
+
+  test('afterStep descarta los pasos ya usados', () => {
+    const now = 1700000000000;
+    const step = totp.getStep(now);
+
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step), { timestamp: now, afterStep: step })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1), { timestamp: now, afterStep: step })).toBe(step + 1);
+  });
+
+  test('la URI otpauth y los códigos de recuperación tienen el formato de las apps', () => {
+    const uri = totp.buildOtpauthUri(RFC_SECRET, 'admin@websaludmental.com', 'Web Salud Mental');
+
+    expect(uri).toBe(`otpauth://totp/Web%20Salud%20Mental%3Aadmin%40websaludmental.com?secret=${RFC_SECRET}&issuer=Web%20Salud%20Mental&algorithm=SHA1&digits=6&period=30`);
+    expect(totp.generateBackupCodes(3)).toEqual([
+      expect.stringMatching(/^[A-Z2-7]{4}-[A-Z2-7]{4}$/),
+      expect.stringMatching(/^[A-Z2-7]{4}-[A-Z2-7]{4}$/),
+      expect.stringMatching(/^[A-Z2-7]{4}-[A-Z2-7]{4}$/)
+    ]);
+    expect(totp.normalizeBackupCode(' abcd-efgh ')).toBe('ABCDEFGH');
+  });
+});
+
+describe('encryptData (secreto de 2FA en reposo)', () => {
+  test('descifra con la misma clave y falla con otra o con el texto alterado', () => {
+    const stored = encryptData('JBSWY3DPEHPK3PXP', 'clave');
+    const parsed = JSON.parse(stored);
+    const tampered = JSON.stringify({ ...parsed, encrypted: parsed.encrypted.replace(/^./, c => (c === '0' ? '1' : '0')) });
+
+    expect(parsed.version).toBe(2);
+    expect(decryptData(stored, 'clave')).toBe('JBSWY3DPEHPK3PXP');
+    expect(() => decryptData(stored, 'otra')).toThrow();
+    expect(() => decryptData(tampered, 'clave')).toThrow();
+  });
+  test('en producción no arranca con la clave por defecto', () => {
+    const envKeys = ['NODE_ENV', 'DATA_ENCRYPTION_KEYS', 'ENCRYPTION_PEPPER', 'TWO_FACTOR_SECRET_KEY'];
+    const original = Object.fromEntries(envKeys.map(key => [key, process.env[key]]));
+    const loadTwoFactor = () => jest.isolateModules(() => {
+      // Sin base de datos: solo interesa la comprobación al cargar el modelo
+      jest.doMock('../src/config/database', () => ({}));
+      require('../src/models/TwoFactor');
+    });
+
+    try {
+      Object.assign(process.env, { NODE_ENV: 'production', DATA_ENCRYPTION_KEYS: '1:clave-de-datos', ENCRYPTION_PEPPER: 'pepper-de-produccion' });
+      delete process.env.TWO_FACTOR_SECRET_KEY;
+      expect(loadTwoFactor).toThrow('TWO_FACTOR_SECRET_KEY es obligatorio en producción');
+
+      process.env.TWO_FACTOR_SECRET_KEY = 'clave-de-produccion';
+      expect(loadTwoFactor).not.toThrow();
+    } finally {
+      jest.dontMock('../src/config/database');
+      Object.entries(original).forEach(([key, value]) => {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      });
+    }
+  });
+});
+
+describe('Verificación en dos pasos', () => {
+  let app;
+  let clock;
+  let secret;
+  let backupCodes;
+
+  // Los códigos se generan avanzando el reloj un periodo cada vez, como haría la app
+  const nextCode = (userSecret = secret) => {
+    clock += totp.TOTP_CONFIG.period * 1000;
+    return totp.generateCode(userSecret, totp.getStep(clock));
+  };
+  const adminLogin = () => request(app).post('/api/admin/login').send(ADMIN_CREDENTIALS);
+  const verify = (challengeToken, code) => request(app).post('/api/auth/2fa/verify').send({ challengeToken, code });
+
+  beforeAll(async () => {
+    clock = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => clock);
+    app = await createTestApp();
+
+    const admin = await loginAdmin(app);
+    const auth = `Bearer ${admin.accessToken}`;
+    const setup = await request(app).post('/api/auth/2fa/setup').set('Authorization', auth);
+    secret = setup.body.data.secret;
+    const enable = await request(app).post('/api/auth/2fa/enable').set('Authorization', auth).send({ code: nextCode() });
+    backupCodes = enable.body.data.backupCodes;
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await closeTestApp();
+  });
+
+  test('con el 2FA activado el login devuelve un challengeToken en lugar de la sesión', async () => {
+    const res = await adminLogin();
+
+    expect(backupCodes).toHaveLength(10);
+    expect(res.body.data).toMatchObject({ twoFactorRequired: true });
+    expect(res.body.data.accessToken).toBeUndefined();
+
+    const asAccessToken = await request(app)
+      .get('/api/auth/2fa/status')
+      .set('Authorization', `Bearer ${res.body.data.challengeToken}`);
+    expect(asAccessToken.status).toBe(401);
+  });
+
+  test('el login no lleva al log la fila de la cuenta (hash de la contraseña ni secreto 2FA)', async () => {
+    const row = (await database.query('SELECT password, two_factor_secret FROM users WHERE email = $1', [ADMIN_CREDENTIALS.email])).rows[0];
+    const log = jest.spyOn(console, 'log');
+
+    await adminLogin();
+    const logged = JSON.stringify(log.mock.calls);
+    log.mockRestore();
+
+    expect(logged).not.toContain(row.password);
+    expect(logged).not.toContain(JSON.parse(row.two_factor_secret).encrypted);
+  });
+
+  test('un código TOTP no se puede reutilizar', async () => {
+    const code = nextCode();
+    const first = await verify((await adminLogin()).body.data.challengeToken, code);
+    const replay = await verify((await adminLogin()).body.data.challengeToken, code);
+
+    expect(first.status).toBe(200);
+    expect(first.body.data).toMatchObject({ method: 'totp', accessToken: expect.any(String) });
+    expect(replay.status).toBe(401);
+  });
+
+  test('un código de un paso anterior al último usado tampoco vale', async () => {
+    const older = totp.generateCode(secret, totp.getStep(clock) - 1);
+    const res = await verify((await adminLogin()).body.data.challengeToken, older);
+
+    expect(res.status).toBe(401);
+  });
+
+  test('cada código de recuperación sirve una sola vez', async () => {
+    const challengeToken = (await adminLogin()).body.data.challengeToken;
+    const first = await verify(challengeToken, backupCodes[0].toLowerCase());
+    const reuse = await verify(challengeToken, backupCodes[0]);
+
+    expect(first.body.data).toMatchObject({ method: 'backup_code', backupCodesRemaining: 9 });
+    expect(reuse.status).toBe(401);
+  });
+
+  test('regenerar los códigos de recuperación invalida los anteriores', async () => {
+    const session = (await verify((await adminLogin()).body.data.challengeToken, nextCode())).body.data;
+
+    const res = await request(app)
+      .post('/api/auth/2fa/backup-codes')
+      .set('Authorization', `Bearer ${session.accessToken}`)
+      .send({ code: nextCode() });
+
+    expect(res.status).toBe(200);
+    expect((await verify((await adminLogin()).body.data.challengeToken, backupCodes[1])).status).toBe(401);
+    expect((await verify((await adminLogin()).body.data.challengeToken, res.body.data.backupCodes[1])).status).toBe(200);
+  });
+
+  test('los usuarios sin rol de administración o profesional no pueden activarlo', async () => {
+    const user = await registerUser(app, 'ana@example.com');
+
+    const res = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${user.accessToken}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  test('los códigos erróneos al regenerar o desactivar cuentan para el bloqueo', async () => {
+    const { user } = await registerUser(app, 'ivan@example.com');
+    await database.query("UPDATE users SET role = 'professional' WHERE id = $1", [user.id]);
+    const session = (await request(app).post('/api/auth/login').send({ correo: 'ivan@example.com', password: 'Password123!' })).body.data;
+    const { secret: ownSecret } = await TwoFactor.startEnrollment(user);
+    await TwoFactor.confirmEnrollment(user.id, nextCode(ownSecret));
+    const withCode = (path, code) => request(app)
+      .post(`/api/auth/2fa/${path}`)
+      .set('Authorization', `Bearer ${session.accessToken}`)
+      .send({ code });
+
+    const statuses = [];
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      statuses.push((await withCode(attempt % 2 ? 'backup-codes' : 'disable', '000000')).status);
+      clock += AccountLockout.getDelaySeconds(attempt) * 1000;
+    }
+    const locked = await withCode('disable', nextCode(ownSecret));
+
+    expect(statuses).toEqual([401, 401, 401, 401, 401]);
+    expect(locked.status).toBe(429);
+    expect(locked.body.error).toBe('Cuenta bloqueada temporalmente');
+    expect((await TwoFactor.getStatus(user.id)).enabled).toBe(true);
+  });
+
+  test('con la política obligatoria un profesional se da de alta durante el login', async () => {
+    const admin = (await verify((await adminLogin()).body.data.challengeToken, nextCode())).body.data;
+    await request(app)
+      .put('/api/admin/security/two-factor-policy')
+      .set('Authorization', `Bearer ${admin.accessToken}`)
+      .send({ required: true })
+      .expect(200);
+    await registerUser(app, 'pro@example.com');
+    await database.query("UPDATE users SET role = 'professional' WHERE email = $1", ['pro@example.com']);
+
+    const login = await request(app).post('/api/auth/login').send({ correo: 'pro@example.com', password: 'Password123!' });
+    const { challengeToken } = login.body.data;
+    const setup = await request(app).post('/api/auth/2fa/setup').send({ challengeToken });
+    const enable = await request(app).post('/api/auth/2fa/enable').send({ challengeToken, code: nextCode(setup.body.data.secret) });
+    const disable = await request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', `Bearer ${enable.body.data.accessToken}`)
+      .send({ code: nextCode(setup.body.data.secret) });
+
+    expect(login.body.data).toMatchObject({ twoFactorSetupRequired: true });
+    expect(enable.status).toBe(200);
+    expect(enable.body.data.accessToken).toEqual(expect.any(String));
+    expect(disable.status).toBe(403);
+  });
+});
@@ -0,0 +1,109 @@
+const request = require('supertest');
+const database = require('../src/config/database');
+const {
+  createTestApp,
+  closeTestApp,
+  loginAdmin,
+  registerUser,
+  captureMail
+} = require('./helpers/app');
+
+describe('Gestión de usuarios desde administración', () => {
+  let app;
+  let admin;
+  let sentMails;
+
+  const asAdmin = (method, path) => request(app)[method](`/api/admin/users${path}`)
+    .set('Authorization', `Bearer ${admin.accessToken}`);
+  const panelLogin = (email, password = 'Password123!') => request(app).post('/api/admin/login').send({ email, password });
+  const tokenFromMail = () => sentMails[sentMails.length - 1].text.match(/token=([a-f0-9]+)/)[1];
+  const staff = (email, role = 'assistant') => ({ email, nombre: 'Lucía', apellidos: 'Sanz', role });
+
+  beforeAll(async () => {
+    sentMails = captureMail();
+    app = await createTestApp();
+    admin = await loginAdmin(app);
+  });
+
+  afterAll(closeTestApp);
+
+  test('crear personal envía el enlace de bienvenida y queda en la auditoría', async () => {
+    const created = await asAdmin('post', '').send(staff('lucia@example.com'));
+    const duplicate = await asAdmin('post', '').send(staff('lucia@example.com', 'professional'));
+    const asUserRole = await asAdmin('post', '').send(staff('otra@example.com', 'admin'));
+
+    expect(created.status).toBe(201);
+    expect(sentMails[sentMails.length - 1]).toMatchObject({ to: 'lucia@example.com', subject: 'Activa tu cuenta' });
+    expect(duplicate.status).toBe(409);
+    expect(asUserRole.status).toBe(400);
+
+    await request(app).post('/api/auth/reset-password').send({ token: tokenFromMail(), password: 'ClaveLucia123!' });
+    const login = await panelLogin('lucia@example.com', 'ClaveLucia123!');
+    const detail = await asAdmin('get', `/${created.body.data.user.id}`);
+
+    expect(login.body.data.user.role).toBe('assistant');
+    expect(detail.body.data.auditLog.map(entry => entry.action)).toEqual(['user_created']);
+  });
+
+  test('el listado busca por email o nombre y filtra por rol', async () => {
+    await registerUser(app, 'marta@example.com');
+
+    const search = await asAdmin('get', '?search=MARTA');
+    const staffOnly = await asAdmin('get', '?role=assistant');
+    const invalid = await asAdmin('get', '?role=jefe');
+
+    expect(search.body.data.users.map(user => user.email)).toEqual(['marta@example.com']);
+    expect(search.body.data.users[0]).not.toHaveProperty('password');
+    expect(staffOnly.body.data.users.map(user => user.email)).toEqual(['lucia@example.com']);
+    expect(invalid.status).toBe(400);
+  });
+
+  test('cambiar el rol cierra las sesiones del usuario', async () => {
+    const { user, refreshToken } = await registerUser(app, 'nora@example.com');
+
+    const changed = await asAdmin('put', `/${user.id}/role`).send({ role: 'professional' });
+    const same = await asAdmin('put', `/${user.id}/role`).send({ role: 'professional' });
+    const own = await asAdmin('put', `/${admin.user.id}/role`).send({ role: 'assistant' });
+
+    expect(changed.body.data).toMatchObject({ role: 'professional', revokedSessions: 1 });
+    expect(same.status).toBe(409);
+    expect(own.status).toBe(409);
+    expect((await request(app).post('/api/auth/refresh').send({ refreshToken })).status).toBe(401);
+    expect((await panelLogin('nora@example.com')).body.data.user.role).toBe('professional');
+  });
+
+  test('una cuenta desactivada no puede entrar hasta que se reactiva', async () => {
+    const { user } = await registerUser(app, 'olga@example.com');
+
+    await asAdmin('put', `/${user.id}/active`).send({ active: false }).expect(200);
+    const blocked = await request(app).post('/api/auth/login').send({ correo: 'olga@example.com', password: 'Password123!' });
+    const self = await asAdmin('put', `/${admin.user.id}/active`).send({ active: false });
+    await asAdmin('put', `/${user.id}/active`).send({ active: true }).expect(200);
+    const allowed = await request(app).post('/api/auth/login').send({ correo: 'olga@example.com', password: 'Password123!' });
+
+    expect(blocked.status).toBe(403);
+    expect(self.status).toBe(409);
+    expect(allowed.status).toBe(200);
+  });
+
+  test('forzar el cambio de contraseña invalida la actual', async () => {
+    const { user } = await registerUser(app, 'pilar@example.com');
+    await database.query('UPDATE users SET role = $1 WHERE id = $2', ['professional', user.id]);
+
+    const forced = await asAdmin('post', `/${user.id}/password-reset`);
+
+    expect(forced.body.data.revokedSessions).toBe(1);
+    expect(sentMails[sentMails.length - 1]).toMatchObject({ to: 'pilar@example.com', subject: 'Restablece tu contraseña' });
+    expect((await panelLogin('pilar@example.com')).status).toBe(401);
+  });
+
+  test('solo los administradores gestionan usuarios', async () => {
+    const professional = (await panelLogin('nora@example.com')).body.data;
+
+    const res = await request(app)
+      .get('/api/admin/users')
+      .set('Authorization', `Bearer ${professional.accessToken}`);
+
+    expect(res.status).toBe(403);
+  });
+});